@@ -5,7 +5,7 @@
  *
  * Dependencies (included in index.html or Vite):
  * - React 17
- * - Firebase 8.10.1
+ * - Firebase 8.10.1 (Auth + Firestore)
  * - Framer Motion 6.5.1
  * - React Toastify 9.0.8
  * - Tailwind CSS 2.2.19
@@ -13,32 +13,78 @@
  * - Google Analytics
  *
  * Backend Requirements:
- * - Netlify Functions or Node.js/Express server with endpoints:
- *   - /generate: AI model generation
+ * - Netlify Functions or Node.js/Express server with endpoints. Every call goes through
+ *   `apiFetch`, which sends the user's Firebase ID token as `Authorization: Bearer`;
+ *   the backend verifies it and derives the user from it (netlify/lib/auth.mjs):
+ *   - /generate: Submit an AI model generation job (returns { jobId }), or a batch of
+ *     variants (returns { batchId, jobs }). Prompts and reference images are moderated
+ *     first; rejections return 422 with { code: "content_rejected", reasons }
+ *   - /generation-status: Poll job status and progress (?jobId=)
+ *   - /cancel-generation: Cancel a queued or running job
+ *   - /refine: Start a revision of a finished model from a follow-up instruction
+ *   - /list-revisions: A model's revision chain, oldest first (?jobId=)
  *   - /create-checkout-session: Stripe checkout
- *   - /get-user-plan: Fetch user subscription
+ *   - /confirm-checkout-session: Confirm a completed checkout (?session_id=)
+ *   - /stripe-webhook: Stripe subscription and payment events
+ *   - /get-user-plan: Fetch user subscription and this month's generation usage
+ *   - /get-billing-overview: Subscription state, renewal date and invoices
+ *   - /update-subscription: Switch plans (prorated), cancel at period end, resume
+ *   - /create-portal-session: Stripe billing portal
+ *   - /list-my-models: Models the user bought or generated on Pro
+ *   - /list-gallery: Public gallery with search, tag filters, sorting and pagination (no sign-in needed)
+ *   - /get-gallery-item: One gallery model, for shared /gallery/<id> links (?id=)
+ *   - /publish-model, /unpublish-model: Share a finished model in the gallery, or take it down
+ *   - /like-gallery-item: Like or unlike a gallery model
+ *   - /list-review-queue, /review-gallery-item: Admin review of gallery submissions (`admin` custom claim)
+ *   - /admin-list-users, /admin-update-user: User directory with plan, usage and plan/quota overrides
+ *   - /admin-list-generations: Recent generations across users, with failure reasons
+ *   - /admin-list-payments, /admin-adjust-billing: A user's Stripe payments, refunds and account credits
+ *   - /admin-feature-gallery-item: Feature gallery models (listed first)
+ *   - /admin-list-audit-log: Every admin action, newest first
+ *   - /get-download-url: Short-lived signed download link after an ownership check
  *   - /get-csrf-token: CSRF protection
- * - Meshy AI or similar 3D model generation API
- * - Stripe account with price IDs
- * - Firebase project for authentication
+ *   (reference implementations ship in netlify/functions; `node netlify/dev-server.mjs`
+ *   runs them offline with an in-memory store, a Stripe stand-in and a mock 3D provider)
+ * - Meshy AI or similar 3D model generation API (adapters in netlify/lib/providers)
+ * - Stripe account with price IDs and a webhook endpoint (offline stand-in in netlify/lib/local-stripe.mjs)
+ * - Firebase project for authentication (enable Email/Password, Google and GitHub providers)
  *
  * Deployment:
- * - Use Vite to build and host on Netlify/Vercel.
+ * - Use Vite to build and host on Netlify/Vercel. Every path must serve index.html for
+ *   client-side routing (netlify.toml does this on Netlify).
  * - Replace placeholder URLs and keys (e.g., Firebase config, Stripe price IDs).
  *
  * Features:
- * - Advanced text-to-3D and image-to-3D generation
+ * - Advanced text-to-3D and image-to-3D generation (front/side/back views with in-browser
+ *   crop, rotate, background masking and downscaling; text, image or combined conditioning)
  * - Customizable model parameters (material, supports, shell thickness, infill)
- * - Secure Firebase authentication
+ * - Batch variants (seeds, infill or material sweeps) compared side by side with synced cameras
+ * - Iterative refinement with follow-up prompts and a revision chain to step back through
+ * - Firebase authentication: email/password, Google and GitHub, password reset,
+ *   required email verification and linking of several providers to one account
  * - Stripe payments for subscriptions and one-time purchases
- * - Interactive model gallery with competition-quality examples
+ * - Community gallery with search, tag filters, likes, publishing and remixes
+ * - Shareable links: /create?prompt=...&width=... (prefilled generator), /gallery/<id>,
+ *   /generations/<history id>, plus /terms, /privacy and /contact pages
+ * - Per-user generation history synced through Firestore
+ * - "My Models" library with expiring download links
+ * - In-browser GLB mesh analysis (size, volume, watertightness)
+ * - Printability check: overhang and thin-wall overlay, build volume fit and orientation suggestions
+ * - Filament, cost and print-time estimates per material
+ * - Bambu Studio / OrcaSlicer 3MF export with embedded print settings
+ * - In-browser STL (binary/ASCII), OBJ+MTL and PLY export scaled to mm
+ * - Plan entitlements and monthly generation quotas
+ * - Content moderation of prompts and reference images, with a review queue for gallery submissions
+ * - Admin dashboard at /admin (`admin` custom claim): users, plan/quota overrides, generations,
+ *   refunds and credits, featured gallery items and an audit log
  * - Analytics, accessibility, and security
  */
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { createRoot } from 'react-dom/client';
 import firebase from 'firebase/app';
 import 'firebase/auth';
+import 'firebase/firestore';
 import { motion, AnimatePresence } from 'framer-motion';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
@@ -56,6 +102,90 @@ const firebaseConfig = {
 // Initialize Firebase
 if (!firebase.apps.length) {
   firebase.initializeApp(firebaseConfig);
+  // Point auth at the local Firebase emulator during development
+  if (window.__AUTH_EMULATOR_URL__) firebase.auth().useEmulator(window.__AUTH_EMULATOR_URL__);
+}
+
+// Base path of the backend functions
+const FUNCTIONS_BASE = "/.netlify/functions";
+
+// CSRF tokens are reused until shortly before they expire
+const CSRF_REFRESH_MARGIN_MS = 60 * 1000;
+
+// HTTP methods that never change server state and so skip the CSRF token
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Cached CSRF token shared by every backend call
+const csrfCache = { token: null, expiresAt: 0, pending: null };
+
+// Helper: Cached CSRF token, fetching a new one when missing, about to expire or `rotate` is set.
+// Concurrent callers share one request. Throws when no token can be obtained.
+async function getCsrfToken({ rotate = false } = {}) {
+  if (!rotate && csrfCache.token && csrfCache.expiresAt * 1000 - CSRF_REFRESH_MARGIN_MS > Date.now()) {
+    return csrfCache.token;
+  }
+  if (!csrfCache.pending) {
+    csrfCache.token = null;
+    csrfCache.pending = fetch(`${FUNCTIONS_BASE}/get-csrf-token`)
+      .then(async (resp) => {
+        const data = await resp.json().catch(() => ({}));
+        if (!resp.ok || !data.token) throw new Error(data.error || `CSRF token request failed with ${resp.status}`);
+        csrfCache.token = data.token;
+        csrfCache.expiresAt = Number(data.expiresAt) || 0;
+        return data.token;
+      })
+      .finally(() => {
+        csrfCache.pending = null;
+      });
+  }
+  return csrfCache.pending;
+}
+
+// Helper: Call a backend function as the signed-in user.
+// Sends the Firebase ID token as a Bearer token (the backend derives the user from it, never from
+// the request). State-changing requests also carry the cached CSRF token and are refused here when
+// none can be obtained, rather than going out unprotected. A 401 is retried once with a
+// force-refreshed ID token, and a CSRF 403 once with a rotated CSRF token.
+// `path` is a function name or an absolute URL.
+async function apiFetch(path, options = {}) {
+  const url = /^(https?:)?\//.test(path) ? path : `${FUNCTIONS_BASE}/${path}`;
+  const stateChanging = !SAFE_METHODS.includes((options.method || "GET").toUpperCase());
+  const send = async ({ refreshIdToken = false, rotateCsrf = false } = {}) => {
+    const headers = { ...options.headers };
+    if (stateChanging) {
+      try {
+        headers["X-CSRF-Token"] = await getCsrfToken({ rotate: rotateCsrf });
+      } catch (err) {
+        console.error("CSRF token error:", err);
+        throw new Error("Couldn't secure this request. Check your connection and try again.");
+      }
+    }
+    const current = firebase.auth().currentUser;
+    if (current) headers.Authorization = `Bearer ${await current.getIdToken(refreshIdToken)}`;
+    return fetch(url, { ...options, headers });
+  };
+
+  let resp = await send();
+  const refreshIdToken = resp.status === 401 && Boolean(firebase.auth().currentUser);
+  if (refreshIdToken) resp = await send({ refreshIdToken });
+  if (resp.status === 403 && stateChanging) {
+    const data = await resp.clone().json().catch(() => ({}));
+    if (data.code === "csrf_invalid") resp = await send({ refreshIdToken, rotateCsrf: true });
+  }
+  return resp;
+}
+
+// Helper: What a model URL shows. The backend hands out models as signed view-model links that are
+// re-signed every hour, so two links to the same job or gallery item compare equal here.
+function modelKey(url) {
+  if (!url || !url.startsWith(`${FUNCTIONS_BASE}/view-model?`)) return url || null;
+  const params = new URLSearchParams(url.slice(url.indexOf("?") + 1));
+  return `${params.get("k")}:${params.get("id")}`;
+}
+
+// Helper: Whether two model URLs show the same model
+function isSameModel(a, b) {
+  return Boolean(a) && modelKey(a) === modelKey(b);
 }
 
 // Google Analytics tracking
@@ -65,6 +195,72 @@ const trackEvent = (category, action, label) => {
   }
 };
 
+// OAuth providers offered in the auth modal, keyed by Firebase provider id
+const AUTH_PROVIDERS = {
+  "google.com": {
+    label: "Google",
+    create: () => new firebase.auth.GoogleAuthProvider()
+  },
+  "github.com": {
+    label: "GitHub",
+    create: () => {
+      const provider = new firebase.auth.GithubAuthProvider();
+      provider.addScope("user:email");
+      return provider;
+    }
+  }
+};
+
+// Friendly messages for Firebase auth error codes
+const AUTH_ERROR_MESSAGES = {
+  "auth/invalid-email": "That email address doesn't look right.",
+  "auth/missing-email": "Enter your email address.",
+  "auth/user-disabled": "This account has been disabled. Contact support for help.",
+  "auth/user-not-found": "Email or password is incorrect.",
+  "auth/wrong-password": "Email or password is incorrect.",
+  "auth/invalid-credential": "Email or password is incorrect.",
+  "auth/email-already-in-use": "An account already exists for this email. Sign in instead, or reset your password.",
+  "auth/weak-password": "Choose a password with at least 6 characters.",
+  "auth/too-many-requests": "Too many attempts. Wait a few minutes or reset your password.",
+  "auth/network-request-failed": "Network error. Check your connection and try again.",
+  "auth/popup-blocked": "Your browser blocked the sign-in window. Allow pop-ups for this site and try again.",
+  "auth/operation-not-allowed": "This sign-in method isn't enabled yet.",
+  "auth/credential-already-in-use": "That login is already linked to a different account.",
+  "auth/provider-already-linked": "That login is already linked to your account.",
+  "auth/expired-action-code": "This link has expired. Request a new one.",
+  "auth/invalid-action-code": "This link is invalid or has already been used.",
+  "auth/requires-recent-login": "Please sign in again to continue."
+};
+
+// Errors raised when the user simply closes the OAuth pop-up
+const AUTH_SILENT_ERRORS = ["auth/popup-closed-by-user", "auth/cancelled-popup-request", "auth/user-cancelled"];
+
+// Helper: Map a Firebase auth error to a message we can show users
+function authErrorMessage(err) {
+  return AUTH_ERROR_MESSAGES[err?.code] || "Something went wrong. Please try again.";
+}
+
+// Helper: Human label for a Firebase sign-in method
+function signInMethodLabel(method) {
+  if (method === "password") return "email and password";
+  return AUTH_PROVIDERS[method]?.label || method;
+}
+
+// Helper: Describe the sign-in methods an existing account uses
+function describeSignInMethods(methods) {
+  return methods.length ? methods.map(signInMethodLabel).join(" or ") : "the method you used before";
+}
+
+// Helper: Whether a Firebase user counts as verified (OAuth providers verify the email for us)
+function isEmailVerified(u) {
+  return Boolean(u.emailVerified) || u.providerData.some((p) => p && p.providerId !== "password");
+}
+
+// Helper: Where Firebase email links (verification, password reset) return to
+function authActionSettings() {
+  return { url: window.location.origin };
+}
+
 // Helper: Validate numeric dimension fields
 function validDimension(v) {
   if (!v) return false;
@@ -72,148 +268,1707 @@ function validDimension(v) {
   return Number.isFinite(n) && n > 0;
 }
 
-// Helper: Sanitize input to prevent XSS
-function sanitizeInput(input) {
-  return input.replace(/[&<>"']/g, (m) => ({
+// Generation job statuses reported by /generation-status
+const JOB_STATUS_LABELS = {
+  queued: "Queued",
+  running: "Generating",
+  refining: "Refining details",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled"
+};
+const ACTIVE_JOB_STATUSES = ["queued", "running", "refining"];
+const JOB_POLL_INTERVAL_MS = 3000;
+const ACTIVE_JOB_STORAGE_KEY = "modelMagic.activeJob";
+
+// Helper: Check whether a generation job is still in progress
+function isJobActive(job) {
+  return Boolean(job && ACTIVE_JOB_STATUSES.includes(job.status));
+}
+
+// Helper: Whether a status poll failed for good (client errors other than rate limiting), so the
+// job is treated as failed instead of polled again
+function isTerminalPollError(status) {
+  return status >= 400 && status < 500 && status !== 429;
+}
+
+// Helper: Restore the in-progress generation job after a page reload
+function loadActiveJob() {
+  try {
+    const job = JSON.parse(localStorage.getItem(ACTIVE_JOB_STORAGE_KEY));
+    return isJobActive(job) ? job : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Helper: Persist (or clear) the in-progress generation job
+function saveActiveJob(job) {
+  try {
+    if (isJobActive(job)) {
+      localStorage.setItem(ACTIVE_JOB_STORAGE_KEY, JSON.stringify(job));
+    } else {
+      localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY);
+    }
+  } catch (err) {
+    console.error("Failed to persist generation job:", err);
+  }
+}
+
+// Batch generation: each variant is its own job, queued together and compared side by side
+const MAX_VARIANTS = 4;
+const ACTIVE_BATCH_STORAGE_KEY = "modelMagic.activeBatch";
+const VARIANT_SWEEPS = [
+  { id: "seed", label: "Seeds", hint: "Same settings, different random seeds." },
+  { id: "infill", label: "Infill", hint: "Comma-separated percentages, e.g. 20, 50." },
+  { id: "material", label: "Materials", hint: "Pick two or more materials." }
+];
+const DEFAULT_VARIANT_SWEEP = { type: "seed", count: 2, infills: "20, 50", materials: ["plastic", "resin"] };
+
+// Helper: Variant overrides for a sweep; infill and material sweeps share one seed so only that setting changes
+function buildVariants(sweep, baseSeed) {
+  if (sweep.type === "seed") {
+    return Array.from({ length: sweep.count }, () => ({ seed: randomSeed() }));
+  }
+  if (sweep.type === "infill") {
+    const values = [...new Set(sweep.infills.split(",").map((v) => v.trim()).filter(Boolean).map(Number))];
+    if (values.some((v) => !Number.isFinite(v) || v < 0 || v > 100)) {
+      throw new Error("Infill values must be numbers between 0 and 100.");
+    }
+    return values.map((infill) => ({ infill, seed: baseSeed }));
+  }
+  return sweep.materials.map((material) => ({ material, seed: baseSeed }));
+}
+
+// Helper: Short description of what sets a variant apart
+function variantLabel(params, sweepType) {
+  if (sweepType === "infill") return `${params.infill}% infill`;
+  if (sweepType === "material") return DEFAULT_MATERIAL_TABLE[params.material]?.label || params.material;
+  return `Seed ${params.seed}`;
+}
+
+// Helper: Check whether any job in a batch is still in progress
+function isBatchActive(batch) {
+  return Boolean(batch && batch.jobs.some(isJobActive));
+}
+
+// Helper: Restore the variant batch after a page reload
+function loadActiveBatch() {
+  try {
+    const batch = JSON.parse(localStorage.getItem(ACTIVE_BATCH_STORAGE_KEY));
+    return batch && Array.isArray(batch.jobs) ? batch : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Helper: Persist (or clear) the variant batch until one variant is picked
+function saveActiveBatch(batch) {
+  try {
+    if (batch) {
+      localStorage.setItem(ACTIVE_BATCH_STORAGE_KEY, JSON.stringify(batch));
+    } else {
+      localStorage.removeItem(ACTIVE_BATCH_STORAGE_KEY);
+    }
+  } catch (err) {
+    console.error("Failed to persist variant batch:", err);
+  }
+}
+
+// Refinement: follow-up instructions that revise a finished model
+const MAX_REFINE_INSTRUCTION_LENGTH = 300;
+const REFINE_SUGGESTIONS = ["Thicker walls", "Add mounting holes", "Smooth the surface", "Flatter base for printing"];
+
+// Generation history (stored per user in Firestore)
+const HISTORY_LIMIT = 50;
+const THUMBNAIL_SIZE = 160;
+
+// Helper: Firestore document holding a user's settings (printer profile)
+function userSettingsDoc(uid) {
+  return firebase.firestore().collection("users").doc(uid);
+}
+
+// Helper: Firestore collection holding a user's past generations
+function generationsCollection(uid) {
+  return firebase.firestore().collection("users").doc(uid).collection("generations");
+}
+
+// Helper: Capture a small preview image from a loaded model-viewer element
+function captureThumbnail(viewer) {
+  if (!viewer || typeof viewer.toDataURL !== "function") return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      const scale = THUMBNAIL_SIZE / Math.max(img.width, img.height);
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/jpeg", 0.8));
+    };
+    img.onerror = () => resolve(null);
+    img.src = viewer.toDataURL("image/png");
+  });
+}
+
+// GLB parsing and mesh analysis (glTF units are meters)
+const MM_PER_GLTF_UNIT = 1000;
+const DIMENSION_TOLERANCE_RATIO = 0.05;
+const DIMENSION_TOLERANCE_MIN_MM = 1;
+const GLB_MAGIC = 0x46546c67;
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+const GLTF_COMPONENTS = {
+  5120: { size: 1, read: "getInt8", max: 127 },
+  5121: { size: 1, read: "getUint8", max: 255 },
+  5122: { size: 2, read: "getInt16", max: 32767 },
+  5123: { size: 2, read: "getUint16", max: 65535 },
+  5125: { size: 4, read: "getUint32", max: 4294967295 },
+  5126: { size: 4, read: "getFloat32", max: 1 }
+};
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+// Helper: Multiply two column-major 4x4 matrices
+function multiplyMatrices(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+// Helper: Local transform of a glTF node as a column-major matrix
+function nodeMatrix(node) {
+  if (node.matrix) return node.matrix;
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [qx, qy, qz, qw] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  return [
+    (1 - 2 * (qy * qy + qz * qz)) * sx, 2 * (qx * qy + qz * qw) * sx, 2 * (qx * qz - qy * qw) * sx, 0,
+    2 * (qx * qy - qz * qw) * sy, (1 - 2 * (qx * qx + qz * qz)) * sy, 2 * (qy * qz + qx * qw) * sy, 0,
+    2 * (qx * qz + qy * qw) * sz, 2 * (qy * qz - qx * qw) * sz, (1 - 2 * (qx * qx + qy * qy)) * sz, 0,
+    tx, ty, tz, 1
+  ];
+}
+
+// Helper: Read a glTF accessor from the GLB binary chunk into a flat array
+function readAccessor(gltf, bin, index) {
+  const accessor = gltf.accessors[index];
+  if (accessor.sparse || accessor.bufferView === undefined) {
+    throw new Error("Sparse glTF accessors are not supported.");
+  }
+  const view = gltf.bufferViews[accessor.bufferView];
+  if ((view.buffer || 0) !== 0) throw new Error("External glTF buffers are not supported.");
+  const component = GLTF_COMPONENTS[accessor.componentType];
+  const itemSize = GLTF_TYPE_SIZES[accessor.type];
+  const stride = view.byteStride || component.size * itemSize;
+  const start = bin.byteOffset + (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const data = new DataView(bin.buffer);
+  const out = new Float64Array(accessor.count * itemSize);
+  for (let i = 0; i < accessor.count; i++) {
+    for (let c = 0; c < itemSize; c++) {
+      const value = data[component.read](start + i * stride + c * component.size, true);
+      out[i * itemSize + c] = accessor.normalized ? Math.max(value / component.max, -1) : value;
+    }
+  }
+  return out;
+}
+
+// Helper: Parse a binary glTF into one world-space triangle mesh
+function parseGlb(buffer) {
+  const header = new DataView(buffer);
+  if (buffer.byteLength < 20 || header.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error("Model is not a binary glTF (GLB) file.");
+  }
+  let gltf = null;
+  let bin = null;
+  for (let offset = 12; offset + 8 <= header.getUint32(8, true);) {
+    const length = header.getUint32(offset, true);
+    const type = header.getUint32(offset + 4, true);
+    const chunk = new Uint8Array(buffer, offset + 8, length);
+    if (type === GLB_CHUNK_JSON) gltf = JSON.parse(new TextDecoder().decode(chunk));
+    if (type === GLB_CHUNK_BIN) bin = chunk;
+    offset += 8 + length;
+  }
+  if (!gltf || !bin) throw new Error("GLB file is missing its JSON or binary chunk.");
+  if ((gltf.extensionsRequired || []).includes("KHR_draco_mesh_compression")) {
+    throw new Error("Draco-compressed models can't be analyzed in the browser.");
+  }
+
+  const positions = [];
+  const indices = [];
+  const visit = (nodeIndex, parentMatrix) => {
+    const node = gltf.nodes[nodeIndex];
+    const matrix = multiplyMatrices(parentMatrix, nodeMatrix(node));
+    if (node.mesh !== undefined) {
+      gltf.meshes[node.mesh].primitives.forEach((primitive) => {
+        if ((primitive.mode ?? 4) !== 4 || primitive.attributes.POSITION === undefined) return;
+        const local = readAccessor(gltf, bin, primitive.attributes.POSITION);
+        const base = positions.length / 3;
+        for (let i = 0; i < local.length; i += 3) {
+          const [x, y, z] = [local[i], local[i + 1], local[i + 2]];
+          positions.push(
+            matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+            matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+            matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+          );
+        }
+        const primitiveIndices = primitive.indices !== undefined
+          ? readAccessor(gltf, bin, primitive.indices)
+          : Array.from({ length: local.length / 3 }, (_, i) => i);
+        // Mirroring transforms flip triangle winding
+        const det = matrix[0] * (matrix[5] * matrix[10] - matrix[9] * matrix[6])
+          - matrix[4] * (matrix[1] * matrix[10] - matrix[9] * matrix[2])
+          + matrix[8] * (matrix[1] * matrix[6] - matrix[5] * matrix[2]);
+        for (let i = 0; i + 2 < primitiveIndices.length; i += 3) {
+          const [a, b, c] = [primitiveIndices[i], primitiveIndices[i + 1], primitiveIndices[i + 2]];
+          if (det < 0) indices.push(base + a, base + c, base + b);
+          else indices.push(base + a, base + b, base + c);
+        }
+      });
+    }
+    (node.children || []).forEach((child) => visit(child, matrix));
+  };
+  const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+  const scene = gltf.scenes?.[gltf.scene ?? 0];
+  const roots = scene ? scene.nodes : (gltf.nodes || []).map((_, i) => i);
+  roots.forEach((nodeIndex) => visit(nodeIndex, identity));
+  if (indices.length === 0) throw new Error("Model contains no triangle geometry.");
+
+  return { positions: new Float32Array(positions), indices: new Uint32Array(indices) };
+}
+
+// Helper: Download and parse a GLB model
+async function loadMesh(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Could not download model (${resp.status}).`);
+  return parseGlb(await resp.arrayBuffer());
+}
+
+// Helper: Map each vertex to a canonical index so seam duplicates share edges
+function weldVertices(positions) {
+  const canonical = new Uint32Array(positions.length / 3);
+  const seen = new Map();
+  for (let i = 0; i < canonical.length; i++) {
+    const key = `${Math.round(positions[i * 3] * 1e5)},${Math.round(positions[i * 3 + 1] * 1e5)},${Math.round(positions[i * 3 + 2] * 1e5)}`;
+    if (!seen.has(key)) seen.set(key, i);
+    canonical[i] = seen.get(key);
+  }
+  return canonical;
+}
+
+// Helper: Measure a mesh in millimeters and check it is a closed 2-manifold
+function analyzeMesh(mesh) {
+  const { positions, indices } = mesh;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], positions[i + axis]);
+      max[axis] = Math.max(max[axis], positions[i + axis]);
+    }
+  }
+
+  const canonical = weldVertices(positions);
+  const vertexCount = canonical.length;
+  const edgeUses = new Map();
+  let signedVolume = 0;
+  let surfaceArea = 0;
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]];
+    const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+    const bx = positions[b * 3], by = positions[b * 3 + 1], bz = positions[b * 3 + 2];
+    const cx = positions[c * 3], cy = positions[c * 3 + 1], cz = positions[c * 3 + 2];
+    signedVolume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+    const ux = bx - ax, uy = by - ay, uz = bz - az;
+    const vx = cx - ax, vy = cy - ay, vz = cz - az;
+    surfaceArea += Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+
+    const corners = [canonical[a], canonical[b], canonical[c]];
+    if (corners[0] === corners[1] || corners[1] === corners[2] || corners[0] === corners[2]) continue;
+    for (let e = 0; e < 3; e++) {
+      const p = corners[e];
+      const q = corners[(e + 1) % 3];
+      const key = Math.min(p, q) * vertexCount + Math.max(p, q);
+      edgeUses.set(key, (edgeUses.get(key) || 0) + 1);
+    }
+  }
+
+  let boundaryEdges = 0;
+  let nonManifoldEdges = 0;
+  edgeUses.forEach((uses) => {
+    if (uses === 1) boundaryEdges++;
+    else if (uses > 2) nonManifoldEdges++;
+  });
+
+  return {
+    size: {
+      width: (max[0] - min[0]) * MM_PER_GLTF_UNIT,
+      height: (max[1] - min[1]) * MM_PER_GLTF_UNIT,
+      depth: (max[2] - min[2]) * MM_PER_GLTF_UNIT
+    },
+    volume: Math.abs(signedVolume) * MM_PER_GLTF_UNIT ** 3,
+    surfaceArea: surfaceArea * MM_PER_GLTF_UNIT ** 2,
+    triangleCount: indices.length / 3,
+    boundaryEdges,
+    nonManifoldEdges,
+    watertight: boundaryEdges === 0 && nonManifoldEdges === 0
+  };
+}
+
+// Helper: Compare measured size against the requested dimensions
+function compareDimensions(size, requested) {
+  return ["width", "height", "depth"].map((axis) => {
+    const target = Number(requested[axis]);
+    const actual = size[axis];
+    const tolerance = Math.max(DIMENSION_TOLERANCE_MIN_MM, target * DIMENSION_TOLERANCE_RATIO);
+    return { axis, target, actual, pass: validDimension(requested[axis]) && Math.abs(actual - target) <= tolerance };
+  });
+}
+
+// Helper: Format a number with thousands separators
+function formatNumber(value, digits = 1) {
+  return Number(value).toLocaleString(undefined, { maximumFractionDigits: digits, minimumFractionDigits: digits });
+}
+
+// Print estimation: per-material density (g/cm³), price ($/kg) and volumetric flow (mm³/s)
+const FILAMENT_DIAMETER_MM = 1.75;
+const MATERIAL_TABLE_STORAGE_KEY = "modelMagic.materialTable";
+const DEFAULT_MATERIAL_TABLE = {
+  plastic: { label: "Plastic (PLA/ABS)", density: 1.24, pricePerKg: 20, flowRate: 15, filament: true },
+  metal: { label: "Metal-filled", density: 1.25, pricePerKg: 90, flowRate: 8, filament: true },
+  resin: { label: "Resin (SLA)", density: 1.12, pricePerKg: 40, flowRate: 6, filament: false },
+  wood: { label: "Wood Composite", density: 1.15, pricePerKg: 30, flowRate: 10, filament: true }
+};
+
+// Helper: Load the user's edited material table, falling back to defaults
+function loadMaterialTable() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MATERIAL_TABLE_STORAGE_KEY)) || {};
+    return Object.fromEntries(Object.entries(DEFAULT_MATERIAL_TABLE).map(([id, defaults]) => [
+      id,
+      {
+        ...defaults,
+        density: Number(saved[id]?.density) || defaults.density,
+        pricePerKg: Number(saved[id]?.pricePerKg) || defaults.pricePerKg
+      }
+    ]));
+  } catch (err) {
+    return DEFAULT_MATERIAL_TABLE;
+  }
+}
+
+// Helper: Estimate filament use, cost and print time for one material
+function estimatePrint(report, shellThickness, infill, profile) {
+  const shellVolume = Math.min(report.volume, report.surfaceArea * (Number(shellThickness) || 1));
+  const printedVolume = shellVolume + (report.volume - shellVolume) * (Number(infill) / 100);
+  const grams = (printedVolume / 1000) * profile.density;
+  const filamentArea = Math.PI * (FILAMENT_DIAMETER_MM / 2) ** 2;
+  return {
+    grams,
+    meters: profile.filament ? printedVolume / filamentArea / 1000 : null,
+    cost: (grams / 1000) * profile.pricePerKg,
+    seconds: printedVolume / profile.flowRate
+  };
+}
+
+// Helper: Format seconds as "2h 15m"
+function formatDuration(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  const hours = Math.floor(minutes / 60);
+  return hours ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+// 3MF export (Bambu Studio / OrcaSlicer project files)
+const BAMBU_LINE_WIDTH_MM = 0.42;
+const BAMBU_APPLICATION = "BambuStudio-01.09.00.70";
+const MATERIAL_SLICER_PRESETS = {
+  plastic: { filamentType: "PLA", preset: "Bambu PLA Basic @BBL X1C", fdm: true },
+  metal: { filamentType: "PLA", preset: "Bambu PLA Metal @BBL X1C", fdm: true },
+  wood: { filamentType: "PLA", preset: "Generic PLA @BBL X1C", fdm: true },
+  resin: { filamentType: "PLA", preset: "Generic PLA @BBL X1C", fdm: false }
+};
+
+// Helper: CRC-32 checksum used by ZIP archives
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Helper: Build an uncompressed (stored) ZIP archive from { name, data } entries
+function createZip(entries, mimeType = "application/zip") {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const directory = [];
+  let offset = 0;
+  entries.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    const checksum = crc32(bytes);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(local.buffer, nameBytes, bytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    directory.push(central.buffer, nameBytes);
+    offset += 30 + nameBytes.length + bytes.length;
+  });
+  const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...chunks, ...directory, end.buffer], { type: mimeType });
+}
+
+// Helper: Convert a glTF mesh (Y-up, meters) to a welded Z-up mesh in millimeters resting on Z = 0
+function toPrintSpace(mesh) {
+  const canonical = weldVertices(mesh.positions);
+  const remap = new Map();
+  const vertices = [];
+  canonical.forEach((source) => {
+    if (remap.has(source)) return;
+    remap.set(source, vertices.length / 3);
+    const [x, y, z] = [mesh.positions[source * 3], mesh.positions[source * 3 + 1], mesh.positions[source * 3 + 2]];
+    vertices.push(x * MM_PER_GLTF_UNIT, -z * MM_PER_GLTF_UNIT, y * MM_PER_GLTF_UNIT);
+  });
+  const triangles = [];
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    const [a, b, c] = [0, 1, 2].map((k) => remap.get(canonical[mesh.indices[t + k]]));
+    if (a !== b && b !== c && a !== c) triangles.push(a, b, c);
+  }
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < vertices.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], vertices[i + axis]);
+      max[axis] = Math.max(max[axis], vertices[i + axis]);
+    }
+  }
+  for (let i = 0; i < vertices.length; i += 3) {
+    vertices[i] -= (min[0] + max[0]) / 2;
+    vertices[i + 1] -= (min[1] + max[1]) / 2;
+    vertices[i + 2] -= min[2];
+  }
+  return {
+    vertices: new Float64Array(vertices),
+    triangles: new Uint32Array(triangles),
+    size: [max[0] - min[0], max[1] - min[1], max[2] - min[2]]
+  };
+}
+
+// Helper: Escape text for XML attributes
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (m) => ({
     '&': '&amp;',
     '<': '&lt;',
     '>': '&gt;',
     '"': '&quot;',
-    "'": '&#x27;'
+    "'": '&apos;'
   })[m]);
 }
 
-// Example models for gallery (Bambu Lab competition-worthy)
-const EXAMPLE_MODELS = [
-  {
-    id: 1,
-    name: "Intricate Gearbox",
-    url: "https://modelviewer.dev/shared-assets/models/Astronaut.glb",
-    desc: "A precision-engineered gearbox with interlocking components, optimized for Bambu Lab printers.",
-    tags: ["mechanical", "functional", "engineering"]
-  },
-  {
-    id: 2,
-    name: "Sculpted Dragon",
-    url: "https://modelviewer.dev/shared-assets/models/RobotExpressive.glb",
-    desc: "A detailed dragon sculpture with intricate scales, ideal for artistic prints.",
-    tags: ["artistic", "sculpture", "fantasy"]
-  },
-  {
-    id: 3,
-    name: "Modular Shelving Unit",
-    url: "https://modelviewer.dev/shared-assets/models/shader-ball.glb",
-    desc: "A customizable shelving unit with snap-fit connectors for home organization.",
-    tags: ["furniture", "functional", "modular"]
-  },
-  {
-    id: 4,
-    name: "Robotic Arm Joint",
-    url: "https://modelviewer.dev/shared-assets/models/Astronaut.glb",
-    desc: "A high-tolerance robotic arm joint for automation projects.",
-    tags: ["mechanical", "robotics", "engineering"]
-  },
-  {
-    id: 5,
-    name: "Futuristic Headset",
-    url: "https://modelviewer.dev/shared-assets/models/RobotExpressive.glb",
-    desc: "A sleek, ergonomic headset design for VR/AR applications.",
-    tags: ["electronics", "wearable", "futuristic"]
-  },
-  {
-    id: 6,
-    name: "Ornate Vase",
-    url: "https://modelviewer.dev/shared-assets/models/shader-ball.glb",
-    desc: "An elegant vase with intricate patterns, perfect for decorative prints.",
-    tags: ["artistic", "decor", "home"]
-  },
-  {
-    id: 7,
-    name: "Drone Frame",
-    url: "https://modelviewer.dev/shared-assets/models/Astronaut.glb",
-    desc: "A lightweight, durable drone frame optimized for Bambu Lab’s precision.",
-    tags: ["aerospace", "functional", "engineering"]
-  },
-  {
-    id: 8,
-    name: "Puzzle Cube",
-    url: "https://modelviewer.dev/shared-assets/models/RobotExpressive.glb",
-    desc: "A complex, interlocking puzzle cube for intellectual challenges.",
-    tags: ["puzzle", "recreational", "complex"]
-  },
-  {
-    id: 9,
-    name: "Car Dashboard Mount",
-    url: "https://modelviewer.dev/shared-assets/models/shader-ball.glb",
-    desc: "A robust mount for car dashboards, designed for perfect fit and durability.",
-    tags: ["automotive", "functional", "practical"]
-  },
-  {
-    id: 10,
-    name: "Architectural Miniature",
-    url: "https://modelviewer.dev/shared-assets/models/Astronaut.glb",
-    desc: "A detailed miniature building for architectural visualization.",
-    tags: ["architecture", "artistic", "model"]
+// Helper: Turn a prompt into a safe download file name
+function modelFileName(prompt, extension) {
+  const slug = (prompt || "model").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+  return `${slug || "model"}.${extension}`;
+}
+
+// Helper: Trigger a browser download for a Blob
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Helper: Uniformly scale a print-space mesh to fit the requested width/depth/height
+function scaleToDimensions(printMesh, { width, height, depth }) {
+  const ratios = [[width, printMesh.size[0]], [depth, printMesh.size[1]], [height, printMesh.size[2]]]
+    .filter(([target, actual]) => validDimension(target) && actual > 0)
+    .map(([target, actual]) => Number(target) / actual);
+  const scale = ratios.length ? Math.min(...ratios) : 1;
+  return {
+    vertices: printMesh.vertices.map((v) => v * scale),
+    triangles: printMesh.triangles,
+    size: printMesh.size.map((v) => v * scale),
+    scale
+  };
+}
+
+// Helper: Unit normal of a print-space triangle
+function triangleNormal(vertices, a, b, c) {
+  const ux = vertices[b * 3] - vertices[a * 3];
+  const uy = vertices[b * 3 + 1] - vertices[a * 3 + 1];
+  const uz = vertices[b * 3 + 2] - vertices[a * 3 + 2];
+  const vx = vertices[c * 3] - vertices[a * 3];
+  const vy = vertices[c * 3 + 1] - vertices[a * 3 + 1];
+  const vz = vertices[c * 3 + 2] - vertices[a * 3 + 2];
+  const n = [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+  const length = Math.hypot(n[0], n[1], n[2]) || 1;
+  return n.map((v) => v / length);
+}
+
+// Helper: Binary STL
+function buildBinaryStl(printMesh) {
+  const { vertices, triangles } = printMesh;
+  const count = triangles.length / 3;
+  const view = new DataView(new ArrayBuffer(84 + count * 50));
+  new TextEncoder().encode("3D Model Magic binary STL (mm)").forEach((byte, i) => view.setUint8(i, byte));
+  view.setUint32(80, count, true);
+  for (let t = 0; t < count; t++) {
+    const offset = 84 + t * 50;
+    const corners = [triangles[t * 3], triangles[t * 3 + 1], triangles[t * 3 + 2]];
+    triangleNormal(vertices, ...corners).forEach((v, i) => view.setFloat32(offset + i * 4, v, true));
+    corners.forEach((vertex, k) => {
+      for (let axis = 0; axis < 3; axis++) {
+        view.setFloat32(offset + 12 + k * 12 + axis * 4, vertices[vertex * 3 + axis], true);
+      }
+    });
   }
-];
+  return new Blob([view.buffer], { type: "model/stl" });
+}
 
-// Subscription plans with Stripe price IDs (replace with real IDs)
-const PLANS = [
-  {
-    id: "free",
-    title: "Free",
-    desc: "Try one sample model with basic features and preview capabilities.",
-    priceLabel: "Free",
-    priceId: null,
-    color: "bg-gray-700",
-    cta: "Get Started",
-    disabled: false,
-    features: [
-      "1 model generation/month",
-      "Basic text-to-3D",
-      "GLB export",
-      "Standard preview"
-    ]
-  },
-  {
-    id: "basic",
-    title: "Basic",
-    desc: "10 high-quality models per month, perfect for hobbyists and small projects.",
-    priceLabel: "$9 / month",
-    priceId: "price_1N9Z8x1234567890",
-    color: "bg-yellow-500",
-    cta: "Subscribe",
-    disabled: false,
-    features: [
-      "10 model generations/month",
-      "Text-to-3D + Image-to-3D",
-      "GLB/OBJ/STL export",
-      "Custom materials",
-      "Print supports"
-    ]
-  },
-  {
-    id: "pro",
-    title: "Pro",
-    desc: "Unlimited models with priority generation, ideal for professionals and competition entries.",
-    priceLabel: "$29 / month",
-    priceId: "price_1N9Z8y1234567890",
-    color: "bg-purple-600",
-    cta: "Subscribe",
-    disabled: false,
-    features: [
-      "Unlimited model generations",
-      "Priority AI processing",
-      "Text-to-3D + Image-to-3D",
-      "All export formats",
-      "Advanced materials",
-      "Print supports + shell thickness",
-      "AR/VR preview"
-    ]
+// Helper: ASCII STL
+function buildAsciiStl(printMesh, name) {
+  const { vertices, triangles } = printMesh;
+  const solid = name.replace(/\s+/g, "_");
+  const lines = [`solid ${solid}`];
+  for (let t = 0; t < triangles.length; t += 3) {
+    const corners = [triangles[t], triangles[t + 1], triangles[t + 2]];
+    lines.push(`  facet normal ${triangleNormal(vertices, ...corners).map((v) => v.toExponential(6)).join(" ")}`, "    outer loop");
+    corners.forEach((vertex) => {
+      lines.push(`      vertex ${[0, 1, 2].map((axis) => vertices[vertex * 3 + axis].toExponential(6)).join(" ")}`);
+    });
+    lines.push("    endloop", "  endfacet");
+  }
+  lines.push(`endsolid ${solid}`);
+  return new Blob([lines.join("\n")], { type: "model/stl" });
+}
+
+// OBJ material colors (diffuse RGB, specular RGB)
+const MTL_COLORS = {
+  plastic: { kd: [0.9, 0.9, 0.9], ks: [0.2, 0.2, 0.2] },
+  metal: { kd: [0.6, 0.6, 0.65], ks: [0.9, 0.9, 0.9] },
+  resin: { kd: [0.8, 0.85, 0.9], ks: [0.5, 0.5, 0.5] },
+  wood: { kd: [0.55, 0.4, 0.25], ks: [0.05, 0.05, 0.05] }
+};
+
+// Helper: OBJ + MTL pair, zipped together so the material reference resolves
+function buildObjZip(printMesh, name, material) {
+  const { vertices, triangles } = printMesh;
+  const baseName = modelFileName(name, "obj").replace(/\.obj$/, "");
+  const color = MTL_COLORS[material] || MTL_COLORS.plastic;
+  const obj = [`# 3D Model Magic export (units: mm)`, `mtllib ${baseName}.mtl`, `o ${baseName}`];
+  for (let i = 0; i < vertices.length; i += 3) {
+    obj.push(`v ${vertices[i].toFixed(4)} ${vertices[i + 1].toFixed(4)} ${vertices[i + 2].toFixed(4)}`);
+  }
+  obj.push(`usemtl ${material}`);
+  for (let t = 0; t < triangles.length; t += 3) {
+    obj.push(`f ${triangles[t] + 1} ${triangles[t + 1] + 1} ${triangles[t + 2] + 1}`);
+  }
+  const mtl = [
+    `newmtl ${material}`,
+    `Kd ${color.kd.join(" ")}`,
+    `Ks ${color.ks.join(" ")}`,
+    "Ns 50",
+    "d 1",
+    "illum 2"
+  ];
+  return createZip([
+    { name: `${baseName}.obj`, data: obj.join("\n") },
+    { name: `${baseName}.mtl`, data: mtl.join("\n") }
+  ]);
+}
+
+// Helper: Binary little-endian PLY
+function buildPly(printMesh) {
+  const { vertices, triangles } = printMesh;
+  const vertexCount = vertices.length / 3;
+  const faceCount = triangles.length / 3;
+  const header = new TextEncoder().encode([
+    "ply",
+    "format binary_little_endian 1.0",
+    "comment 3D Model Magic export (units: mm)",
+    `element vertex ${vertexCount}`,
+    "property float x",
+    "property float y",
+    "property float z",
+    `element face ${faceCount}`,
+    "property list uchar int vertex_indices",
+    "end_header",
+    ""
+  ].join("\n"));
+  const body = new DataView(new ArrayBuffer(vertexCount * 12 + faceCount * 13));
+  for (let i = 0; i < vertices.length; i++) body.setFloat32(i * 4, vertices[i], true);
+  for (let t = 0; t < faceCount; t++) {
+    const offset = vertexCount * 12 + t * 13;
+    body.setUint8(offset, 3);
+    for (let k = 0; k < 3; k++) body.setInt32(offset + 1 + k * 4, triangles[t * 3 + k], true);
+  }
+  return new Blob([header, body.buffer], { type: "application/octet-stream" });
+}
+
+// Helper: Package a print-space mesh as a Bambu Studio / OrcaSlicer 3MF project, placed in the
+// middle of the printer's bed
+function buildBambu3mf(printMesh, { name, material, supports, shellThickness, infill, printer }) {
+  const preset = MATERIAL_SLICER_PRESETS[material] || MATERIAL_SLICER_PRESETS.plastic;
+  const [bedCenterX, bedCenterY] = printer.buildVolume.map((size) => size / 2);
+  const shell = Number(shellThickness) || 1;
+  const settings = {
+    enable_support: supports ? "1" : "0",
+    support_type: "tree(auto)",
+    wall_loops: String(Math.max(1, Math.round(shell / BAMBU_LINE_WIDTH_MM))),
+    top_shell_thickness: String(shell),
+    bottom_shell_thickness: String(shell),
+    sparse_infill_density: `${Number(infill)}%`
+  };
+
+  const vertexXml = [];
+  for (let i = 0; i < printMesh.vertices.length; i += 3) {
+    const [x, y, z] = [printMesh.vertices[i], printMesh.vertices[i + 1], printMesh.vertices[i + 2]];
+    vertexXml.push(`<vertex x="${x.toFixed(4)}" y="${y.toFixed(4)}" z="${z.toFixed(4)}"/>`);
   }
+  const triangleXml = [];
+  for (let t = 0; t < printMesh.triangles.length; t += 3) {
+    triangleXml.push(`<triangle v1="${printMesh.triangles[t]}" v2="${printMesh.triangles[t + 1]}" v3="${printMesh.triangles[t + 2]}"/>`);
+  }
+
+  const model = `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02" xmlns:BambuStudio="http://schemas.bambulab.com/package/2021">
+ <metadata name="Application">${BAMBU_APPLICATION}</metadata>
+ <metadata name="BambuStudio:3mfVersion">1</metadata>
+ <metadata name="Title">${escapeXml(name)}</metadata>
+ <resources>
+  <object id="1" type="model" name="${escapeXml(name)}">
+   <mesh>
+    <vertices>${vertexXml.join("")}</vertices>
+    <triangles>${triangleXml.join("")}</triangles>
+   </mesh>
+  </object>
+ </resources>
+ <build>
+  <item objectid="1" transform="1 0 0 0 1 0 0 0 1 ${bedCenterX} ${bedCenterY} 0" printable="1"/>
+ </build>
+</model>`;
+
+  // Per-object overrides are honoured by both Bambu Studio and OrcaSlicer
+  const objectMetadata = Object.entries(settings)
+    .map(([key, value]) => `    <metadata key="${key}" value="${escapeXml(value)}"/>`)
+    .join("\n");
+  const modelSettings = `<?xml version="1.0" encoding="UTF-8"?>
+<config>
+  <object id="1">
+    <metadata key="name" value="${escapeXml(name)}"/>
+    <metadata key="extruder" value="1"/>
+${objectMetadata}
+    <part id="1" subtype="normal_part">
+      <metadata key="name" value="${escapeXml(name)}"/>
+    </part>
+  </object>
+  <plate>
+    <metadata key="plater_id" value="1"/>
+    <model_instance>
+      <metadata key="object_id" value="1"/>
+      <metadata key="instance_id" value="0"/>
+    </model_instance>
+  </plate>
+</config>`;
+
+  const projectSettings = JSON.stringify({
+    ...settings,
+    filament_type: [preset.filamentType],
+    filament_settings_id: [preset.preset],
+    from: "project",
+    version: BAMBU_APPLICATION.replace("BambuStudio-", "")
+  }, null, 2);
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+ <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+ <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+ <Default Extension="config" ContentType="application/octet-stream"/>
+</Types>`
+    },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+ <Relationship Target="/3D/3dmodel.model" Id="rel-1" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>`
+    },
+    { name: "3D/3dmodel.model", data: model },
+    { name: "Metadata/model_settings.config", data: modelSettings },
+    { name: "Metadata/project_settings.config", data: projectSettings }
+  ], "model/3mf");
+}
+
+// Printability analysis (print space: Z up, millimeters)
+const OVERHANG_LIMIT_DEG = 45;
+const OVERHANG_SEVERE_DEG = 60;
+const BED_CONTACT_MM = 0.2;
+const ORIENTATION_GAIN_RATIO = 0.8;
+const THIN_WALL_GRID_CELLS = 64;
+const PRINTABILITY_DEBOUNCE_MS = 400;
+
+// Printer profiles: build volume (X × Y × Z mm), nozzle diameter (mm) and printable materials
+// (abrasive metal-filled filament needs the X1 Carbon's hardened steel nozzle)
+const PRINTER_PROFILES = [
+  { id: "x1c", label: "Bambu Lab X1 Carbon", buildVolume: [256, 256, 256], nozzle: 0.4, materials: ["plastic", "metal", "wood"] },
+  { id: "p1s", label: "Bambu Lab P1S", buildVolume: [256, 256, 256], nozzle: 0.4, materials: ["plastic", "wood"] },
+  { id: "a1", label: "Bambu Lab A1", buildVolume: [256, 256, 256], nozzle: 0.4, materials: ["plastic", "wood"] },
+  { id: "a1-mini", label: "Bambu Lab A1 mini", buildVolume: [180, 180, 180], nozzle: 0.4, materials: ["plastic", "wood"] }
 ];
+const CUSTOM_PRINTER_ID = "custom";
+const PRINTER_STORAGE_KEY = "modelMagic.printer";
+const PRINTER_SAVE_DEBOUNCE_MS = 1000;
+const DEFAULT_PRINTER_SETTINGS = {
+  id: "x1c",
+  custom: { buildVolume: [220, 220, 250], nozzle: 0.4, materials: ["plastic", "metal", "resin", "wood"] }
+};
 
-// Component: Hero Section
+// Helper: Printer settings saved on this device (used until the signed-in user's are loaded)
+function loadPrinterSettings() {
+  try {
+    return normalizePrinterSettings(JSON.parse(localStorage.getItem(PRINTER_STORAGE_KEY)));
+  } catch (err) {
+    return DEFAULT_PRINTER_SETTINGS;
+  }
+}
+
+// Helper: Fill in missing or invalid fields of stored printer settings
+function normalizePrinterSettings(saved) {
+  const known = saved?.id === CUSTOM_PRINTER_ID || PRINTER_PROFILES.some((p) => p.id === saved?.id);
+  const custom = saved?.custom || {};
+  return {
+    id: known ? saved.id : DEFAULT_PRINTER_SETTINGS.id,
+    custom: {
+      buildVolume: Array.isArray(custom.buildVolume) && custom.buildVolume.length === 3
+        ? custom.buildVolume
+        : DEFAULT_PRINTER_SETTINGS.custom.buildVolume,
+      nozzle: custom.nozzle ?? DEFAULT_PRINTER_SETTINGS.custom.nozzle,
+      materials: Array.isArray(custom.materials) ? custom.materials : DEFAULT_PRINTER_SETTINGS.custom.materials
+    }
+  };
+}
+
+// Helper: Printer profile for the user's settings (a custom printer with invalid numbers falls back to defaults)
+function resolvePrinter(settings) {
+  if (settings.id !== CUSTOM_PRINTER_ID) {
+    return PRINTER_PROFILES.find((p) => p.id === settings.id) || PRINTER_PROFILES[0];
+  }
+  const defaults = DEFAULT_PRINTER_SETTINGS.custom;
+  return {
+    id: CUSTOM_PRINTER_ID,
+    label: "Custom printer",
+    buildVolume: settings.custom.buildVolume.map((v, axis) => (validDimension(v) ? Number(v) : defaults.buildVolume[axis])),
+    nozzle: validDimension(settings.custom.nozzle) ? Number(settings.custom.nozzle) : defaults.nozzle,
+    materials: settings.custom.materials
+  };
+}
+
+// Helper: Whether requested dimensions fit a printer (width on X, depth on Y, height on Z)
+function fitsPrinter({ width, height, depth }, printer) {
+  return fitsBuildVolume([Number(width), Number(depth), Number(height)], printer.buildVolume);
+}
+
+// Helper: Requested dimensions uniformly scaled down to fit a printer, rounded down to 0.1 mm
+function scaleToPrinter({ width, height, depth }, printer) {
+  const [x, y, z] = printer.buildVolume;
+  const [w, d, h] = [Number(width), Number(depth), Number(height)];
+  const scale = Math.max(Math.min(x / w, y / d, z / h), Math.min(y / w, x / d, z / h));
+  const shrink = (v) => String(Math.floor(v * scale * 10) / 10);
+  return { width: shrink(w), height: shrink(h), depth: shrink(d) };
+}
+
+// Candidate print orientations, given by the model axis that ends up pointing up
+const PRINT_ORIENTATIONS = [
+  { id: "upright", label: "Upright, as generated", up: [0, 0, 1] },
+  { id: "upside-down", label: "Upside down", up: [0, 0, -1] },
+  { id: "left-side", label: "Lying on its left side", up: [1, 0, 0] },
+  { id: "right-side", label: "Lying on its right side", up: [-1, 0, 0] },
+  { id: "front", label: "Lying on its front", up: [0, 1, 0] },
+  { id: "back", label: "Lying on its back", up: [0, -1, 0] }
+];
+
+// Face classes in the printability overlay, in increasing severity, with their RGBA colors
+const PRINTABILITY_CLASSES = [
+  { id: "ok", label: "Printable", color: [156, 163, 175, 255] },
+  { id: "overhang", label: `Overhang over ${OVERHANG_LIMIT_DEG}°`, color: [250, 204, 21, 255] },
+  { id: "severe", label: `Overhang over ${OVERHANG_SEVERE_DEG}°`, color: [239, 68, 68, 255] },
+  { id: "thin", label: "Thinner than the shell", color: [59, 130, 246, 255] },
+  { id: "too-thin", label: "Thinner than the nozzle", color: [168, 85, 247, 255] }
+];
+
+// Helper: Normals and areas of every print-space triangle
+function faceGeometry(printMesh) {
+  const { vertices, triangles } = printMesh;
+  const count = triangles.length / 3;
+  const normals = new Float64Array(count * 3);
+  const areas = new Float64Array(count);
+  for (let f = 0; f < count; f++) {
+    const [a, b, c] = [triangles[f * 3], triangles[f * 3 + 1], triangles[f * 3 + 2]];
+    const ux = vertices[b * 3] - vertices[a * 3], uy = vertices[b * 3 + 1] - vertices[a * 3 + 1], uz = vertices[b * 3 + 2] - vertices[a * 3 + 2];
+    const vx = vertices[c * 3] - vertices[a * 3], vy = vertices[c * 3 + 1] - vertices[a * 3 + 1], vz = vertices[c * 3 + 2] - vertices[a * 3 + 2];
+    const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz);
+    areas[f] = length / 2;
+    if (length > 0) normals.set([nx / length, ny / length, nz / length], f * 3);
+  }
+  return { count, normals, areas };
+}
+
+// Helper: Overhang class of each face (0 none, 1 overhang, 2 severe) when `up` points up; faces on the bed don't count
+function overhangClasses(printMesh, geometry, up) {
+  const { vertices, triangles } = printMesh;
+  const heights = new Float64Array(vertices.length / 3);
+  let minHeight = Infinity;
+  for (let v = 0; v < heights.length; v++) {
+    heights[v] = vertices[v * 3] * up[0] + vertices[v * 3 + 1] * up[1] + vertices[v * 3 + 2] * up[2];
+    minHeight = Math.min(minHeight, heights[v]);
+  }
+  const limit = Math.sin((OVERHANG_LIMIT_DEG * Math.PI) / 180);
+  const severe = Math.sin((OVERHANG_SEVERE_DEG * Math.PI) / 180);
+  const classes = new Uint8Array(geometry.count);
+  for (let f = 0; f < geometry.count; f++) {
+    // How far the face points down: 0 for a vertical wall, 1 for a flat ceiling
+    const down = -(geometry.normals[f * 3] * up[0] + geometry.normals[f * 3 + 1] * up[1] + geometry.normals[f * 3 + 2] * up[2]);
+    if (down <= limit) continue;
+    const onBed = [0, 1, 2].every((k) => heights[triangles[f * 3 + k]] - minHeight < BED_CONTACT_MM);
+    if (!onBed) classes[f] = down > severe ? 2 : 1;
+  }
+  return classes;
+}
+
+// Helper: Size of the mesh's bounding box when `up` points up: [footprint a, footprint b, height]
+function orientedSize(size, up) {
+  const upAxis = up.findIndex((v) => v !== 0);
+  return [...size.filter((_, axis) => axis !== upAxis), size[upAxis]];
+}
+
+// Helper: Whether a bounding box fits a build volume, allowing a 90° turn on the plate
+function fitsBuildVolume(size, buildVolume) {
+  const [a, b, height] = size;
+  const [x, y, z] = buildVolume;
+  return height <= z && ((a <= x && b <= y) || (a <= y && b <= x));
+}
+
+// Helper: Wall thickness behind each face, measured up to maxDistance (Infinity when thicker)
+function wallThickness(printMesh, geometry, maxDistance) {
+  const { vertices, triangles, size } = printMesh;
+  const cell = Math.max(maxDistance, Math.max(...size) / THIN_WALL_GRID_CELLS);
+  const min = [Infinity, Infinity, Infinity];
+  for (let i = 0; i < vertices.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) min[axis] = Math.min(min[axis], vertices[i + axis]);
+  }
+  const dims = size.map((extent) => Math.floor(extent / cell) + 1);
+  const cellOf = (value, axis) => Math.min(dims[axis] - 1, Math.max(0, Math.floor((value - min[axis]) / cell)));
+  const forEachCell = (lo, hi, visit) => {
+    for (let x = cellOf(lo[0], 0); x <= cellOf(hi[0], 0); x++) {
+      for (let y = cellOf(lo[1], 1); y <= cellOf(hi[1], 1); y++) {
+        for (let z = cellOf(lo[2], 2); z <= cellOf(hi[2], 2); z++) visit(x + dims[0] * (y + dims[1] * z));
+      }
+    }
+  };
+  const corner = (f, k, axis) => vertices[triangles[f * 3 + k] * 3 + axis];
+
+  // Bucket faces by the grid cells their bounding boxes overlap
+  const grid = new Map();
+  const lo = [0, 0, 0];
+  const hi = [0, 0, 0];
+  for (let f = 0; f < geometry.count; f++) {
+    for (let axis = 0; axis < 3; axis++) {
+      lo[axis] = Math.min(corner(f, 0, axis), corner(f, 1, axis), corner(f, 2, axis));
+      hi[axis] = Math.max(corner(f, 0, axis), corner(f, 1, axis), corner(f, 2, axis));
+    }
+    forEachCell(lo, hi, (k) => {
+      if (!grid.has(k)) grid.set(k, []);
+      grid.get(k).push(f);
+    });
+  }
+
+  // Distance along -normal from a face's centroid to the nearest face on the other side of the wall
+  const thickness = new Float64Array(geometry.count).fill(Infinity);
+  const lastTested = new Int32Array(geometry.count).fill(-1);
+  const origin = [0, 0, 0];
+  const dir = [0, 0, 0];
+  for (let f = 0; f < geometry.count; f++) {
+    if (geometry.areas[f] === 0) continue;
+    for (let axis = 0; axis < 3; axis++) {
+      origin[axis] = (corner(f, 0, axis) + corner(f, 1, axis) + corner(f, 2, axis)) / 3;
+      dir[axis] = -geometry.normals[f * 3 + axis];
+      lo[axis] = Math.min(origin[axis], origin[axis] + dir[axis] * maxDistance);
+      hi[axis] = Math.max(origin[axis], origin[axis] + dir[axis] * maxDistance);
+    }
+    lastTested[f] = f;
+    forEachCell(lo, hi, (k) => {
+      (grid.get(k) || []).forEach((g) => {
+        if (lastTested[g] === f) return;
+        lastTested[g] = f;
+        // Only faces pointing the other way bound the wall
+        if (geometry.normals[g * 3] * dir[0] + geometry.normals[g * 3 + 1] * dir[1] + geometry.normals[g * 3 + 2] * dir[2] <= 0) return;
+        const t = rayTriangleDistance(origin, dir, vertices, triangles[g * 3], triangles[g * 3 + 1], triangles[g * 3 + 2]);
+        if (t > 1e-6 && t <= maxDistance && t < thickness[f]) thickness[f] = t;
+      });
+    });
+  }
+  return thickness;
+}
+
+// Helper: Distance along a ray to a triangle (Möller–Trumbore), or Infinity when it misses
+function rayTriangleDistance(origin, dir, vertices, a, b, c) {
+  const e1 = [0, 1, 2].map((axis) => vertices[b * 3 + axis] - vertices[a * 3 + axis]);
+  const e2 = [0, 1, 2].map((axis) => vertices[c * 3 + axis] - vertices[a * 3 + axis]);
+  const p = [dir[1] * e2[2] - dir[2] * e2[1], dir[2] * e2[0] - dir[0] * e2[2], dir[0] * e2[1] - dir[1] * e2[0]];
+  const det = e1[0] * p[0] + e1[1] * p[1] + e1[2] * p[2];
+  if (Math.abs(det) < 1e-12) return Infinity;
+  const s = [0, 1, 2].map((axis) => origin[axis] - vertices[a * 3 + axis]);
+  const u = (s[0] * p[0] + s[1] * p[1] + s[2] * p[2]) / det;
+  if (u < 0 || u > 1) return Infinity;
+  const q = [s[1] * e1[2] - s[2] * e1[1], s[2] * e1[0] - s[0] * e1[2], s[0] * e1[1] - s[1] * e1[0]];
+  const v = (dir[0] * q[0] + dir[1] * q[1] + dir[2] * q[2]) / det;
+  if (v < 0 || u + v > 1) return Infinity;
+  return (e2[0] * q[0] + e2[1] * q[1] + e2[2] * q[2]) / det;
+}
+
+// Helper: Overhangs, thin walls, build volume fit and a suggested orientation for a print-space mesh
+function analyzePrintability(printMesh, { printer, shellThickness }) {
+  const geometry = faceGeometry(printMesh);
+  const sumArea = (classes, match) => classes.reduce((sum, c, f) => (match(c) ? sum + geometry.areas[f] : sum), 0);
+
+  const orientations = PRINT_ORIENTATIONS.map((orientation) => {
+    const classes = overhangClasses(printMesh, geometry, orientation.up);
+    const size = orientedSize(printMesh.size, orientation.up);
+    return {
+      ...orientation,
+      classes,
+      size,
+      supportArea: sumArea(classes, (c) => c > 0),
+      fits: fitsBuildVolume(size, printer.buildVolume)
+    };
+  });
+  const current = orientations[0];
+  const best = orientations
+    .filter((o) => o.fits || !current.fits)
+    .reduce((a, b) => (b.supportArea < a.supportArea || (b.supportArea === a.supportArea && b.size[2] < a.size[2]) ? b : a));
+  const suggestion = best !== current && ((!current.fits && best.fits) || best.supportArea < current.supportArea * ORIENTATION_GAIN_RATIO)
+    ? { id: best.id, label: best.label, supportArea: best.supportArea, fits: best.fits }
+    : null;
+
+  const shell = Math.max(Number(shellThickness) || 0, printer.nozzle);
+  const thickness = wallThickness(printMesh, geometry, shell);
+  // Overlay class per face: thin walls outrank overhangs
+  const faceClasses = current.classes.map((c, f) => {
+    if (thickness[f] < printer.nozzle) return 4;
+    if (thickness[f] < shell) return 3;
+    return c;
+  });
+
+  return {
+    faceClasses,
+    surfaceArea: geometry.areas.reduce((sum, a) => sum + a, 0),
+    overhangArea: current.supportArea,
+    severeOverhangArea: sumArea(current.classes, (c) => c === 2),
+    thinArea: sumArea(faceClasses, (c) => c === 3),
+    tooThinArea: sumArea(faceClasses, (c) => c === 4),
+    minWall: Math.min(...thickness),
+    shell,
+    size: printMesh.size,
+    fits: current.fits,
+    suggestion
+  };
+}
+
+// Helper: GLB of a print-space mesh with one flat color per face class, for the preview overlay
+function buildPrintabilityGlb(printMesh, faceClasses) {
+  const { vertices, triangles } = printMesh;
+  const count = triangles.length / 3;
+  const positions = new Float32Array(count * 9);
+  const colors = new Uint8Array(count * 12);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let f = 0; f < count; f++) {
+    const color = PRINTABILITY_CLASSES[faceClasses[f]].color;
+    for (let k = 0; k < 3; k++) {
+      const v = triangles[f * 3 + k];
+      // Back to glTF space: Y up, meters
+      const point = [vertices[v * 3], vertices[v * 3 + 2], -vertices[v * 3 + 1]].map((c) => c / MM_PER_GLTF_UNIT);
+      positions.set(point, (f * 3 + k) * 3);
+      colors.set(color, (f * 3 + k) * 4);
+      point.forEach((c, axis) => {
+        min[axis] = Math.min(min[axis], c);
+        max[axis] = Math.max(max[axis], c);
+      });
+    }
+  }
+
+  const gltf = {
+    asset: { version: "2.0", generator: "3D Model Magic printability check" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, COLOR_0: 1 }, material: 0 }] }],
+    materials: [{ pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 0.9 }, doubleSided: true }],
+    buffers: [{ byteLength: positions.byteLength + colors.byteLength }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positions.byteLength },
+      { buffer: 0, byteOffset: positions.byteLength, byteLength: colors.byteLength }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: count * 3, type: "VEC3", min, max },
+      { bufferView: 1, componentType: 5121, normalized: true, count: count * 3, type: "VEC4" }
+    ]
+  };
+  const jsonText = JSON.stringify(gltf);
+  const json = new TextEncoder().encode(jsonText + " ".repeat((4 - (jsonText.length % 4)) % 4));
+  const header = new DataView(new ArrayBuffer(20));
+  const totalLength = 12 + 8 + json.length + 8 + positions.byteLength + colors.byteLength;
+  header.setUint32(0, GLB_MAGIC, true);
+  header.setUint32(4, 2, true);
+  header.setUint32(8, totalLength, true);
+  header.setUint32(12, json.length, true);
+  header.setUint32(16, GLB_CHUNK_JSON, true);
+  const binHeader = new DataView(new ArrayBuffer(8));
+  binHeader.setUint32(0, positions.byteLength + colors.byteLength, true);
+  binHeader.setUint32(4, GLB_CHUNK_BIN, true);
+  return new Blob([header.buffer, json, binHeader.buffer, positions.buffer, colors.buffer], { type: "model/gltf-binary" });
+}
+
+// Export formats offered in the generator (availability comes from PLAN_ENTITLEMENTS)
+const EXPORT_FORMATS = [
+  { id: "glb", label: "GLB (original)", extension: "glb" },
+  { id: "stl-binary", label: "STL (binary)", extension: "stl" },
+  { id: "stl-ascii", label: "STL (ASCII)", extension: "stl" },
+  { id: "obj", label: "OBJ + MTL (zip)", extension: "zip" },
+  { id: "ply", label: "PLY (binary)", extension: "ply" },
+  { id: "3mf", label: "3MF (Bambu Studio)", extension: "3mf" }
+];
+
+// Gallery sort orders (ids match GALLERY_SORTS in netlify/lib/gallery.mjs)
+const GALLERY_SORTS = [
+  { id: "relevance", label: "Best match" },
+  { id: "newest", label: "Newest" },
+  { id: "popular", label: "Most liked" },
+  { id: "name", label: "Name (A-Z)" }
+];
+
+// Models per gallery page, and the pause after typing before the gallery is searched
+const GALLERY_PAGE_SIZE = 12;
+const GALLERY_SEARCH_DEBOUNCE_MS = 300;
+
+// How far outside the viewport a gallery preview mounts its 3D viewer
+const LAZY_VIEWER_MARGIN = "200px";
+
+const DEFAULT_GALLERY_QUERY = { q: "", tags: [], sort: "relevance" };
+
+// Licenses a model can be published under (ids match GALLERY_LICENSES in netlify/lib/gallery.mjs)
+const GALLERY_LICENSES = [
+  { id: "cc-by-4.0", label: "CC BY 4.0 (credit the author)" },
+  { id: "cc-by-sa-4.0", label: "CC BY-SA 4.0 (credit, share alike)" },
+  { id: "cc-by-nc-4.0", label: "CC BY-NC 4.0 (credit, non-commercial)" },
+  { id: "cc0-1.0", label: "CC0 (public domain)" },
+  { id: "all-rights-reserved", label: "All rights reserved" }
+];
+
+// Limits on what gets published (matching netlify/lib/gallery.mjs)
+const MAX_PUBLISH_TITLE_LENGTH = 80;
+const MAX_PUBLISH_DESCRIPTION_LENGTH = 500;
+const MAX_PUBLISH_TAGS = 8;
+
+// Helper: Short label of a license id
+function licenseLabel(id) {
+  const license = GALLERY_LICENSES.find((l) => l.id === id);
+  return license ? license.label.replace(/ \(.*\)$/, "") : null;
+}
+
+// Prompt templates per gallery category (ids match gallery tags); {subject} is the user's description
+const PROMPT_TEMPLATES = [
+  {
+    id: "mechanical",
+    label: "Mechanical",
+    example: "planetary gearbox with 3 stages",
+    text: "{subject}, precision mechanical part with clean tolerances, flat mating surfaces and functional geometry",
+    negative: "organic shapes, decorative ornaments, fused moving parts"
+  },
+  {
+    id: "functional",
+    label: "Functional",
+    example: "cable organizer for a desk edge",
+    text: "{subject}, functional 3D-printable object with sturdy walls, practical proportions and a flat base",
+    negative: "thin fragile features, floating parts, text"
+  },
+  {
+    id: "sculpture",
+    label: "Sculpture",
+    example: "dragon coiled around a crystal",
+    text: "{subject}, sculpture with an expressive pose and detailed surface, standing on a stable base",
+    negative: "floating parts, broken limbs, flat textures"
+  },
+  {
+    id: "decor",
+    label: "Decor",
+    example: "vase with a spiral lattice",
+    text: "{subject}, decorative piece with ornamental patterns and an elegant silhouette",
+    negative: "sharp overhangs, cluttered details"
+  },
+  {
+    id: "architecture",
+    label: "Architecture",
+    example: "art deco skyscraper",
+    text: "{subject}, architectural miniature with crisp edges, windows and structural detail at scale",
+    negative: "people, vehicles, warped walls"
+  },
+  {
+    id: "electronics",
+    label: "Electronics",
+    example: "Raspberry Pi 5 case",
+    text: "{subject}, enclosure-style design with ventilation, port openings and ergonomic shapes",
+    negative: "exposed wiring, screens, glossy surfaces"
+  },
+  {
+    id: "automotive",
+    label: "Automotive",
+    example: "phone mount for an air vent",
+    text: "{subject}, automotive accessory designed for a snug fit and durability",
+    negative: "logos, chrome, thin clips"
+  },
+  {
+    id: "puzzle",
+    label: "Puzzle",
+    example: "six-piece burr puzzle",
+    text: "{subject}, interlocking puzzle with separable pieces and precise clearances",
+    negative: "fused pieces, rounded edges"
+  },
+  {
+    id: "furniture",
+    label: "Furniture",
+    example: "modular shelf connector",
+    text: "{subject}, furniture piece with load-bearing joints and a stable footprint",
+    negative: "thin legs, floating parts"
+  },
+  {
+    id: "robotics",
+    label: "Robotics",
+    example: "servo bracket for a robot arm",
+    text: "{subject}, robotics part with mounting holes, servo cutouts and rigid structure",
+    negative: "organic shapes, decorative ornaments"
+  },
+  {
+    id: "aerospace",
+    label: "Aerospace",
+    example: "rocket nose cone with fins",
+    text: "{subject}, aerodynamic aerospace component with smooth surfaces and precise symmetry",
+    negative: "rough surfaces, asymmetric fins"
+  }
+];
+
+// Style presets appended to the prompt
+const PROMPT_STYLES = [
+  { id: "none", label: "No style", text: "" },
+  { id: "realistic", label: "Realistic", text: "realistic proportions and materials" },
+  { id: "low-poly", label: "Low poly", text: "low-poly faceted style" },
+  { id: "stylized", label: "Stylized", text: "stylized, cartoon-like proportions" },
+  { id: "minimalist", label: "Minimalist", text: "minimalist, smooth clean surfaces" },
+  { id: "industrial", label: "Industrial", text: "industrial design, chamfered edges and visible fasteners" },
+  { id: "organic", label: "Organic", text: "organic flowing forms" }
+];
+
+// Detail levels appended to the prompt
+const PROMPT_DETAIL_LEVELS = [
+  { id: "low", label: "Low", text: "simple shapes with few details" },
+  { id: "medium", label: "Medium", text: "" },
+  { id: "high", label: "High", text: "highly detailed" },
+  { id: "ultra", label: "Ultra", text: "intricate fine details, competition quality" }
+];
+
+// Longest final prompt the backend accepts
+const MAX_PROMPT_LENGTH = 1000;
+
+// Largest seed the providers accept
+const MAX_SEED = 2147483647;
+
+// Default prompt builder settings
+const DEFAULT_PROMPT_OPTIONS = { template: "", style: "none", detail: "medium" };
+
+// Helper: Final prompt text sent to the backend for a description and builder options
+function buildFinalPrompt(subject, options) {
+  const template = PROMPT_TEMPLATES.find((t) => t.id === options.template);
+  const trimmed = subject.trim();
+  if (!trimmed) return "";
+  const parts = [
+    template ? template.text.replace("{subject}", trimmed) : trimmed,
+    PROMPT_STYLES.find((s) => s.id === options.style)?.text,
+    PROMPT_DETAIL_LEVELS.find((d) => d.id === options.detail)?.text
+  ];
+  return parts.filter(Boolean).join(", ");
+}
+
+// Helper: The user's own description of a generation (older entries only stored the prompt)
+function generationTitle(entry) {
+  return entry.subject ?? entry.prompt;
+}
+
+// Generator settings saved with each generation (see currentGenerationParams in App)
+const GENERATION_PARAM_FIELDS = [
+  "prompt", "subject", "template", "style", "detail", "negativePrompt", "seed", "measurements", "material",
+  "supports", "shellThickness", "infill", "printer", "conditioning", "imageViews", "hasImage"
+];
+
+// Helper: Just the generator settings of a history entry (leaving out its id, links and timestamps)
+function generationParamsOf(entry) {
+  return Object.fromEntries(GENERATION_PARAM_FIELDS.filter((field) => entry[field] !== undefined).map((field) => [field, entry[field]]));
+}
+
+// Helper: Random seed for reproducible generations
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+// Subscription plans with Stripe price IDs (replace with real IDs)
+const PLANS = [
+  {
+    id: "free",
+    title: "Free",
+    desc: "Try one sample model with basic features and preview capabilities.",
+    priceLabel: "Free",
+    priceId: null,
+    color: "bg-gray-700",
+    cta: "Get Started",
+    disabled: false,
+    features: [
+      "1 model generation/month",
+      "Basic text-to-3D",
+      "GLB + 3MF export",
+      "Standard preview"
+    ]
+  },
+  {
+    id: "basic",
+    title: "Basic",
+    desc: "10 high-quality models per month, perfect for hobbyists and small projects.",
+    priceLabel: "$9 / month",
+    priceId: "price_1N9Z8x1234567890",
+    color: "bg-yellow-500",
+    cta: "Subscribe",
+    disabled: false,
+    features: [
+      "10 model generations/month",
+      "Text-to-3D + Image-to-3D",
+      "GLB/OBJ/STL/3MF export",
+      "Custom materials",
+      "Print supports"
+    ]
+  },
+  {
+    id: "pro",
+    title: "Pro",
+    desc: "Unlimited models with priority generation, ideal for professionals and competition entries.",
+    priceLabel: "$29 / month",
+    priceId: "price_1N9Z8y1234567890",
+    color: "bg-purple-600",
+    cta: "Subscribe",
+    disabled: false,
+    features: [
+      "Unlimited model generations",
+      "Priority AI processing",
+      "Text-to-3D + Image-to-3D",
+      "All export formats",
+      "Advanced materials",
+      "Print supports + shell thickness",
+      "AR/VR preview"
+    ]
+  }
+];
+
+// One-time price for downloading a single model (replace with real ID)
+const MODEL_PRICE_ID = "price_1N9Z8z1234567890";
+
+// What each plan unlocks, for feature gating in the UI
+// (netlify/lib/plans.mjs enforces the same limits; the backend counts generations)
+const PLAN_ENTITLEMENTS = {
+  free: {
+    monthlyGenerations: 1,
+    imageTo3d: false,
+    printSupports: false,
+    arPreview: false,
+    exportFormats: ["glb", "3mf"]
+  },
+  basic: {
+    monthlyGenerations: 10,
+    imageTo3d: true,
+    printSupports: true,
+    arPreview: false,
+    exportFormats: ["glb", "stl-binary", "stl-ascii", "obj", "3mf"]
+  },
+  pro: {
+    monthlyGenerations: Infinity,
+    imageTo3d: true,
+    printSupports: true,
+    arPreview: true,
+    exportFormats: EXPORT_FORMATS.map((f) => f.id)
+  }
+};
+
+// Helper: Entitlements for a plan id (unknown plans get Free)
+function getEntitlements(plan) {
+  return PLAN_ENTITLEMENTS[plan] || PLAN_ENTITLEMENTS.free;
+}
+
+// Helper: Remove one-shot query params from the address bar
+function stripQueryParams(names) {
+  const params = new URLSearchParams(window.location.search);
+  names.forEach((name) => params.delete(name));
+  const query = params.toString();
+  window.history.replaceState({}, "", `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`);
+}
+
+// Helper: Read (and strip from the URL) the ?checkout= params Stripe returns with
+function readCheckoutReturn() {
+  const params = new URLSearchParams(window.location.search);
+  const result = params.get("checkout");
+  if (!result) return null;
+  const sessionId = params.get("session_id");
+  stripQueryParams(["checkout", "session_id"]);
+  return { result, sessionId };
+}
+
+// Helper: Whether we just came back from the Stripe billing portal
+function readBillingReturn() {
+  if (new URLSearchParams(window.location.search).get("billing") !== "return") return false;
+  stripQueryParams(["billing"]);
+  return true;
+}
+
+// Client-side routes; `:name` segments become route params. The server answers every path
+// with index.html (netlify.toml, and the fallback in netlify/dev-server.mjs).
+const ROUTES = [
+  { name: "home", path: "/" },
+  { name: "create", path: "/create" },
+  { name: "galleryItem", path: "/gallery/:itemId" },
+  { name: "generation", path: "/generations/:entryId" },
+  { name: "terms", path: "/terms" },
+  { name: "privacy", path: "/privacy" },
+  { name: "contact", path: "/contact" },
+  { name: "admin", path: "/admin" }
+];
+
+// Helper: Route for the current URL: { name, params, query, key } ("notFound" when nothing matches)
+function matchRoute() {
+  const { pathname, search } = window.location;
+  const segments = pathname.replace(/\/+$/, "").split("/").slice(1);
+  const query = Object.fromEntries(new URLSearchParams(search));
+  const key = `${pathname}${search}`;
+  for (const route of ROUTES) {
+    const parts = route.path.split("/").slice(1).filter(Boolean);
+    if (parts.length !== segments.length) continue;
+    const params = {};
+    const matches = parts.every((part, i) => {
+      if (part.startsWith(":")) params[part.slice(1)] = decodeURIComponent(segments[i]);
+      return part.startsWith(":") || part === segments[i];
+    });
+    if (matches) return { name: route.name, params, query, key };
+  }
+  return { name: "notFound", params: {}, query, key };
+}
+
+// Helper: Go to an in-app path without reloading (`replace` swaps the current history entry).
+// The synthetic popstate lets the app's route listener pick up the change.
+function navigate(path, { replace = false } = {}) {
+  window.history[replace ? "replaceState" : "pushState"]({}, "", path);
+  window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+// Generator settings carried in /create links, in query-string order
+const GENERATOR_QUERY_PARAMS = ["prompt", "template", "style", "detail", "seed", "width", "height", "depth", "material", "infill", "supports"];
+
+// Helper: /create link for generator settings (empty and default values are left out)
+function generatorLink(settings) {
+  const params = new URLSearchParams();
+  GENERATOR_QUERY_PARAMS.forEach((name) => {
+    const value = settings[name];
+    if (value === "" || value == null || value === false || DEFAULT_PROMPT_OPTIONS[name] === value) return;
+    params.set(name, String(value));
+  });
+  const query = params.toString();
+  return `/create${query ? `?${query}` : ""}`;
+}
+
+// Helper: Generator settings from a /create query; unknown or malformed values are dropped
+function readGeneratorQuery(query) {
+  const settings = {};
+  if (query.prompt) settings.prompt = query.prompt.slice(0, MAX_PROMPT_LENGTH);
+  if (PROMPT_TEMPLATES.some((t) => t.id === query.template)) settings.template = query.template;
+  if (PROMPT_STYLES.some((s) => s.id === query.style)) settings.style = query.style;
+  if (PROMPT_DETAIL_LEVELS.some((d) => d.id === query.detail)) settings.detail = query.detail;
+  if (/^\d+$/.test(query.seed || "")) settings.seed = query.seed;
+  ["width", "height", "depth"].forEach((axis) => {
+    if (validDimension(query[axis])) settings[axis] = query[axis];
+  });
+  if (DEFAULT_MATERIAL_TABLE[query.material]) settings.material = query.material;
+  if (["10", "20", "50", "100"].includes(query.infill)) settings.infill = query.infill;
+  if (query.supports === "true") settings.supports = true;
+  return settings;
+}
+
+// Helper: Format a Stripe amount in cents
+function formatCurrency(cents, currency = "usd") {
+  return (cents / 100).toLocaleString(undefined, { style: "currency", currency: currency.toUpperCase() });
+}
+
+// Admin dashboard tabs (the /admin route needs the `admin` custom claim)
+const ADMIN_TABS = [
+  { id: "users", label: "Users" },
+  { id: "generations", label: "Generations" },
+  { id: "gallery", label: "Gallery" },
+  { id: "audit", label: "Audit Log" }
+];
+const ADMIN_GALLERY_PAGE_SIZE = 48;
+
+// Labels for audit log actions (ids match AUDIT_ACTIONS in netlify/lib/admin.mjs)
+const AUDIT_ACTION_LABELS = {
+  "gallery.approve": "Approved gallery item",
+  "gallery.reject": "Rejected gallery item",
+  "gallery.feature": "Featured gallery item",
+  "gallery.unfeature": "Unfeatured gallery item",
+  "user.override": "Changed plan or quota",
+  "billing.refund": "Issued refund",
+  "billing.credit": "Issued credit"
+};
+
+// Helper: Endpoint listing an admin tab's rows with the current filters, from a cursor
+function adminListPath(tab, filters, cursor = null) {
+  const params = new URLSearchParams();
+  if (tab === "users" && filters.userQuery) params.set("q", filters.userQuery);
+  if (tab === "generations" && filters.generationStatus) params.set("status", filters.generationStatus);
+  if (tab === "generations" && filters.generationUid) params.set("uid", filters.generationUid);
+  if (tab === "gallery") {
+    params.set("sort", "newest");
+    params.set("limit", String(ADMIN_GALLERY_PAGE_SIZE));
+  }
+  if (cursor) params.set("cursor", cursor);
+  const endpoint = {
+    users: "admin-list-users",
+    generations: "admin-list-generations",
+    gallery: "list-gallery",
+    audit: "admin-list-audit-log"
+  }[tab];
+  return `${endpoint}?${params}`;
+}
+
+// Helper: Whole cents from a dollar amount typed by an admin (null when it isn't a positive amount)
+function dollarsToCents(value) {
+  const cents = Math.round(Number(value) * 100);
+  return Number.isFinite(cents) && cents > 0 ? cents : null;
+}
+
+// Audit log detail fields shown in the admin dashboard, in order (the action has its own column,
+// amounts are formatted separately and earlier override values are left out)
+const AUDIT_DETAIL_FIELDS = ["name", "publisherUid", "plan", "monthlyGenerations", "note", "paymentIntentId", "reason", "id", "error"];
+
+// Helper: One-line summary of an audit log entry's details
+function auditDetails(details = {}) {
+  // Billing entries show the amount Stripe settled on, or the one requested while still pending
+  const parts = AUDIT_DETAIL_FIELDS
+    .filter((key) => details[key] !== null && details[key] !== undefined && details[key] !== "")
+    .map((key) => `${key}: ${details[key]}`);
+  const amount = details.amount || details.requestedAmount;
+  if (amount) parts.unshift(formatCurrency(amount, details.currency));
+  return parts.join(" · ");
+}
+
+// Reference image views for image-to-3D (front is required whenever images are used)
+const REFERENCE_VIEWS = [
+  { id: "front", label: "Front" },
+  { id: "side", label: "Side" },
+  { id: "back", label: "Back" }
+];
+
+// How the generate endpoint should condition the model
+const CONDITIONING_MODES = [
+  { id: "text", label: "Text only", hint: "Reference images are ignored." },
+  { id: "image", label: "Image only", hint: "The description is ignored; shape comes from the images." },
+  { id: "combined", label: "Text + images", hint: "Images set the shape, the description guides details and texture." }
+];
+
+// Reference image limits: accepted uploads, minimum useful resolution, and what we send
+const REFERENCE_IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const MAX_REFERENCE_UPLOAD_BYTES = 20 * 1024 * 1024;
+const MIN_REFERENCE_IMAGE_PX = 256;
+const REFERENCE_IMAGE_MAX_PX = 1024;
+const MAX_REFERENCE_IMAGE_BYTES = 1.2 * 1024 * 1024;
+
+// Default editor settings for a newly picked reference image
+const DEFAULT_IMAGE_EDITS = { rotation: 0, crop: { left: 0, top: 0, right: 0, bottom: 0 }, removeBackground: false, tolerance: 40 };
+
+// Helper: Check an uploaded file before decoding it; returns an error message or null
+function validateReferenceFile(file) {
+  if (!REFERENCE_IMAGE_TYPES.includes(file.type)) return "Use a PNG, JPEG or WebP image.";
+  if (file.size > MAX_REFERENCE_UPLOAD_BYTES) return "Images must be 20 MB or smaller.";
+  return null;
+}
+
+// Helper: Decode an image file into an HTMLImageElement
+function loadImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("This image couldn't be read."));
+    };
+    img.src = url;
+  });
+}
+
+// Helper: Make pixels connected to the image border transparent when they match the border colour.
+// Works for product-style photos on a plain backdrop. Returns the fraction of pixels removed.
+function removeUniformBackground(ctx, width, height, tolerance) {
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const data = imageData.data;
+  const border = [];
+  for (let x = 0; x < width; x++) border.push(x, (height - 1) * width + x);
+  for (let y = 1; y < height - 1; y++) border.push(y * width, y * width + width - 1);
+
+  // Reference colour: average of the border pixels
+  const reference = [0, 0, 0];
+  border.forEach((p) => {
+    for (let c = 0; c < 3; c++) reference[c] += data[p * 4 + c] / border.length;
+  });
+  const matches = (p) => Math.hypot(
+    data[p * 4] - reference[0],
+    data[p * 4 + 1] - reference[1],
+    data[p * 4 + 2] - reference[2]
+  ) <= tolerance;
+
+  // Flood fill inwards from every matching border pixel
+  const visited = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+  border.forEach((p) => {
+    if (!visited[p] && matches(p)) {
+      visited[p] = 1;
+      queue[tail++] = p;
+    }
+  });
+  while (head < tail) {
+    const p = queue[head++];
+    data[p * 4 + 3] = 0;
+    const x = p % width;
+    const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width];
+    neighbours.forEach((n) => {
+      if (n >= 0 && n < width * height && !visited[n] && matches(n)) {
+        visited[n] = 1;
+        queue[tail++] = n;
+      }
+    });
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return tail / (width * height);
+}
+
+// Helper: Draw an image rotated (clockwise, in 90° steps), cropped (fractions of each edge) and
+// scaled so its longest side is at most maxSize; optionally masks the background.
+// Returns { canvas, removed } where removed is the fraction of pixels masked out.
+function renderReferenceImage(img, edits, maxSize) {
+  const quarterTurns = (((edits.rotation / 90) % 4) + 4) % 4;
+  const rotatedWidth = quarterTurns % 2 ? img.height : img.width;
+  const rotatedHeight = quarterTurns % 2 ? img.width : img.height;
+  const { left, top, right, bottom } = edits.crop;
+  const sx = left * rotatedWidth;
+  const sy = top * rotatedHeight;
+  const sw = rotatedWidth * (1 - left - right);
+  const sh = rotatedHeight * (1 - top - bottom);
+  const scale = Math.min(1, maxSize / Math.max(sw, sh));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(sw * scale));
+  canvas.height = Math.max(1, Math.round(sh * scale));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.scale(scale, scale);
+  ctx.translate(-sx, -sy);
+  // Map original pixels into the rotated frame
+  if (quarterTurns === 1) ctx.translate(img.height, 0);
+  if (quarterTurns === 2) ctx.translate(img.width, img.height);
+  if (quarterTurns === 3) ctx.translate(0, img.width);
+  ctx.rotate((quarterTurns * Math.PI) / 2);
+  ctx.drawImage(img, 0, 0);
+
+  const removed = edits.removeBackground ? removeUniformBackground(ctx, canvas.width, canvas.height, edits.tolerance) : 0;
+  return { canvas, removed };
+}
+
+// Helper: Canvas to Blob as a promise
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+}
+
+// Helper: Apply edits and encode a reference image for upload, shrinking until it fits the byte budget.
+// Masked images keep their transparency (PNG, or WebP when PNG is too large).
+async function prepareReferenceImage(img, edits) {
+  let maxSize = REFERENCE_IMAGE_MAX_PX;
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const { canvas, removed } = renderReferenceImage(img, edits, maxSize);
+    const candidates = edits.removeBackground ? [["image/png"], ["image/webp", 0.9]] : [["image/jpeg", 0.9], ["image/jpeg", 0.75]];
+    for (const [type, quality] of candidates) {
+      const blob = await canvasToBlob(canvas, type, quality);
+      if (blob && blob.type === type && blob.size <= MAX_REFERENCE_IMAGE_BYTES) {
+        return { blob, width: canvas.width, height: canvas.height, removed };
+      }
+    }
+    maxSize = Math.round(maxSize * 0.75);
+  }
+  throw new Error("This image is too detailed to upload. Try cropping it.");
+}
+
+// Helper: Conditioning mode to use once images are added or removed, given the current choice
+function defaultConditioning(current, hasImages, hasPrompt) {
+  if (!hasImages) return "text";
+  if (current !== "text") return current;
+  return hasPrompt ? "combined" : "image";
+}
+
+// Component: Hero Section
 const HeroSection = () => (
   <motion.section
     initial={{ opacity: 0 }}
@@ -252,7 +2007,7 @@ const HeroSection = () => (
         initial={{ y: 50, opacity: 0 }}
         animate={{ y: 0, opacity: 1 }}
         transition={{ duration: 0.8, delay: 0.4 }}
-        onClick={() => window.scrollTo({ top: document.getElementById("generator").offsetTop, behavior: "smooth" })}
+        onClick={() => navigate("/create")}
         className="mt-6 bg-yellow-500 hover:bg-yellow-600 text-black font-bold py-3 px-8 rounded-full transition duration-300"
       >
         Start Creating Now
@@ -261,17 +2016,65 @@ const HeroSection = () => (
   </motion.section>
 );
 
+// Component: In-app link (plain clicks change the route without a reload and start at the top;
+// modified clicks open a new tab as usual)
+const Link = ({ to, children, ...props }) => (
+  <a
+    href={to}
+    onClick={(e) => {
+      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      navigate(to);
+      window.scrollTo({ top: 0 });
+    }}
+    {...props}
+  >
+    {children}
+  </a>
+);
+
 // Component: Header
-const Header = ({ user, userPlan, setShowSignUp, setShowSignIn, signOut }) => (
+const Header = ({ user, userPlan, generationsLeft, openAuth, signOut, openBilling, openLibrary }) => (
   <header className="sticky top-0 z-50 bg-gray-900 bg-opacity-90 backdrop-blur-sm py-4">
     <div className="container mx-auto px-4 flex justify-between items-center">
-      <h2 className="text-2xl font-bold text-yellow-400">3D Model Magic</h2>
+      <h2 className="text-2xl font-bold text-yellow-400">
+        <Link to="/">3D Model Magic</Link>
+      </h2>
       <div className="flex items-center space-x-4">
         {user ? (
           <>
             <span className="text-sm hidden md:block">
               Welcome, <strong>{user.email}</strong> ({userPlan})
             </span>
+            <span
+              className={`text-sm px-3 py-1 rounded-full ${generationsLeft > 0 ? "bg-gray-700" : "bg-red-700"}`}
+              aria-label="Generations remaining this month"
+            >
+              {generationsLeft === Infinity ? "Unlimited generations" : `${generationsLeft} left this month`}
+            </span>
+            <button
+              onClick={openLibrary}
+              className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition duration-200"
+              aria-label="My models"
+            >
+              My Models
+            </button>
+            {user.isAdmin && (
+              <Link
+                to="/admin"
+                className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                aria-label="Admin dashboard"
+              >
+                Admin
+              </Link>
+            )}
+            <button
+              onClick={openBilling}
+              className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition duration-200"
+              aria-label="Account and billing"
+            >
+              Billing
+            </button>
             <button
               onClick={signOut}
               className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg transition duration-200"
@@ -283,14 +2086,14 @@ const Header = ({ user, userPlan, setShowSignUp, setShowSignIn, signOut }) => (
         ) : (
           <>
             <button
-              onClick={() => { setShowSignUp(true); setShowSignIn(false); }}
+              onClick={() => openAuth("signUp")}
               className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition duration-200"
               aria-label="Sign up"
             >
               Sign Up
             </button>
             <button
-              onClick={() => { setShowSignIn(true); setShowSignUp(false); }}
+              onClick={() => openAuth("signIn")}
               className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition duration-200"
               aria-label="Sign in"
             >
@@ -303,10 +2106,46 @@ const Header = ({ user, userPlan, setShowSignUp, setShowSignIn, signOut }) => (
   </header>
 );
 
-// Component: Auth Modal
-const AuthModal = ({ show, onClose, onSubmit, title, buttonText, buttonColor }) => (
-  <AnimatePresence>
-    {show && (
+// Auth modal copy per mode
+const AUTH_MODES = {
+  signUp: { title: "Sign Up", buttonText: "Sign Up", buttonColor: "bg-blue-600" },
+  signIn: { title: "Sign In", buttonText: "Sign In", buttonColor: "bg-green-600" },
+  reset: { title: "Reset Password", buttonText: "Send Reset Link", buttonColor: "bg-yellow-600" }
+};
+
+// Component: Email Verification Banner
+const VerifyEmailBanner = ({ email, onResend, onRefresh }) => (
+  <div className="bg-yellow-900 bg-opacity-60 text-yellow-100 text-sm" role="status">
+    <div className="container mx-auto px-4 py-3 flex flex-wrap items-center justify-between gap-3">
+      <span>
+        Verify <strong>{email}</strong> to start generating. Check your inbox for the link.
+      </span>
+      <div className="flex gap-2">
+        <button
+          onClick={onResend}
+          className="bg-yellow-600 hover:bg-yellow-700 text-white px-3 py-1 rounded-lg"
+          aria-label="Resend verification email"
+        >
+          Resend Email
+        </button>
+        <button
+          onClick={onRefresh}
+          className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1 rounded-lg"
+          aria-label="I've verified my email"
+        >
+          I've Verified
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+// Component: Auth Modal
+// Handles sign up, sign in and password reset. When an OAuth login collides with an existing
+// account, `pendingLink` explains which method to use so the new login can be linked afterwards.
+const AuthModal = ({ mode, onClose, onSubmit, onProvider, onModeChange, pendingLink, isSubmitting }) => (
+  <AnimatePresence>
+    {mode && (
       <motion.div
         initial={{ opacity: 0 }}
         animate={{ opacity: 1 }}
@@ -318,25 +2157,78 @@ const AuthModal = ({ show, onClose, onSubmit, title, buttonText, buttonColor })
           animate={{ scale: 1, opacity: 1 }}
           exit={{ scale: 0.8, opacity: 0 }}
           className="bg-gray-800 p-8 rounded-xl w-full max-w-md shadow-2xl"
+          role="dialog"
+          aria-label={AUTH_MODES[mode].title}
         >
-          <h2 className="text-2xl font-bold mb-4">{title}</h2>
+          <h2 className="text-2xl font-bold mb-4">{AUTH_MODES[mode].title}</h2>
+          {pendingLink && (
+            <p className="text-sm bg-gray-900 rounded-lg p-3 mb-4 text-yellow-200" role="status">
+              An account already exists for <strong>{pendingLink.email}</strong>. Sign in with{" "}
+              {describeSignInMethods(pendingLink.methods)} to link your {pendingLink.providerLabel} login.
+            </p>
+          )}
+          {mode !== "reset" && (
+            <>
+              <div className="space-y-2 mb-4">
+                {Object.entries(AUTH_PROVIDERS).map(([providerId, provider]) => (
+                  <button
+                    key={providerId}
+                    type="button"
+                    onClick={() => onProvider(providerId)}
+                    disabled={isSubmitting}
+                    className="w-full bg-white hover:bg-gray-200 disabled:opacity-50 text-gray-900 font-semibold px-4 py-2 rounded-lg"
+                    aria-label={`Continue with ${provider.label}`}
+                  >
+                    Continue with {provider.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-center text-gray-400 text-sm mb-4">or use your email</p>
+            </>
+          )}
+          {mode === "reset" && (
+            <p className="text-sm text-gray-300 mb-4">
+              Enter the email you signed up with and we'll send you a link to choose a new password.
+            </p>
+          )}
           <form onSubmit={onSubmit} className="space-y-4">
             <input
               type="email"
               name="email"
               placeholder="Email"
+              defaultValue={pendingLink?.email || ""}
               className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
               required
               aria-label="Email address"
             />
-            <input
-              type="password"
-              name="password"
-              placeholder="Password"
-              className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
-              required
-              aria-label="Password"
-            />
+            {mode !== "reset" && (
+              <input
+                type="password"
+                name="password"
+                placeholder="Password"
+                autoComplete={mode === "signUp" ? "new-password" : "current-password"}
+                className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                required
+                aria-label="Password"
+              />
+            )}
+            <div className="flex justify-between items-center text-sm">
+              {mode === "signIn" && (
+                <button type="button" onClick={() => onModeChange("reset")} className="text-yellow-400 hover:underline">
+                  Forgot password?
+                </button>
+              )}
+              {mode === "signIn" && (
+                <button type="button" onClick={() => onModeChange("signUp")} className="text-gray-300 hover:underline">
+                  Need an account?
+                </button>
+              )}
+              {mode !== "signIn" && (
+                <button type="button" onClick={() => onModeChange("signIn")} className="text-gray-300 hover:underline">
+                  {mode === "reset" ? "Back to sign in" : "Already have an account?"}
+                </button>
+              )}
+            </div>
             <div className="flex justify-end space-x-3">
               <button
                 type="button"
@@ -348,10 +2240,11 @@ const AuthModal = ({ show, onClose, onSubmit, title, buttonText, buttonColor })
               </button>
               <button
                 type="submit"
-                className={`${buttonColor} hover:${buttonColor.replace("bg-", "bg-opacity-80")} text-white px-4 py-2 rounded-lg`}
-                aria-label={buttonText}
+                disabled={isSubmitting}
+                className={`${AUTH_MODES[mode].buttonColor} hover:${AUTH_MODES[mode].buttonColor.replace("bg-", "bg-opacity-80")} disabled:opacity-50 text-white px-4 py-2 rounded-lg`}
+                aria-label={AUTH_MODES[mode].buttonText}
               >
-                {buttonText}
+                {isSubmitting ? "Please wait…" : AUTH_MODES[mode].buttonText}
               </button>
             </div>
           </form>
@@ -361,439 +2254,3761 @@ const AuthModal = ({ show, onClose, onSubmit, title, buttonText, buttonColor })
   </AnimatePresence>
 );
 
-// Component: Generator Section
-const GeneratorSection = ({
-  prompt,
-  setPrompt,
-  width,
-  setWidth,
-  height,
-  setHeight,
-  depth,
-  setDepth,
-  material,
-  setMaterial,
-  supports,
-  setSupports,
-  shellThickness,
-  setShellThickness,
-  infill,
-  setInfill,
-  image,
-  setImage,
-  isLoading,
-  modelUrl,
-  error,
-  generateModel,
-  payForModel,
-  userPlan
-}) => {
-  const fileInputRef = useRef(null);
-
-  const handleImageUpload = (e) => {
-    const file = e.target.files[0];
-    if (file && file.type.startsWith('image/')) {
-      setImage(file);
-      toast.info('Image uploaded. Will be used for 3D generation.');
-    } else {
-      toast.error('Please upload a valid image file.');
-    }
-  };
+// Component: Upgrade Prompt
+const UpsellModal = ({ reason, onClose, userPlan, payForModel }) => (
+  <AnimatePresence>
+    {reason && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center"
+      >
+        <motion.div
+          initial={{ scale: 0.8, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.8, opacity: 0 }}
+          className="bg-gray-800 p-8 rounded-xl w-full max-w-lg shadow-2xl"
+          role="dialog"
+          aria-label="Upgrade your plan"
+        >
+          <h3 className="text-xl font-bold mb-2">Upgrade to keep creating</h3>
+          <p className="text-sm text-gray-300 mb-4">{reason}</p>
+          <div className="grid grid-cols-2 gap-4">
+            {PLANS.filter((plan) => plan.priceId && plan.id !== userPlan).map((plan) => (
+              <div key={plan.id} className="bg-gray-700 rounded-lg p-4">
+                <h4 className="font-bold">{plan.title}</h4>
+                <p className="text-sm text-gray-300">{plan.priceLabel}</p>
+                <ul className="list-disc ml-5 my-2 text-xs text-gray-400">
+                  {plan.features.slice(0, 3).map((feature, index) => (
+                    <li key={index}>{feature}</li>
+                  ))}
+                </ul>
+                <button
+                  onClick={() => { onClose(); payForModel(plan.priceId); }}
+                  className={`${plan.color} text-white px-3 py-2 rounded-lg text-sm font-semibold w-full`}
+                  aria-label={`Upgrade to ${plan.title}`}
+                >
+                  Upgrade to {plan.title}
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-end mt-4">
+            <button
+              onClick={onClose}
+              className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg"
+              aria-label="Close upgrade prompt"
+            >
+              Not now
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
 
+// Component: Generation Job Progress
+const JobProgress = ({ job, onCancel }) => {
+  const progress = Math.min(100, Math.max(0, Math.round(job.progress || 0)));
   return (
-    <section id="generator" className="py-16 container mx-auto px-4">
-      <motion.h2
-        initial={{ y: 50, opacity: 0 }}
-        whileInView={{ y: 0, opacity: 1 }}
-        transition={{ duration: 0.6 }}
-        className="text-4xl font-bold text-center mb-8"
+    <div className="bg-gray-700 rounded-lg p-4 space-y-2" role="status" aria-live="polite">
+      <div className="flex justify-between text-sm">
+        <span>{JOB_STATUS_LABELS[job.status] || job.status}</span>
+        <span>{progress}%</span>
+      </div>
+      <div className="w-full bg-gray-900 rounded-full h-2 overflow-hidden">
+        <div
+          className="bg-yellow-500 h-2 rounded-full transition-all duration-500"
+          style={{ width: `${progress}%` }}
+        />
+      </div>
+      <p className="text-xs text-gray-400">
+        Generation can take a few minutes. You can leave this page and come back.
+      </p>
+      <button
+        onClick={onCancel}
+        className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm transition duration-200"
+        aria-label="Cancel generation"
       >
-        Generate Competition-Ready 3D Models
-      </motion.h2>
-      <motion.div
-        initial={{ y: 50, opacity: 0 }}
-        whileInView={{ y: 0, opacity: 1 }}
-        transition={{ duration: 0.6, delay: 0.2 }}
-        className="bg-gray-800 p-8 rounded-2xl shadow-xl max-w-5xl mx-auto grid md:grid-cols-2 gap-8"
+        Cancel Generation
+      </button>
+    </div>
+  );
+};
+
+// Component: Mesh Analysis Report (`measurements` are the ones the model was generated with, or null
+// when unknown, in which case only the mesh itself is checked)
+const MeshReport = ({ report, error, isAnalyzing, measurements }) => {
+  if (isAnalyzing) {
+    return <p className="text-sm text-gray-400 mt-4">Analyzing mesh…</p>;
+  }
+  if (error) {
+    return <p className="text-sm text-yellow-400 mt-4">Mesh analysis unavailable: {error}</p>;
+  }
+  if (!report) return null;
+
+  const checks = compareDimensions(report.size, measurements || {});
+  const passed = (!measurements || checks.every((c) => c.pass)) && report.watertight;
+  return (
+    <div className="mt-4 bg-gray-900 rounded-lg p-4 text-sm" aria-live="polite">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-lg font-semibold">Mesh Check</h4>
+        <span className={`px-2 py-1 rounded text-xs font-bold ${passed ? "bg-green-600" : "bg-red-600"}`}>
+          {passed ? "PASS" : "FAIL"}
+        </span>
+      </div>
+      <table className="w-full text-left">
+        <thead className="text-gray-400">
+          <tr>
+            <th className="font-normal">Axis</th>
+            <th className="font-normal">Requested</th>
+            <th className="font-normal">Actual</th>
+            <th className="font-normal" aria-label="Result" />
+          </tr>
+        </thead>
+        <tbody>
+          {checks.map((c) => (
+            <tr key={c.axis}>
+              <td className="capitalize">{c.axis}</td>
+              <td>{validDimension(c.target) ? `${formatNumber(c.target)} mm` : "—"}</td>
+              <td>{formatNumber(c.actual)} mm</td>
+              <td className={c.pass ? "text-green-400" : "text-red-400"}>{measurements && (c.pass ? "✓" : "✗")}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <ul className="mt-3 space-y-1 text-gray-300">
+        <li>Volume: {formatNumber(report.volume / 1000, 2)} cm³</li>
+        <li>Surface area: {formatNumber(report.surfaceArea / 100, 1)} cm²</li>
+        <li>Triangles: {formatNumber(report.triangleCount, 0)}</li>
+        <li className={report.boundaryEdges ? "text-red-400" : ""}>
+          Open boundary edges: {formatNumber(report.boundaryEdges, 0)}
+        </li>
+        <li className={report.nonManifoldEdges ? "text-red-400" : ""}>
+          Non-manifold edges: {formatNumber(report.nonManifoldEdges, 0)}
+        </li>
+        <li className={report.watertight ? "text-green-400" : "text-red-400"}>
+          {report.watertight ? "Watertight — ready for slicing" : "Not watertight — may need repair before printing"}
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+// Component: Printability Check (overhangs, thin walls, build volume, orientation)
+const PrintabilityPanel = ({ report, printer, supports, onEnableSupports, showOverlay, setShowOverlay }) => {
+  const needsSupports = report.overhangArea > 0;
+  const hasThinWalls = report.thinArea + report.tooThinArea > 0;
+  const passed = report.fits && !report.tooThinArea && (!needsSupports || supports);
+  const overhangShare = report.surfaceArea ? (report.overhangArea / report.surfaceArea) * 100 : 0;
+
+  return (
+    <div className="mt-4 bg-gray-900 rounded-lg p-4 text-sm" aria-live="polite">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-lg font-semibold">Printability</h4>
+        <span className={`px-2 py-1 rounded text-xs font-bold ${passed ? "bg-green-600" : "bg-yellow-600"}`}>
+          {passed ? "READY" : "CHECK"}
+        </span>
+      </div>
+      <div className="flex gap-2 items-center justify-between mb-3">
+        <span className="text-gray-400">{printer.label}</span>
+        <button
+          onClick={() => setShowOverlay(!showOverlay)}
+          className={`px-3 py-2 rounded-lg ${showOverlay ? "bg-yellow-500 text-gray-900" : "bg-gray-700 hover:bg-gray-600"}`}
+          aria-pressed={showOverlay}
+        >
+          {showOverlay ? "Hide overlay" : "Show overlay"}
+        </button>
+      </div>
+      <ul className="space-y-1 text-gray-300">
+        <li className={report.fits ? "text-green-400" : "text-red-400"}>
+          {report.fits ? "Fits" : "Doesn't fit"} the {printer.label} ({printer.buildVolume.join(" × ")} mm) at{" "}
+          {report.size.map((v) => formatNumber(v)).join(" × ")} mm
+        </li>
+        <li className={needsSupports ? "text-yellow-400" : "text-green-400"}>
+          {needsSupports
+            ? `Overhangs: ${formatNumber(report.overhangArea / 100, 1)} cm² (${formatNumber(overhangShare, 0)}% of the surface) is steeper than ${OVERHANG_LIMIT_DEG}° and needs support`
+            : `No overhangs steeper than ${OVERHANG_LIMIT_DEG}°`}
+        </li>
+        {report.severeOverhangArea > 0 && (
+          <li className="text-red-400">
+            {formatNumber(report.severeOverhangArea / 100, 1)} cm² is steeper than {OVERHANG_SEVERE_DEG}° and will sag without support
+          </li>
+        )}
+        <li className={report.tooThinArea ? "text-red-400" : hasThinWalls ? "text-yellow-400" : "text-green-400"}>
+          {report.tooThinArea
+            ? `Walls down to ${formatNumber(report.minWall, 2)} mm are thinner than the ${printer.nozzle} mm nozzle and won't print`
+            : hasThinWalls
+              ? `Walls down to ${formatNumber(report.minWall, 2)} mm are thinner than the ${formatNumber(report.shell, 2)} mm shell`
+              : `No walls thinner than ${formatNumber(report.shell, 2)} mm`}
+        </li>
+        {report.suggestion && (
+          <li className="text-blue-300">
+            Suggested orientation: {report.suggestion.label.toLowerCase()}
+            {` (${formatNumber(report.suggestion.supportArea / 100, 1)} cm² needs support${report.fits || !report.suggestion.fits ? "" : ", and it fits"})`}
+          </li>
+        )}
+      </ul>
+      {needsSupports && !supports && (
+        <button
+          onClick={onEnableSupports}
+          className="mt-3 bg-yellow-500 hover:bg-yellow-600 text-gray-900 px-3 py-2 rounded-lg font-semibold"
+        >
+          Enable print supports
+        </button>
+      )}
+      {showOverlay && (
+        <ul className="mt-3 flex flex-wrap gap-3 text-xs" aria-label="Overlay legend">
+          {PRINTABILITY_CLASSES.map((c) => (
+            <li key={c.id} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: `rgb(${c.color.slice(0, 3).join(",")})` }} />
+              {c.label}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Component: Printer Profile Selector (with a custom build volume, nozzle and materials)
+const PrinterSelector = ({ printerSettings, setPrinterSettings }) => {
+  const custom = printerSettings.custom;
+  const updateCustom = (patch) => setPrinterSettings({ ...printerSettings, custom: { ...custom, ...patch } });
+  const setVolume = (axis, value) => updateCustom({ buildVolume: custom.buildVolume.map((v, i) => (i === axis ? value : v)) });
+  const toggleMaterial = (id) =>
+    updateCustom({ materials: custom.materials.includes(id) ? custom.materials.filter((m) => m !== id) : [...custom.materials, id] });
+
+  return (
+    <div className="space-y-2">
+      <select
+        value={printerSettings.id}
+        onChange={(e) => setPrinterSettings({ ...printerSettings, id: e.target.value })}
+        className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        aria-label="Printer"
       >
-        {/* Form */}
-        <div className="space-y-4">
-          <input
-            type="text"
-            value={prompt}
-            onChange={(e) => setPrompt(e.target.value)}
-            placeholder="Describe your model (e.g., 'intricate gearbox for Bambu Lab')"
-            className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
-            aria-label="Model description"
-          />
-          <div className="grid grid-cols-3 gap-3">
+        {PRINTER_PROFILES.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.label} ({p.buildVolume.join(" × ")} mm)
+          </option>
+        ))}
+        <option value={CUSTOM_PRINTER_ID}>Custom printer</option>
+      </select>
+      {printerSettings.id === CUSTOM_PRINTER_ID && (
+        <div className="bg-gray-900 rounded-lg p-3 space-y-2 text-sm">
+          <div className="grid grid-cols-4 gap-2">
+            {["X", "Y", "Z"].map((label, axis) => (
+              <input
+                key={label}
+                type="number"
+                min="1"
+                value={custom.buildVolume[axis]}
+                onChange={(e) => setVolume(axis, e.target.value)}
+                placeholder={`${label} (mm)`}
+                className="p-2 rounded-lg text-black"
+                aria-label={`Build volume ${label} in millimeters`}
+              />
+            ))}
             <input
               type="number"
-              value={width}
-              onChange={(e) => setWidth(e.target.value)}
-              placeholder="Width (mm)"
-              className={`p-3 rounded-lg text-black focus:outline-none ${!validDimension(width) && width ? "border-2 border-red-500" : "focus:ring-2 focus:ring-yellow-500"}`}
-              aria-label="Width in millimeters"
+              min="0.1"
+              step="0.1"
+              value={custom.nozzle}
+              onChange={(e) => updateCustom({ nozzle: e.target.value })}
+              placeholder="Nozzle (mm)"
+              className="p-2 rounded-lg text-black"
+              aria-label="Nozzle diameter in millimeters"
             />
+          </div>
+          <div className="flex flex-wrap gap-3">
+            {Object.entries(DEFAULT_MATERIAL_TABLE).map(([id, m]) => (
+              <label key={id} className="flex items-center gap-2">
+                <input type="checkbox" checked={custom.materials.includes(id)} onChange={() => toggleMaterial(id)} />
+                {m.label}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Component: Scale-to-fit Prompt for requests larger than the printer
+const ScaleToFitModal = ({ offer, printer, onAccept, onClose }) => (
+  <AnimatePresence>
+    {offer && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center"
+      >
+        <motion.div
+          initial={{ scale: 0.8, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.8, opacity: 0 }}
+          className="bg-gray-800 p-8 rounded-xl w-full max-w-md shadow-2xl"
+          role="dialog"
+          aria-label="Scale model to fit the printer"
+        >
+          <h3 className="text-xl font-bold mb-2">Too big for the {printer.label}</h3>
+          <p className="text-sm text-gray-300 mb-4">
+            {offer.requested.width} × {offer.requested.depth} × {offer.requested.height} mm (W × D × H) doesn't fit its{" "}
+            {printer.buildVolume.join(" × ")} mm build volume. Scale it down to{" "}
+            <strong>{offer.scaled.width} × {offer.scaled.depth} × {offer.scaled.height} mm</strong> and generate?
+          </p>
+          <div className="flex justify-end gap-3">
+            <button
+              onClick={onClose}
+              className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg"
+            >
+              Keep editing
+            </button>
+            <button
+              onClick={onAccept}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold"
+            >
+              Scale & Generate
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
+
+// Component: Publish to Gallery Modal
+const PublishModal = ({ draft, setDraft, isPublishing, onPublish, onClose }) => (
+  <AnimatePresence>
+    {draft && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center"
+      >
+        <motion.div
+          initial={{ scale: 0.8, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.8, opacity: 0 }}
+          className="bg-gray-800 p-8 rounded-xl w-full max-w-md shadow-2xl"
+          role="dialog"
+          aria-label="Publish model to the gallery"
+        >
+          <h3 className="text-xl font-bold mb-2">Publish to the Gallery</h3>
+          <p className="text-sm text-gray-300 mb-4">
+            Anyone can view, like and remix published models. The prompt and print settings are shared too.
+            New submissions appear after a quick review.
+          </p>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              onPublish();
+            }}
+            className="space-y-3"
+          >
             <input
-              type="number"
-              value={height}
-              onChange={(e) => setHeight(e.target.value)}
-              placeholder="Height (mm)"
-              className={`p-3 rounded-lg text-black focus:outline-none ${!validDimension(height) && height ? "border-2 border-red-500" : "focus:ring-2 focus:ring-yellow-500"}`}
-              aria-label="Height in millimeters"
+              type="text"
+              value={draft.title}
+              onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+              maxLength={MAX_PUBLISH_TITLE_LENGTH}
+              placeholder="Title"
+              className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              aria-label="Title"
+              required
             />
-            <input
-              type="number"
-              value={depth}
-              onChange={(e) => setDepth(e.target.value)}
-              placeholder="Depth (mm)"
-              className={`p-3 rounded-lg text-black focus:outline-none ${!validDimension(depth) && depth ? "border-2 border-red-500" : "focus:ring-2 focus:ring-yellow-500"}`}
-              aria-label="Depth in millimeters"
+            <textarea
+              value={draft.description}
+              onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+              maxLength={MAX_PUBLISH_DESCRIPTION_LENGTH}
+              placeholder="Description (optional)"
+              className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              rows="3"
+              aria-label="Description"
             />
-          </div>
-          <select
-            value={material}
-            onChange={(e) => setMaterial(e.target.value)}
-            className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
-            aria-label="Material type"
-          >
-            <option value="plastic">Plastic (PLA/ABS)</option>
-            <option value="metal">Metal (Aluminum/Steel)</option>
-            <option value="resin">Resin (SLA)</option>
-            <option value="wood">Wood Composite</option>
-          </select>
-          <div className="grid grid-cols-2 gap-3">
             <input
-              type="number"
-              value={shellThickness}
-              onChange={(e) => setShellThickness(e.target.value)}
-              placeholder="Shell Thickness (mm)"
-              className={`p-3 rounded-lg text-black focus:outline-none ${!validDimension(shellThickness) && shellThickness ? "border-2 border-red-500" : "focus:ring-2 focus:ring-yellow-500"}`}
-              aria-label="Shell thickness in millimeters"
+              type="text"
+              value={draft.tags}
+              onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+              placeholder="Tags, separated by commas"
+              className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              aria-label={`Tags (up to ${MAX_PUBLISH_TAGS}, separated by commas)`}
             />
             <select
-              value={infill}
-              onChange={(e) => setInfill(e.target.value)}
-              className="p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
-              aria-label="Infill density"
+              value={draft.license}
+              onChange={(e) => setDraft({ ...draft, license: e.target.value })}
+              className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              aria-label="License"
             >
-              <option value="10">10% Infill</option>
-              <option value="20">20% Infill</option>
-              <option value="50">50% Infill</option>
-              <option value="100">100% Infill</option>
+              {GALLERY_LICENSES.map((license) => (
+                <option key={license.id} value={license.id}>{license.label}</option>
+              ))}
             </select>
-          </div>
-          <label className="flex items-center space-x-2">
-            <input
-              type="checkbox"
-              checked={supports}
-              onChange={(e) => setSupports(e.target.checked)}
-              className="h-5 w-5 text-yellow-500"
-              aria-label="Add print supports"
-            />
-            <span>Add Print Supports</span>
-          </label>
-          <div>
-            <button
-              onClick={() => fileInputRef.current.click()}
-              className="w-full bg-gray-600 hover:bg-gray-700 text-white py-3 rounded-lg transition duration-200"
-              aria-label="Upload reference image"
-            >
-              Upload Reference Image
-            </button>
-            <input
-              type="file"
-              ref={fileInputRef}
-              onChange={handleImageUpload}
-              accept="image/*"
-              className="hidden"
-            />
-            {image && <p className="text-sm text-gray-400 mt-2">Image: {image.name}</p>}
-          </div>
-          <button
-            onClick={generateModel}
-            disabled={isLoading}
-            className="w-full bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-semibold transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-            aria-label="Generate 3D model"
-          >
-            {isLoading ? (
-              <span className="flex items-center justify-center">
-                <svg className="animate-spin h-5 w-5 mr-2" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z" />
-                </svg>
-                Generating...
-              </span>
+            <div className="flex justify-end gap-3 pt-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isPublishing || !draft.title.trim()}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isPublishing ? "Publishing..." : "Publish"}
+              </button>
+            </div>
+          </form>
+        </motion.div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
+
+// Component: Print Estimate Panel
+const PrintEstimatePanel = ({ report, material, shellThickness, infill, materialTable, setMaterialTable }) => {
+  const [editing, setEditing] = useState(false);
+
+  const updateMaterial = (id, field, value) => {
+    setMaterialTable({ ...materialTable, [id]: { ...materialTable[id], [field]: value } });
+  };
+
+  return (
+    <div className="mt-4 bg-gray-900 rounded-lg p-4 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-lg font-semibold">Print Estimate</h4>
+        <button
+          onClick={() => setEditing(!editing)}
+          className="text-yellow-400 hover:text-yellow-300 text-xs"
+          aria-label={editing ? "Done editing material prices" : "Edit material densities and prices"}
+        >
+          {editing ? "Done" : "Edit prices"}
+        </button>
+      </div>
+      <table className="w-full text-left">
+        <thead className="text-gray-400">
+          <tr>
+            <th className="font-normal">Material</th>
+            {editing ? (
+              <>
+                <th className="font-normal">g/cm³</th>
+                <th className="font-normal">$/kg</th>
+              </>
             ) : (
-              "Generate Model"
+              <>
+                <th className="font-normal">Weight</th>
+                <th className="font-normal">Filament</th>
+                <th className="font-normal">Cost</th>
+                <th className="font-normal">Time</th>
+              </>
             )}
-          </button>
-          {error && <p className="text-red-400 text-sm">{error}</p>}
-          {modelUrl && (
-            <div className="mt-4 space-y-2">
-              <p className="text-green-400">Model ready! Preview below.</p>
-              <div className="flex gap-3">
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(materialTable).map(([id, profile]) => {
+            const estimate = estimatePrint(report, shellThickness, infill, {
+              ...profile,
+              density: Number(profile.density) || 0,
+              pricePerKg: Number(profile.pricePerKg) || 0
+            });
+            return (
+              <tr key={id} className={id === material ? "text-yellow-400 font-semibold" : "text-gray-300"}>
+                <td>{profile.label}</td>
+                {editing ? (
+                  <>
+                    <td>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={profile.density}
+                        onChange={(e) => updateMaterial(id, "density", e.target.value)}
+                        className="w-20 p-1 rounded text-black"
+                        aria-label={`${profile.label} density in grams per cubic centimeter`}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        step="0.5"
+                        min="0"
+                        value={profile.pricePerKg}
+                        onChange={(e) => updateMaterial(id, "pricePerKg", e.target.value)}
+                        className="w-20 p-1 rounded text-black"
+                        aria-label={`${profile.label} price per kilogram`}
+                      />
+                    </td>
+                  </>
+                ) : (
+                  <>
+                    <td>{formatNumber(estimate.grams)} g</td>
+                    <td>{estimate.meters === null ? "—" : `${formatNumber(estimate.meters, 2)} m`}</td>
+                    <td>${formatNumber(estimate.cost, 2)}</td>
+                    <td>{formatDuration(estimate.seconds)}</td>
+                  </>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {editing ? (
+        <button
+          onClick={() => setMaterialTable(DEFAULT_MATERIAL_TABLE)}
+          className="mt-3 text-xs text-gray-400 hover:text-white"
+          aria-label="Reset material prices to defaults"
+        >
+          Reset to defaults
+        </button>
+      ) : (
+        <p className="mt-3 text-xs text-gray-500">
+          Based on {formatNumber(Number(shellThickness) || 1, 1)} mm walls and {infill}% infill.
+          {!report.watertight && " The mesh is not watertight, so volume-based figures are approximate."}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Component: Export Menu (3MF projects carry FDM slicer settings, so other materials can't use them)
+const ExportMenu = ({ userPlan, material, disabled, onExport }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        aria-label="Export model"
+      >
+        Export ▾
+      </button>
+      {open && (
+        <ul role="menu" className="absolute z-10 mt-2 w-56 bg-gray-700 rounded-lg shadow-xl overflow-hidden">
+          {EXPORT_FORMATS.map((format) => {
+            const allowed = getEntitlements(userPlan).exportFormats.includes(format.id);
+            const fdmOnly = format.id === "3mf" && !MATERIAL_SLICER_PRESETS[material]?.fdm;
+            return (
+              <li key={format.id} role="none">
                 <button
-                  onClick={() => payForModel(userPlan === "pro" ? null : "price_1N9Z8z1234567890")}
-                  className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition duration-200"
-                  aria-label={userPlan === "pro" ? "Download free" : "Pay and download"}
+                  role="menuitem"
+                  onClick={() => { setOpen(false); onExport(format.id); }}
+                  disabled={!allowed || fdmOnly}
+                  className="w-full text-left px-4 py-2 text-sm hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                  aria-label={
+                    !allowed ? `${format.label} requires an upgrade` : fdmOnly ? `${format.label} is only for FDM materials` : `Export as ${format.label}`
+                  }
                 >
-                  {userPlan === "pro" ? "Download Free" : "Pay & Download"}
+                  {format.label}
+                  {!allowed && <span className="ml-2 text-xs text-yellow-400">Upgrade</span>}
+                  {allowed && fdmOnly && <span className="ml-2 text-xs text-gray-400">FDM only</span>}
                 </button>
-                <a
-                  href={modelUrl}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition duration-200"
-                  aria-label="Open model in new tab"
-                >
-                  Open Model
-                </a>
-              </div>
-            </div>
-          )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Component: Reference Image Editor (rotate, crop, background masking)
+const ImageEditorModal = ({ editing, onSave, onCancel }) => {
+  const [edits, setEdits] = useState(editing.edits);
+  const [isSaving, setIsSaving] = useState(false);
+  const [removed, setRemoved] = useState(0);
+  const canvasHostRef = useRef(null);
+
+  // Re-render the small preview whenever the edits change
+  useEffect(() => {
+    const { canvas, removed: fraction } = renderReferenceImage(editing.img, edits, 360);
+    canvas.className = "max-w-full max-h-72 mx-auto rounded-lg";
+    canvas.style.background = "repeating-conic-gradient(#4b5563 0% 25%, #374151 0% 50%) 50% / 16px 16px";
+    canvas.setAttribute("role", "img");
+    canvas.setAttribute("aria-label", `Edited ${editing.view} reference image`);
+    canvasHostRef.current.replaceChildren(canvas);
+    setRemoved(fraction);
+  }, [editing.img, editing.view, edits]);
+
+  const setCrop = (edge, value) => setEdits({ ...edits, crop: { ...edits.crop, [edge]: value / 100 } });
+
+  const save = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(edits);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center p-4"
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.8, opacity: 0 }}
+        className="bg-gray-800 p-8 rounded-xl w-full max-w-lg max-h-full overflow-y-auto shadow-2xl"
+        role="dialog"
+        aria-label={`Edit ${editing.view} view`}
+      >
+        <h2 className="text-2xl font-bold mb-4 capitalize">{editing.view} view</h2>
+        <div ref={canvasHostRef} className="mb-4" />
+        <div className="flex gap-2 mb-4">
+          <button
+            onClick={() => setEdits({ ...edits, rotation: edits.rotation - 90 })}
+            className="bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded-lg text-sm"
+            aria-label="Rotate left"
+          >
+            ⟲ Rotate left
+          </button>
+          <button
+            onClick={() => setEdits({ ...edits, rotation: edits.rotation + 90 })}
+            className="bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded-lg text-sm"
+            aria-label="Rotate right"
+          >
+            ⟳ Rotate right
+          </button>
+          <button
+            onClick={() => setEdits(DEFAULT_IMAGE_EDITS)}
+            className="bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded-lg text-sm ml-auto"
+            aria-label="Reset edits"
+          >
+            Reset
+          </button>
         </div>
-        {/* Preview */}
-        <div>
-          <div className="bg-black rounded-lg p-4">
-            {modelUrl ? (
-              <model-viewer
-                src={modelUrl}
-                alt="Generated 3D model"
-                camera-controls
-                auto-rotate
-                ar
-                shadow-intensity="1"
-                camera-orbit="45deg 55deg 2m"
-                min-camera-orbit="auto 45deg 1m"
-                max-camera-orbit="auto 90deg 3m"
-                style={{ width: "100%", height: "400px", borderRadius: "8px" }}
+        <fieldset className="grid grid-cols-2 gap-3 mb-4 text-sm">
+          <legend className="font-semibold mb-2">Crop</legend>
+          {["left", "right", "top", "bottom"].map((edge) => (
+            <label key={edge} className="flex flex-col capitalize">
+              {edge} {Math.round(edits.crop[edge] * 100)}%
+              <input
+                type="range"
+                min="0"
+                max="45"
+                value={Math.round(edits.crop[edge] * 100)}
+                onChange={(e) => setCrop(edge, Number(e.target.value))}
+                aria-label={`Crop ${edge}`}
               />
-            ) : (
-              <div className="p-6 text-left text-gray-400">
-                <p className="mb-2">Your model preview will appear here.</p>
-                <p className="text-sm">
-                  Tip: Try "intricate gearbox for Bambu Lab, high-precision interlocking gears"
-                </p>
-              </div>
-            )}
-          </div>
-          <div className="mt-4 text-left">
-            <h4 className="text-xl font-semibold">AI Capabilities</h4>
-            <ul className="list-disc ml-5 mt-2 text-sm space-y-1">
-              <li>Text-to-3D: Generate complex models from detailed prompts</li>
-              <li>Image-to-3D: Convert reference images to 3D models</li>
-              <li>High-Precision: Optimized for Bambu Lab tolerances (±0.1mm)</li>
-              <li>Custom Materials: Plastic, metal, resin, or wood composite</li>
-              <li>Print Supports: Auto-generated for stable printing</li>
-              <li>Shell & Infill: Adjustable for strength and weight</li>
-              <li>Export Formats: GLB, OBJ, STL for versatility</li>
-              <li>AR/VR Ready: Preview in augmented reality</li>
-            </ul>
+            </label>
+          ))}
+        </fieldset>
+        <label className="flex items-center space-x-2 text-sm">
+          <input
+            type="checkbox"
+            checked={edits.removeBackground}
+            onChange={(e) => setEdits({ ...edits, removeBackground: e.target.checked })}
+            className="h-5 w-5"
+            aria-label="Remove background"
+          />
+          <span>Remove plain background</span>
+        </label>
+        {edits.removeBackground && (
+          <div className="mt-2 text-sm">
+            <label className="flex flex-col">
+              Tolerance {edits.tolerance}
+              <input
+                type="range"
+                min="5"
+                max="120"
+                value={edits.tolerance}
+                onChange={(e) => setEdits({ ...edits, tolerance: Number(e.target.value) })}
+                aria-label="Background tolerance"
+              />
+            </label>
+            {removed < 0.02 && <p className="text-yellow-400 mt-1">No plain background found around the edges. Try a higher tolerance.</p>}
+            {removed > 0.9 && <p className="text-yellow-400 mt-1">Almost everything was removed. Lower the tolerance.</p>}
           </div>
+        )}
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            onClick={onCancel}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg"
+            aria-label="Cancel"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={save}
+            disabled={isSaving}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg"
+            aria-label="Use this image"
+          >
+            {isSaving ? "Preparing…" : "Use Image"}
+          </button>
         </div>
       </motion.div>
-    </section>
+    </motion.div>
   );
 };
 
-// Component: Example Models Gallery
-const ExampleModelsSection = ({ setPrompt, setModelUrl }) => (
-  <section className="py-16 container mx-auto px-4">
-    <motion.h2
-      initial={{ y: 50, opacity: 0 }}
-      whileInView={{ y: 0, opacity: 1 }}
-      transition={{ duration: 0.6 }}
-      className="text-4xl font-bold text-center mb-8"
-    >
-      Explore Competition-Worthy Models
-    </motion.h2>
-    <div className="grid md:grid-cols-3 gap-6">
-      {EXAMPLE_MODELS.map((model) => (
-        <motion.div
-          key={model.id}
-          initial={{ y: 50, opacity: 0 }}
-          whileInView={{ y: 0, opacity: 1 }}
-          transition={{ duration: 0.6, delay: model.id * 0.1 }}
-          className="bg-gray-800 p-6 rounded-lg shadow-lg hover:shadow-xl transition duration-300"
+// Component: Reference Images (front/side/back views plus conditioning mode)
+const ReferenceImagesPanel = ({ referenceImages, setReferenceImage, conditioning, setConditioning, locked, requestUpgrade }) => {
+  const [editing, setEditing] = useState(null);
+  const fileInputRef = useRef(null);
+  const pendingViewRef = useRef(null);
+  const hasImages = REFERENCE_VIEWS.some((view) => referenceImages[view.id]);
+
+  const pickImage = (viewId) => {
+    if (locked) {
+      requestUpgrade("Image-to-3D is available on the Basic and Pro plans.");
+      return;
+    }
+    pendingViewRef.current = viewId;
+    fileInputRef.current.click();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const problem = validateReferenceFile(file);
+    if (problem) {
+      toast.error(problem);
+      return;
+    }
+    try {
+      const img = await loadImageFile(file);
+      if (Math.min(img.width, img.height) < MIN_REFERENCE_IMAGE_PX) {
+        toast.error(`Images need to be at least ${MIN_REFERENCE_IMAGE_PX} × ${MIN_REFERENCE_IMAGE_PX} pixels.`);
+        return;
+      }
+      setEditing({ view: pendingViewRef.current, source: file, img, edits: DEFAULT_IMAGE_EDITS });
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const editExisting = async (viewId) => {
+    const current = referenceImages[viewId];
+    try {
+      setEditing({ view: viewId, source: current.source, img: await loadImageFile(current.source), edits: current.edits });
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const saveEdits = async (edits) => {
+    try {
+      const prepared = await prepareReferenceImage(editing.img, edits);
+      setReferenceImage(editing.view, {
+        source: editing.source,
+        edits,
+        blob: prepared.blob,
+        previewUrl: URL.createObjectURL(prepared.blob),
+        width: prepared.width,
+        height: prepared.height
+      });
+      setEditing(null);
+      trackEvent("Model", "ReferenceImage", editing.view);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold">Reference Images</span>
+        {locked && <span className="text-xs text-yellow-400">Basic+</span>}
+      </div>
+      <div className="grid grid-cols-3 gap-3">
+        {REFERENCE_VIEWS.map((view) => {
+          const current = referenceImages[view.id];
+          return (
+            <div key={view.id} className="bg-gray-900 rounded-lg p-2 text-center text-sm">
+              {current ? (
+                <>
+                  <img src={current.previewUrl} alt={`${view.label} reference`} className="h-20 w-full object-contain mb-2" />
+                  <div className="flex justify-center gap-2">
+                    <button onClick={() => editExisting(view.id)} className="text-yellow-400 hover:underline" aria-label={`Edit ${view.label} image`}>
+                      Edit
+                    </button>
+                    <button onClick={() => setReferenceImage(view.id, null)} className="text-red-400 hover:underline" aria-label={`Remove ${view.label} image`}>
+                      Remove
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <button
+                  onClick={() => pickImage(view.id)}
+                  className="h-full w-full min-h-20 py-6 text-gray-300 hover:text-white"
+                  aria-label={`Upload ${view.label} reference image`}
+                >
+                  + {view.label}
+                  {view.id === "front" && <span className="block text-xs text-gray-500">required</span>}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <input type="file" ref={fileInputRef} onChange={handleFile} accept={REFERENCE_IMAGE_TYPES.join(",")} className="hidden" />
+      {hasImages && (
+        <fieldset className="text-sm">
+          <legend className="mb-1">Generate from</legend>
+          <div className="flex flex-wrap gap-3">
+            {CONDITIONING_MODES.map((mode) => (
+              <label key={mode.id} className="flex items-center space-x-1">
+                <input
+                  type="radio"
+                  name="conditioning"
+                  value={mode.id}
+                  checked={conditioning === mode.id}
+                  onChange={() => setConditioning(mode.id)}
+                  aria-label={mode.label}
+                />
+                <span>{mode.label}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-gray-400 mt-1">{CONDITIONING_MODES.find((mode) => mode.id === conditioning).hint}</p>
+        </fieldset>
+      )}
+      <AnimatePresence>
+        {editing && <ImageEditorModal editing={editing} onSave={saveEdits} onCancel={() => setEditing(null)} />}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+// Component: Prompt Builder (templates, style and detail presets, negative prompt, seed)
+const PromptBuilder = ({ prompt, promptOptions, setPromptOptions, negativePrompt, setNegativePrompt, seed, setSeed }) => {
+  const finalPrompt = buildFinalPrompt(prompt, promptOptions);
+  const template = PROMPT_TEMPLATES.find((t) => t.id === promptOptions.template);
+  const update = (key, value) => setPromptOptions({ ...promptOptions, [key]: value });
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 space-y-3 text-sm">
+      <div className="flex flex-wrap gap-2" role="group" aria-label="Prompt template">
+        {PROMPT_TEMPLATES.map((t) => (
+          <button
+            key={t.id}
+            onClick={() => update("template", promptOptions.template === t.id ? "" : t.id)}
+            className={`px-3 py-1 rounded-full ${promptOptions.template === t.id ? "bg-yellow-500 text-gray-900" : "bg-gray-700 hover:bg-gray-600"}`}
+            aria-pressed={promptOptions.template === t.id}
+            title={`e.g. "${t.example}"`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <select
+          value={promptOptions.style}
+          onChange={(e) => update("style", e.target.value)}
+          className="p-2 rounded-lg text-black"
+          aria-label="Style preset"
         >
-          <model-viewer
-            src={model.url}
-            alt={model.name}
-            camera-controls
-            auto-rotate
-            style={{ width: "100%", height: "200px", borderRadius: "8px" }}
-            shadow-intensity="1"
-          />
-          <h3 className="text-xl font-semibold mt-4">{model.name}</h3>
-          <p className="text-sm text-gray-400 mt-2">{model.desc}</p>
-          <p className="text-sm text-gray-500 mt-1">Tags: {model.tags.join(", ")}</p>
+          {PROMPT_STYLES.map((s) => (
+            <option key={s.id} value={s.id}>{s.label}</option>
+          ))}
+        </select>
+        <select
+          value={promptOptions.detail}
+          onChange={(e) => update("detail", e.target.value)}
+          className="p-2 rounded-lg text-black"
+          aria-label="Detail level"
+        >
+          {PROMPT_DETAIL_LEVELS.map((d) => (
+            <option key={d.id} value={d.id}>{d.label} detail</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={negativePrompt}
+          onChange={(e) => setNegativePrompt(e.target.value)}
+          placeholder="Avoid (e.g. floating parts, thin walls)"
+          className="flex-1 p-2 rounded-lg text-black"
+          aria-label="Negative prompt"
+        />
+        {template && !negativePrompt && (
           <button
-            onClick={() => {
-              setPrompt(model.name);
-              setModelUrl(model.url);
-              window.scrollTo({ top: document.getElementById("generator").offsetTop, behavior: "smooth" });
-              trackEvent("Gallery", "TryModel", model.name);
-            }}
-            className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition duration-200"
-            aria-label={`Try ${model.name} model`}
+            onClick={() => setNegativePrompt(template.negative)}
+            className="bg-gray-700 hover:bg-gray-600 px-3 rounded-lg"
+            aria-label={`Use suggested negative prompt for ${template.label}`}
           >
-            Try This Model
+            Suggest
           </button>
-        </motion.div>
-      ))}
-    </div>
-  </section>
-);
-
-// Component: Subscription Plans
-const SubscriptionSection = ({ userPlan, payForModel }) => (
-  <section className="py-16 container mx-auto px-4">
-    <motion.h2
-      initial={{ y: 50, opacity: 0 }}
-      whileInView={{ y: 0, opacity: 1 }}
-      transition={{ duration: 0.6 }}
-      className="text-4xl font-bold text-center mb-8"
-    >
-      Choose Your Plan
-    </motion.h2>
-    <div className="grid md:grid-cols-3 gap-6">
-      {PLANS.map((plan) => (
-        <motion.div
-          key={plan.id}
-          initial={{ y: 50, opacity: 0 }}
-          whileInView={{ y: 0, opacity: 1 }}
-          transition={{ duration: 0.6 }}
-          className={`p-6 rounded-lg shadow-lg bg-gray-800 hover:shadow-xl transition duration-300 ${plan.id === userPlan ? "border-2 border-yellow-400" : ""}`}
+        )}
+      </div>
+      <div className="flex gap-2 items-center">
+        <input
+          type="number"
+          min="0"
+          max={MAX_SEED}
+          value={seed}
+          onChange={(e) => setSeed(e.target.value)}
+          placeholder="Seed (random)"
+          className="flex-1 p-2 rounded-lg text-black"
+          aria-label="Seed"
+        />
+        <button
+          onClick={() => setSeed(String(randomSeed()))}
+          className="bg-gray-700 hover:bg-gray-600 px-3 py-2 rounded-lg"
+          aria-label="Pick a random seed"
         >
-          <h3 className="text-2xl font-bold mb-2">{plan.title}</h3>
-          <p className="text-gray-300 mb-4">{plan.desc}</p>
-          <ul className="list-disc ml-5 mb-4 text-sm text-gray-400">
-            {plan.features.map((feature, index) => (
-              <li key={index}>{feature}</li>
-            ))}
-          </ul>
-          <div className="flex items-baseline justify-between">
-            <div>
-              <div className="text-xl font-semibold">{plan.priceLabel}</div>
-              <div className="text-sm text-gray-400">Billed monthly</div>
-            </div>
-            <button
-              onClick={() => payForModel(plan.priceId)}
-              disabled={plan.id === userPlan}
-              className={`${plan.color} hover:${plan.color.replace("bg-", "bg-opacity-80")} text-white px-4 py-2 rounded-lg font-semibold transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed`}
-              aria-label={plan.id === userPlan ? "Current plan" : plan.cta}
-            >
-              {plan.id === userPlan ? "Current Plan" : plan.cta}
-            </button>
-          </div>
-        </motion.div>
-      ))}
+          🎲
+        </button>
+        {seed !== "" && (
+          <button onClick={() => setSeed("")} className="text-gray-400 hover:text-white" aria-label="Use a random seed each time">
+            Clear
+          </button>
+        )}
+      </div>
+      <div aria-live="polite">
+        <p className="text-gray-400 mb-1">
+          Final prompt ({finalPrompt.length}/{MAX_PROMPT_LENGTH})
+        </p>
+        <p className={`rounded-lg bg-black bg-opacity-40 p-2 ${finalPrompt.length > MAX_PROMPT_LENGTH ? "text-red-400" : "text-gray-200"}`}>
+          {finalPrompt || <span className="text-gray-500">Describe your model above to see the prompt.</span>}
+        </p>
+        {negativePrompt.trim() && <p className="text-gray-400 mt-1">Avoid: {negativePrompt.trim()}</p>}
+        {seed !== "" && <p className="text-gray-400 mt-1">Seed: {seed}</p>}
+      </div>
     </div>
-  </section>
-);
+  );
+};
 
-// Component: Stripe Modal
-const StripeModal = ({ show, onClose }) => (
-  <AnimatePresence>
-    {show && (
-      <motion.div
-        initial={{ opacity: 0 }}
-        animate={{ opacity: 1 }}
-        exit={{ opacity: 0 }}
-        className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center"
+// Component: Generator Section
+const GeneratorSection = ({
+  prompt,
+  setPrompt,
+  promptOptions,
+  setPromptOptions,
+  negativePrompt,
+  setNegativePrompt,
+  seed,
+  setSeed,
+  width,
+  setWidth,
+  height,
+  setHeight,
+  depth,
+  setDepth,
+  material,
+  setMaterial,
+  supports,
+  setSupports,
+  shellThickness,
+  setShellThickness,
+  infill,
+  setInfill,
+  referenceImages,
+  setReferenceImage,
+  conditioning,
+  setConditioning,
+  isLoading,
+  job,
+  batch,
+  cancelGeneration,
+  variantSweep,
+  setVariantSweep,
+  revisions,
+  activeModelId,
+  refineModel,
+  selectRevision,
+  modelUrl,
+  modelMeasurements,
+  previewRef,
+  meshReport,
+  meshError,
+  isAnalyzing,
+  printability,
+  printer,
+  printerSettings,
+  setPrinterSettings,
+  showOverlay,
+  setShowOverlay,
+  overlayUrl,
+  exportModel,
+  openPublish,
+  copyGeneratorLink,
+  materialTable,
+  setMaterialTable,
+  error,
+  rejectionReasons,
+  generateModel,
+  payForModel,
+  userPlan,
+  requestUpgrade
+}) => {
+  const isGenerating = isLoading || isJobActive(job) || isBatchActive(batch);
+  const entitlements = getEntitlements(userPlan);
+
+  return (
+    <section id="generator" className="py-16 container mx-auto px-4">
+      <motion.h2
+        initial={{ y: 50, opacity: 0 }}
+        whileInView={{ y: 0, opacity: 1 }}
+        transition={{ duration: 0.6 }}
+        className="text-4xl font-bold text-center mb-8"
       >
-        <motion.div
-          initial={{ scale: 0.8, opacity: 0 }}
-          animate={{ scale: 1, opacity: 1 }}
-          exit={{ scale: 0.8, opacity: 0 }}
-          className="bg-gray-800 p-8 rounded-xl w-full max-w-md shadow-2xl"
-        >
-          <h3 className="text-xl font-bold mb-4">Payment Processing</h3>
-          <p className="text-sm text-gray-300 mb-4">
-            You will be redirected to Stripe's secure checkout page to complete your purchase.
-          </p>
-          <div className="flex justify-end gap-3">
-            <button
-              onClick={onClose}
-              className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg"
-              aria-label="Close payment modal"
+        Generate Competition-Ready 3D Models
+      </motion.h2>
+      <motion.div
+        initial={{ y: 50, opacity: 0 }}
+        whileInView={{ y: 0, opacity: 1 }}
+        transition={{ duration: 0.6, delay: 0.2 }}
+        className="bg-gray-800 p-8 rounded-2xl shadow-xl max-w-5xl mx-auto grid md:grid-cols-2 gap-8"
+      >
+        {/* Form */}
+        <div className="space-y-4">
+          <input
+            type="text"
+            value={prompt}
+            onChange={(e) => setPrompt(e.target.value)}
+            placeholder={`Describe your model (e.g., '${PROMPT_TEMPLATES.find((t) => t.id === promptOptions.template)?.example || "intricate gearbox for Bambu Lab"}')`}
+            className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
+            aria-label="Model description"
+          />
+          <PromptBuilder
+            prompt={prompt}
+            promptOptions={promptOptions}
+            setPromptOptions={setPromptOptions}
+            negativePrompt={negativePrompt}
+            setNegativePrompt={setNegativePrompt}
+            seed={seed}
+            setSeed={setSeed}
+          />
+          <div className="grid grid-cols-3 gap-3">
+            <input
+              type="number"
+              value={width}
+              onChange={(e) => setWidth(e.target.value)}
+              placeholder="Width (mm)"
+              className={`p-3 rounded-lg text-black focus:outline-none ${!validDimension(width) && width ? "border-2 border-red-500" : "focus:ring-2 focus:ring-yellow-500"}`}
+              aria-label="Width in millimeters"
+            />
+            <input
+              type="number"
+              value={height}
+              onChange={(e) => setHeight(e.target.value)}
+              placeholder="Height (mm)"
+              className={`p-3 rounded-lg text-black focus:outline-none ${!validDimension(height) && height ? "border-2 border-red-500" : "focus:ring-2 focus:ring-yellow-500"}`}
+              aria-label="Height in millimeters"
+            />
+            <input
+              type="number"
+              value={depth}
+              onChange={(e) => setDepth(e.target.value)}
+              placeholder="Depth (mm)"
+              className={`p-3 rounded-lg text-black focus:outline-none ${!validDimension(depth) && depth ? "border-2 border-red-500" : "focus:ring-2 focus:ring-yellow-500"}`}
+              aria-label="Depth in millimeters"
+            />
+          </div>
+          <select
+            value={material}
+            onChange={(e) => setMaterial(e.target.value)}
+            className="w-full p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
+            aria-label="Material type"
+          >
+            <option value="plastic">Plastic (PLA/ABS)</option>
+            <option value="metal">Metal (Aluminum/Steel)</option>
+            <option value="resin">Resin (SLA)</option>
+            <option value="wood">Wood Composite</option>
+          </select>
+          <PrinterSelector printerSettings={printerSettings} setPrinterSettings={setPrinterSettings} />
+          {!printer.materials.includes(material) && (
+            <p className="text-yellow-400 text-sm">
+              The {printer.label} can't print {DEFAULT_MATERIAL_TABLE[material].label.toLowerCase()}. Pick another material or printer.
+            </p>
+          )}
+          {[width, height, depth].every(validDimension) && !fitsPrinter({ width, height, depth }, printer) && (
+            <p className="text-yellow-400 text-sm">
+              {width} × {depth} × {height} mm is larger than the {printer.buildVolume.join(" × ")} mm build volume.
+            </p>
+          )}
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              type="number"
+              value={shellThickness}
+              onChange={(e) => setShellThickness(e.target.value)}
+              placeholder="Shell Thickness (mm)"
+              className={`p-3 rounded-lg text-black focus:outline-none ${!validDimension(shellThickness) && shellThickness ? "border-2 border-red-500" : "focus:ring-2 focus:ring-yellow-500"}`}
+              aria-label="Shell thickness in millimeters"
+            />
+            <select
+              value={infill}
+              onChange={(e) => setInfill(e.target.value)}
+              className="p-3 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              aria-label="Infill density"
             >
-              Close
-            </button>
+              <option value="10">10% Infill</option>
+              <option value="20">20% Infill</option>
+              <option value="50">50% Infill</option>
+              <option value="100">100% Infill</option>
+            </select>
           </div>
-        </motion.div>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={supports}
+              onChange={(e) => {
+                if (e.target.checked && !entitlements.printSupports) {
+                  requestUpgrade("Print supports are available on the Basic and Pro plans.");
+                  return;
+                }
+                setSupports(e.target.checked);
+              }}
+              className="h-5 w-5 text-yellow-500"
+              aria-label="Add print supports"
+            />
+            <span>Add Print Supports</span>
+            {!entitlements.printSupports && <span className="text-xs text-yellow-400">Basic+</span>}
+          </label>
+          <ReferenceImagesPanel
+            referenceImages={referenceImages}
+            setReferenceImage={setReferenceImage}
+            conditioning={conditioning}
+            setConditioning={setConditioning}
+            locked={!entitlements.imageTo3d}
+            requestUpgrade={requestUpgrade}
+          />
+          <button
+            onClick={() => generateModel()}
+            disabled={isGenerating}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-semibold transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            aria-label="Generate 3D model"
+          >
+            {isGenerating ? (
+              <span className="flex items-center justify-center">
+                <svg className="animate-spin h-5 w-5 mr-2" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z" />
+                </svg>
+                Generating...
+              </span>
+            ) : (
+              "Generate Model"
+            )}
+          </button>
+          <VariantControls
+            sweep={variantSweep}
+            setSweep={setVariantSweep}
+            onGenerate={() => generateModel(variantSweep)}
+            disabled={isGenerating}
+          />
+          <button
+            onClick={copyGeneratorLink}
+            className="text-sm text-blue-300 hover:underline"
+            aria-label="Copy a link that opens the generator with these settings"
+          >
+            Copy link to these settings
+          </button>
+          {isJobActive(job) && <JobProgress job={job} onCancel={cancelGeneration} />}
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+          {rejectionReasons.length > 0 && (
+            <ul className="text-red-300 text-sm list-disc list-inside" aria-label="Why this request was rejected">
+              {rejectionReasons.map((reason) => (
+                <li key={reason}>{reason}</li>
+              ))}
+            </ul>
+          )}
+          {modelUrl && (
+            <div className="mt-4 space-y-2">
+              <p className="text-green-400">Model ready! Preview below.</p>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => payForModel(userPlan === "pro" ? null : MODEL_PRICE_ID)}
+                  className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                  aria-label={userPlan === "pro" ? "Download free" : "Pay and download"}
+                >
+                  {userPlan === "pro" ? "Download Free" : "Pay & Download"}
+                </button>
+                <a
+                  href={modelUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                  aria-label="Open model in new tab"
+                >
+                  Open Model
+                </a>
+                <ExportMenu userPlan={userPlan} material={material} disabled={!meshReport} onExport={exportModel} />
+                {activeModelId && (
+                  <button
+                    onClick={openPublish}
+                    className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                    aria-label="Publish this model to the gallery"
+                  >
+                    Publish
+                  </button>
+                )}
+              </div>
+              <RefinePanel
+                revisions={revisions}
+                activeModelId={activeModelId}
+                onRefine={refineModel}
+                onSelectRevision={selectRevision}
+                disabled={isGenerating}
+              />
+            </div>
+          )}
+        </div>
+        {/* Preview */}
+        <div>
+          <div className="bg-black rounded-lg p-4">
+            {modelUrl ? (
+              <>
+                <model-viewer
+                  ref={previewRef}
+                  src={modelUrl}
+                  alt="Generated 3D model"
+                  camera-controls
+                  auto-rotate
+                  {...(entitlements.arPreview ? { ar: "" } : {})}
+                  shadow-intensity="1"
+                  camera-orbit="45deg 55deg 2m"
+                  min-camera-orbit="auto 45deg 1m"
+                  max-camera-orbit="auto 90deg 3m"
+                  style={{ width: "100%", height: "400px", borderRadius: "8px", display: showOverlay && overlayUrl ? "none" : "block" }}
+                />
+                {showOverlay && overlayUrl && (
+                  <model-viewer
+                    src={overlayUrl}
+                    alt="Printability overlay: faces colored by overhang and wall thickness"
+                    camera-controls
+                    shadow-intensity="1"
+                    camera-orbit="45deg 55deg 2m"
+                    style={{ width: "100%", height: "400px", borderRadius: "8px" }}
+                  />
+                )}
+              </>
+            ) : (
+              <div className="p-6 text-left text-gray-400">
+                <p className="mb-2">Your model preview will appear here.</p>
+                <p className="text-sm">
+                  Tip: Pick a template and style to build a detailed prompt, and set a seed to make results reproducible.
+                </p>
+              </div>
+            )}
+          </div>
+          {modelUrl && (
+            <MeshReport
+              report={meshReport}
+              error={meshError}
+              isAnalyzing={isAnalyzing}
+              measurements={modelMeasurements}
+            />
+          )}
+          {modelUrl && printability && (
+            <PrintabilityPanel
+              report={printability}
+              printer={printer}
+              supports={supports}
+              onEnableSupports={() => {
+                if (!entitlements.printSupports) {
+                  requestUpgrade("Print supports are available on the Basic and Pro plans.");
+                  return;
+                }
+                setSupports(true);
+              }}
+              showOverlay={showOverlay}
+              setShowOverlay={setShowOverlay}
+            />
+          )}
+          {modelUrl && meshReport && (
+            <PrintEstimatePanel
+              report={meshReport}
+              material={material}
+              shellThickness={shellThickness}
+              infill={infill}
+              materialTable={materialTable}
+              setMaterialTable={setMaterialTable}
+            />
+          )}
+          <div className="mt-4 text-left">
+            <h4 className="text-xl font-semibold">AI Capabilities</h4>
+            <ul className="list-disc ml-5 mt-2 text-sm space-y-1">
+              <li>Text-to-3D: Generate complex models from detailed prompts</li>
+              <li>Image-to-3D: Convert reference images to 3D models</li>
+              <li>High-Precision: Optimized for Bambu Lab tolerances (±0.1mm)</li>
+              <li>Custom Materials: Plastic, metal, resin, or wood composite</li>
+              <li>Print Supports: Auto-generated for stable printing</li>
+              <li>Shell & Infill: Adjustable for strength and weight</li>
+              <li>Export Formats: GLB, STL, OBJ, PLY and Bambu 3MF for versatility</li>
+              <li>AR/VR Ready: Preview in augmented reality</li>
+            </ul>
+          </div>
+        </div>
       </motion.div>
-    )}
-  </AnimatePresence>
-);
+    </section>
+  );
+};
 
-// Component: Footer
-const Footer = () => (
-  <footer className="py-12 bg-gray-900 text-center text-gray-400">
-    <div className="container mx-auto px-4">
-      <p>&copy; {new Date().getFullYear()} 3D Model Magic. All rights reserved.</p>
-      <div className="mt-4 space-x-4">
-        <a href="/terms" className="hover:text-yellow-400 transition duration-200" aria-label="Terms of Service">
-          Terms of Service
-        </a>
-        <a href="/privacy" className="hover:text-yellow-400 transition duration-200" aria-label="Privacy Policy">
-          Privacy Policy
-        </a>
-        <a href="/contact" className="hover:text-yellow-400 transition duration-200" aria-label="Contact Us">
-          Contact Us
-        </a>
-      </div>
-    </div>
-  </footer>
-);
+// Component: Variant Batch Controls
+const VariantControls = ({ sweep, setSweep, onGenerate, disabled }) => {
+  const update = (key, value) => setSweep({ ...sweep, [key]: value });
+  const toggleMaterial = (id) =>
+    update("materials", sweep.materials.includes(id) ? sweep.materials.filter((m) => m !== id) : [...sweep.materials, id]);
+  const activeSweep = VARIANT_SWEEPS.find((s) => s.id === sweep.type);
 
-// Main App Component
-function App() {
-  // State management
-  const [prompt, setPrompt] = useState("");
-  const [width, setWidth] = useState("");
-  const [height, setHeight] = useState("");
-  const [depth, setDepth] = useState("");
-  const [material, setMaterial] = useState("plastic");
-  const [supports, setSupports] = useState(false);
-  const [shellThickness, setShellThickness] = useState("");
-  const [infill, setInfill] = useState("20");
-  const [image, setImage] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-  const [modelUrl, setModelUrl] = useState(null);
-  const [error, setError] = useState("");
-  const [user, setUser] = useState(null);
-  const [userPlan, setUserPlan] = useState("free");
-  const [showSignUp, setShowSignUp] = useState(false);
-  const [showSignIn, setShowSignIn] = useState(false);
-  const [showStripeModal, setShowStripeModal] = useState(false);
+  return (
+    <details className="bg-gray-900 rounded-lg p-4 text-sm">
+      <summary className="cursor-pointer font-semibold">Generate variants to compare</summary>
+      <div className="mt-3 space-y-3">
+        <div className="flex gap-2" role="group" aria-label="Vary by">
+          {VARIANT_SWEEPS.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => update("type", s.id)}
+              className={`px-3 py-1 rounded-full ${sweep.type === s.id ? "bg-yellow-500 text-gray-900" : "bg-gray-700 hover:bg-gray-600"}`}
+              aria-pressed={sweep.type === s.id}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+        <p className="text-gray-400">{activeSweep.hint}</p>
+        {sweep.type === "seed" && (
+          <select
+            value={sweep.count}
+            onChange={(e) => update("count", Number(e.target.value))}
+            className="p-2 rounded-lg text-black"
+            aria-label="Number of variants"
+          >
+            {Array.from({ length: MAX_VARIANTS - 1 }, (_, i) => i + 2).map((n) => (
+              <option key={n} value={n}>{n} variants</option>
+            ))}
+          </select>
+        )}
+        {sweep.type === "infill" && (
+          <input
+            type="text"
+            value={sweep.infills}
+            onChange={(e) => update("infills", e.target.value)}
+            className="w-full p-2 rounded-lg text-black"
+            aria-label="Infill percentages to compare"
+          />
+        )}
+        {sweep.type === "material" && (
+          <div className="flex flex-wrap gap-3">
+            {Object.entries(DEFAULT_MATERIAL_TABLE).map(([id, m]) => (
+              <label key={id} className="flex items-center gap-2">
+                <input type="checkbox" checked={sweep.materials.includes(id)} onChange={() => toggleMaterial(id)} />
+                {m.label}
+              </label>
+            ))}
+          </div>
+        )}
+        <button
+          onClick={onGenerate}
+          disabled={disabled}
+          className="w-full bg-gray-700 hover:bg-gray-600 text-white py-2 rounded-lg font-semibold transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Generate Variants
+        </button>
+        <p className="text-xs text-gray-400">Each variant counts as one generation.</p>
+      </div>
+    </details>
+  );
+};
+
+// Component: Side-by-side Variant Comparison (cameras move together)
+const VariantGrid = ({ batch, onPick, onDiscard, onDiscardAll }) => {
+  const viewersRef = useRef({});
+  const loadedUrls = batch.jobs.map((j) => j.modelUrl || "").join("|");
+
+  // Mirror user camera moves in one preview onto the others
+  useEffect(() => {
+    const viewers = Object.values(viewersRef.current).filter(Boolean);
+    const handlers = viewers.map((viewer) => {
+      const handleCameraChange = (e) => {
+        if (e.detail?.source !== "user-interaction") return;
+        const orbit = viewer.getCameraOrbit().toString();
+        const target = viewer.getCameraTarget().toString();
+        const fov = `${viewer.getFieldOfView()}deg`;
+        viewers.forEach((other) => {
+          if (other === viewer) return;
+          other.cameraOrbit = orbit;
+          other.cameraTarget = target;
+          other.fieldOfView = fov;
+          other.jumpCameraToGoal?.();
+        });
+      };
+      viewer.addEventListener("camera-change", handleCameraChange);
+      return () => viewer.removeEventListener("camera-change", handleCameraChange);
+    });
+    return () => handlers.forEach((remove) => remove());
+  }, [loadedUrls]);
+
+  return (
+    <section id="variants" className="py-16 container mx-auto px-4">
+      <div className="flex items-center justify-between max-w-5xl mx-auto mb-6">
+        <h2 className="text-3xl font-bold">Compare Variants</h2>
+        <button
+          onClick={onDiscardAll}
+          className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg text-sm transition duration-200"
+        >
+          Discard All
+        </button>
+      </div>
+      <p className="max-w-5xl mx-auto text-gray-400 mb-6">
+        {batch.prompt || "Image-based model"} · drag any preview to rotate them all, then keep the one you like.
+      </p>
+      <div className="max-w-5xl mx-auto grid sm:grid-cols-2 gap-6">
+        {batch.jobs.map((j) => {
+          const label = variantLabel(j.params, batch.sweep);
+          return (
+            <div key={j.id} className="bg-gray-800 rounded-xl p-4 space-y-3">
+              <div className="bg-black rounded-lg">
+                {j.modelUrl ? (
+                  <model-viewer
+                    ref={(el) => {
+                      viewersRef.current[j.id] = el;
+                    }}
+                    src={j.modelUrl}
+                    alt={`Variant: ${label}`}
+                    camera-controls
+                    shadow-intensity="1"
+                    camera-orbit="45deg 55deg 2m"
+                    interaction-prompt="none"
+                    style={{ width: "100%", height: "260px", borderRadius: "8px" }}
+                  />
+                ) : (
+                  <div className="h-64 flex items-center justify-center text-sm text-gray-400" role="status">
+                    {isJobActive(j)
+                      ? `${JOB_STATUS_LABELS[j.status] || j.status} · ${Math.round(j.progress || 0)}%`
+                      : j.error || JOB_STATUS_LABELS[j.status] || j.status}
+                  </div>
+                )}
+              </div>
+              <p className="font-semibold">{label}</p>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onPick(j.id)}
+                  disabled={!j.modelUrl}
+                  className="flex-1 bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg text-sm transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                  aria-label={`Keep variant ${label}`}
+                >
+                  Keep This One
+                </button>
+                <button
+                  onClick={() => onDiscard(j.id)}
+                  className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-2 rounded-lg text-sm transition duration-200"
+                  aria-label={`Discard variant ${label}`}
+                >
+                  {isJobActive(j) ? "Cancel" : "Discard"}
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+// Component: Refine Panel (follow-up instructions and the model's revision chain)
+const RefinePanel = ({ revisions, activeModelId, onRefine, onSelectRevision, disabled }) => {
+  const [instruction, setInstruction] = useState("");
+  const active = revisions.find((r) => r.jobId === activeModelId);
+  const imageBased = Boolean(active) && active.conditioning !== "text";
+
+  const submit = () => {
+    if (!instruction.trim()) return;
+    onRefine(instruction.trim());
+    setInstruction("");
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 space-y-3 text-sm">
+      <h4 className="font-semibold">Refine this model</h4>
+      {activeModelId && imageBased ? (
+        <p className="text-gray-400">
+          Models generated from reference images can't be refined, because the images aren't kept. Edit the generation
+          from your history and run it again with your changes instead.
+        </p>
+      ) : activeModelId ? (
+        <>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={instruction}
+              onChange={(e) => setInstruction(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && submit()}
+              maxLength={MAX_REFINE_INSTRUCTION_LENGTH}
+              placeholder="What should change? (e.g. thicker walls)"
+              className="flex-1 p-2 rounded-lg text-black"
+              aria-label="Refinement instruction"
+            />
+            <button
+              onClick={submit}
+              disabled={disabled || !instruction.trim()}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 rounded-lg transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Refine
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {REFINE_SUGGESTIONS.map((suggestion) => (
+              <button
+                key={suggestion}
+                onClick={() => setInstruction(suggestion)}
+                className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded-full"
+              >
+                {suggestion}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-400">
+            Each refinement is a new generation from the original prompt plus your instruction (with the same seed), so
+            other details can change too. It counts as one generation.
+          </p>
+        </>
+      ) : (
+        <p className="text-gray-400">Only models generated while signed in can be refined.</p>
+      )}
+      {revisions.length > 1 && (
+        <ol className="space-y-1" aria-label="Revision history">
+          {revisions.map((r) => (
+            <li key={r.jobId}>
+              <button
+                onClick={() => onSelectRevision(r)}
+                disabled={!r.modelUrl}
+                className={`w-full text-left px-3 py-2 rounded-lg ${r.jobId === activeModelId ? "bg-yellow-500 text-gray-900" : "bg-gray-800 hover:bg-gray-700"} disabled:opacity-50`}
+                aria-current={r.jobId === activeModelId ? "true" : undefined}
+              >
+                {r.revision === 0 ? "Original" : `Revision ${r.revision}: ${r.instruction}`}
+                {!r.modelUrl && ` (${JOB_STATUS_LABELS[r.status] || r.status})`}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+// Component: Generation History
+const HistoryPanel = ({ history, activeHistoryId, onOpen, onEdit, onDelete }) => (
+  <section id="history" className="py-16 container mx-auto px-4">
+    <motion.h2
+      initial={{ y: 50, opacity: 0 }}
+      whileInView={{ y: 0, opacity: 1 }}
+      transition={{ duration: 0.6 }}
+      className="text-4xl font-bold text-center mb-8"
+    >
+      Your Generation History
+    </motion.h2>
+    {history.length === 0 ? (
+      <p className="text-center text-gray-400">Models you generate will be listed here.</p>
+    ) : (
+      <ul className="max-w-5xl mx-auto space-y-4">
+        {history.map((entry) => (
+          <li
+            key={entry.id}
+            className={`bg-gray-800 p-4 rounded-lg shadow-lg flex flex-col md:flex-row md:items-center gap-4 ${entry.id === activeHistoryId ? "border-2 border-yellow-400" : ""}`}
+          >
+            {entry.thumbnailUrl ? (
+              <img
+                src={entry.thumbnailUrl}
+                alt={`Thumbnail of ${generationTitle(entry) || "image-based model"}`}
+                className="w-24 h-24 object-cover rounded-lg bg-black"
+              />
+            ) : (
+              <div className="w-24 h-24 rounded-lg bg-black flex items-center justify-center text-xs text-gray-500">
+                No preview
+              </div>
+            )}
+            <div className="flex-1 text-sm">
+              <p className="text-lg font-semibold text-white">{generationTitle(entry) || "Image-based model"}</p>
+              <p className="text-gray-400">
+                {entry.measurements.width} × {entry.measurements.height} × {entry.measurements.depth} mm · {entry.material}
+              </p>
+              <p className="text-gray-500">
+                Shell {entry.shellThickness} mm · {entry.infill}% infill · {entry.supports ? "Supports" : "No supports"}
+                {entry.seed != null && ` · Seed ${entry.seed}`}
+                {entry.createdAt && ` · ${entry.createdAt.toDate().toLocaleString()}`}
+              </p>
+              {entry.revision > 0 && (
+                <p className="text-gray-400">Revision {entry.revision}: {entry.instruction}</p>
+              )}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => onOpen(entry)}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg text-sm transition duration-200"
+                aria-label={`Open ${generationTitle(entry) || "model"} in preview`}
+              >
+                Open
+              </button>
+              <button
+                onClick={() => onEdit(entry)}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-2 rounded-lg text-sm transition duration-200"
+                aria-label={`Edit and re-run ${generationTitle(entry) || "model"}`}
+              >
+                Edit & Re-run
+              </button>
+              <button
+                onClick={() => onDelete(entry)}
+                className="bg-red-600 hover:bg-red-700 text-white px-3 py-2 rounded-lg text-sm transition duration-200"
+                aria-label={`Delete ${generationTitle(entry) || "model"} from history`}
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    )}
+  </section>
+);
+
+// Component: 3D preview that only mounts its viewer while near the viewport, so long
+// galleries don't hold a WebGL context per model
+const LazyModelViewer = ({ src, alt, poster, height }) => {
+  const hostRef = useRef(null);
+  const [isNear, setIsNear] = useState(false);
+
+  useEffect(() => {
+    if (!("IntersectionObserver" in window)) {
+      setIsNear(true);
+      return undefined;
+    }
+    const observer = new IntersectionObserver(([entry]) => setIsNear(entry.isIntersecting), { rootMargin: LAZY_VIEWER_MARGIN });
+    observer.observe(hostRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <div ref={hostRef} style={{ width: "100%", height, borderRadius: "8px" }} className="bg-gray-900 overflow-hidden">
+      {isNear ? (
+        <model-viewer
+          src={src}
+          alt={alt}
+          poster={poster || undefined}
+          camera-controls
+          auto-rotate
+          style={{ width: "100%", height: "100%" }}
+          shadow-intensity="1"
+        />
+      ) : poster ? (
+        <img src={poster} alt={alt} loading="lazy" className="w-full h-full object-cover" />
+      ) : (
+        <div className="w-full h-full flex items-center justify-center text-sm text-gray-500">3D preview</div>
+      )}
+    </div>
+  );
+};
+
+// Component: Gallery Item Page (the target of shared /gallery/<id> links)
+const GalleryItemPage = ({ item, isLoading, onLike, onTry, onRemix, onCopyLink }) => (
+  <section className="py-16 container mx-auto px-4">
+    <Link to="/" className="text-blue-300 hover:underline text-sm">&larr; Back to the gallery</Link>
+    {isLoading ? (
+      <p className="text-gray-400 mt-6" role="status">Loading model...</p>
+    ) : !item ? (
+      <p className="text-gray-400 mt-6">This model isn't in the gallery anymore.</p>
+    ) : (
+      <div className="grid md:grid-cols-2 gap-8 mt-6">
+        <div className="bg-black rounded-lg p-4">
+          <model-viewer
+            src={item.modelUrl}
+            alt={item.name}
+            poster={item.thumbnailUrl || undefined}
+            camera-controls
+            auto-rotate
+            shadow-intensity="1"
+            style={{ width: "100%", height: "400px", borderRadius: "8px" }}
+          />
+        </div>
+        <div>
+          <h1 className="text-4xl font-bold">{item.name}</h1>
+          {(item.authorName || item.license) && (
+            <p className="text-sm text-gray-400 mt-2">
+              {[item.authorName && `by ${item.authorName}`, licenseLabel(item.license)].filter(Boolean).join(" · ")}
+            </p>
+          )}
+          <p className="text-gray-300 mt-4">{item.description}</p>
+          {item.tags.length > 0 && <p className="text-sm text-gray-500 mt-2">Tags: {item.tags.join(", ")}</p>}
+          {item.params && (
+            <p className="text-sm text-gray-400 mt-4">
+              {item.params.measurements && `${item.params.measurements.width} × ${item.params.measurements.depth} × ${item.params.measurements.height} mm · `}
+              {item.params.material && `${DEFAULT_MATERIAL_TABLE[item.params.material]?.label || item.params.material} · `}
+              {item.params.infill != null && `${item.params.infill}% infill`}
+              {item.params.supports && " · supports"}
+            </p>
+          )}
+          <div className="flex flex-wrap gap-3 mt-6">
+            <button
+              onClick={() => onLike(item)}
+              className={`px-4 py-2 rounded-lg transition duration-200 ${item.liked ? "bg-pink-600 hover:bg-pink-700 text-white" : "bg-gray-700 hover:bg-gray-600 text-white"}`}
+              aria-pressed={item.liked}
+            >
+              {item.liked ? "♥" : "♡"} {item.likes}
+            </button>
+            <button
+              onClick={() => onTry(item)}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition duration-200"
+            >
+              Try This Model
+            </button>
+            {item.params && (
+              <button
+                onClick={() => onRemix(item)}
+                className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition duration-200"
+              >
+                Remix
+              </button>
+            )}
+            <button
+              onClick={onCopyLink}
+              className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition duration-200"
+            >
+              Copy Link
+            </button>
+          </div>
+        </div>
+      </div>
+    )}
+  </section>
+);
+
+// Component: Example Models Gallery (search, tag filters and sorting run on the backend)
+const ExampleModelsSection = ({
+  gallery,
+  galleryQuery,
+  setGalleryQuery,
+  isGalleryLoading,
+  loadMoreGallery,
+  onTry,
+  onLike,
+  onRemix,
+  onUnpublish
+}) => {
+  const toggleTag = (tag) => setGalleryQuery((query) => ({
+    ...query,
+    tags: query.tags.includes(tag) ? query.tags.filter((t) => t !== tag) : [...query.tags, tag]
+  }));
+  const isFiltered = Boolean(galleryQuery.q.trim() || galleryQuery.tags.length);
+  // Selected tags stay visible (so they can be cleared) even when the search leaves them no matches
+  const tagChips = [
+    ...gallery.tags,
+    ...galleryQuery.tags.filter((tag) => !gallery.tags.some((t) => t.tag === tag)).map((tag) => ({ tag, count: 0 }))
+  ];
+
+  return (
+    <section id="gallery" className="py-16 container mx-auto px-4">
+      <motion.h2
+        initial={{ y: 50, opacity: 0 }}
+        whileInView={{ y: 0, opacity: 1 }}
+        transition={{ duration: 0.6 }}
+        className="text-4xl font-bold text-center mb-8"
+      >
+        Explore Competition-Worthy Models
+      </motion.h2>
+      <div className="flex flex-col md:flex-row gap-4 mb-4">
+        <input
+          type="search"
+          value={galleryQuery.q}
+          onChange={(e) => setGalleryQuery((query) => ({ ...query, q: e.target.value }))}
+          placeholder="Search models by name or description"
+          className="flex-1 p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:outline-none focus:border-blue-500"
+          aria-label="Search the gallery"
+        />
+        <select
+          value={galleryQuery.sort}
+          onChange={(e) => setGalleryQuery((query) => ({ ...query, sort: e.target.value }))}
+          className="p-3 rounded-lg bg-gray-800 text-white border border-gray-700 focus:outline-none focus:border-blue-500"
+          aria-label="Sort the gallery"
+        >
+          {GALLERY_SORTS.map((sort) => (
+            <option key={sort.id} value={sort.id}>{sort.label}</option>
+          ))}
+        </select>
+      </div>
+      {tagChips.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-6" role="group" aria-label="Filter by tag">
+          {tagChips.map(({ tag, count }) => {
+            const selected = galleryQuery.tags.includes(tag);
+            return (
+              <button
+                key={tag}
+                onClick={() => toggleTag(tag)}
+                className={`px-3 py-1 rounded-full text-sm transition duration-200 ${selected ? "bg-blue-600 text-white" : "bg-gray-800 text-gray-300 hover:bg-gray-700"}`}
+                aria-pressed={selected}
+              >
+                {tag} <span className="text-xs opacity-75">{count}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+      {!isGalleryLoading && gallery.items.length === 0 ? (
+        <div className="text-center text-gray-400 py-12">
+          <p>{isFiltered ? "No models match your search." : "The gallery is empty."}</p>
+          {isFiltered && (
+            <button
+              onClick={() => setGalleryQuery((query) => ({ ...DEFAULT_GALLERY_QUERY, sort: query.sort }))}
+              className="mt-4 bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition duration-200"
+            >
+              Clear Filters
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="grid md:grid-cols-3 gap-6">
+          {gallery.items.map((model, i) => (
+            <motion.div
+              key={model.id}
+              initial={{ y: 50, opacity: 0 }}
+              whileInView={{ y: 0, opacity: 1 }}
+              transition={{ duration: 0.6, delay: (i % 3) * 0.1 }}
+              className="bg-gray-800 p-6 rounded-lg shadow-lg hover:shadow-xl transition duration-300"
+            >
+              <LazyModelViewer src={model.modelUrl} alt={model.name} poster={model.thumbnailUrl} height="200px" />
+              <div className="flex items-start justify-between gap-2 mt-4">
+                <h3 className="text-xl font-semibold">
+                  <Link to={`/gallery/${encodeURIComponent(model.id)}`} className="hover:text-yellow-400">{model.name}</Link>
+                </h3>
+                <button
+                  onClick={() => onLike(model)}
+                  disabled={model.status !== "approved"}
+                  className={`shrink-0 px-2 py-1 rounded-lg text-sm transition duration-200 ${model.liked ? "text-pink-400" : "text-gray-400 hover:text-pink-400"}`}
+                  aria-pressed={model.liked}
+                  aria-label={`${model.liked ? "Unlike" : "Like"} ${model.name} (${model.likes} likes)`}
+                >
+                  {model.liked ? "♥" : "♡"} {model.likes}
+                </button>
+              </div>
+              {(model.authorName || model.license) && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {[model.authorName && `by ${model.authorName}`, licenseLabel(model.license)].filter(Boolean).join(" · ")}
+                </p>
+              )}
+              <p className="text-sm text-gray-400 mt-2">{model.description}</p>
+              {model.tags.length > 0 && <p className="text-sm text-gray-500 mt-1">Tags: {model.tags.join(", ")}</p>}
+              {model.status !== "approved" && (
+                <p className={`text-xs mt-2 ${model.status === "rejected" ? "text-red-400" : "text-yellow-400"}`}>
+                  {model.status === "rejected"
+                    ? `Not approved: ${model.rejectionReason || "it doesn't meet the gallery guidelines."}`
+                    : "In review. Only you can see it until it's approved."}
+                </p>
+              )}
+              <div className="flex flex-wrap gap-2 mt-4">
+                <button
+                  onClick={() => onTry(model)}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                  aria-label={`Try ${model.name} model`}
+                >
+                  Try This Model
+                </button>
+                {model.params && (
+                  <button
+                    onClick={() => onRemix(model)}
+                    className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                    aria-label={`Remix ${model.name} with its settings`}
+                  >
+                    Remix
+                  </button>
+                )}
+                {model.mine && (
+                  <button
+                    onClick={() => onUnpublish(model)}
+                    className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                    aria-label={`Unpublish ${model.name}`}
+                  >
+                    Unpublish
+                  </button>
+                )}
+              </div>
+            </motion.div>
+          ))}
+        </div>
+      )}
+      <div className="text-center mt-8">
+        {isGalleryLoading ? (
+          <p className="text-gray-400" role="status">Loading models...</p>
+        ) : gallery.nextCursor && (
+          <button
+            onClick={loadMoreGallery}
+            className="bg-gray-700 hover:bg-gray-600 text-white px-6 py-2 rounded-lg transition duration-200"
+          >
+            Load More ({gallery.items.length} of {gallery.total})
+          </button>
+        )}
+      </div>
+    </section>
+  );
+};
+
+// Component: Subscription Plans (subscribers change plans from the billing page, where proration is shown)
+const SubscriptionSection = ({ userPlan, payForModel, openBilling }) => (
+  <section id="plans" className="py-16 container mx-auto px-4">
+    <motion.h2
+      initial={{ y: 50, opacity: 0 }}
+      whileInView={{ y: 0, opacity: 1 }}
+      transition={{ duration: 0.6 }}
+      className="text-4xl font-bold text-center mb-8"
+    >
+      Choose Your Plan
+    </motion.h2>
+    <div className="grid md:grid-cols-3 gap-6">
+      {PLANS.map((plan) => (
+        <motion.div
+          key={plan.id}
+          initial={{ y: 50, opacity: 0 }}
+          whileInView={{ y: 0, opacity: 1 }}
+          transition={{ duration: 0.6 }}
+          className={`p-6 rounded-lg shadow-lg bg-gray-800 hover:shadow-xl transition duration-300 ${plan.id === userPlan ? "border-2 border-yellow-400" : ""}`}
+        >
+          <h3 className="text-2xl font-bold mb-2">{plan.title}</h3>
+          <p className="text-gray-300 mb-4">{plan.desc}</p>
+          <ul className="list-disc ml-5 mb-4 text-sm text-gray-400">
+            {plan.features.map((feature, index) => (
+              <li key={index}>{feature}</li>
+            ))}
+          </ul>
+          <div className="flex items-baseline justify-between">
+            <div>
+              <div className="text-xl font-semibold">{plan.priceLabel}</div>
+              <div className="text-sm text-gray-400">Billed monthly</div>
+            </div>
+            {userPlan === "free" ? (
+              <button
+                onClick={() => payForModel(plan.priceId)}
+                disabled={plan.id === userPlan}
+                className={`${plan.color} hover:${plan.color.replace("bg-", "bg-opacity-80")} text-white px-4 py-2 rounded-lg font-semibold transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed`}
+                aria-label={plan.id === userPlan ? "Current plan" : plan.cta}
+              >
+                {plan.id === userPlan ? "Current Plan" : plan.cta}
+              </button>
+            ) : (
+              <button
+                onClick={openBilling}
+                className={`${plan.color} hover:${plan.color.replace("bg-", "bg-opacity-80")} text-white px-4 py-2 rounded-lg font-semibold transition duration-200`}
+                aria-label={plan.id === userPlan ? "Manage billing" : `Change plan to ${plan.title}`}
+              >
+                {plan.id === userPlan ? "Manage Billing" : plan.id === "free" ? "Downgrade" : "Switch"}
+              </button>
+            )}
+          </div>
+        </motion.div>
+      ))}
+    </div>
+  </section>
+);
+
+// Component: Account & Billing
+const BillingModal = ({ show, onClose, billing, isLoading, userPlan, changeSubscription, openBillingPortal }) => {
+  const subscription = billing?.subscription;
+  const isSubscribed = subscription && subscription.status !== "canceled" && userPlan !== "free";
+  const periodEnd = subscription?.currentPeriodEnd
+    ? new Date(subscription.currentPeriodEnd * 1000).toLocaleDateString()
+    : null;
+
+  return (
+    <AnimatePresence>
+      {show && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.8, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.8, opacity: 0 }}
+            className="bg-gray-800 p-8 rounded-xl w-full max-w-3xl max-h-full overflow-y-auto shadow-2xl"
+            role="dialog"
+            aria-label="Account and billing"
+          >
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-2xl font-bold">Account & Billing</h2>
+              <button
+                onClick={onClose}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg"
+                aria-label="Close billing"
+              >
+                Close
+              </button>
+            </div>
+            {isLoading && !billing ? (
+              <p className="text-gray-400">Loading your subscription…</p>
+            ) : (
+              <>
+                <div className="bg-gray-900 rounded-lg p-4 mb-6">
+                  <div className="flex items-center gap-3">
+                    <h3 className="text-xl font-semibold capitalize">{userPlan} plan</h3>
+                    {subscription && (
+                      <span className={`px-2 py-1 rounded text-xs font-bold uppercase ${subscription.status === "active" ? "bg-green-600" : "bg-red-600"}`}>
+                        {subscription.status.replace("_", " ")}
+                      </span>
+                    )}
+                  </div>
+                  {isSubscribed && periodEnd && (
+                    <p className="text-sm text-gray-400 mt-1">
+                      {subscription.cancelAtPeriodEnd ? `Cancels on ${periodEnd}` : `Renews on ${periodEnd}`}
+                    </p>
+                  )}
+                  {subscription?.lastPaymentError && (
+                    <p className="text-sm text-red-400 mt-2">
+                      Your last payment failed: {subscription.lastPaymentError} Update your payment method to keep your plan.
+                    </p>
+                  )}
+                  {!isSubscribed && (
+                    <p className="text-sm text-gray-400 mt-1">Subscribe to a plan to unlock more generations and features.</p>
+                  )}
+                </div>
+
+                {isSubscribed && (
+                  <div className="flex flex-wrap gap-3 mb-6">
+                    {PLANS.filter((plan) => plan.priceId && plan.id !== userPlan).map((plan) => (
+                      <button
+                        key={plan.id}
+                        onClick={() => changeSubscription("switch", plan.id)}
+                        disabled={isLoading}
+                        className={`${plan.color} text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50`}
+                        aria-label={`Switch to ${plan.title}`}
+                      >
+                        Switch to {plan.title} ({plan.priceLabel}, prorated)
+                      </button>
+                    ))}
+                    {subscription.cancelAtPeriodEnd ? (
+                      <button
+                        onClick={() => changeSubscription("resume")}
+                        disabled={isLoading}
+                        className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg disabled:opacity-50"
+                        aria-label="Resume subscription"
+                      >
+                        Resume Subscription
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => changeSubscription("cancel")}
+                        disabled={isLoading}
+                        className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg disabled:opacity-50"
+                        aria-label="Cancel at end of billing period"
+                      >
+                        Cancel at Period End
+                      </button>
+                    )}
+                  </div>
+                )}
+                {subscription && (
+                  <button
+                    onClick={openBillingPortal}
+                    className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg mb-6"
+                    aria-label="Manage payment method in the billing portal"
+                  >
+                    Update Payment Method
+                  </button>
+                )}
+                {!isSubscribed && (
+                  <button
+                    onClick={() => {
+                      onClose();
+                      window.scrollTo({ top: document.getElementById("plans").offsetTop, behavior: "smooth" });
+                    }}
+                    className="bg-yellow-500 hover:bg-yellow-600 text-black font-semibold px-4 py-2 rounded-lg mb-6 ml-3"
+                    aria-label="See plans"
+                  >
+                    See Plans
+                  </button>
+                )}
+
+                <h3 className="text-lg font-semibold mb-2">Invoices</h3>
+                {billing?.invoices?.length ? (
+                  <table className="w-full text-left text-sm">
+                    <thead className="text-gray-400">
+                      <tr>
+                        <th className="font-normal">Date</th>
+                        <th className="font-normal">Number</th>
+                        <th className="font-normal">Amount</th>
+                        <th className="font-normal">Status</th>
+                        <th className="font-normal" aria-label="Invoice link" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {billing.invoices.map((invoice) => (
+                        <tr key={invoice.id} className="border-t border-gray-700">
+                          <td className="py-2">{new Date(invoice.created * 1000).toLocaleDateString()}</td>
+                          <td>{invoice.number}</td>
+                          <td>{formatCurrency(invoice.amount, invoice.currency)}</td>
+                          <td className="capitalize">{invoice.status}</td>
+                          <td>
+                            {invoice.url && (
+                              <a
+                                href={invoice.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-yellow-400 hover:text-yellow-300"
+                                aria-label={`View invoice ${invoice.number}`}
+                              >
+                                View
+                              </a>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <p className="text-sm text-gray-400">No invoices yet.</p>
+                )}
+              </>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+// Component: My Models Library
+const LibraryModal = ({ show, onClose, models, isLoading, onDownload, onPreview }) => (
+  <AnimatePresence>
+    {show && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center p-4"
+      >
+        <motion.div
+          initial={{ scale: 0.8, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.8, opacity: 0 }}
+          className="bg-gray-800 p-8 rounded-xl w-full max-w-3xl max-h-full overflow-y-auto shadow-2xl"
+          role="dialog"
+          aria-label="My models"
+        >
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-bold">My Models</h2>
+            <button
+              onClick={onClose}
+              className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg"
+              aria-label="Close my models"
+            >
+              Close
+            </button>
+          </div>
+          {isLoading && models.length === 0 ? (
+            <p className="text-gray-400">Loading your models…</p>
+          ) : models.length === 0 ? (
+            <p className="text-gray-400">
+              Models you buy, or generate on the Pro plan, appear here for download.
+            </p>
+          ) : (
+            <ul className="space-y-3">
+              {models.map((model) => (
+                <li key={model.modelId} className="bg-gray-900 rounded-lg p-4 flex items-center gap-4">
+                  {model.thumbnailUrl ? (
+                    <img src={model.thumbnailUrl} alt="" className="w-16 h-16 object-cover rounded-lg" />
+                  ) : (
+                    <div className="w-16 h-16 rounded-lg bg-black" aria-hidden="true" />
+                  )}
+                  <div className="flex-1">
+                    <p className="font-semibold">{model.name}</p>
+                    <p className="text-sm text-gray-400">
+                      {model.source === "purchase" ? "Purchased" : "Generated on Pro"} · {new Date(model.acquiredAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => onPreview(model)}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg text-sm"
+                    aria-label={`Preview ${model.name}`}
+                  >
+                    Preview
+                  </button>
+                  <button
+                    onClick={() => onDownload(model)}
+                    className="bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg text-sm"
+                    aria-label={`Download ${model.name}`}
+                  >
+                    Download
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="text-xs text-gray-500 mt-4">Download links are private to you and expire after a few minutes.</p>
+        </motion.div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
+
+// Component: Gallery Review Queue (admins approve or reject published models)
+const ReviewQueueModal = ({ show, onClose, items, isLoading, onReview }) => {
+  const [reasons, setReasons] = useState({});
+
+  return (
+    <AnimatePresence>
+      {show && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.8, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.8, opacity: 0 }}
+            className="bg-gray-800 p-8 rounded-xl w-full max-w-4xl max-h-full overflow-y-auto shadow-2xl"
+            role="dialog"
+            aria-label="Gallery review queue"
+          >
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-2xl font-bold">Review Queue</h2>
+              <button
+                onClick={onClose}
+                className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg"
+                aria-label="Close review queue"
+              >
+                Close
+              </button>
+            </div>
+            {isLoading && items.length === 0 ? (
+              <p className="text-gray-400">Loading submissions…</p>
+            ) : items.length === 0 ? (
+              <p className="text-gray-400">Nothing to review. New gallery submissions appear here.</p>
+            ) : (
+              <ul className="space-y-4">
+                {items.map((item) => (
+                  <li key={item.id} className="bg-gray-900 rounded-lg p-4 grid md:grid-cols-3 gap-4">
+                    <LazyModelViewer src={item.modelUrl} alt={item.name} poster={item.thumbnailUrl} height="160px" />
+                    <div className="md:col-span-2 space-y-2">
+                      <p className="font-semibold">{item.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {[item.authorName || item.uid, licenseLabel(item.license), new Date(item.createdAt).toLocaleString()].filter(Boolean).join(" · ")}
+                      </p>
+                      {item.description && <p className="text-sm text-gray-300">{item.description}</p>}
+                      {item.tags.length > 0 && <p className="text-sm text-gray-500">Tags: {item.tags.join(", ")}</p>}
+                      {item.params?.prompt && <p className="text-sm text-gray-400">Prompt: {item.params.prompt}</p>}
+                      <input
+                        type="text"
+                        value={reasons[item.id] || ""}
+                        onChange={(e) => setReasons({ ...reasons, [item.id]: e.target.value })}
+                        placeholder="Reason shown to the publisher (required to reject)"
+                        className="w-full p-2 rounded-lg text-black text-sm focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                        aria-label={`Rejection reason for ${item.name}`}
+                      />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => onReview(item, "approve")}
+                          className="bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg text-sm"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => onReview(item, "reject", (reasons[item.id] || "").trim())}
+                          disabled={!(reasons[item.id] || "").trim()}
+                          className="bg-red-600 hover:bg-red-700 text-white px-3 py-2 rounded-lg text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+// Component: Stripe Modal
+const StripeModal = ({ show, onClose }) => (
+  <AnimatePresence>
+    {show && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 bg-black bg-opacity-70 flex items-center justify-center"
+      >
+        <motion.div
+          initial={{ scale: 0.8, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.8, opacity: 0 }}
+          className="bg-gray-800 p-8 rounded-xl w-full max-w-md shadow-2xl"
+        >
+          <h3 className="text-xl font-bold mb-4">Payment Processing</h3>
+          <p className="text-sm text-gray-300 mb-4">
+            You will be redirected to Stripe's secure checkout page to complete your purchase.
+          </p>
+          <div className="flex justify-end gap-3">
+            <button
+              onClick={onClose}
+              className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg"
+              aria-label="Close payment modal"
+            >
+              Close
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
+
+// Support inbox shown on the contact page
+const SUPPORT_EMAIL = "support@3dmodelmagic.com";
+
+// Static pages served by the router, keyed by route name
+const INFO_PAGES = {
+  terms: {
+    title: "Terms of Service",
+    sections: [
+      {
+        heading: "Using 3D Model Magic",
+        body: "You may use the generator to create 3D models for personal and commercial projects, subject to your plan's limits. Don't use it to create anything unlawful, infringing or harmful."
+      },
+      {
+        heading: "Your models",
+        body: "Models you generate are yours. When you publish a model to the gallery, you license it to others under the license you choose, and you can unpublish it at any time."
+      },
+      {
+        heading: "Subscriptions and payments",
+        body: "Subscriptions renew monthly until cancelled and can be cancelled from the billing page, taking effect at the end of the period. Payments are processed by Stripe."
+      },
+      {
+        heading: "No warranty",
+        body: "Generated models are provided as-is. Check dimensions, tolerances and printability before relying on a print."
+      }
+    ]
+  },
+  privacy: {
+    title: "Privacy Policy",
+    sections: [
+      {
+        heading: "What we collect",
+        body: "Your email address and sign-in details (through Firebase Authentication), your prompts, settings and generated models, and your plan and payment status. Card details go directly to Stripe and never reach our servers."
+      },
+      {
+        heading: "How we use it",
+        body: "To generate and store your models, enforce plan limits, process payments, and understand how the app is used through aggregated Google Analytics events."
+      },
+      {
+        heading: "Sharing",
+        body: "Prompts and reference images are sent to our 3D generation provider. Published models, with their titles, descriptions and settings, are visible to everyone."
+      },
+      {
+        heading: "Your choices",
+        body: "You can delete history entries and unpublish models at any time. Contact us to export or delete your account data."
+      }
+    ]
+  },
+  contact: {
+    title: "Contact Us",
+    sections: [
+      {
+        heading: "Support",
+        body: `Questions about your account, billing or a generation? Email ${SUPPORT_EMAIL} and we'll get back to you within two business days.`
+      },
+      {
+        heading: "Reporting content",
+        body: `To report a gallery model that infringes your rights or breaks our terms, email ${SUPPORT_EMAIL} with a link to the model.`
+      }
+    ]
+  },
+  notFound: {
+    title: "Page Not Found",
+    sections: [{ heading: "", body: "This page doesn't exist. It may have moved, or the link may be mistyped." }]
+  }
+};
+
+// Component: Static Page (terms, privacy, contact, not found)
+const InfoPage = ({ page }) => (
+  <section className="py-16 container mx-auto px-4 max-w-3xl min-h-screen">
+    <h1 className="text-4xl font-bold mb-8">{page.title}</h1>
+    {page.sections.map((section, i) => (
+      <div key={i} className="mb-6">
+        {section.heading && <h2 className="text-xl font-semibold mb-2">{section.heading}</h2>}
+        <p className="text-gray-300">{section.body}</p>
+      </div>
+    ))}
+    {page === INFO_PAGES.contact && (
+      <a
+        href={`mailto:${SUPPORT_EMAIL}`}
+        className="inline-block mt-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition duration-200"
+      >
+        Email Support
+      </a>
+    )}
+    <p className="mt-8">
+      <Link to="/" className="text-blue-300 hover:underline">Back to 3D Model Magic</Link>
+    </p>
+  </section>
+);
+
+// Component: Admin user row (plan/quota override and Stripe refunds or credits)
+const AdminUserRow = ({ user, payments, onOverride, onLoadPayments, onAdjustBilling, onViewGenerations }) => {
+  const [plan, setPlan] = useState(user.override?.plan || "");
+  const [quota, setQuota] = useState(user.override?.monthlyGenerations ?? "");
+  const [note, setNote] = useState("");
+  const [showBilling, setShowBilling] = useState(false);
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+  // Idempotency key of the last adjustment that didn't go through, reused when it's retried unchanged
+  const lastAttemptRef = useRef({ request: null, key: null });
+
+  const saveOverride = async () => {
+    const saved = await onOverride(user.uid, {
+      plan: plan || null,
+      monthlyGenerations: quota === "" ? null : Number(quota),
+      note: note.trim()
+    });
+    if (saved) setNote("");
+  };
+  const adjust = async (adjustment) => {
+    const request = JSON.stringify({ ...adjustment, reason: reason.trim() });
+    if (lastAttemptRef.current.request !== request) lastAttemptRef.current = { request, key: crypto.randomUUID() };
+    const done = await onAdjustBilling(user.uid, { ...adjustment, reason: reason.trim(), idempotencyKey: lastAttemptRef.current.key });
+    if (done) {
+      lastAttemptRef.current = { request: null, key: null };
+      setAmount("");
+      setReason("");
+    }
+  };
+  const toggleBilling = () => {
+    if (!showBilling && !payments) onLoadPayments(user.uid);
+    setShowBilling(!showBilling);
+  };
+
+  return (
+    <li className="bg-gray-900 rounded-lg p-4">
+      <div className="flex flex-wrap justify-between gap-2">
+        <div>
+          <p className="font-semibold">
+            {user.email || user.uid}
+            {user.admin && <span className="ml-2 text-xs bg-purple-600 px-2 py-0.5 rounded">Admin</span>}
+            {user.disabled && <span className="ml-2 text-xs bg-red-600 px-2 py-0.5 rounded">Disabled</span>}
+          </p>
+          <p className="text-xs text-gray-500">
+            {[user.uid, user.lastSignInAt && `last signed in ${new Date(user.lastSignInAt).toLocaleDateString()}`].filter(Boolean).join(" · ")}
+          </p>
+        </div>
+        <div className="text-sm text-right">
+          <p>
+            <span className="capitalize">{user.plan}</span>
+            {user.override?.plan && <span className="text-yellow-400"> (override)</span>}
+            {user.subscription && <span className="text-gray-400"> · subscription {user.subscription.status}</span>}
+          </p>
+          <p className="text-gray-400">
+            {user.usage.used} / {user.usage.limit ?? "∞"} generations this month
+            {user.override?.monthlyGenerations != null && <span className="text-yellow-400"> (override)</span>}
+          </p>
+          <button onClick={() => onViewGenerations(user.uid)} className="text-blue-300 hover:underline">
+            {user.generations.total} generations, {user.generations.failed} failed
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2 mt-3 text-sm">
+        <label className="flex flex-col">
+          <span className="text-gray-400 text-xs">Plan</span>
+          <select value={plan} onChange={(e) => setPlan(e.target.value)} className="p-2 rounded-lg text-black">
+            <option value="">From subscription</option>
+            {PLANS.map((p) => (
+              <option key={p.id} value={p.id}>{p.title}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          <span className="text-gray-400 text-xs">Monthly generations</span>
+          <input
+            type="number"
+            min="0"
+            value={quota}
+            onChange={(e) => setQuota(e.target.value)}
+            placeholder="Plan default"
+            className="p-2 rounded-lg text-black w-32"
+          />
+        </label>
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note (required)"
+          className="p-2 rounded-lg text-black flex-1 min-w-[10rem]"
+          aria-label={`Override note for ${user.email || user.uid}`}
+        />
+        <button
+          onClick={saveOverride}
+          disabled={!note.trim()}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Save Override
+        </button>
+        <button onClick={toggleBilling} className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg">
+          {showBilling ? "Hide Payments" : "Payments"}
+        </button>
+      </div>
+      {user.override?.note && <p className="text-xs text-gray-500 mt-1">Override note: {user.override.note}</p>}
+
+      {showBilling && (
+        <div className="mt-4 border-t border-gray-700 pt-3 text-sm">
+          {!payments ? (
+            <p className="text-gray-400">Loading payments…</p>
+          ) : payments.payments.length === 0 ? (
+            <p className="text-gray-400">No Stripe payments.</p>
+          ) : (
+            <table className="w-full text-left">
+              <thead className="text-gray-400">
+                <tr>
+                  <th className="font-normal">Date</th>
+                  <th className="font-normal">Description</th>
+                  <th className="font-normal">Amount</th>
+                  <th className="font-normal">Refunded</th>
+                  <th className="font-normal" aria-label="Refund" />
+                </tr>
+              </thead>
+              <tbody>
+                {payments.payments.map((payment) => (
+                  <tr key={payment.id} className="border-t border-gray-700">
+                    <td className="py-2">{new Date(payment.created * 1000).toLocaleDateString()}</td>
+                    <td>{payment.description || payment.id}</td>
+                    <td>{formatCurrency(payment.amount, payment.currency)}</td>
+                    <td>{payment.amountRefunded ? formatCurrency(payment.amountRefunded, payment.currency) : "—"}</td>
+                    <td>
+                      <button
+                        onClick={() => adjust({ action: "refund", paymentIntentId: payment.id, amount: amount ? dollarsToCents(amount) : null })}
+                        disabled={!reason.trim() || payment.amountRefunded >= payment.amount || (amount !== "" && !dollarsToCents(amount))}
+                        className="text-red-400 hover:text-red-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {amount ? `Refund ${formatCurrency(dollarsToCents(amount) || 0)}` : "Refund Remaining"}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {payments && payments.customerIds.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-3">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="Amount in $ (empty refunds all)"
+                className="p-2 rounded-lg text-black w-56"
+                aria-label="Adjustment amount in dollars"
+              />
+              <input
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Reason (required)"
+                className="p-2 rounded-lg text-black flex-1 min-w-[10rem]"
+                aria-label="Adjustment reason"
+              />
+              <button
+                onClick={() => adjust({ action: "credit", amount: dollarsToCents(amount) })}
+                disabled={!reason.trim() || !dollarsToCents(amount)}
+                className="bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Add Account Credit
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Component: Admin dashboard (users, generations, gallery features and the audit log)
+const AdminDashboard = ({
+  tab,
+  setTab,
+  data,
+  isLoading,
+  filters,
+  setFilters,
+  loadMore,
+  payments,
+  onOverride,
+  onLoadPayments,
+  onAdjustBilling,
+  onViewGenerations,
+  onFeature,
+  openReviewQueue
+}) => {
+  const [userQuery, setUserQuery] = useState(filters.userQuery);
+  const page = data[tab];
+
+  return (
+    <section className="py-16 container mx-auto px-4 min-h-screen">
+      <h1 className="text-4xl font-bold mb-6">Admin</h1>
+      <div className="flex flex-wrap gap-2 mb-6" role="tablist">
+        {ADMIN_TABS.map((t) => (
+          <button
+            key={t.id}
+            role="tab"
+            aria-selected={tab === t.id}
+            onClick={() => setTab(t.id)}
+            className={`px-4 py-2 rounded-lg ${tab === t.id ? "bg-yellow-500 text-black font-semibold" : "bg-gray-700 hover:bg-gray-600 text-white"}`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === "users" && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setFilters({ userQuery: userQuery.trim() });
+          }}
+          className="flex gap-2 mb-4"
+        >
+          <input
+            type="search"
+            value={userQuery}
+            onChange={(e) => setUserQuery(e.target.value)}
+            placeholder="Email address or uid…"
+            className="p-2 rounded-lg text-black flex-1 max-w-md"
+            aria-label="Search users"
+          />
+          <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">
+            Search
+          </button>
+        </form>
+      )}
+      {tab === "generations" && (
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+          <select
+            value={filters.generationStatus}
+            onChange={(e) => setFilters({ generationStatus: e.target.value })}
+            className="p-2 rounded-lg text-black"
+            aria-label="Filter generations by status"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(JOB_STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+          {filters.generationUid && (
+            <button
+              onClick={() => setFilters({ generationUid: "" })}
+              className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg"
+              aria-label="Show every user's generations"
+            >
+              User {filters.generationUid} ✕
+            </button>
+          )}
+        </div>
+      )}
+      {tab === "gallery" && (
+        <button onClick={openReviewQueue} className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg mb-4">
+          Open Review Queue
+        </button>
+      )}
+
+      {!page ? (
+        <p className="text-gray-400">{isLoading ? "Loading…" : "Nothing loaded."}</p>
+      ) : page.items.length === 0 ? (
+        <p className="text-gray-400">Nothing to show.</p>
+      ) : tab === "users" ? (
+        <ul className="space-y-3">
+          {page.items.map((u) => (
+            <AdminUserRow
+              key={u.uid}
+              user={u}
+              payments={payments[u.uid]}
+              onOverride={onOverride}
+              onLoadPayments={onLoadPayments}
+              onAdjustBilling={onAdjustBilling}
+              onViewGenerations={onViewGenerations}
+            />
+          ))}
+        </ul>
+      ) : tab === "generations" ? (
+        <table className="w-full text-left text-sm">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="font-normal">Started</th>
+              <th className="font-normal">User</th>
+              <th className="font-normal">Status</th>
+              <th className="font-normal">Prompt</th>
+              <th className="font-normal">Failure reason</th>
+            </tr>
+          </thead>
+          <tbody>
+            {page.items.map((job) => (
+              <tr key={job.jobId} className="border-t border-gray-700 align-top">
+                <td className="py-2 pr-2 whitespace-nowrap">{new Date(job.createdAt).toLocaleString()}</td>
+                <td className="pr-2">
+                  <button onClick={() => onViewGenerations(job.uid)} className="text-blue-300 hover:underline">{job.uid}</button>
+                </td>
+                <td className="pr-2">{JOB_STATUS_LABELS[job.status] || job.status}</td>
+                <td className="pr-2 text-gray-300">{job.prompt || `(${job.conditioning} conditioning)`}</td>
+                <td className="text-red-400">{job.error || ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : tab === "gallery" ? (
+        <ul className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {page.items.map((item) => (
+            <li key={item.id} className="bg-gray-900 rounded-lg p-4">
+              <p className="font-semibold">
+                {item.name}
+                {item.featured && <span className="ml-2 text-xs bg-yellow-500 text-black px-2 py-0.5 rounded">Featured</span>}
+              </p>
+              <p className="text-xs text-gray-500 mb-3">
+                {[item.authorName, `${item.likes} likes`, new Date(item.createdAt).toLocaleDateString()].filter(Boolean).join(" · ")}
+              </p>
+              <div className="flex gap-2 text-sm">
+                <button
+                  onClick={() => onFeature(item, !item.featured)}
+                  disabled={item.status !== "approved"}
+                  className="bg-yellow-500 hover:bg-yellow-600 text-black px-3 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {item.featured ? "Unfeature" : "Feature"}
+                </button>
+                <Link to={`/gallery/${encodeURIComponent(item.id)}`} className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg">
+                  View
+                </Link>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <table className="w-full text-left text-sm">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="font-normal">When</th>
+              <th className="font-normal">Admin</th>
+              <th className="font-normal">Action</th>
+              <th className="font-normal">Target</th>
+              <th className="font-normal">Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {page.items.map((entry) => (
+              <tr key={entry.id} className="border-t border-gray-700 align-top">
+                <td className="py-2 pr-2 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                <td className="pr-2">{entry.adminEmail || entry.adminUid}</td>
+                <td className="pr-2">
+                  {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                  {entry.status && entry.status !== "completed" && (
+                    <span className={`ml-2 text-xs px-2 py-0.5 rounded ${entry.status === "failed" ? "bg-red-600" : "bg-yellow-600"}`}>
+                      {entry.status === "failed" ? "Failed" : "Pending"}
+                    </span>
+                  )}
+                </td>
+                <td className="pr-2">{entry.targetId}</td>
+                <td className="text-gray-300">{auditDetails(entry.details)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {page?.nextCursor && (
+        <button
+          onClick={() => loadMore(tab)}
+          disabled={isLoading}
+          className="mt-6 bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg disabled:opacity-50"
+        >
+          {isLoading ? "Loading…" : page.total === null ? "Load More" : `Load More (${page.items.length} of ${page.total})`}
+        </button>
+      )}
+    </section>
+  );
+};
+
+// Component: Footer
+const Footer = () => (
+  <footer className="py-12 bg-gray-900 text-center text-gray-400">
+    <div className="container mx-auto px-4">
+      <p>&copy; {new Date().getFullYear()} 3D Model Magic. All rights reserved.</p>
+      <div className="mt-4 space-x-4">
+        <Link to="/terms" className="hover:text-yellow-400 transition duration-200" aria-label="Terms of Service">
+          Terms of Service
+        </Link>
+        <Link to="/privacy" className="hover:text-yellow-400 transition duration-200" aria-label="Privacy Policy">
+          Privacy Policy
+        </Link>
+        <Link to="/contact" className="hover:text-yellow-400 transition duration-200" aria-label="Contact Us">
+          Contact Us
+        </Link>
+      </div>
+    </div>
+  </footer>
+);
+
+// Main App Component
+function App() {
+  // State management
+  const [prompt, setPrompt] = useState("");
+  const [promptOptions, setPromptOptions] = useState(DEFAULT_PROMPT_OPTIONS);
+  const [negativePrompt, setNegativePrompt] = useState("");
+  const [seed, setSeed] = useState("");
+  const [width, setWidth] = useState("");
+  const [height, setHeight] = useState("");
+  const [depth, setDepth] = useState("");
+  const [material, setMaterial] = useState("plastic");
+  const [supports, setSupports] = useState(false);
+  const [shellThickness, setShellThickness] = useState("");
+  const [infill, setInfill] = useState("20");
+  const [referenceImages, setReferenceImages] = useState({ front: null, side: null, back: null });
+  const [conditioning, setConditioning] = useState("text");
+  const [isLoading, setIsLoading] = useState(false);
+  const [job, setJob] = useState(() => loadActiveJob());
+  const [batch, setBatch] = useState(() => loadActiveBatch());
+  const [variantSweep, setVariantSweep] = useState(DEFAULT_VARIANT_SWEEP);
+  const [revisions, setRevisions] = useState([]);
+  const [modelUrl, setModelUrl] = useState(null);
+  const [error, setError] = useState("");
+  const [rejectionReasons, setRejectionReasons] = useState([]);
+  const [user, setUser] = useState(null);
+  const [userPlan, setUserPlan] = useState("free");
+  const [authMode, setAuthMode] = useState(null);
+  const [pendingLink, setPendingLink] = useState(null);
+  const [isAuthSubmitting, setIsAuthSubmitting] = useState(false);
+  const [showStripeModal, setShowStripeModal] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [activeHistoryId, setActiveHistoryId] = useState(null);
+  const [mesh, setMesh] = useState(null);
+  const [meshReport, setMeshReport] = useState(null);
+  const [meshError, setMeshError] = useState("");
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [printerSettings, setPrinterSettings] = useState(() => loadPrinterSettings());
+  const [scaleOffer, setScaleOffer] = useState(null);
+  const [printability, setPrintability] = useState(null);
+  const [showOverlay, setShowOverlay] = useState(false);
+  const [overlayUrl, setOverlayUrl] = useState(null);
+  const [materialTable, setMaterialTable] = useState(() => loadMaterialTable());
+  const [generationsUsed, setGenerationsUsed] = useState(0);
+  const [generationLimit, setGenerationLimit] = useState(getEntitlements("free").monthlyGenerations);
+  const [upsellReason, setUpsellReason] = useState("");
+  const [checkoutReturn, setCheckoutReturn] = useState(() => readCheckoutReturn());
+  const [showBilling, setShowBilling] = useState(() => readBillingReturn());
+  const [billing, setBilling] = useState(null);
+  const [isBillingLoading, setIsBillingLoading] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [library, setLibrary] = useState([]);
+  const [isLibraryLoading, setIsLibraryLoading] = useState(false);
+  const [gallery, setGallery] = useState({ items: [], total: 0, nextCursor: null, tags: [] });
+  const [galleryQuery, setGalleryQuery] = useState(DEFAULT_GALLERY_QUERY);
+  const [isGalleryLoading, setIsGalleryLoading] = useState(false);
+  const [publishDraft, setPublishDraft] = useState(null);
+  const [route, setRoute] = useState(() => matchRoute());
+  const [galleryItem, setGalleryItem] = useState(null);
+  const [isGalleryItemLoading, setIsGalleryItemLoading] = useState(false);
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [showReviewQueue, setShowReviewQueue] = useState(false);
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [isReviewQueueLoading, setIsReviewQueueLoading] = useState(false);
+  const [adminTab, setAdminTab] = useState("users");
+  const [adminData, setAdminData] = useState({});
+  const [adminFilters, setAdminFilters] = useState({ userQuery: "", generationStatus: "failed", generationUid: "" });
+  const [adminPayments, setAdminPayments] = useState({});
+  const [isAdminLoading, setIsAdminLoading] = useState(false);
+  const jobRef = useRef(job);
+  const userRef = useRef(user);
+  const printerSaveTimer = useRef(null);
+  const batchRef = useRef(batch);
+  const previewRef = useRef(null);
+  const galleryRequestRef = useRef(0);
+  const handledRouteRef = useRef(null);
+  const adminRequestRef = useRef(0);
+  const historyOpenRef = useRef(0);
+  const handlersRef = useRef(null);
+  const printer = useMemo(() => resolvePrinter(printerSettings), [printerSettings]);
+  const signedInUid = user?.uid || null;
+  const previewModelId = currentModelId();
+  const createLink = generatorLink(generatorSettings());
+  const galleryTagKey = galleryQuery.tags.join(",");
+  const adminTabData = adminData[adminTab];
+
+  // Mirror the handlers effects call, so each effect re-runs only for the state it lists
+  useEffect(() => {
+    handlersRef.current = {
+      pollGenerationJob, pollBatch, fetchUserPlan, confirmCheckout, loadRevisionsOf, fetchGallery, fetchAdminList,
+      applyGeneratorSettings, scrollToGenerator, loadGalleryItem, openGenerationLink
+    };
+  });
+
+  // Sync generation history for the signed-in user
+  useEffect(() => {
+    if (!signedInUid) {
+      setHistory([]);
+      setActiveHistoryId(null);
+      return undefined;
+    }
+    return generationsCollection(signedInUid)
+      .orderBy("createdAt", "desc")
+      .limit(HISTORY_LIMIT)
+      .onSnapshot(
+        (snapshot) => setHistory(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }))),
+        (err) => {
+          console.error("Failed to load generation history:", err);
+          toast.error("Could not load your generation history.");
+        }
+      );
+  }, [signedInUid]);
+
+  // Load the revision chain of the previewed model (kept while stepping between its versions)
+  useEffect(() => {
+    if (!signedInUid || !previewModelId) {
+      setRevisions([]);
+      return;
+    }
+    handlersRef.current.loadRevisionsOf(previewModelId);
+  }, [modelUrl, previewModelId, signedInUid]);
+
+  // Reflect a settled refinement job in the revision chain
+  useEffect(() => {
+    if (!job || isJobActive(job)) return;
+    setRevisions((chain) => chain.map((r) => (r.jobId === job.id ? { ...r, status: job.status, modelUrl: job.modelUrl || null } : r)));
+  }, [job]);
+
+  // Remember edited material densities and prices
+  useEffect(() => {
+    try {
+      localStorage.setItem(MATERIAL_TABLE_STORAGE_KEY, JSON.stringify(materialTable));
+    } catch (err) {
+      console.error("Failed to save material table:", err);
+    }
+  }, [materialTable]);
+
+  // Load and analyze the mesh whenever a new model is previewed
+  useEffect(() => {
+    setMesh(null);
+    setMeshReport(null);
+    setMeshError("");
+    if (!modelUrl) return undefined;
+
+    let cancelled = false;
+    setIsAnalyzing(true);
+    loadMesh(modelUrl)
+      .then((loaded) => {
+        if (cancelled) return;
+        setMesh(loaded);
+        setMeshReport(analyzeMesh(loaded));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Mesh analysis failed:", err);
+        setMeshError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsAnalyzing(false);
+      });
+    return () => { cancelled = true; };
+  }, [modelUrl]);
+
+  // Load the signed-in user's saved printer profile
+  useEffect(() => {
+    if (!signedInUid) return;
+    userSettingsDoc(signedInUid)
+      .get()
+      .then((doc) => {
+        const saved = doc.data()?.printer;
+        if (saved) setPrinterSettings(normalizePrinterSettings(saved));
+      })
+      .catch((err) => console.error("Failed to load printer profile:", err));
+  }, [signedInUid]);
+
+  // Check overhangs, wall thickness and build volume at the requested size (debounced while typing)
+  useEffect(() => {
+    setPrintability(null);
+    if (!mesh) return undefined;
+    const timer = setTimeout(() => {
+      try {
+        const printMesh = scaleToDimensions(toPrintSpace(mesh), { width, height, depth });
+        setPrintability({ ...analyzePrintability(printMesh, { printer, shellThickness }), printMesh, printerId: printer.id });
+      } catch (err) {
+        console.error("Printability check failed:", err);
+      }
+    }, PRINTABILITY_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [mesh, width, height, depth, shellThickness, printer]);
+
+  // Build the colored overlay model while it is shown
+  useEffect(() => {
+    if (!showOverlay || !printability) {
+      setOverlayUrl(null);
+      return undefined;
+    }
+    const url = URL.createObjectURL(buildPrintabilityGlb(printability.printMesh, printability.faceClasses));
+    setOverlayUrl(url);
+    trackEvent("Model", "PrintabilityOverlay", printability.printerId);
+    return () => URL.revokeObjectURL(url);
+  }, [showOverlay, printability]);
+
+  // Attach a thumbnail to the active history entry once its preview loads
+  useEffect(() => {
+    const viewer = previewRef.current;
+    const entry = history.find((h) => h.id === activeHistoryId);
+    if (!viewer || !signedInUid || !entry || entry.thumbnailUrl || !isSameModel(entry.modelUrl, modelUrl)) return undefined;
+
+    const handleLoad = async () => {
+      const thumbnailUrl = await captureThumbnail(viewer);
+      if (!thumbnailUrl) return;
+      generationsCollection(signedInUid).doc(entry.id).update({ thumbnailUrl }).catch((err) => {
+        console.error("Failed to save thumbnail:", err);
+      });
+    };
+    if (viewer.loaded) {
+      handleLoad();
+      return undefined;
+    }
+    viewer.addEventListener("load", handleLoad);
+    return () => viewer.removeEventListener("load", handleLoad);
+  }, [modelUrl, activeHistoryId, history, signedInUid]);
+
+  // Mirror the signed-in user for callbacks that outlive a render (job polling)
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+
+  // Keep the active job in localStorage so it survives a page reload
+  useEffect(() => {
+    jobRef.current = job;
+    saveActiveJob(job);
+  }, [job]);
+
+  // Poll the active generation job until it settles
+  useEffect(() => {
+    if (!isJobActive(job)) return undefined;
+    const timer = setTimeout(() => handlersRef.current.pollGenerationJob(job), JOB_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [job]);
+
+  // Keep the variant batch in localStorage until one is picked
+  useEffect(() => {
+    batchRef.current = batch;
+    saveActiveBatch(batch);
+  }, [batch]);
+
+  // Poll the batch's unfinished variants until they all settle
+  useEffect(() => {
+    if (!isBatchActive(batch)) return undefined;
+    const timer = setTimeout(() => handlersRef.current.pollBatch(batch), JOB_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [batch]);
+
+  // Firebase auth state
+  useEffect(() => {
+    const unsubscribe = firebase.auth().onAuthStateChanged((u) => {
+      if (u) {
+        // isAdmin stays null until the token's claims are read (admins carry the `admin` custom claim)
+        setUser({ email: u.email, uid: u.uid, emailVerified: isEmailVerified(u), isAdmin: null });
+        const setAdmin = (isAdmin) => setUser((current) => (current?.uid === u.uid ? { ...current, isAdmin } : current));
+        u.getIdTokenResult()
+          .then((result) => setAdmin(result.claims.admin === true))
+          .catch((err) => {
+            console.error("Failed to read token claims:", err);
+            setAdmin(false);
+          });
+        handlersRef.current.fetchUserPlan().then((plan) => {
+          setUserPlan(plan || "free");
+          trackEvent("Auth", "SignIn", u.email);
+        });
+      } else {
+        setUser(null);
+        setUserPlan("free");
+        applyUsage({ used: 0, limit: getEntitlements("free").monthlyGenerations });
+        setAdminData({});
+        setAdminPayments({});
+      }
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // Handle the return trip from Stripe checkout once auth has resolved
+  useEffect(() => {
+    if (!checkoutReturn) return;
+    if (checkoutReturn.result === "cancelled") {
+      toast.info("Checkout cancelled. You have not been charged.");
+      trackEvent("Payment", "CheckoutCancelled", "");
+      setCheckoutReturn(null);
+      return;
+    }
+    if (!signedInUid) return;
+    setCheckoutReturn(null);
+    handlersRef.current.confirmCheckout(checkoutReturn.sessionId);
+  }, [checkoutReturn, signedInUid]);
+
+  // Load billing details whenever the billing page opens
+  useEffect(() => {
+    if (showBilling && signedInUid) fetchBillingOverview();
+    if (!signedInUid) setBilling(null);
+  }, [showBilling, signedInUid]);
+
+  // Fetch subscription state and invoices for the billing page
+  async function fetchBillingOverview() {
+    setIsBillingLoading(true);
+    try {
+      const resp = await apiFetch("get-billing-overview");
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Billing request failed with ${resp.status}`);
+      setBilling(data);
+      setUserPlan(data.plan || "free");
+    } catch (err) {
+      console.error("Failed to load billing:", err);
+      toast.error("Could not load billing details.");
+    } finally {
+      setIsBillingLoading(false);
+    }
+  }
+
+  // Open the account/billing page (sign-in required)
+  function openBilling() {
+    if (!user) {
+      setAuthMode("signIn");
+      return;
+    }
+    setShowBilling(true);
+    trackEvent("Billing", "Open", userPlan);
+  }
+
+  // Switch plans, cancel at period end, or resume the subscription
+  async function changeSubscription(action, plan) {
+    setIsBillingLoading(true);
+    try {
+      const resp = await apiFetch("update-subscription", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action, plan })
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Update failed with ${resp.status}`);
+      setUserPlan(data.plan || "free");
+      fetchUserPlan();
+      toast.success({
+        switch: `Switched to ${plan}. The difference is prorated on your next invoice.`,
+        cancel: "Your subscription will end at the close of this billing period.",
+        resume: "Your subscription will renew as usual."
+      }[action]);
+      trackEvent("Billing", `Subscription${action[0].toUpperCase()}${action.slice(1)}`, plan || userPlan);
+      await fetchBillingOverview();
+    } catch (err) {
+      console.error("Subscription update failed:", err);
+      toast.error(err.message || "Could not update your subscription.");
+      setIsBillingLoading(false);
+    }
+  }
+
+  // Redirect to the Stripe billing portal to manage cards and invoices
+  async function openBillingPortal() {
+    try {
+      const resp = await apiFetch("create-portal-session", { method: "POST" });
+      const data = await resp.json();
+      if (!data.url) throw new Error(data.error || "No portal URL returned.");
+      trackEvent("Billing", "PortalOpened", userPlan);
+      window.location.href = data.url;
+    } catch (err) {
+      console.error("Billing portal error:", err);
+      toast.error(err.message || "Could not open the billing portal.");
+    }
+  }
+
+  // Load the signed-in user's model library when it opens
+  useEffect(() => {
+    if (showLibrary && signedInUid) fetchLibrary();
+    if (!signedInUid) setLibrary([]);
+  }, [showLibrary, signedInUid]);
+
+  // Fetch the models the user owns
+  async function fetchLibrary() {
+    setIsLibraryLoading(true);
+    try {
+      const resp = await apiFetch("list-my-models");
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Library request failed with ${resp.status}`);
+      setLibrary(data.models || []);
+    } catch (err) {
+      console.error("Failed to load library:", err);
+      toast.error("Could not load your models.");
+    } finally {
+      setIsLibraryLoading(false);
+    }
+  }
+
+  // Reload the gallery when the search, tags, sort or signed-in user change (typing is debounced)
+  useEffect(() => {
+    const timer = setTimeout(() => handlersRef.current.fetchGallery(), GALLERY_SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [galleryQuery.q, galleryTagKey, galleryQuery.sort, signedInUid]);
+
+  // Fetch a gallery page: the first one replaces the list, a cursor appends the next.
+  // Responses to superseded searches are dropped.
+  async function fetchGallery(cursor = null) {
+    const requestId = ++galleryRequestRef.current;
+    const params = new URLSearchParams({ sort: galleryQuery.sort, limit: String(GALLERY_PAGE_SIZE) });
+    if (galleryQuery.q.trim()) params.set("q", galleryQuery.q.trim());
+    if (galleryQuery.tags.length) params.set("tags", galleryQuery.tags.join(","));
+    if (cursor) params.set("cursor", cursor);
+    setIsGalleryLoading(true);
+    try {
+      const resp = await apiFetch(`list-gallery?${params}`);
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Gallery request failed with ${resp.status}`);
+      if (requestId !== galleryRequestRef.current) return;
+      setGallery((current) => ({
+        items: cursor ? [...current.items, ...data.items] : data.items,
+        total: data.total,
+        nextCursor: data.nextCursor,
+        tags: data.tags
+      }));
+      if (!cursor && galleryQuery.q.trim()) trackEvent("Gallery", "Search", galleryQuery.q.trim());
+    } catch (err) {
+      console.error("Failed to load gallery:", err);
+      if (requestId === galleryRequestRef.current) toast.error("Could not load the gallery.");
+    } finally {
+      if (requestId === galleryRequestRef.current) setIsGalleryLoading(false);
+    }
+  }
+
+  // Follow browser back/forward as well as in-app navigation
+  useEffect(() => {
+    const handlePopState = (e) => {
+      // Back/forward (the browser's own events) revisit a URL, so its state is restored again
+      if (e.isTrusted) handledRouteRef.current = null;
+      setRoute(matchRoute());
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // Restore the state a URL describes, once per visit (generation links wait for sign-in)
+  useEffect(() => {
+    if (handledRouteRef.current === route.key) return;
+    if (route.name === "generation" && !signedInUid) return;
+    handledRouteRef.current = route.key;
+    const handlers = handlersRef.current;
+    if (route.name === "create") {
+      handlers.applyGeneratorSettings(readGeneratorQuery(route.query));
+      handlers.scrollToGenerator();
+    } else if (route.name === "galleryItem") {
+      handlers.loadGalleryItem(route.params.itemId);
+    } else if (route.name === "generation") {
+      handlers.openGenerationLink(route.params.entryId);
+    }
+  }, [route, signedInUid]);
+
+  // Keep the /create URL in step with the form so it can be shared or bookmarked
+  useEffect(() => {
+    if (route.name !== "create") return;
+    if (createLink === `${window.location.pathname}${window.location.search}`) return;
+    handledRouteRef.current = createLink;
+    window.history.replaceState({}, "", createLink);
+  }, [route.name, createLink]);
+
+  // Navigate for an in-app action whose state is already on screen (so it isn't restored again)
+  function goTo(path) {
+    if (path === `${window.location.pathname}${window.location.search}`) return;
+    handledRouteRef.current = path;
+    navigate(path);
+  }
+
+  // Scroll to the generator once the current route has rendered (leaving pages that don't show it)
+  function scrollToGenerator() {
+    if (INFO_PAGES[matchRoute().name] || matchRoute().name === "admin") goTo("/");
+    setTimeout(() => {
+      const generator = document.getElementById("generator");
+      if (generator) window.scrollTo({ top: generator.offsetTop, behavior: "smooth" });
+    }, 0);
+  }
+
+  // Generator settings that /create links carry
+  function generatorSettings() {
+    return { prompt, ...promptOptions, seed, width, height, depth, material, infill, supports };
+  }
+
+  // Fill the generator from link settings (fields the link doesn't set are left alone)
+  function applyGeneratorSettings(settings) {
+    if (settings.prompt !== undefined) setPrompt(settings.prompt);
+    if (settings.template || settings.style || settings.detail) {
+      setPromptOptions({
+        template: settings.template ?? DEFAULT_PROMPT_OPTIONS.template,
+        style: settings.style ?? DEFAULT_PROMPT_OPTIONS.style,
+        detail: settings.detail ?? DEFAULT_PROMPT_OPTIONS.detail
+      });
+    }
+    if (settings.seed !== undefined) setSeed(settings.seed);
+    if (settings.width !== undefined) setWidth(settings.width);
+    if (settings.height !== undefined) setHeight(settings.height);
+    if (settings.depth !== undefined) setDepth(settings.depth);
+    if (settings.material !== undefined) setMaterial(settings.material);
+    if (settings.infill !== undefined) setInfill(settings.infill);
+    if (settings.supports) setSupports(getEntitlements(userPlan).printSupports);
+  }
+
+  // Copy an absolute link to an in-app path
+  async function copyLink(path) {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${path}`);
+      toast.success("Link copied.");
+      trackEvent("Share", "CopyLink", path.split("?")[0]);
+    } catch (err) {
+      console.error("Copy failed:", err);
+      toast.error("Could not copy the link.");
+    }
+  }
+
+  // Load the gallery item a /gallery/<id> link points to, and put it in the generator preview
+  async function loadGalleryItem(itemId) {
+    setGalleryItem(null);
+    setIsGalleryItemLoading(true);
+    try {
+      const resp = await apiFetch(`get-gallery-item?id=${encodeURIComponent(itemId)}`);
+      const data = await resp.json();
+      if (resp.status === 404) return;
+      if (!resp.ok) throw new Error(data.error || `Gallery item request failed with ${resp.status}`);
+      setGalleryItem(data);
+      setPrompt(data.name);
+      setModelUrl(data.modelUrl);
+      setActiveHistoryId(null);
+    } catch (err) {
+      console.error("Failed to load gallery item:", err);
+      toast.error("Could not load this model.");
+    } finally {
+      setIsGalleryItemLoading(false);
+    }
+  }
+
+  // Load a gallery model into the generator preview and give it a shareable URL
+  function tryGalleryItem(item) {
+    setGalleryItem(item);
+    setPrompt(item.name);
+    setModelUrl(item.modelUrl);
+    setActiveHistoryId(null);
+    goTo(`/gallery/${encodeURIComponent(item.id)}`);
+    scrollToGenerator();
+    trackEvent("Gallery", "TryModel", item.name);
+  }
+
+  // Open the history entry a /generations/<id> link points to (only its owner can)
+  async function openGenerationLink(entryId) {
+    try {
+      const doc = await generationsCollection(user.uid).doc(entryId).get();
+      if (!doc.exists) {
+        toast.error("That generation isn't in your history.");
+        return;
+      }
+      openHistoryEntry({ id: doc.id, ...doc.data() });
+    } catch (err) {
+      console.error("Failed to open generation link:", err);
+      toast.error("Could not open this generation.");
+    }
+  }
+
+  // Apply a change to one loaded gallery item
+  function updateGalleryItem(itemId, patch) {
+    setGallery((current) => ({
+      ...current,
+      items: current.items.map((item) => (item.id === itemId ? { ...item, ...patch } : item))
+    }));
+    setGalleryItem((current) => (current?.id === itemId ? { ...current, ...patch } : current));
+  }
+
+  // Like or unlike a gallery item (sign-in required); the count updates right away
+  async function toggleLike(item) {
+    if (!user) {
+      setAuthMode("signIn");
+      return;
+    }
+    const liked = !item.liked;
+    updateGalleryItem(item.id, { liked, likes: item.likes + (liked ? 1 : -1) });
+    try {
+      const resp = await apiFetch("like-gallery-item", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ itemId: item.id, liked })
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Like failed with ${resp.status}`);
+      updateGalleryItem(item.id, { liked: data.liked, likes: data.likes });
+      trackEvent("Gallery", liked ? "Like" : "Unlike", item.name);
+    } catch (err) {
+      console.error("Like failed:", err);
+      updateGalleryItem(item.id, { liked: item.liked, likes: item.likes });
+      toast.error(err.message || "Could not update your like.");
+    }
+  }
+
+  // Prefill the generator from a published model so it can be remixed
+  function remixGalleryItem(item) {
+    const { params } = item;
+    setPrompt(params.prompt || item.name);
+    setPromptOptions(DEFAULT_PROMPT_OPTIONS);
+    setNegativePrompt(params.negativePrompt || "");
+    setSeed("");
+    if (params.measurements) {
+      setWidth(String(params.measurements.width));
+      setHeight(String(params.measurements.height));
+      setDepth(String(params.measurements.depth));
+    }
+    if (params.material) setMaterial(params.material);
+    if (params.infill != null) setInfill(String(params.infill));
+    if (params.shellThickness != null) setShellThickness(String(params.shellThickness));
+    setSupports(Boolean(params.supports) && getEntitlements(userPlan).printSupports);
+    setModelUrl(item.modelUrl);
+    setActiveHistoryId(null);
+    goTo("/create");
+    scrollToGenerator();
+    toast.info("Settings loaded. Change the prompt and generate your remix.");
+    trackEvent("Gallery", "Remix", item.name);
+  }
+
+  // Remove one of the user's published models from the gallery
+  async function unpublishGalleryItem(item) {
+    if (!window.confirm(`Remove "${item.name}" from the gallery? Its likes will be lost.`)) return;
+    try {
+      const resp = await apiFetch("unpublish-model", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ itemId: item.id })
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Unpublish failed with ${resp.status}`);
+      setGallery((current) => ({
+        ...current,
+        items: current.items.filter((i) => i.id !== item.id),
+        total: Math.max(0, current.total - 1)
+      }));
+      setGalleryItem((current) => (current?.id === item.id ? null : current));
+      toast.info("Removed from the gallery.");
+      trackEvent("Gallery", "Unpublish", item.name);
+    } catch (err) {
+      console.error("Unpublish failed:", err);
+      toast.error(err.message || "Could not unpublish this model.");
+    }
+  }
+
+  // Open the publish form for the model in the preview (sign-in required)
+  function openPublish() {
+    if (!user) {
+      setAuthMode("signIn");
+      return;
+    }
+    setPublishDraft({
+      jobId: currentModelId(),
+      title: prompt.trim().slice(0, MAX_PUBLISH_TITLE_LENGTH),
+      description: "",
+      tags: promptOptions.template || "",
+      license: GALLERY_LICENSES[0].id
+    });
+  }
+
+  // Publish the model in the preview to the gallery
+  async function publishModel() {
+    setIsPublishing(true);
+    try {
+      const tags = publishDraft.tags.split(",").map((tag) => tag.trim()).filter(Boolean).slice(0, MAX_PUBLISH_TAGS);
+      const resp = await apiFetch("publish-model", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...publishDraft, title: publishDraft.title.trim(), description: publishDraft.description.trim(), tags })
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error([data.error || `Publishing failed with ${resp.status}`, ...(data.reasons || [])].join(" "));
+      setPublishDraft(null);
+      toast.success("Submitted! Your model will appear in the gallery once it's been reviewed.");
+      trackEvent("Gallery", "Publish", data.name);
+      fetchGallery();
+    } catch (err) {
+      console.error("Publish failed:", err);
+      toast.error(err.message || "Could not publish this model.");
+    } finally {
+      setIsPublishing(false);
+    }
+  }
+
+  // Load the gallery review queue when an admin opens it
+  useEffect(() => {
+    if (showReviewQueue && user?.isAdmin) fetchReviewQueue();
+  }, [showReviewQueue, user?.isAdmin]);
+
+  // Fetch gallery submissions waiting for review
+  async function fetchReviewQueue() {
+    setIsReviewQueueLoading(true);
+    try {
+      const resp = await apiFetch("list-review-queue");
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Review queue request failed with ${resp.status}`);
+      setReviewQueue(data.items || []);
+    } catch (err) {
+      console.error("Failed to load review queue:", err);
+      toast.error("Could not load the review queue.");
+    } finally {
+      setIsReviewQueueLoading(false);
+    }
+  }
+
+  // Open the gallery review queue (admins only)
+  function openReviewQueue() {
+    setShowReviewQueue(true);
+    trackEvent("Admin", "OpenReviewQueue", "");
+  }
+
+  // Approve or reject a gallery submission
+  async function reviewGalleryItem(item, decision, reason = "") {
+    try {
+      const resp = await apiFetch("review-gallery-item", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ itemId: item.id, decision, reason })
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Review failed with ${resp.status}`);
+      setReviewQueue((queue) => queue.filter((i) => i.id !== item.id));
+      toast.success(decision === "approve" ? `"${item.name}" is now in the gallery.` : `"${item.name}" was rejected.`);
+      trackEvent("Admin", decision === "approve" ? "ApproveGalleryItem" : "RejectGalleryItem", item.id);
+      if (decision === "approve") fetchGallery();
+      clearAdminTabs("gallery", "audit");
+    } catch (err) {
+      console.error("Review failed:", err);
+      toast.error(err.message || "Could not save the review.");
+    }
+  }
+
+  // Load the open admin tab whenever it has nothing loaded (a filter change or an admin action clears it)
+  useEffect(() => {
+    if (route.name === "admin" && user?.isAdmin && !adminTabData) handlersRef.current.fetchAdminList(adminTab);
+  }, [route.name, user?.isAdmin, adminTab, adminTabData]);
+
+  // Fetch a page of an admin tab's rows (a cursor appends the next page)
+  async function fetchAdminList(tab, cursor = null) {
+    const requestId = ++adminRequestRef.current;
+    setIsAdminLoading(true);
+    try {
+      const resp = await apiFetch(adminListPath(tab, adminFilters, cursor));
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Admin request failed with ${resp.status}`);
+      if (requestId !== adminRequestRef.current) return;
+      setAdminData((current) => ({
+        ...current,
+        [tab]: cursor ? { ...data, items: [...current[tab].items, ...data.items] } : data
+      }));
+    } catch (err) {
+      console.error(`Failed to load admin ${tab}:`, err);
+      if (requestId === adminRequestRef.current) toast.error(err.message || "Could not load the admin dashboard.");
+    } finally {
+      if (requestId === adminRequestRef.current) setIsAdminLoading(false);
+    }
+  }
+
+  // Forget admin tabs whose rows are out of date, so they load again when shown
+  function clearAdminTabs(...tabs) {
+    setAdminData((current) => ({ ...current, ...Object.fromEntries(tabs.map((tab) => [tab, null])) }));
+  }
+
+  // Change admin filters and reload the tabs they apply to
+  function updateAdminFilters(patch) {
+    setAdminFilters((current) => ({ ...current, ...patch }));
+    clearAdminTabs("userQuery" in patch ? "users" : "generations");
+  }
+
+  // Show one user's generations
+  function viewUserGenerations(uid) {
+    updateAdminFilters({ generationUid: uid, generationStatus: "" });
+    setAdminTab("generations");
+  }
+
+  // Override a user's plan and/or monthly quota; returns whether it was saved
+  async function overrideUserPlan(uid, override) {
+    try {
+      const resp = await apiFetch("admin-update-user", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ uid, ...override })
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Override failed with ${resp.status}`);
+      setAdminData((current) => ({
+        ...current,
+        users: current.users && {
+          ...current.users,
+          items: current.users.items.map((u) => (u.uid === uid ? { ...u, ...data } : u))
+        },
+        audit: null
+      }));
+      if (uid === user.uid) setUserPlan((await fetchUserPlan()) || "free");
+      toast.success(`Saved the override for ${data.email || uid}.`);
+      trackEvent("Admin", "OverridePlan", uid);
+      return true;
+    } catch (err) {
+      console.error("Override failed:", err);
+      toast.error(err.message || "Could not save the override.");
+      return false;
+    }
+  }
+
+  // Fetch a user's Stripe payments for refunds
+  async function fetchAdminPayments(uid) {
+    try {
+      const resp = await apiFetch(`admin-list-payments?uid=${encodeURIComponent(uid)}`);
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Payments request failed with ${resp.status}`);
+      setAdminPayments((current) => ({ ...current, [uid]: data }));
+    } catch (err) {
+      console.error("Failed to load payments:", err);
+      toast.error(err.message || "Could not load payments.");
+    }
+  }
+
+  // Refund a payment or credit a user's Stripe balance; returns whether it went through
+  async function adjustBilling(uid, adjustment) {
+    try {
+      const resp = await apiFetch("admin-adjust-billing", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ uid, ...adjustment })
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Adjustment failed with ${resp.status}`);
+      toast.success(`${data.action === "refund" ? "Refunded" : "Credited"} ${formatCurrency(data.amount, data.currency)}.`);
+      trackEvent("Admin", data.action === "refund" ? "Refund" : "Credit", uid);
+      clearAdminTabs("audit");
+      fetchAdminPayments(uid);
+      return true;
+    } catch (err) {
+      console.error("Billing adjustment failed:", err);
+      toast.error(err.message || "Could not adjust billing.");
+      return false;
+    }
+  }
+
+  // Feature a gallery item or stop featuring it
+  async function featureGalleryItem(item, featured) {
+    try {
+      const resp = await apiFetch("admin-feature-gallery-item", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ itemId: item.id, featured })
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Feature request failed with ${resp.status}`);
+      setAdminData((current) => ({
+        ...current,
+        gallery: current.gallery && { ...current.gallery, items: current.gallery.items.map((i) => (i.id === item.id ? data : i)) },
+        audit: null
+      }));
+      toast.success(featured ? `"${item.name}" is featured.` : `"${item.name}" is no longer featured.`);
+      trackEvent("Admin", featured ? "FeatureGalleryItem" : "UnfeatureGalleryItem", item.id);
+      fetchGallery();
+    } catch (err) {
+      console.error("Feature request failed:", err);
+      toast.error(err.message || "Could not update the item.");
+    }
+  }
+
+  // Open the "My Models" library (sign-in required)
+  function openLibrary() {
+    if (!user) {
+      setAuthMode("signIn");
+      return;
+    }
+    setShowLibrary(true);
+    trackEvent("Library", "Open", userPlan);
+  }
+
+  // Ask the backend for a short-lived download link to an owned model
+  async function getDownloadUrl(model) {
+    const resp = await apiFetch("get-download-url", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ modelId: model.modelId })
+    });
+    const data = await resp.json();
+    if (!resp.ok || !data.url) throw new Error(data.error || "No download link returned.");
+    return data.url;
+  }
+
+  // Download an owned model through a signed link
+  async function downloadOwnedModel(model) {
+    try {
+      window.location.href = await getDownloadUrl(model);
+      trackEvent("Library", "Download", model.name);
+    } catch (err) {
+      console.error("Download failed:", err);
+      toast.error(err.message || "Could not download this model.");
+    }
+  }
+
+  // Load an owned model into the generator preview
+  async function previewOwnedModel(model) {
+    try {
+      setModelUrl(await getDownloadUrl(model));
+      setActiveHistoryId(null);
+      setShowLibrary(false);
+      scrollToGenerator();
+    } catch (err) {
+      console.error("Preview failed:", err);
+      toast.error(err.message || "Could not preview this model.");
+    }
+  }
 
-  // Firebase auth state
-  useEffect(() => {
-    const unsubscribe = firebase.auth().onAuthStateChanged((u) => {
-      if (u) {
-        setUser({ email: u.email, uid: u.uid });
-        fetchUserPlan(u.uid).then((plan) => {
-          setUserPlan(plan || "free");
-          trackEvent("Auth", "SignIn", u.email);
-        });
-      } else {
-        setUser(null);
-        setUserPlan("free");
+  // Job or history id of the model currently in the preview, when known
+  function currentModelId() {
+    if (isSameModel(job?.modelUrl, modelUrl)) return job.id;
+    const entry = history.find((h) => h.id === activeHistoryId);
+    if (entry && isSameModel(entry.modelUrl, modelUrl)) return entry.jobId;
+    return revisions.find((r) => isSameModel(r.modelUrl, modelUrl))?.jobId || null;
+  }
+
+  // Measurements the previewed model was generated with, or null when unknown (the form may have
+  // been edited since, so the mesh check doesn't use it)
+  function previewMeasurements() {
+    if (isSameModel(job?.modelUrl, modelUrl)) return job.params?.measurements || null;
+    const entry = history.find((h) => h.id === activeHistoryId);
+    if (entry && isSameModel(entry.modelUrl, modelUrl)) return entry.measurements || null;
+    const revision = revisions.find((r) => isSameModel(r.modelUrl, modelUrl));
+    if (revision) return revision.measurements || null;
+    if (galleryItem && isSameModel(galleryItem.modelUrl, modelUrl)) return galleryItem.params?.measurements || null;
+    return null;
+  }
+
+  // Confirm a completed checkout session and refresh the plan without signing out
+  async function confirmCheckout(sessionId) {
+    if (!sessionId) return;
+    try {
+      const resp = await apiFetch(`confirm-checkout-session?session_id=${encodeURIComponent(sessionId)}`);
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Confirmation failed with ${resp.status}`);
+      if (data.status !== "complete") {
+        toast.info("Your payment is still processing. Your plan will update shortly.");
+        return;
       }
-    });
-    return () => unsubscribe();
-  }, []);
+      setUserPlan((await fetchUserPlan()) || data.plan || "free");
+      toast.success(data.mode === "subscription"
+        ? `Payment confirmed. Welcome to ${data.plan}!`
+        : "Payment confirmed. Your model is in My Models.");
+      if (data.mode === "payment") setShowLibrary(true);
+      trackEvent("Payment", "CheckoutCompleted", data.mode);
+    } catch (err) {
+      console.error("Checkout confirmation failed:", err);
+      toast.error("We couldn't confirm your payment yet. Refresh in a moment.");
+    }
+  }
 
-  // Fetch user plan from backend
-  async function fetchUserPlan(uid) {
+  // Fetch user plan and this month's usage from backend (the backend counts generations)
+  async function fetchUserPlan() {
     try {
-      const resp = await fetch(`/.netlify/functions/get-user-plan?uid=${uid}`, {
-        headers: { "X-CSRF-Token": await getCsrfToken() }
-      });
+      const resp = await apiFetch("get-user-plan");
       const data = await resp.json();
+      if (data.usage) applyUsage(data.usage);
       return data.plan;
     } catch (err) {
       console.error("Failed to fetch user plan:", err);
@@ -802,28 +6017,501 @@ function App() {
     }
   }
 
-  // CSRF token fetch
-  async function getCsrfToken() {
+  // Remember this month's usage as the backend reports it (a null limit is unlimited; admins can override the plan's)
+  function applyUsage(usage) {
+    setGenerationsUsed(usage.used);
+    setGenerationLimit(usage.limit ?? Infinity);
+  }
+
+  // Show the upgrade prompt with the reason a feature is locked
+  function requestUpgrade(reason) {
+    setUpsellReason(reason);
+    trackEvent("Plan", "UpsellShown", reason);
+  }
+
+  // Choose a printer profile; saved on this device and, debounced, to the signed-in user's settings
+  function updatePrinterSettings(next) {
+    setPrinterSettings(next);
+    try {
+      localStorage.setItem(PRINTER_STORAGE_KEY, JSON.stringify(next));
+    } catch (err) {
+      console.error("Failed to save printer profile:", err);
+    }
+    if (!user) return;
+    clearTimeout(printerSaveTimer.current);
+    printerSaveTimer.current = setTimeout(() => {
+      userSettingsDoc(user.uid)
+        .set({ printer: next }, { merge: true })
+        .catch((err) => {
+          console.error("Failed to save printer profile:", err);
+          toast.error("Could not save your printer profile.");
+        });
+    }, PRINTER_SAVE_DEBOUNCE_MS);
+  }
+
+  // Accept the offer to scale an oversized request to the printer and generate it
+  function acceptScaleOffer() {
+    const offer = scaleOffer;
+    setScaleOffer(null);
+    setWidth(offer.scaled.width);
+    setHeight(offer.scaled.height);
+    setDepth(offer.scaled.depth);
+    trackEvent("Model", "ScaleToPrinter", printer.id);
+    generateModel(offer.sweep, offer.scaled);
+  }
+
+  // Snapshot of the generator form, stored with jobs and history entries
+  function currentGenerationParams(subject, dims = { width, height, depth }) {
+    return {
+      prompt: buildFinalPrompt(subject, promptOptions),
+      subject: subject,
+      template: promptOptions.template,
+      style: promptOptions.style,
+      detail: promptOptions.detail,
+      negativePrompt: negativePrompt.trim(),
+      seed: seed === "" ? null : Number(seed),
+      measurements: { width: Number(dims.width), height: Number(dims.height), depth: Number(dims.depth) },
+      material,
+      supports,
+      shellThickness: Number(shellThickness) || 1,
+      infill: Number(infill),
+      printer: { id: printer.id, label: printer.label, buildVolume: printer.buildVolume, nozzle: printer.nozzle },
+      conditioning,
+      imageViews: conditioning === "text" ? [] : REFERENCE_VIEWS.map((v) => v.id).filter((id) => referenceImages[id]),
+      hasImage: conditioning !== "text" && Boolean(referenceImages.front)
+    };
+  }
+
+  // Set or clear one reference image view, keeping the conditioning mode sensible
+  function setReferenceImage(viewId, value) {
+    const previous = referenceImages[viewId];
+    if (previous) URL.revokeObjectURL(previous.previewUrl);
+    const next = { ...referenceImages, [viewId]: value };
+    setReferenceImages(next);
+    setConditioning(defaultConditioning(conditioning, REFERENCE_VIEWS.some((v) => next[v.id]), Boolean(prompt.trim())));
+  }
+
+  // Save a finished generation to the user's history (read from userRef: this runs from poll
+  // callbacks that were scheduled before sign-in state settled)
+  async function recordGeneration(params, result) {
+    const current = userRef.current;
+    if (!current) return;
+    try {
+      const ref = await generationsCollection(current.uid).add({
+        ...params,
+        modelUrl: result.modelUrl,
+        thumbnailUrl: result.thumbnailUrl || null,
+        jobId: result.jobId || null,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      setActiveHistoryId(ref.id);
+    } catch (err) {
+      console.error("Failed to save generation history:", err);
+      toast.error("Model generated, but it could not be saved to your history.");
+    }
+  }
+
+  // Load a history entry's parameters into the generator form
+  function applyGenerationParams(entry) {
+    setPrompt(generationTitle(entry) || "");
+    setPromptOptions({
+      template: entry.template ?? DEFAULT_PROMPT_OPTIONS.template,
+      style: entry.style ?? DEFAULT_PROMPT_OPTIONS.style,
+      detail: entry.detail ?? DEFAULT_PROMPT_OPTIONS.detail
+    });
+    setNegativePrompt(entry.negativePrompt || "");
+    setSeed(entry.seed == null ? "" : String(entry.seed));
+    setWidth(String(entry.measurements.width));
+    setHeight(String(entry.measurements.height));
+    setDepth(String(entry.measurements.depth));
+    setMaterial(entry.material);
+    setSupports(Boolean(entry.supports));
+    setShellThickness(String(entry.shellThickness));
+    setInfill(String(entry.infill));
+  }
+
+  // Reopen a past generation in the preview. The preview link saved with a job's entry expires,
+  // so a fresh one is fetched (the saved one is used when that fails).
+  async function openHistoryEntry(entry) {
+    const requestId = ++historyOpenRef.current;
+    applyGenerationParams(entry);
+    setActiveHistoryId(entry.id);
+    goTo(`/generations/${encodeURIComponent(entry.id)}`);
+    scrollToGenerator();
+    trackEvent("History", "Open", generationTitle(entry) || "Image-based");
+
+    let url = entry.modelUrl;
+    if (entry.jobId) {
+      try {
+        const resp = await apiFetch(`generation-status?jobId=${encodeURIComponent(entry.jobId)}`);
+        const data = await resp.json();
+        if (resp.ok && data.modelUrl) url = data.modelUrl;
+      } catch (err) {
+        console.error("Failed to refresh the model link:", err);
+      }
+    }
+    if (requestId === historyOpenRef.current) setModelUrl(url);
+  }
+
+  // Prefill the generator from a past generation so it can be tweaked and re-run
+  function editHistoryEntry(entry) {
+    applyGenerationParams(entry);
+    setActiveHistoryId(null);
+    goTo("/create");
+    scrollToGenerator();
+    toast.info(entry.hasImage
+      ? "Parameters loaded. Re-upload the reference images, adjust and generate."
+      : "Parameters loaded. Adjust them and generate.");
+    trackEvent("History", "Edit", generationTitle(entry) || "Image-based");
+  }
+
+  // Remove a past generation from the user's history
+  async function deleteHistoryEntry(entry) {
+    if (!user) return;
+    try {
+      await generationsCollection(user.uid).doc(entry.id).delete();
+      if (entry.id === activeHistoryId) setActiveHistoryId(null);
+      toast.info("Removed from history.");
+      trackEvent("History", "Delete", generationTitle(entry) || "Image-based");
+    } catch (err) {
+      console.error("Failed to delete history entry:", err);
+      toast.error("Could not delete this entry.");
+    }
+  }
+
+  // Fetch the latest status of a generation job and apply it
+  async function pollGenerationJob(current) {
+    let data;
+    try {
+      const resp = await apiFetch(`generation-status?jobId=${encodeURIComponent(current.id)}`);
+      data = await resp.json().catch(() => ({}));
+      if (isTerminalPollError(resp.status)) {
+        data = { status: "failed", error: data.error || `Status request failed with ${resp.status}` };
+      } else if (!resp.ok) {
+        throw new Error(`Status request failed with ${resp.status}`);
+      }
+    } catch (err) {
+      // Transient failure: schedule another poll with the same job
+      console.error("Failed to poll generation job:", err);
+      setJob((j) => (j && j.id === current.id ? { ...j } : j));
+      return;
+    }
+
+    // Ignore updates for a job that was cancelled or replaced meanwhile
+    const latest = jobRef.current;
+    if (!latest || latest.id !== current.id || !isJobActive(latest)) return;
+
+    const next = {
+      ...latest,
+      status: data.status || latest.status,
+      progress: Number.isFinite(Number(data.progress)) ? Number(data.progress) : latest.progress
+    };
+
+    if (next.status === "done") {
+      if (data.modelUrl) {
+        setModelUrl(data.modelUrl);
+        toast.success("Model generated successfully!");
+        trackEvent("Model", "GenerateSuccess", latest.prompt || "Image-based");
+        setJob({ ...next, progress: 100, modelUrl: data.modelUrl });
+        recordGeneration(latest.params, { modelUrl: data.modelUrl, thumbnailUrl: data.thumbnailUrl, jobId: latest.id });
+      } else {
+        setError("Generation finished without a model URL.");
+        toast.error("No model URL returned.");
+        setJob({ ...next, status: "failed" });
+      }
+      return;
+    }
+
+    if (next.status === "failed" || next.status === "cancelled") {
+      const message = data.error || (next.status === "failed" ? "Generation failed." : "Generation was cancelled.");
+      setError(message);
+      toast.error(message);
+      trackEvent("Model", "GenerateFailure", latest.prompt || "Image-based");
+      // Failed generations are handed back to the quota by the backend
+      if (next.status === "failed") fetchUserPlan();
+    }
+    setJob(next);
+  }
+
+  // Ask the backend to cancel a generation job; resolves to the job's status afterwards
+  async function requestJobCancel(jobId) {
+    const resp = await apiFetch("cancel-generation", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jobId })
+    });
+    if (!resp.ok) throw new Error(`Cancel request failed with ${resp.status}`);
+    const data = await resp.json().catch(() => ({}));
+    return data.status || "cancelled";
+  }
+
+  // Fetch the latest status of every unfinished variant in a batch and apply them
+  async function pollBatch(current) {
+    const updates = {};
+    await Promise.all(
+      current.jobs.filter(isJobActive).map(async (j) => {
+        try {
+          const resp = await apiFetch(`generation-status?jobId=${encodeURIComponent(j.id)}`);
+          const data = await resp.json().catch(() => ({}));
+          if (isTerminalPollError(resp.status)) {
+            updates[j.id] = { status: "failed", error: data.error || `Status request failed with ${resp.status}` };
+          } else if (!resp.ok) {
+            throw new Error(`Status request failed with ${resp.status}`);
+          } else {
+            updates[j.id] = data;
+          }
+        } catch (err) {
+          // Transient failure: this variant is polled again next round
+          console.error("Failed to poll variant job:", err);
+        }
+      })
+    );
+
+    // Ignore updates for a batch that was picked from or discarded meanwhile
+    const latest = batchRef.current;
+    if (!latest || latest.id !== current.id) return;
+
+    const jobs = latest.jobs.map((j) => {
+      const data = updates[j.id];
+      if (!data || !isJobActive(j)) return j;
+      const status = data.status || j.status;
+      if (status === "done" && !data.modelUrl) {
+        return { ...j, status: "failed", error: "Generation finished without a model URL." };
+      }
+      return {
+        ...j,
+        status,
+        progress: Number.isFinite(Number(data.progress)) ? Number(data.progress) : j.progress,
+        modelUrl: data.modelUrl || null,
+        thumbnailUrl: data.thumbnailUrl || null,
+        error: data.error || null
+      };
+    });
+    const next = { ...latest, jobs };
+    // Failed generations are handed back to the quota by the backend
+    if (jobs.some((j, i) => j.status === "failed" && latest.jobs[i].status !== "failed")) fetchUserPlan();
+    if (isBatchActive(latest) && !isBatchActive(next)) {
+      const ready = jobs.filter((j) => j.modelUrl).length;
+      if (ready) {
+        toast.success(`${ready} of ${jobs.length} variants ready to compare.`);
+      } else {
+        toast.error("None of the variants could be generated.");
+      }
+      trackEvent("Batch", "Complete", `${ready}/${jobs.length}`);
+    }
+    setBatch(next);
+  }
+
+  // Keep one variant: load it into the generator, save it to history and discard the rest
+  function pickVariant(jobId) {
+    const current = batchRef.current;
+    const chosen = current?.jobs.find((j) => j.id === jobId);
+    if (!chosen?.modelUrl) return;
+    current.jobs
+      .filter((j) => j.id !== jobId && isJobActive(j))
+      .forEach((j) => requestJobCancel(j.id).catch((err) => console.error(err)));
+    setBatch(null);
+    applyGenerationParams(chosen.params);
+    setModelUrl(chosen.modelUrl);
+    recordGeneration(chosen.params, { modelUrl: chosen.modelUrl, thumbnailUrl: chosen.thumbnailUrl, jobId: chosen.id });
+    toast.success("Variant kept. The others were discarded.");
+    trackEvent("Batch", "Pick", variantLabel(chosen.params, current.sweep));
+  }
+
+  // Drop one variant from the comparison, cancelling it if it is still generating
+  function discardVariant(jobId) {
+    const current = batchRef.current;
+    const target = current?.jobs.find((j) => j.id === jobId);
+    if (!target) return;
+    if (isJobActive(target)) requestJobCancel(jobId).catch((err) => console.error(err));
+    const jobs = current.jobs.filter((j) => j.id !== jobId);
+    setBatch(jobs.length ? { ...current, jobs } : null);
+    trackEvent("Batch", "Discard", variantLabel(target.params, current.sweep));
+  }
+
+  // Drop the whole batch, cancelling variants that are still generating
+  function discardBatch() {
+    const current = batchRef.current;
+    if (!current) return;
+    current.jobs.filter(isJobActive).forEach((j) => requestJobCancel(j.id).catch((err) => console.error(err)));
+    setBatch(null);
+    trackEvent("Batch", "DiscardAll", String(current.jobs.length));
+  }
+
+  // Load a model's revision chain unless the one shown already has it at the previewed version
+  function loadRevisionsOf(modelId) {
+    if (revisions.some((r) => r.jobId === modelId && isSameModel(r.modelUrl, modelUrl))) return;
+    fetchRevisions(modelId);
+  }
+
+  // Load a model's revision chain, oldest first
+  async function fetchRevisions(modelId) {
     try {
-      const resp = await fetch("/.netlify/functions/get-csrf-token");
+      const resp = await apiFetch(`list-revisions?jobId=${encodeURIComponent(modelId)}`);
+      if (!resp.ok) throw new Error(`Revision request failed with ${resp.status}`);
       const data = await resp.json();
-      return data.token;
+      setRevisions(data.revisions || []);
+    } catch (err) {
+      console.error("Failed to load revisions:", err);
+      setRevisions([]);
+    }
+  }
+
+  // Generator settings a stored model was made with, for its revisions
+  function modelParams(modelId) {
+    if (job?.id === modelId) return job.params;
+    const entry = history.find((h) => h.jobId === modelId);
+    if (!entry) return currentGenerationParams(prompt.trim());
+    return generationParamsOf(entry);
+  }
+
+  // Start a new revision of the previewed model from a follow-up instruction
+  async function refineModel(instruction) {
+    setError("");
+    setRejectionReasons([]);
+    const parentJobId = currentModelId();
+    if (!parentJobId) return;
+    if (isJobActive(jobRef.current) || isBatchActive(batchRef.current)) {
+      toast.info("A generation is already in progress.");
+      return;
+    }
+    if (!user?.emailVerified) {
+      setError("Please verify your email address before generating models.");
+      toast.error("Email verification required.");
+      return;
+    }
+    if (generationsUsed >= generationLimit) {
+      setError("You've used all of this month's generations.");
+      requestUpgrade(`Your ${userPlan} plan includes ${generationLimit} generation${generationLimit === 1 ? "" : "s"} per month, and you've used them all.`);
+      return;
+    }
+
+    setIsLoading(true);
+    trackEvent("Model", "RefineAttempt", instruction);
+    try {
+      const resp = await apiFetch("refine", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ parentJobId, instruction })
+      });
+      const data = await resp.json().catch(() => null);
+      if (data?.usage) applyUsage(data.usage);
+      if (!resp.ok) {
+        if (data?.code === "quota_exceeded") {
+          setError("You've used all of this month's generations.");
+          requestUpgrade(data.error);
+          return;
+        }
+        if (data?.code === "content_rejected") {
+          setError(data.error);
+          setRejectionReasons(data.reasons || []);
+          toast.error("This refinement was blocked by our content policy.");
+          return;
+        }
+        throw new Error(data?.error || `Refine request failed with ${resp.status}`);
+      }
+
+      const parentParams = modelParams(parentJobId);
+      setJob({
+        id: data.jobId,
+        status: data.status || "queued",
+        progress: Number(data.progress) || 0,
+        prompt: generationTitle(parentParams),
+        params: {
+          ...parentParams,
+          seed: data.seed ?? parentParams.seed ?? null,
+          conditioning: "text",
+          imageViews: [],
+          hasImage: false,
+          parentJobId,
+          revision: data.revision,
+          instruction
+        },
+        createdAt: Date.now()
+      });
+      setRevisions((chain) => [...chain.slice(0, chain.findIndex((r) => r.jobId === parentJobId) + 1), {
+        jobId: data.jobId,
+        status: data.status || "queued",
+        revision: data.revision,
+        instruction,
+        modelUrl: null
+      }]);
+      toast.info("Refinement queued. We'll keep you posted on progress.");
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Could not start the refinement.");
+      toast.error("Refinement failed to start.");
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  // Step back (or forward) to another version in the revision chain
+  function selectRevision(revision) {
+    if (!revision.modelUrl) return;
+    setModelUrl(revision.modelUrl);
+    setActiveHistoryId(history.find((h) => h.jobId === revision.jobId)?.id || null);
+    trackEvent("Model", "SelectRevision", String(revision.revision));
+  }
+
+  // Cancel the active generation job (it's only shown as cancelled once the backend confirms;
+  // a job that finished first is left for the next poll to report)
+  async function cancelGeneration() {
+    const current = jobRef.current;
+    if (!isJobActive(current)) return;
+
+    try {
+      const status = await requestJobCancel(current.id);
+      if (status !== "cancelled") {
+        toast.info("The generation finished before it could be cancelled.");
+        return;
+      }
+      setJob((j) => (j && j.id === current.id && isJobActive(j) ? { ...j, status: "cancelled" } : j));
+      toast.info("Generation cancelled.");
+      trackEvent("Model", "GenerateCancel", current.prompt || "Image-based");
     } catch (err) {
-      console.error("CSRF token error:", err);
-      return "";
+      console.error(err);
+      toast.error("Could not reach the server to cancel. The job may still finish.");
     }
   }
 
-  // Generate 3D model
-  async function generateModel() {
+  // Generate 3D model, or a batch of variants when given a sweep; `scaledDims` replaces the form's dimensions
+  async function generateModel(sweep = null, scaledDims = null) {
     setError("");
-    const sanitizedPrompt = sanitizeInput(prompt.trim());
-    if (!sanitizedPrompt && !image) {
+    setRejectionReasons([]);
+    const dims = scaledDims || { width, height, depth };
+    if (isJobActive(jobRef.current) || isBatchActive(batchRef.current)) {
+      toast.info("A generation is already in progress.");
+      return;
+    }
+    const subject = prompt.trim();
+    const usesImages = conditioning !== "text";
+    if (!subject && !usesImages) {
       setError("Please provide a description or upload an image.");
       toast.error("Description or image required.");
       return;
     }
-    if (!validDimension(width) || !validDimension(height) || !validDimension(depth)) {
+    if (usesImages && !referenceImages.front) {
+      setError("Add a front view image, or switch to text-only generation.");
+      toast.error("Front view image required.");
+      return;
+    }
+    if (conditioning === "combined" && !subject) {
+      setError("Describe the model too, or switch to image-only generation.");
+      toast.error("Description required for text + images.");
+      return;
+    }
+    if (buildFinalPrompt(subject, promptOptions).length > MAX_PROMPT_LENGTH) {
+      setError(`The final prompt is limited to ${MAX_PROMPT_LENGTH} characters. Shorten the description or drop a preset.`);
+      toast.error("Prompt too long.");
+      return;
+    }
+    if (seed !== "" && (!Number.isInteger(Number(seed)) || Number(seed) < 0 || Number(seed) > MAX_SEED)) {
+      setError(`Seed must be a whole number between 0 and ${MAX_SEED}.`);
+      toast.error("Invalid seed.");
+      return;
+    }
+    if (!validDimension(dims.width) || !validDimension(dims.height) || !validDimension(dims.depth)) {
       setError("Enter valid width, height, and depth in millimeters (numbers > 0).");
       toast.error("Invalid dimensions.");
       return;
@@ -833,37 +6521,118 @@ function App() {
       toast.error("Invalid shell thickness.");
       return;
     }
+    let variants = null;
+    if (sweep) {
+      try {
+        variants = buildVariants(sweep, seed === "" ? randomSeed() : Number(seed));
+      } catch (err) {
+        setError(err.message);
+        toast.error("Invalid variants.");
+        return;
+      }
+      if (variants.length < 2 || variants.length > MAX_VARIANTS) {
+        setError(`Choose between 2 and ${MAX_VARIANTS} variants to compare.`);
+        toast.error("Invalid variants.");
+        return;
+      }
+    }
+    const unsupported = [material, ...(variants || []).map((v) => v.material)].find((m) => m && !printer.materials.includes(m));
+    if (unsupported) {
+      setError(`The ${printer.label} can't print ${DEFAULT_MATERIAL_TABLE[unsupported].label.toLowerCase()}. Pick another material or printer.`);
+      toast.error("Material not supported by this printer.");
+      return;
+    }
+    if (!fitsPrinter(dims, printer)) {
+      // Offer to shrink the request; accepting re-runs the generation with the scaled size
+      setScaleOffer({ requested: dims, scaled: scaleToPrinter(dims, printer), sweep });
+      return;
+    }
+    if (!user) {
+      setError("Please sign in to generate models.");
+      toast.error("Sign in required.");
+      setAuthMode("signIn");
+      return;
+    }
+    if (!user.emailVerified) {
+      setError("Please verify your email address before generating models.");
+      toast.error("Email verification required.");
+      return;
+    }
+    const entitlements = getEntitlements(userPlan);
+    if (generationsUsed >= generationLimit) {
+      setError("You've used all of this month's generations.");
+      requestUpgrade(`Your ${userPlan} plan includes ${generationLimit} generation${generationLimit === 1 ? "" : "s"} per month, and you've used them all.`);
+      return;
+    }
+    if (variants && generationsUsed + variants.length > generationLimit) {
+      const left = generationLimit - generationsUsed;
+      setError(`This batch needs ${variants.length} generations, but you have ${left} left this month.`);
+      requestUpgrade(`Comparing ${variants.length} variants needs ${variants.length} generations. Upgrade for more monthly generations.`);
+      return;
+    }
+    if (usesImages && !entitlements.imageTo3d) {
+      requestUpgrade("Image-to-3D is available on the Basic and Pro plans.");
+      return;
+    }
+    if (supports && !entitlements.printSupports) {
+      requestUpgrade("Print supports are available on the Basic and Pro plans.");
+      return;
+    }
 
     setIsLoading(true);
     setModelUrl(null);
-    trackEvent("Model", "GenerateAttempt", sanitizedPrompt || "Image-based");
+    setActiveHistoryId(null);
+    trackEvent(variants ? "Batch" : "Model", "GenerateAttempt", subject || "Image-based");
+    const params = currentGenerationParams(subject, dims);
 
     try {
-      const BACKEND = window.__BACKEND_URL__ || "/.netlify/functions/generate";
+      const BACKEND = window.__BACKEND_URL__ || "generate";
       const formData = new FormData();
-      formData.append("prompt", sanitizedPrompt);
-      formData.append("measurements", JSON.stringify({
-        width: Number(width),
-        height: Number(height),
-        depth: Number(depth)
-      }));
-      formData.append("material", material);
-      formData.append("supports", supports);
-      formData.append("shellThickness", Number(shellThickness) || 1);
-      formData.append("infill", Number(infill));
-      formData.append("userId", user?.uid || null);
-      if (image) {
-        formData.append("image", image);
-      }
+      formData.append("prompt", params.prompt);
+      formData.append("negativePrompt", params.negativePrompt);
+      if (params.seed !== null) formData.append("seed", params.seed);
+      formData.append("measurements", JSON.stringify(params.measurements));
+      formData.append("material", params.material);
+      formData.append("supports", params.supports);
+      formData.append("shellThickness", params.shellThickness);
+      formData.append("infill", params.infill);
+      formData.append("printer", JSON.stringify(params.printer));
+      formData.append("conditioning", params.conditioning);
+      if (variants) formData.append("variants", JSON.stringify(variants));
+      params.imageViews.forEach((viewId) => {
+        const { blob } = referenceImages[viewId];
+        formData.append(`image_${viewId}`, blob, `${viewId}.${blob.type.split("/")[1]}`);
+      });
 
-      const resp = await fetch(BACKEND, {
+      const resp = await apiFetch(BACKEND, {
         method: "POST",
-        headers: { "X-CSRF-Token": await getCsrfToken() },
         body: formData
       });
 
       if (!resp.ok) {
-        const text = await resp.text().catch(() => "");
+        const failure = await resp.json().catch(() => null);
+        if (failure?.usage) applyUsage(failure.usage);
+        if (failure?.code === "quota_exceeded") {
+          setError("You've used all of this month's generations.");
+          requestUpgrade(failure.error);
+          setIsLoading(false);
+          return;
+        }
+        if (failure?.code === "content_rejected") {
+          setError(failure.error);
+          setRejectionReasons(failure.reasons || []);
+          toast.error("This request was blocked by our content policy.");
+          trackEvent("Model", "ContentRejected", (failure.reasons || []).join(" "));
+          setIsLoading(false);
+          return;
+        }
+        if (failure?.error && resp.status < 500) {
+          // The backend rejected the request (validation, plan or verification): nothing to preview
+          setError(failure.error);
+          toast.error(failure.error);
+          setIsLoading(false);
+          return;
+        }
         setError("Failed to generate model. Using placeholder preview.");
         toast.error("Backend error. Showing placeholder.");
         setModelUrl("https://modelviewer.dev/shared-assets/models/Astronaut.glb");
@@ -879,10 +6648,43 @@ function App() {
         return;
       }
 
-      if (data?.modelUrl) {
+      if (data?.usage) applyUsage(data.usage);
+      if (data?.batchId) {
+        setBatch({
+          id: data.batchId,
+          prompt: subject,
+          sweep: sweep.type,
+          jobs: data.jobs.map((j, i) => ({
+            id: j.jobId,
+            status: j.status || "queued",
+            progress: Number(j.progress) || 0,
+            modelUrl: null,
+            thumbnailUrl: null,
+            error: null,
+            params: { ...params, ...variants[i], seed: j.seed }
+          })),
+          createdAt: Date.now()
+        });
+        toast.info(`${data.jobs.length} variants queued. They'll appear side by side as they finish.`);
+        return;
+      }
+      // Keep the seed the backend used so the result can be reproduced from history
+      if (Number.isInteger(data?.seed)) params.seed = data.seed;
+      if (data?.jobId) {
+        setJob({
+          id: data.jobId,
+          status: data.status || "queued",
+          progress: Number(data.progress) || 0,
+          prompt: subject,
+          params,
+          createdAt: Date.now()
+        });
+        toast.info("Generation queued. We'll keep you posted on progress.");
+      } else if (data?.modelUrl) {
         setModelUrl(data.modelUrl);
         toast.success("Model generated successfully!");
-        trackEvent("Model", "GenerateSuccess", sanitizedPrompt || "Image-based");
+        trackEvent("Model", "GenerateSuccess", subject || "Image-based");
+        recordGeneration(params, { modelUrl: data.modelUrl, thumbnailUrl: data.thumbnailUrl });
       } else {
         setError("No model URL returned. Showing placeholder.");
         toast.error("No model URL. Showing placeholder.");
@@ -898,6 +6700,66 @@ function App() {
     }
   }
 
+  // Convert the previewed model in the browser and download it
+  async function exportModel(formatId) {
+    const format = EXPORT_FORMATS.find((f) => f.id === formatId);
+    if (!format || !getEntitlements(userPlan).exportFormats.includes(format.id)) {
+      requestUpgrade("This export format isn't included in your plan.");
+      return;
+    }
+    if (!mesh) {
+      toast.error("The model is still loading.");
+      return;
+    }
+    if (format.id === "3mf" && !MATERIAL_SLICER_PRESETS[material]?.fdm) {
+      toast.error(`${DEFAULT_MATERIAL_TABLE[material]?.label || "This material"} isn't printed on an FDM printer, so it can't be exported as a 3MF project.`);
+      return;
+    }
+
+    const name = prompt.trim() || "3D Model Magic model";
+    const fileName = modelFileName(prompt, format.extension);
+    try {
+      if (format.id === "glb") {
+        // The original file is what a model purchase buys: fetch it through an ownership-checked
+        // link rather than the preview, and offer the purchase when the user doesn't own it yet
+        const modelId = currentModelId();
+        if (!modelId) {
+          toast.error("Only your own generated models can be exported as GLB.");
+          return;
+        }
+        let downloadUrl;
+        try {
+          downloadUrl = await getDownloadUrl({ modelId });
+        } catch {
+          payForModel(userPlan === "pro" ? null : MODEL_PRICE_ID);
+          return;
+        }
+        const resp = await fetch(downloadUrl);
+        if (!resp.ok) throw new Error(`Download failed with ${resp.status}`);
+        downloadBlob(await resp.blob(), fileName);
+        trackEvent("Export", "GLB", material);
+        return;
+      }
+
+      const printMesh = scaleToDimensions(toPrintSpace(mesh), { width, height, depth });
+      if (Math.abs(printMesh.scale - 1) > 0.01) {
+        toast.info(`Scaled ${formatNumber(printMesh.scale * 100, 0)}% to fit ${width} × ${height} × ${depth} mm.`);
+      }
+      const builders = {
+        "stl-binary": () => buildBinaryStl(printMesh),
+        "stl-ascii": () => buildAsciiStl(printMesh, name),
+        obj: () => buildObjZip(printMesh, name, material),
+        ply: () => buildPly(printMesh),
+        "3mf": () => buildBambu3mf(printMesh, { name, material, supports, shellThickness, infill, printer })
+      };
+      downloadBlob(builders[format.id](), fileName);
+      trackEvent("Export", format.label, material);
+    } catch (err) {
+      console.error(`${format.label} export failed:`, err);
+      toast.error(`Could not export ${format.label}.`);
+    }
+  }
+
   // Initiate Stripe checkout
   async function payForModel(priceId) {
     setError("");
@@ -906,7 +6768,9 @@ function App() {
       toast.info("Free plan is active.");
       return;
     }
-    if (priceId && !modelUrl) {
+    // Downloads name the job the model came from; the server looks up its file
+    const modelId = currentModelId();
+    if ((priceId === MODEL_PRICE_ID || !priceId) && !modelId) {
       setError("Generate a model first before purchasing.");
       toast.error("Generate a model first.");
       return;
@@ -914,31 +6778,28 @@ function App() {
     if (!user) {
       setError("Please sign in to subscribe or purchase.");
       toast.error("Sign in required.");
-      setShowSignIn(true);
+      setAuthMode("signIn");
       return;
     }
 
     setShowStripeModal(true);
     try {
-      const resp = await fetch("/.netlify/functions/create-checkout-session", {
+      const resp = await apiFetch("create-checkout-session", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-CSRF-Token": await getCsrfToken()
-        },
-        body: JSON.stringify({
-          priceId: priceId || "free-download",
-          modelUrl: modelUrl || "subscription",
-          userId: user.uid
-        })
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ priceId: priceId || "free-download", modelId })
       });
 
       const data = await resp.json();
       if (data.url) {
         window.location.href = data.url;
         trackEvent("Payment", "CheckoutInitiated", priceId || "free-download");
+      } else if (data.code === "subscription_exists") {
+        // Existing subscribers switch plans on their current subscription
+        toast.info(data.error);
+        openBilling();
       } else {
-        setError("Failed to initiate checkout.");
+        setError(data.error || "Failed to initiate checkout.");
         toast.error("Checkout initiation failed.");
       }
     } catch (err) {
@@ -950,39 +6811,137 @@ function App() {
     }
   }
 
-  // Firebase sign-up
-  async function handleSignUpSubmit(e) {
+  // Open the auth modal in a given mode
+  function openAuth(mode) {
+    setPendingLink(null);
+    setAuthMode(mode);
+  }
+
+  // Close the auth modal and forget any half-finished account link
+  function closeAuth() {
+    setAuthMode(null);
+    setPendingLink(null);
+  }
+
+  // Show a friendly auth error, staying quiet when the user just closed a pop-up
+  function reportAuthError(err) {
+    if (AUTH_SILENT_ERRORS.includes(err.code)) return;
+    console.error("Auth error:", err);
+    const message = authErrorMessage(err);
+    setError(message);
+    toast.error(message);
+  }
+
+  // After any successful sign-in, link the OAuth login that collided with this account
+  async function completeSignIn(credential, method) {
+    if (pendingLink && credential.user.email === pendingLink.email) {
+      try {
+        await credential.user.linkWithCredential(pendingLink.credential);
+        toast.success(`${pendingLink.providerLabel} is now linked to your account.`);
+        trackEvent("Auth", "LinkProvider", pendingLink.providerLabel);
+      } catch (err) {
+        reportAuthError(err);
+      }
+    }
+    closeAuth();
+    toast.success("Successfully signed in!");
+    trackEvent("Auth", "SignIn", method);
+  }
+
+  // Submit the auth modal form for the current mode
+  async function handleAuthSubmit(e) {
     e.preventDefault();
     const form = new FormData(e.target);
-    const email = sanitizeInput(form.get("email"));
+    const email = form.get("email").trim();
     const password = form.get("password");
 
+    setIsAuthSubmitting(true);
     try {
-      await firebase.auth().createUserWithEmailAndPassword(email, password);
-      setShowSignUp(false);
-      toast.success("Successfully signed up!");
-      trackEvent("Auth", "SignUp", email);
+      if (authMode === "signUp") {
+        const credential = await firebase.auth().createUserWithEmailAndPassword(email, password);
+        await credential.user.sendEmailVerification(authActionSettings());
+        closeAuth();
+        toast.success("Account created! Check your inbox to verify your email.");
+        trackEvent("Auth", "SignUp", email);
+      } else if (authMode === "signIn") {
+        const credential = await firebase.auth().signInWithEmailAndPassword(email, password);
+        await completeSignIn(credential, "password");
+      } else {
+        await sendPasswordReset(email);
+      }
     } catch (err) {
-      setError(err.message);
-      toast.error(err.message);
+      reportAuthError(err);
+    } finally {
+      setIsAuthSubmitting(false);
     }
   }
 
-  // Firebase sign-in
-  async function handleSignInSubmit(e) {
-    e.preventDefault();
-    const form = new FormData(e.target);
-    const email = sanitizeInput(form.get("email"));
-    const password = form.get("password");
+  // Send a password reset link; unknown emails get the same response so accounts can't be probed
+  async function sendPasswordReset(email) {
+    try {
+      await firebase.auth().sendPasswordResetEmail(email, authActionSettings());
+    } catch (err) {
+      if (err.code !== "auth/user-not-found") throw err;
+    }
+    setAuthMode("signIn");
+    toast.success(`If an account exists for ${email}, a reset link is on its way.`);
+    trackEvent("Auth", "PasswordReset", "");
+  }
+
+  // Sign in (or sign up) with an OAuth provider
+  async function signInWithProvider(providerId) {
+    const provider = AUTH_PROVIDERS[providerId];
+    const authProvider = provider.create();
+    if (pendingLink) authProvider.setCustomParameters({ login_hint: pendingLink.email });
 
+    setIsAuthSubmitting(true);
     try {
-      await firebase.auth().signInWithEmailAndPassword(email, password);
-      setShowSignIn(false);
-      toast.success("Successfully signed in!");
-      trackEvent("Auth", "SignIn", email);
+      const credential = await firebase.auth().signInWithPopup(authProvider);
+      await completeSignIn(credential, providerId);
     } catch (err) {
-      setError(err.message);
-      toast.error(err.message);
+      if (err.code === "auth/account-exists-with-different-credential") {
+        // The email already belongs to an account using another method: ask the user to
+        // sign in with that method first, then link this provider's credential to it.
+        const methods = await firebase.auth().fetchSignInMethodsForEmail(err.email).catch(() => []);
+        setPendingLink({ email: err.email, credential: err.credential, providerLabel: provider.label, methods });
+        setAuthMode("signIn");
+        toast.info(`Sign in with ${describeSignInMethods(methods)} to link ${provider.label}.`);
+      } else {
+        reportAuthError(err);
+      }
+    } finally {
+      setIsAuthSubmitting(false);
+    }
+  }
+
+  // Resend the email verification link
+  async function resendVerification() {
+    try {
+      await firebase.auth().currentUser.sendEmailVerification(authActionSettings());
+      toast.success(`Verification email sent to ${user.email}.`);
+      trackEvent("Auth", "ResendVerification", "");
+    } catch (err) {
+      reportAuthError(err);
+    }
+  }
+
+  // Re-check verification after the user clicks the link in their inbox
+  async function refreshVerification() {
+    try {
+      const current = firebase.auth().currentUser;
+      await current.reload();
+      if (!isEmailVerified(current)) {
+        toast.info("Not verified yet. Open the link in your email, then try again.");
+        return;
+      }
+      // Refresh the ID token so the backend sees the verified claim too
+      await current.getIdToken(true);
+      setUser((u) => u && { ...u, emailVerified: true });
+      setError("");
+      toast.success("Email verified. Happy generating!");
+      trackEvent("Auth", "EmailVerified", "");
+    } catch (err) {
+      reportAuthError(err);
     }
   }
 
@@ -1000,55 +6959,218 @@ function App() {
       <Header
         user={user}
         userPlan={userPlan}
-        setShowSignUp={setShowSignUp}
-        setShowSignIn={setShowSignIn}
+        generationsLeft={Math.max(0, generationLimit - generationsUsed)}
+        openAuth={openAuth}
         signOut={signOut}
+        openBilling={openBilling}
+        openLibrary={openLibrary}
       />
-      <HeroSection />
-      <GeneratorSection
-        prompt={prompt}
-        setPrompt={setPrompt}
-        width={width}
-        setWidth={setWidth}
-        height={height}
-        setHeight={setHeight}
-        depth={depth}
-        setDepth={setDepth}
-        material={material}
-        setMaterial={setMaterial}
-        supports={supports}
-        setSupports={setSupports}
-        shellThickness={shellThickness}
-        setShellThickness={setShellThickness}
-        infill={infill}
-        setInfill={setInfill}
-        image={image}
-        setImage={setImage}
-        isLoading={isLoading}
-        modelUrl={modelUrl}
-        error={error}
-        generateModel={generateModel}
-        payForModel={payForModel}
+      {user && !user.emailVerified && (
+        <VerifyEmailBanner email={user.email} onResend={resendVerification} onRefresh={refreshVerification} />
+      )}
+      {route.name === "admin" ? (
+        user?.isAdmin ? (
+          <AdminDashboard
+            tab={adminTab}
+            setTab={setAdminTab}
+            data={adminData}
+            isLoading={isAdminLoading}
+            filters={adminFilters}
+            setFilters={updateAdminFilters}
+            loadMore={(tab) => fetchAdminList(tab, adminData[tab].nextCursor)}
+            payments={adminPayments}
+            onOverride={overrideUserPlan}
+            onLoadPayments={fetchAdminPayments}
+            onAdjustBilling={adjustBilling}
+            onViewGenerations={viewUserGenerations}
+            onFeature={featureGalleryItem}
+            openReviewQueue={openReviewQueue}
+          />
+        ) : (
+          <section className="py-16 container mx-auto px-4 min-h-screen text-center">
+            {user && user.isAdmin === null ? (
+              <p className="text-gray-400">Checking access…</p>
+            ) : (
+              <>
+                <p className="text-gray-300 mb-4">The admin dashboard is only available to administrators.</p>
+                {!user && (
+                  <button
+                    onClick={() => openAuth("signIn")}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition duration-200"
+                  >
+                    Sign In
+                  </button>
+                )}
+              </>
+            )}
+          </section>
+        )
+      ) : INFO_PAGES[route.name] ? (
+        <InfoPage page={INFO_PAGES[route.name]} />
+      ) : (
+        <>
+          {route.name === "galleryItem" ? (
+            <GalleryItemPage
+              item={galleryItem}
+              isLoading={isGalleryItemLoading}
+              onLike={toggleLike}
+              onTry={tryGalleryItem}
+              onRemix={remixGalleryItem}
+              onCopyLink={() => copyLink(`/gallery/${encodeURIComponent(galleryItem.id)}`)}
+            />
+          ) : route.name === "generation" && !user ? (
+            <section className="py-16 container mx-auto px-4 text-center">
+              <p className="text-gray-300 mb-4">Sign in to open this generation from your history.</p>
+              <button
+                onClick={() => openAuth("signIn")}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition duration-200"
+              >
+                Sign In
+              </button>
+            </section>
+          ) : (
+            <HeroSection />
+          )}
+          <GeneratorSection
+            prompt={prompt}
+            setPrompt={setPrompt}
+            promptOptions={promptOptions}
+            setPromptOptions={setPromptOptions}
+            negativePrompt={negativePrompt}
+            setNegativePrompt={setNegativePrompt}
+            seed={seed}
+            setSeed={setSeed}
+            width={width}
+            setWidth={setWidth}
+            height={height}
+            setHeight={setHeight}
+            depth={depth}
+            setDepth={setDepth}
+            material={material}
+            setMaterial={setMaterial}
+            supports={supports}
+            setSupports={setSupports}
+            shellThickness={shellThickness}
+            setShellThickness={setShellThickness}
+            infill={infill}
+            setInfill={setInfill}
+            referenceImages={referenceImages}
+            setReferenceImage={setReferenceImage}
+            conditioning={conditioning}
+            setConditioning={setConditioning}
+            isLoading={isLoading}
+            job={job}
+            batch={batch}
+            cancelGeneration={cancelGeneration}
+            variantSweep={variantSweep}
+            setVariantSweep={setVariantSweep}
+            revisions={revisions}
+            activeModelId={currentModelId()}
+            refineModel={refineModel}
+            selectRevision={selectRevision}
+            modelUrl={modelUrl}
+            modelMeasurements={previewMeasurements()}
+            previewRef={previewRef}
+            meshReport={meshReport}
+            meshError={meshError}
+            isAnalyzing={isAnalyzing}
+            printability={printability}
+            printer={printer}
+            printerSettings={printerSettings}
+            setPrinterSettings={updatePrinterSettings}
+            showOverlay={showOverlay}
+            setShowOverlay={setShowOverlay}
+            overlayUrl={overlayUrl}
+            exportModel={exportModel}
+            openPublish={openPublish}
+            copyGeneratorLink={() => copyLink(generatorLink(generatorSettings()))}
+            materialTable={materialTable}
+            setMaterialTable={setMaterialTable}
+            error={error}
+            rejectionReasons={rejectionReasons}
+            generateModel={generateModel}
+            payForModel={payForModel}
+            userPlan={userPlan}
+            requestUpgrade={requestUpgrade}
+          />
+          {batch && (
+            <VariantGrid batch={batch} onPick={pickVariant} onDiscard={discardVariant} onDiscardAll={discardBatch} />
+          )}
+          {user && (
+            <HistoryPanel
+              history={history}
+              activeHistoryId={activeHistoryId}
+              onOpen={openHistoryEntry}
+              onEdit={editHistoryEntry}
+              onDelete={deleteHistoryEntry}
+            />
+          )}
+          <ExampleModelsSection
+            gallery={gallery}
+            galleryQuery={galleryQuery}
+            setGalleryQuery={setGalleryQuery}
+            isGalleryLoading={isGalleryLoading}
+            loadMoreGallery={() => fetchGallery(gallery.nextCursor)}
+            onTry={tryGalleryItem}
+            onLike={toggleLike}
+            onRemix={remixGalleryItem}
+            onUnpublish={unpublishGalleryItem}
+          />
+          <SubscriptionSection userPlan={userPlan} payForModel={payForModel} openBilling={openBilling} />
+        </>
+      )}
+      <BillingModal
+        show={showBilling && Boolean(user)}
+        onClose={() => setShowBilling(false)}
+        billing={billing}
+        isLoading={isBillingLoading}
         userPlan={userPlan}
+        changeSubscription={changeSubscription}
+        openBillingPortal={openBillingPortal}
       />
-      <ExampleModelsSection setPrompt={setPrompt} setModelUrl={setModelUrl} />
-      <SubscriptionSection userPlan={userPlan} payForModel={payForModel} />
-      <StripeModal show={showStripeModal} onClose={() => setShowStripeModal(false)} />
-      <AuthModal
-        show={showSignUp}
-        onClose={() => setShowSignUp(false)}
-        onSubmit={handleSignUpSubmit}
-        title="Sign Up"
-        buttonText="Sign Up"
-        buttonColor="bg-blue-600"
+      <PublishModal
+        draft={publishDraft}
+        setDraft={setPublishDraft}
+        isPublishing={isPublishing}
+        onPublish={publishModel}
+        onClose={() => setPublishDraft(null)}
+      />
+      <ScaleToFitModal
+        offer={scaleOffer}
+        printer={printer}
+        onAccept={acceptScaleOffer}
+        onClose={() => setScaleOffer(null)}
+      />
+      <UpsellModal
+        reason={upsellReason}
+        onClose={() => setUpsellReason("")}
+        userPlan={userPlan}
+        payForModel={payForModel}
+      />
+      <LibraryModal
+        show={showLibrary && Boolean(user)}
+        onClose={() => setShowLibrary(false)}
+        models={library}
+        isLoading={isLibraryLoading}
+        onDownload={downloadOwnedModel}
+        onPreview={previewOwnedModel}
       />
+      <ReviewQueueModal
+        show={showReviewQueue && Boolean(user?.isAdmin)}
+        onClose={() => setShowReviewQueue(false)}
+        items={reviewQueue}
+        isLoading={isReviewQueueLoading}
+        onReview={reviewGalleryItem}
+      />
+      <StripeModal show={showStripeModal} onClose={() => setShowStripeModal(false)} />
       <AuthModal
-        show={showSignIn}
-        onClose={() => setShowSignIn(false)}
-        onSubmit={handleSignInSubmit}
-        title="Sign In"
-        buttonText="Sign In"
-        buttonColor="bg-green-600"
+        mode={authMode}
+        onClose={closeAuth}
+        onSubmit={handleAuthSubmit}
+        onProvider={signInWithProvider}
+        onModeChange={setAuthMode}
+        pendingLink={pendingLink}
+        isSubmitting={isAuthSubmitting}
       />
       <Footer />
     </div>
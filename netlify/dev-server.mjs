@@ -0,0 +1,121 @@
+/**
+ * Local development server: runs every function in netlify/functions with
+ * offline stand-ins so the whole app works without any accounts or keys.
+ *
+ *   node netlify/dev-server.mjs
+ *
+ * - Functions are served at http://localhost:8888/.netlify/functions/<name>
+ * - Static files come from DEV_STATIC_DIR (default: dist), with index.html as
+ *   the fallback for client-side routes. With the Vite dev server instead,
+ *   proxy /.netlify to this server.
+ * - Defaults (each can be overridden from the environment): in-memory store,
+ *   local Stripe stand-in, mock 3D provider, and ID tokens accepted without a
+ *   signature check (use the Firebase Auth emulator on the client).
+ *
+ * Environment: PORT (default 8888), DEV_STATIC_DIR, plus everything the
+ * functions read (see netlify/lib).
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const DEV_DEFAULTS = {
+  LOCAL_STORE: "memory",
+  STRIPE_MODE: "local",
+  GENERATION_PROVIDER: "mock",
+  ALLOW_UNVERIFIED_ID_TOKENS: "true",
+  MOCK_GENERATION_SECONDS: "8"
+};
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".glb": "model/gltf-binary",
+  ".ico": "image/x-icon"
+};
+
+// Request bodies with these content types are passed to functions as text
+const TEXT_BODY_TYPES = /^(application\/(json|x-www-form-urlencoded)|text\/)/i;
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+const functionsDir = path.join(rootDir, "functions");
+const port = Number(process.env.PORT) || 8888;
+
+for (const [key, value] of Object.entries(DEV_DEFAULTS)) {
+  if (process.env[key] === undefined) process.env[key] = value;
+}
+if (process.env.URL === undefined) process.env.URL = `http://localhost:${port}`;
+
+const staticDir = path.resolve(rootDir, "..", process.env.DEV_STATIC_DIR || "dist");
+
+// Helper: Read a request body into a Buffer
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Helper: Run a function module with a Netlify-style event
+async function runFunction(name, req, url) {
+  const file = path.join(functionsDir, `${name}.mjs`);
+  if (!/^[a-z0-9-]+$/.test(name) || !fs.existsSync(file)) {
+    return { statusCode: 404, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ error: `No function "${name}".` }) };
+  }
+  const { handler } = await import(pathToFileURL(file).href);
+  const body = await readBody(req);
+  const isText = TEXT_BODY_TYPES.test(req.headers["content-type"] || "");
+  return handler({
+    httpMethod: req.method,
+    path: url.pathname,
+    headers: req.headers,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    rawQuery: url.search.slice(1),
+    body: body.length ? body.toString(isText ? "utf8" : "base64") : null,
+    isBase64Encoded: body.length > 0 && !isText
+  }, {});
+}
+
+// Helper: Serve a static file, falling back to index.html for client-side routes
+function serveStatic(url, res) {
+  const requested = path.normalize(path.join(staticDir, decodeURIComponent(url.pathname)));
+  const inside = requested.startsWith(staticDir);
+  const file = inside && fs.existsSync(requested) && fs.statSync(requested).isFile() ? requested : path.join(staticDir, "index.html");
+  if (!fs.existsSync(file)) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end(`No build found in ${staticDir}. Build the app first or set DEV_STATIC_DIR.`);
+    return;
+  }
+  res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+  fs.createReadStream(file).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const match = /^\/\.netlify\/functions\/([^/]+)\/?$/.exec(url.pathname);
+  if (!match) {
+    serveStatic(url, res);
+    return;
+  }
+  try {
+    const result = await runFunction(match[1], req, url);
+    res.writeHead(result.statusCode, result.headers);
+    res.end(result.isBase64Encoded ? Buffer.from(result.body, "base64") : result.body || "");
+  } catch (err) {
+    console.error(`Function ${match[1]} crashed:`, err);
+    res.writeHead(500, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: "Internal server error." }));
+  }
+  console.log(`${req.method} ${url.pathname}${url.search} -> ${res.statusCode}`);
+});
+
+server.listen(port, () => {
+  console.log(`Dev server on http://localhost:${port} (functions from ${functionsDir}, static from ${staticDir})`);
+  console.log(`Stand-ins: store=${process.env.LOCAL_STORE || "file"}, stripe=${process.env.STRIPE_MODE}, provider=${process.env.GENERATION_PROVIDER}`);
+});
@@ -0,0 +1,134 @@
+/**
+ * POST /.netlify/functions/admin-adjust-billing
+ * Auth: Firebase ID token with the `admin` custom claim
+ * Body: { uid, action: "refund" | "credit", paymentIntentId?, amount?, reason, idempotencyKey? }
+ *
+ * - refund: refund one of the user's payments; amount (in cents) defaults to
+ *   everything not yet refunded
+ * - credit: add amount (in cents) to the user's Stripe customer balance,
+ *   which pays towards their next invoices
+ *
+ * Plans and model ownership are left as they are. A pending audit log entry
+ * is written before Stripe is called and settled afterwards; the adjustment
+ * is returned as { action, id, amount, currency }.
+ *
+ * Retrying with the same idempotencyKey (generated per adjustment by the
+ * client) never refunds or credits twice: Stripe gets a key derived from it,
+ * and an adjustment that already completed is returned as it was. Reusing a
+ * key for a different adjustment is a 409.
+ */
+
+import crypto from 'node:crypto';
+import { getAdminAction, recordAdminAction, updateAdminAction } from '../lib/admin.mjs';
+import { requireAdmin } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { customerIdsForUser } from '../lib/plans.mjs';
+import { getStripe } from '../lib/stripe.mjs';
+
+const CREDIT_CURRENCY = "usd";
+const MAX_CREDIT_CENTS = 100000;
+const MAX_REASON_LENGTH = 300;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Helper: Run a Stripe request, passing the requests Stripe refuses back as 400s (or 404s, or 409s
+// for a reused idempotency key)
+async function stripeRequest(request) {
+  try {
+    return await request();
+  } catch (err) {
+    if (err.type === "StripeInvalidRequestError") throw new HttpError(err.statusCode === 404 ? 404 : 400, err.message);
+    if (err.type === "StripeIdempotencyError") throw new HttpError(409, "This adjustment was already submitted with different details.");
+    throw err;
+  }
+}
+
+// Helper: Audit entry id for an admin's idempotency key, so a retry finds the entry it started
+function auditIdFor(adminUid, idempotencyKey) {
+  return `audit_billing_${crypto.createHash("sha256").update(`${adminUid}:${idempotencyKey}`).digest("hex").slice(0, 24)}`;
+}
+
+// Helper: The response for a settled adjustment
+function adjustmentOf(details) {
+  return { action: details.action, id: details.id, amount: details.amount, currency: details.currency };
+}
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const admin = await requireAdmin(event);
+
+  const body = parseJsonBody(event);
+  const { uid, action, paymentIntentId = null, amount = null, reason: rawReason } = body;
+  const reason = String(rawReason || "").trim();
+  const idempotencyKey = body.idempotencyKey ?? crypto.randomUUID();
+  if (!uid) throw new HttpError(400, "uid is required.");
+  if (!["refund", "credit"].includes(action)) throw new HttpError(400, "action must be \"refund\" or \"credit\".");
+  if (amount !== null && (!Number.isInteger(amount) || amount <= 0)) throw new HttpError(400, "amount must be a positive number of cents.");
+  if (!reason) throw new HttpError(400, "Give a reason for the adjustment.");
+  if (reason.length > MAX_REASON_LENGTH) throw new HttpError(400, `Reasons are limited to ${MAX_REASON_LENGTH} characters.`);
+  if (typeof idempotencyKey !== "string" || !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    throw new HttpError(400, "idempotencyKey must be 8 to 100 letters, digits, dashes or underscores.");
+  }
+  if (action === "refund" && !paymentIntentId) throw new HttpError(400, "paymentIntentId is required for a refund.");
+  if (action === "credit" && amount === null) throw new HttpError(400, "amount is required for a credit.");
+  if (action === "credit" && amount > MAX_CREDIT_CENTS) throw new HttpError(400, `Credits are limited to ${MAX_CREDIT_CENTS} cents.`);
+
+  const request = { paymentIntentId, requestedAmount: amount, reason };
+  const auditId = auditIdFor(admin.uid, idempotencyKey);
+  let entry = await getAdminAction(auditId);
+  if (entry) {
+    const sameRequest = entry.action === `billing.${action}` && entry.targetId === uid
+      && Object.keys(request).every((key) => entry.details[key] === request[key]);
+    if (!sameRequest) throw new HttpError(409, "This adjustment was already submitted with different details.");
+    if (entry.status === "completed") return json(200, adjustmentOf(entry.details));
+  }
+
+  const customerIds = await customerIdsForUser(uid);
+  if (!customerIds.length) throw new HttpError(404, "This user has no Stripe customer.");
+  const stripe = await getStripe();
+  const metadata = { uid, adminUid: admin.uid };
+  if (action === "refund") {
+    const paymentIntent = await stripeRequest(() => stripe.paymentIntents.retrieve(paymentIntentId));
+    if (!customerIds.includes(paymentIntent.customer)) throw new HttpError(404, "Payment not found for this user.");
+  }
+
+  // Recorded before Stripe is called, so an adjustment is never made without a trace
+  entry ||= await recordAdminAction(admin, {
+    id: auditId,
+    action: `billing.${action}`,
+    targetType: "user",
+    targetId: uid,
+    details: request,
+    status: "pending"
+  });
+
+  const options = { idempotencyKey: auditId };
+  let adjustment;
+  try {
+    if (action === "refund") {
+      const refund = await stripeRequest(() => stripe.refunds.create({
+        payment_intent: paymentIntentId,
+        ...(amount !== null ? { amount } : {}),
+        reason: "requested_by_customer",
+        metadata
+      }, options));
+      adjustment = { action, id: refund.id, amount: refund.amount, currency: refund.currency };
+    } else {
+      // Negative balance transactions are credits in Stripe
+      const transaction = await stripeRequest(() => stripe.customers.createBalanceTransaction(customerIds[0], {
+        amount: -amount,
+        currency: CREDIT_CURRENCY,
+        description: reason,
+        metadata
+      }, options));
+      adjustment = { action, id: transaction.id, amount, currency: transaction.currency };
+    }
+  } catch (err) {
+    await updateAdminAction(entry, { status: "failed", details: { error: err.message } });
+    throw err;
+  }
+
+  await updateAdminAction(entry, { status: "completed", details: { ...adjustment, error: null } });
+  return json(200, adjustment);
+});
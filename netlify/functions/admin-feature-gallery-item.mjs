@@ -0,0 +1,38 @@
+/**
+ * POST /.netlify/functions/admin-feature-gallery-item
+ * Auth: Firebase ID token with the `admin` custom claim
+ * Body: { itemId, featured: boolean }
+ *
+ * Features an approved gallery item (it's listed first by default) or stops
+ * featuring it. The change is recorded in the audit log and the updated item
+ * is returned.
+ */
+
+import { recordAdminAction } from '../lib/admin.mjs';
+import { requireAdmin } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { getGalleryItem, isApproved, publicGalleryItem, setFeatured } from '../lib/gallery.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const admin = await requireAdmin(event);
+
+  const { itemId, featured } = parseJsonBody(event);
+  if (!itemId) throw new HttpError(400, "itemId is required.");
+  if (typeof featured !== "boolean") throw new HttpError(400, "featured must be true or false.");
+
+  const item = await getGalleryItem(itemId);
+  if (!item) throw new HttpError(404, "Gallery item not found.");
+  if (featured && !isApproved(item)) throw new HttpError(409, "Only approved items can be featured.");
+
+  const updated = await setFeatured(item, featured, admin.uid);
+  await recordAdminAction(admin, {
+    action: featured ? "gallery.feature" : "gallery.unfeature",
+    targetType: "gallery_item",
+    targetId: item.id,
+    details: { name: item.name }
+  });
+  return json(200, publicGalleryItem(updated));
+});
@@ -0,0 +1,21 @@
+/**
+ * GET /.netlify/functions/admin-list-audit-log?targetId=&cursor=&limit=
+ * Auth: Firebase ID token with the `admin` custom claim
+ *
+ * Admin actions, newest first, optionally only those on one user or gallery
+ * item. Returns { items: [{ id, action, adminUid, adminEmail, targetType,
+ * targetId, details, createdAt }], total, nextCursor }.
+ */
+
+import { listAuditLog, readPage } from '../lib/admin.mjs';
+import { requireAdmin } from '../lib/auth.mjs';
+import { json, requireMethod, withErrors } from '../lib/http.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  await requireAdmin(event);
+  const query = event.queryStringParameters || {};
+  const page = readPage(query);
+
+  return json(200, await listAuditLog({ targetId: query.targetId || null }, page));
+});
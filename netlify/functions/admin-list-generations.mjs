@@ -0,0 +1,49 @@
+/**
+ * GET /.netlify/functions/admin-list-generations?status=&uid=&cursor=&limit=
+ * Auth: Firebase ID token with the `admin` custom claim
+ *
+ * Recent generation jobs across all users, newest first, optionally only one
+ * status (e.g. "failed") or one user. Returns { items, total, nextCursor };
+ * failed jobs carry the provider's error as their failure reason.
+ */
+
+import { collectionPage, readPage } from '../lib/admin.mjs';
+import { requireAdmin } from '../lib/auth.mjs';
+import { HttpError, json, requireMethod, withErrors } from '../lib/http.mjs';
+import { ACTIVE_JOB_STATUSES } from '../lib/jobs.mjs';
+import { createPreviewUrl } from '../lib/models.mjs';
+
+const JOB_STATUSES = [...ACTIVE_JOB_STATUSES, "done", "failed", "cancelled"];
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  await requireAdmin(event);
+  const query = event.queryStringParameters || {};
+  const page = readPage(query);
+  if (query.status && !JOB_STATUSES.includes(query.status)) throw new HttpError(400, "Unknown job status.");
+
+  const where = {
+    ...(query.status ? { status: query.status } : {}),
+    ...(query.uid ? { uid: query.uid } : {})
+  };
+  const { items, total, nextCursor } = await collectionPage("generation_jobs", where, page);
+  return json(200, {
+    items: items.map((job) => ({
+      jobId: job.id,
+      uid: job.uid,
+      status: job.status,
+      error: job.error || null,
+      provider: job.provider || null,
+      prompt: job.params?.prompt || "",
+      conditioning: job.params?.conditioning || "text",
+      plan: job.plan || null,
+      parentJobId: job.parentJobId || null,
+      batchId: job.batchId || null,
+      modelUrl: job.modelUrl ? createPreviewUrl("job", job.id) : null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    })),
+    total,
+    nextCursor
+  });
+});
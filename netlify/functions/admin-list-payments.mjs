@@ -0,0 +1,45 @@
+/**
+ * GET /.netlify/functions/admin-list-payments?uid=
+ * Auth: Firebase ID token with the `admin` custom claim
+ *
+ * A user's Stripe payments, newest first, for issuing refunds:
+ * { customerIds, payments: [{ id, customerId, amount, amountRefunded,
+ * currency, status, description, created }] }. Amounts are in cents.
+ */
+
+import { requireAdmin } from '../lib/auth.mjs';
+import { HttpError, json, requireMethod, withErrors } from '../lib/http.mjs';
+import { customerIdsForUser } from '../lib/plans.mjs';
+import { getStripe } from '../lib/stripe.mjs';
+
+const PAYMENT_LIMIT = 25;
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  await requireAdmin(event);
+  const { uid } = event.queryStringParameters || {};
+  if (!uid) throw new HttpError(400, "uid is required.");
+
+  const customerIds = await customerIdsForUser(uid);
+  const stripe = await getStripe();
+  const lists = await Promise.all(customerIds.map((customer) => stripe.paymentIntents.list({
+    customer,
+    limit: PAYMENT_LIMIT,
+    expand: ["data.latest_charge"]
+  })));
+  const payments = lists
+    .flatMap((list) => list.data)
+    .sort((a, b) => b.created - a.created)
+    .slice(0, PAYMENT_LIMIT)
+    .map((paymentIntent) => ({
+      id: paymentIntent.id,
+      customerId: paymentIntent.customer,
+      amount: paymentIntent.amount_received || paymentIntent.amount,
+      amountRefunded: paymentIntent.latest_charge?.amount_refunded || 0,
+      currency: paymentIntent.currency,
+      status: paymentIntent.status,
+      description: paymentIntent.description || null,
+      created: paymentIntent.created
+    }));
+  return json(200, { customerIds, payments });
+});
@@ -0,0 +1,36 @@
+/**
+ * GET /.netlify/functions/admin-list-users?q=&cursor=&limit=
+ * Auth: Firebase ID token with the `admin` custom claim
+ *
+ * User directory for the admin dashboard, a page at a time (see
+ * listUsersPage). `q` looks up one uid or email address. Returns { items,
+ * total, nextCursor }, where each user has their plan, subscription, any admin
+ * override, this month's usage and generation counts ({ total, failed });
+ * total is null when the directory can't be counted.
+ */
+
+import { listUsersPage, readPage, userDetails } from '../lib/admin.mjs';
+import { requireAdmin } from '../lib/auth.mjs';
+import { json, requireMethod, withErrors } from '../lib/http.mjs';
+import { collection } from '../lib/store.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  await requireAdmin(event);
+  const query = event.queryStringParameters || {};
+  const { limit } = readPage({ limit: query.limit });
+
+  const { items, total, nextCursor } = await listUsersPage({
+    q: String(query.q || "").trim(),
+    cursor: query.cursor || null,
+    limit
+  });
+  const details = await Promise.all(items.map(async (user) => {
+    const [info, jobs] = await Promise.all([userDetails(user), collection("generation_jobs").where("uid", user.uid)]);
+    return {
+      ...info,
+      generations: { total: jobs.length, failed: jobs.filter((job) => job.status === "failed").length }
+    };
+  }));
+  return json(200, { items: details, total, nextCursor });
+});
@@ -0,0 +1,54 @@
+/**
+ * POST /.netlify/functions/admin-update-user
+ * Auth: Firebase ID token with the `admin` custom claim
+ * Body: { uid, plan: "free" | "basic" | "pro" | null, monthlyGenerations: number | null, note }
+ *
+ * Overrides a user's plan and/or monthly generation quota; null uses the
+ * subscription's plan or the plan's quota again, and nulling both removes the
+ * override. Stripe is not touched. The change is recorded in the audit log
+ * and the updated user is returned.
+ */
+
+import { getKnownUser, recordAdminAction, userDetails } from '../lib/admin.mjs';
+import { requireAdmin } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { PLAN_ENTITLEMENTS, getPlanOverride, setPlanOverride } from '../lib/plans.mjs';
+
+const MAX_MONTHLY_GENERATIONS = 10000;
+const MAX_NOTE_LENGTH = 300;
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const admin = await requireAdmin(event);
+
+  const { uid, plan = null, monthlyGenerations = null, note: rawNote } = parseJsonBody(event);
+  const note = String(rawNote || "").trim();
+  if (!uid) throw new HttpError(400, "uid is required.");
+  if (plan !== null && !PLAN_ENTITLEMENTS[plan]) throw new HttpError(400, "Unknown plan.");
+  if (monthlyGenerations !== null
+    && (!Number.isInteger(monthlyGenerations) || monthlyGenerations < 0 || monthlyGenerations > MAX_MONTHLY_GENERATIONS)) {
+    throw new HttpError(400, `monthlyGenerations must be a whole number between 0 and ${MAX_MONTHLY_GENERATIONS}.`);
+  }
+  if (!note) throw new HttpError(400, "Add a note explaining the change.");
+  if (note.length > MAX_NOTE_LENGTH) throw new HttpError(400, `Notes are limited to ${MAX_NOTE_LENGTH} characters.`);
+
+  const user = await getKnownUser(String(uid));
+  if (!user) throw new HttpError(404, "User not found.");
+
+  const previous = await getPlanOverride(uid);
+  await setPlanOverride(uid, { plan, monthlyGenerations, note, adminUid: admin.uid });
+  await recordAdminAction(admin, {
+    action: "user.override",
+    targetType: "user",
+    targetId: uid,
+    details: {
+      plan,
+      monthlyGenerations,
+      note,
+      previous: previous && { plan: previous.plan, monthlyGenerations: previous.monthlyGenerations }
+    }
+  });
+  return json(200, await userDetails(user));
+});
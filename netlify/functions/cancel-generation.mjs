@@ -0,0 +1,35 @@
+/**
+ * POST /.netlify/functions/cancel-generation
+ * Auth: Firebase ID token
+ * Body: { jobId }
+ *
+ * Cancels a queued or running job. The generation still counts towards the
+ * monthly quota, since the provider may already have done the work.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { getJob, isJobActive, publicJob, updateActiveJob } from '../lib/jobs.mjs';
+import { providerForJob } from '../lib/providers/index.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid } = await authenticate(event);
+  const { jobId } = parseJsonBody(event);
+  if (!jobId) throw new HttpError(400, "jobId is required.");
+
+  const job = await getJob(uid, jobId);
+  if (!job) throw new HttpError(404, "Generation job not found.");
+  if (!isJobActive(job)) return json(200, publicJob(job));
+
+  try {
+    await providerForJob(job).cancel(job);
+  } catch (err) {
+    console.error("Provider cancel failed:", err);
+  }
+  // A poll may have finished the job while the provider was being cancelled
+  const cancelled = await updateActiveJob(job.id, { status: "cancelled" });
+  return json(200, publicJob(cancelled || (await getJob(uid, job.id))));
+});
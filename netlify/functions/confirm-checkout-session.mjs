@@ -0,0 +1,49 @@
+/**
+ * GET /.netlify/functions/confirm-checkout-session?session_id=cs_...
+ * Auth: Firebase ID token (must belong to the user who started the checkout)
+ *
+ * Called by the client when Stripe redirects back after checkout. Applies the
+ * resulting subscription right away (the webhook may not have arrived yet) and
+ * returns { status, mode, plan }.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { HttpError, json, requireMethod, withErrors } from '../lib/http.mjs';
+import { fulfilPurchase } from '../lib/models.mjs';
+import { applySubscription, getPlan, linkCustomer } from '../lib/plans.mjs';
+import { getStripe } from '../lib/stripe.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const caller = await authenticate(event);
+  const sessionId = event.queryStringParameters?.session_id;
+  if (!sessionId) throw new HttpError(400, "session_id is required.");
+
+  const stripe = await getStripe();
+  let session;
+  try {
+    session = await stripe.checkout.sessions.retrieve(sessionId, { expand: ["subscription"] });
+  } catch (err) {
+    throw new HttpError(404, "Checkout session not found.");
+  }
+
+  const uid = session.client_reference_id || session.metadata?.uid;
+  if (uid && uid !== caller.uid) throw new HttpError(403, "This checkout belongs to a different account.");
+  const paid = session.status === "complete" && ["paid", "no_payment_required"].includes(session.payment_status);
+  if (!paid || !uid) {
+    return json(200, { status: session.status, mode: session.mode, plan: uid ? await getPlan(uid) : "free" });
+  }
+
+  await linkCustomer(typeof session.customer === "string" ? session.customer : session.customer?.id, uid);
+  if (session.mode === "subscription" && session.subscription && typeof session.subscription === "object") {
+    await applySubscription(uid, session.subscription);
+  }
+  const purchased = session.mode === "payment" ? await fulfilPurchase(session.id, uid) : null;
+
+  return json(200, {
+    status: "complete",
+    mode: session.mode,
+    plan: await getPlan(uid),
+    modelId: purchased ? purchased.modelId : null
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * POST /.netlify/functions/create-checkout-session
+ * Auth: Firebase ID token
+ * Body: { priceId, modelId? }
+ *
+ * Starts a Stripe Checkout session for a plan subscription or a one-time model
+ * download and returns { url } to redirect to. modelId is the id of one of the
+ * caller's own finished generation jobs; the model's storage URL is looked up
+ * on the server, never taken from the request. Checkout returns to
+ * /?checkout=success&session_id=... or /?checkout=cancelled.
+ *
+ * Pro users skip checkout for downloads: the model is added to their library
+ * and a signed download link is returned instead.
+ *
+ * Users whose subscription can still bill them get 409 "subscription_exists"
+ * for plan prices: a second subscription would bill alongside the first, so
+ * plan changes go through update-subscription instead.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, siteOrigin, withErrors } from '../lib/http.mjs';
+import { getJob } from '../lib/jobs.mjs';
+import { createSignedDownloadUrl, modelFromJob, recordOwnership, savePendingPurchase } from '../lib/models.mjs';
+import { MODEL_PRICE_ID, getPlan, getSubscription, isLiveSubscription, planForPrice } from '../lib/plans.mjs';
+import { getStripe } from '../lib/stripe.mjs';
+
+// Helper: The caller's finished job for a model id, or a 4xx
+async function finishedJob(uid, modelId) {
+  if (!modelId) throw new HttpError(400, "modelId is required.");
+  const job = await getJob(uid, String(modelId));
+  if (!job) throw new HttpError(404, "Model not found.");
+  if (job.status !== "done" || !job.modelUrl) throw new HttpError(409, "This model hasn't finished generating.");
+  return job;
+}
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid, email } = await authenticate(event);
+  const { priceId, modelId } = parseJsonBody(event);
+
+  // Pro downloads are included in the plan: no checkout needed
+  if (priceId === "free-download") {
+    if ((await getPlan(uid)) !== "pro") throw new HttpError(403, "Downloads are included with Pro only.");
+    const job = await finishedJob(uid, modelId);
+    const model = await recordOwnership(uid, { ...modelFromJob(job), source: "pro-generation" });
+    return json(200, await createSignedDownloadUrl(siteOrigin(event), model));
+  }
+
+  const plan = planForPrice(priceId);
+  if (!plan && priceId !== MODEL_PRICE_ID) throw new HttpError(400, "Unknown price.");
+  const job = plan ? null : await finishedJob(uid, modelId);
+
+  const origin = siteOrigin(event);
+  const existing = await getSubscription(uid);
+  if (plan && isLiveSubscription(existing)) {
+    throw new HttpError(409, "You already have a subscription. Change plans from your billing settings instead.", "subscription_exists");
+  }
+  const metadata = { uid, ...(plan ? { plan } : { modelId: job.id }) };
+  const stripe = await getStripe();
+  const session = await stripe.checkout.sessions.create({
+    mode: plan ? "subscription" : "payment",
+    line_items: [{ price: priceId, quantity: 1 }],
+    success_url: `${origin}/?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${origin}/?checkout=cancelled`,
+    client_reference_id: uid,
+    ...(existing?.customerId ? { customer: existing.customerId } : email ? { customer_email: email } : {}),
+    // One-time payments only get a customer on request; admins need it to find the payment for refunds
+    ...(!plan && !existing?.customerId ? { customer_creation: "always" } : {}),
+    metadata,
+    ...(plan ? { subscription_data: { metadata: { uid } } } : {})
+  });
+
+  if (!plan) {
+    await savePendingPurchase(session.id, { uid, ...modelFromJob(job) });
+  }
+
+  return json(200, { url: session.url, sessionId: session.id });
+});
@@ -0,0 +1,31 @@
+/**
+ * POST /.netlify/functions/create-portal-session
+ * Auth: Firebase ID token
+ *
+ * Opens a Stripe billing-portal session where the customer can update their
+ * card, switch plans or cancel, and returns { url } to redirect to. The portal
+ * returns to /?billing=return.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, requireMethod, siteOrigin, withErrors } from '../lib/http.mjs';
+import { getSubscription } from '../lib/plans.mjs';
+import { getStripe } from '../lib/stripe.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid } = await authenticate(event);
+
+  const subscription = await getSubscription(uid);
+  if (!subscription?.customerId) throw new HttpError(404, "No billing account yet. Subscribe to a plan first.");
+
+  const stripe = await getStripe();
+  const session = await stripe.billingPortal.sessions.create({
+    customer: subscription.customerId,
+    return_url: `${siteOrigin(event)}/?billing=return`
+  });
+
+  return json(200, { url: session.url });
+});
@@ -0,0 +1,21 @@
+/**
+ * GET /.netlify/functions/download-model?u=&m=&exp=&sig=
+ *
+ * Checks a signed, expiring download link for an owned model and redirects
+ * (302) to the model file. Links come from get-download-url.
+ */
+
+import { json, requireMethod, withErrors } from '../lib/http.mjs';
+import { verifySignedDownload } from '../lib/models.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const model = await verifySignedDownload(event.queryStringParameters || {});
+  if (!model) return json(403, { error: "This download link is invalid or has expired." });
+
+  return {
+    statusCode: 302,
+    headers: { Location: model.modelUrl, "Cache-Control": "private, no-store" },
+    body: ""
+  };
+});
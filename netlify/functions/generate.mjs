@@ -0,0 +1,266 @@
+/**
+ * POST /.netlify/functions/generate
+ * Auth: Firebase ID token (verified email required)
+ * Body (multipart/form-data): prompt, measurements (JSON { width, height, depth } in mm),
+ *   material, supports, shellThickness, infill, negativePrompt?, seed?,
+ *   printer? (JSON { id, label, buildVolume: [x, y, z] in mm, nozzle }),
+ *   conditioning ("text" | "image" | "combined"), image_front?, image_side?, image_back?
+ *   (a lone `image` field is treated as the front view),
+ *   variants? (JSON array of 2-4 overrides of seed, material, infill,
+ *   shellThickness or supports)
+ *
+ * Validates the request against the user's plan and monthly quota, starts a
+ * job on the configured 3D provider and returns 202 with
+ * { jobId, status, progress, seed, usage }. Requests larger than the printer's
+ * build volume are rejected with code "exceeds_build_volume". A random seed is chosen when none
+ * is given, so every result can be reproduced. Poll generation-status for the result.
+ *
+ * The prompt and reference images go through content moderation first
+ * (netlify/lib/moderation.mjs); rejected requests get 422 with
+ * { error, code: "content_rejected", reasons } and don't count as generations.
+ *
+ * With `variants`, one job is started per variant (each counts as a
+ * generation) and the response is { batchId, jobs: [{ jobId, status, progress,
+ * seed }], usage }.
+ */
+
+import crypto from 'node:crypto';
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseFormData, requireMethod, withErrors } from '../lib/http.mjs';
+import { createJob, publicJob } from '../lib/jobs.mjs';
+import { moderationRejection } from '../lib/moderation.mjs';
+import { getEntitlements, getPlan } from '../lib/plans.mjs';
+import { getProvider } from '../lib/providers/index.mjs';
+import { billingPeriodKey, getUsage, quotaExceededMessage, releaseUsage, reserveUsage } from '../lib/usage.mjs';
+
+const MATERIALS = ["plastic", "metal", "resin", "wood"];
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const IMAGE_VIEWS = ["front", "side", "back"];
+const CONDITIONING_MODES = ["text", "image", "combined"];
+
+// Netlify caps request bodies at 6 MB, and uploads arrive base64-encoded
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+const MAX_PROMPT_LENGTH = 1000;
+const MAX_DIMENSION_MM = 1000;
+const MAX_BUILD_VOLUME_MM = 2000;
+const MAX_NOZZLE_MM = 2;
+const MAX_SEED = 2147483647;
+const MAX_VARIANTS = 4;
+
+// Settings a variant may override
+const VARIANT_FIELDS = ["seed", "material", "infill", "shellThickness", "supports"];
+
+// Helper: Positive number no larger than max, or a 400
+function positiveNumber(value, label, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0 || n > max) throw new HttpError(400, `${label} must be between 0 and ${max}.`);
+  return n;
+}
+
+// Helper: Seed from the form, or a random one
+function readSeed(value) {
+  if (value == null || value === "") return crypto.randomInt(MAX_SEED);
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) throw new HttpError(400, `Seed must be a whole number between 0 and ${MAX_SEED}.`);
+  return seed;
+}
+
+// Helper: Material from the form, or a 400
+function readMaterial(value) {
+  const material = String(value || "plastic");
+  if (!MATERIALS.includes(material)) throw new HttpError(400, "Unknown material.");
+  return material;
+}
+
+// Helper: Infill percentage from the form, or a 400
+function readInfill(value) {
+  const infill = Number(value ?? 20);
+  if (!Number.isFinite(infill) || infill < 0 || infill > 100) throw new HttpError(400, "Infill must be between 0 and 100.");
+  return infill;
+}
+
+// Helper: Printer profile from the form (null when none was chosen), or a 400
+function readPrinter(value) {
+  if (value === null || value === "") return null;
+  let printer;
+  try {
+    printer = JSON.parse(value);
+  } catch (err) {
+    throw new HttpError(400, "printer must be JSON.");
+  }
+  if (!Array.isArray(printer?.buildVolume) || printer.buildVolume.length !== 3) {
+    throw new HttpError(400, "The printer's build volume must be [x, y, z] in millimeters.");
+  }
+  return {
+    id: String(printer.id || "custom").slice(0, 40),
+    label: String(printer.label || "Custom printer").slice(0, 80),
+    buildVolume: printer.buildVolume.map((v) => positiveNumber(v, "Build volume", MAX_BUILD_VOLUME_MM)),
+    nozzle: positiveNumber(printer.nozzle ?? 0.4, "Nozzle diameter", MAX_NOZZLE_MM)
+  };
+}
+
+// Helper: Whether measurements fit a build volume (width on X, depth on Y, height on Z), allowing a 90° turn
+function fitsBuildVolume({ width, height, depth }, [x, y, z]) {
+  return height <= z && ((width <= x && depth <= y) || (width <= y && depth <= x));
+}
+
+// Helper: Validated generation parameters from the submitted form
+async function readParams(form) {
+  const prompt = String(form.get("prompt") || "").trim();
+  if (prompt.length > MAX_PROMPT_LENGTH) throw new HttpError(400, `Prompts are limited to ${MAX_PROMPT_LENGTH} characters.`);
+  const negativePrompt = String(form.get("negativePrompt") || "").trim();
+  if (negativePrompt.length > MAX_PROMPT_LENGTH) throw new HttpError(400, `Negative prompts are limited to ${MAX_PROMPT_LENGTH} characters.`);
+
+  let measurements;
+  try {
+    measurements = JSON.parse(form.get("measurements") || "{}");
+  } catch (err) {
+    throw new HttpError(400, "measurements must be JSON.");
+  }
+
+  const images = [];
+  for (const view of IMAGE_VIEWS) {
+    const file = form.get(`image_${view}`) || (view === "front" ? form.get("image") : null);
+    if (!file || typeof file === "string" || file.size === 0) continue;
+    if (!IMAGE_TYPES.includes(file.type)) throw new HttpError(415, "Reference images must be PNG, JPEG or WebP.");
+    images.push({ view, buffer: Buffer.from(await file.arrayBuffer()), type: file.type });
+  }
+  if (images.reduce((total, image) => total + image.buffer.length, 0) > MAX_IMAGE_BYTES) {
+    throw new HttpError(413, "Reference images must be 4 MB or smaller in total.");
+  }
+
+  const conditioning = String(form.get("conditioning") || (images.length ? (prompt ? "combined" : "image") : "text"));
+  if (!CONDITIONING_MODES.includes(conditioning)) throw new HttpError(400, "Unknown conditioning mode.");
+  if (conditioning !== "text" && !images.some((image) => image.view === "front")) {
+    throw new HttpError(400, "A front view image is required for image conditioning.");
+  }
+  if (conditioning === "combined" && !prompt) throw new HttpError(400, "Text + image generation needs a description.");
+  if (conditioning === "text" && !prompt) throw new HttpError(400, "Provide a description or a reference image.");
+
+  const printer = readPrinter(form.get("printer"));
+  const size = {
+    width: positiveNumber(measurements.width, "Width", MAX_DIMENSION_MM),
+    height: positiveNumber(measurements.height, "Height", MAX_DIMENSION_MM),
+    depth: positiveNumber(measurements.depth, "Depth", MAX_DIMENSION_MM)
+  };
+  if (printer && !fitsBuildVolume(size, printer.buildVolume)) {
+    throw new HttpError(400, `${size.width} × ${size.depth} × ${size.height} mm doesn't fit the ${printer.label}'s ${printer.buildVolume.join(" × ")} mm build volume.`, "exceeds_build_volume");
+  }
+
+  return {
+    images: conditioning === "text" ? [] : images,
+    conditioning,
+    negativePrompt,
+    params: {
+      prompt,
+      negativePrompt,
+      seed: readSeed(form.get("seed")),
+      measurements: size,
+      printer,
+      material: readMaterial(form.get("material")),
+      supports: form.get("supports") === "true",
+      shellThickness: form.get("shellThickness") ? positiveNumber(form.get("shellThickness"), "Shell thickness", 50) : 1,
+      infill: readInfill(form.get("infill")),
+      conditioning,
+      imageViews: conditioning === "text" ? [] : images.map((image) => image.view),
+      hasImage: conditioning !== "text"
+    }
+  };
+}
+
+// Helper: Parameters for each requested variant (just the base parameters without variants)
+function readVariants(value, params) {
+  if (value === null || value === "") return [params];
+  let variants;
+  try {
+    variants = JSON.parse(value);
+  } catch (err) {
+    throw new HttpError(400, "variants must be JSON.");
+  }
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+    throw new HttpError(400, `Batches must have between 2 and ${MAX_VARIANTS} variants.`);
+  }
+  return variants.map((variant) => {
+    if (!variant || typeof variant !== "object" || Array.isArray(variant)) {
+      throw new HttpError(400, "Each variant must be an object.");
+    }
+    const unknown = Object.keys(variant).filter((key) => !VARIANT_FIELDS.includes(key));
+    if (unknown.length) throw new HttpError(400, `Variants can't change ${unknown.join(", ")}.`);
+    return {
+      ...params,
+      seed: "seed" in variant ? readSeed(variant.seed) : crypto.randomInt(MAX_SEED),
+      material: "material" in variant ? readMaterial(variant.material) : params.material,
+      infill: "infill" in variant ? readInfill(variant.infill) : params.infill,
+      shellThickness: "shellThickness" in variant ? positiveNumber(variant.shellThickness, "Shell thickness", 50) : params.shellThickness,
+      supports: "supports" in variant ? variant.supports === true : params.supports
+    };
+  });
+}
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid, emailVerified } = await authenticate(event);
+  if (!emailVerified) throw new HttpError(403, "Please verify your email address before generating models.");
+
+  const form = await parseFormData(event);
+  const { images, conditioning, negativePrompt, params } = await readParams(form);
+  const variants = readVariants(form.get("variants"), params);
+  const plan = await getPlan(uid);
+  const entitlements = getEntitlements(plan);
+  if (images.length && !entitlements.imageTo3d) throw new HttpError(403, "Image-to-3D is available on the Basic and Pro plans.");
+  if (variants.some((v) => v.supports) && !entitlements.printSupports) {
+    throw new HttpError(403, "Print supports are available on the Basic and Pro plans.");
+  }
+
+  // Early check so requests over the quota skip moderation; the reservation below is the one that counts
+  const usage = await getUsage(uid, plan);
+  const quotaError = quotaExceededMessage(plan, usage, variants.length);
+  if (quotaError) return json(429, { error: quotaError, code: "quota_exceeded", usage });
+
+  // The prompt and every reference image are checked before anything reaches the provider
+  const rejection = await moderationRejection(uid, { kind: "generation", text: params.prompt, images });
+  if (rejection) return rejection;
+
+  const period = billingPeriodKey();
+  const reservation = await reserveUsage(uid, plan, variants.length, period);
+  if (!reservation.reserved) {
+    const error = quotaExceededMessage(plan, reservation.usage, variants.length);
+    return json(429, { error, code: "quota_exceeded", usage: reservation.usage });
+  }
+
+  const provider = getProvider();
+  const tasks = [];
+  try {
+    for (const variant of variants) {
+      tasks.push(await provider.start({ prompt: variant.prompt, negativePrompt, images, conditioning, params: variant }));
+    }
+  } catch (err) {
+    console.error("Provider start failed:", err);
+    // Stop the variants that did start, since no job will track them, and hand the generations back
+    await Promise.all(tasks.map((task) => provider.cancel({ taskId: task.taskId }).catch(() => {})));
+    await releaseUsage(uid, period, variants.length);
+    throw new HttpError(502, "The 3D generation service is unavailable. Please try again shortly.");
+  }
+
+  const batchId = variants.length > 1 ? `batch_${crypto.randomBytes(10).toString("hex")}` : null;
+  const jobs = [];
+  for (const [i, variant] of variants.entries()) {
+    jobs.push(await createJob(uid, {
+      provider: provider.name,
+      taskId: tasks[i].taskId,
+      params: variant,
+      plan,
+      usagePeriod: period,
+      ...(batchId ? { batchId } : {})
+    }));
+  }
+
+  if (!batchId) return json(202, { ...publicJob(jobs[0]), seed: params.seed, usage: reservation.usage });
+  return json(202, {
+    batchId,
+    jobs: jobs.map((job) => ({ ...publicJob(job), seed: job.params.seed })),
+    usage: reservation.usage
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * GET /.netlify/functions/generation-status?jobId=...
+ * Auth: Firebase ID token
+ *
+ * Refreshes an active job from its provider and returns
+ * { jobId, status, progress, modelUrl, thumbnailUrl, error }, where modelUrl is
+ * a signed view-model link rather than the storage URL. Finished Pro
+ * generations are added to the user's model library; failed ones hand the
+ * generation back to the monthly quota. Only the request whose update moved
+ * the job out of its active state does either, so concurrent polls (or a
+ * cancel in between) can't record or refund a generation twice.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { HttpError, json, requireMethod, siteOrigin, withErrors } from '../lib/http.mjs';
+import { getJob, isJobActive, publicJob, updateActiveJob } from '../lib/jobs.mjs';
+import { modelFromJob, recordOwnership } from '../lib/models.mjs';
+import { providerForJob } from '../lib/providers/index.mjs';
+import { releaseUsage } from '../lib/usage.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const { uid } = await authenticate(event);
+  const jobId = event.queryStringParameters?.jobId;
+  if (!jobId) throw new HttpError(400, "jobId is required.");
+
+  let job = await getJob(uid, jobId);
+  if (!job) throw new HttpError(404, "Generation job not found.");
+  if (!isJobActive(job)) return json(200, publicJob(job));
+
+  let update;
+  try {
+    update = await providerForJob(job).poll(job, { origin: siteOrigin(event) });
+  } catch (err) {
+    // Report the last known state; the client polls again
+    console.error("Provider poll failed:", err);
+    return json(200, publicJob(job));
+  }
+
+  const updated = await updateActiveJob(job.id, (current) => ({
+    status: update.status,
+    progress: Math.max(current.progress, Math.min(100, update.progress)),
+    modelUrl: update.modelUrl || null,
+    thumbnailUrl: update.thumbnailUrl || null,
+    error: update.error || null
+  }));
+  // Another request finished or cancelled the job first; report what it stored
+  if (!updated) return json(200, publicJob(await getJob(uid, job.id)));
+
+  job = updated;
+  if (job.status === "done" && job.plan === "pro") {
+    await recordOwnership(uid, { ...modelFromJob(job), source: "pro-generation" });
+  }
+  if (job.status === "failed") await releaseUsage(uid, job.usagePeriod);
+
+  return json(200, publicJob(job));
+});
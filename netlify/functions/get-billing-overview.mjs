@@ -0,0 +1,47 @@
+/**
+ * GET /.netlify/functions/get-billing-overview
+ * Auth: Firebase ID token
+ *
+ * Current subscription state, renewal date and recent invoices for the
+ * account/billing page.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { json, requireMethod, withErrors } from '../lib/http.mjs';
+import { getPlan, getSubscription } from '../lib/plans.mjs';
+import { getStripe } from '../lib/stripe.mjs';
+
+const INVOICE_LIMIT = 12;
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const { uid } = await authenticate(event);
+
+  const [plan, subscription] = await Promise.all([getPlan(uid), getSubscription(uid)]);
+  let invoices = [];
+  if (subscription?.customerId) {
+    const stripe = await getStripe();
+    const list = await stripe.invoices.list({ customer: subscription.customerId, limit: INVOICE_LIMIT });
+    invoices = list.data.map((invoice) => ({
+      id: invoice.id,
+      number: invoice.number,
+      created: invoice.created,
+      amount: invoice.status === "paid" ? invoice.amount_paid : invoice.amount_due,
+      currency: invoice.currency,
+      status: invoice.status,
+      url: invoice.hosted_invoice_url || invoice.invoice_pdf || null
+    }));
+  }
+
+  return json(200, {
+    plan,
+    subscription: subscription && {
+      plan: subscription.plan,
+      status: subscription.status,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      lastPaymentError: subscription.status === "past_due" ? subscription.lastPaymentError || null : null
+    },
+    invoices
+  });
+});
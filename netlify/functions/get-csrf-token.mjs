@@ -0,0 +1,15 @@
+/**
+ * GET /.netlify/functions/get-csrf-token
+ *
+ * Returns { token, expiresAt } for the X-CSRF-Token header of state-changing
+ * requests and sets the matching HttpOnly cookie (see netlify/lib/csrf.mjs).
+ */
+
+import { csrfCookie, issueCsrfToken } from '../lib/csrf.mjs';
+import { json, requireMethod, siteOrigin, withErrors } from '../lib/http.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const issued = issueCsrfToken();
+  return json(200, issued, { "Set-Cookie": csrfCookie(issued.token, siteOrigin(event)) });
+});
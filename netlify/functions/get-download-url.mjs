@@ -0,0 +1,26 @@
+/**
+ * POST /.netlify/functions/get-download-url
+ * Auth: Firebase ID token
+ * Body: { modelId }
+ *
+ * Checks that the user owns the model and returns { url, expiresAt } with a
+ * download link that stops working after a few minutes.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, siteOrigin, withErrors } from '../lib/http.mjs';
+import { createSignedDownloadUrl, getOwnedModel } from '../lib/models.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid } = await authenticate(event);
+  const { modelId } = parseJsonBody(event);
+  if (!modelId) throw new HttpError(400, "modelId is required.");
+
+  const model = await getOwnedModel(uid, modelId);
+  if (!model) throw new HttpError(403, "You don't own this model.");
+
+  return json(200, await createSignedDownloadUrl(siteOrigin(event), model));
+});
@@ -0,0 +1,24 @@
+/**
+ * GET /.netlify/functions/get-gallery-item?id=...
+ *
+ * One gallery item, for shared /gallery/<id> links. Like list-gallery,
+ * signing in is optional and adds whether the caller liked or published it.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { HttpError, header, json, requireMethod, withErrors } from '../lib/http.mjs';
+import { canView, getGalleryItem, likedItemIds, publicGalleryItem } from '../lib/gallery.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const id = event.queryStringParameters?.id;
+  if (!id) throw new HttpError(400, "id is required.");
+
+  const viewer = header(event, "authorization") ? await authenticate(event) : null;
+  const item = await getGalleryItem(id);
+  // Items still in review look missing to everyone but their publisher and admins
+  if (!item || !canView(item, viewer)) throw new HttpError(404, "Gallery item not found.");
+
+  const likedIds = viewer ? await likedItemIds(viewer.uid) : new Set();
+  return json(200, publicGalleryItem(item, viewer?.uid, likedIds));
+});
@@ -0,0 +1,19 @@
+/**
+ * GET /.netlify/functions/get-user-plan
+ * Auth: Firebase ID token
+ *
+ * Returns { plan, usage: { period, used, limit } } for the signed-in user;
+ * limit is null on unlimited plans.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { json, requireMethod, withErrors } from '../lib/http.mjs';
+import { getPlan } from '../lib/plans.mjs';
+import { getUsage } from '../lib/usage.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const { uid } = await authenticate(event);
+  const plan = await getPlan(uid);
+  return json(200, { plan, usage: await getUsage(uid, plan) });
+});
@@ -0,0 +1,27 @@
+/**
+ * POST /.netlify/functions/like-gallery-item
+ * Auth: Firebase ID token
+ * Body: { itemId, liked: boolean }
+ *
+ * Likes or unlikes an approved gallery item and returns { itemId, liked, likes }.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { getGalleryItem, isApproved, setLike } from '../lib/gallery.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid } = await authenticate(event);
+  const { itemId, liked } = parseJsonBody(event);
+  if (!itemId) throw new HttpError(400, "itemId is required.");
+  if (typeof liked !== "boolean") throw new HttpError(400, "liked must be true or false.");
+
+  const item = await getGalleryItem(itemId);
+  if (!item || !isApproved(item)) throw new HttpError(404, "Gallery item not found.");
+
+  const updated = await setLike(uid, item, liked);
+  return json(200, { itemId, liked, likes: updated.likes || 0 });
+});
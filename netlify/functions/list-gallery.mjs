@@ -0,0 +1,60 @@
+/**
+ * GET /.netlify/functions/list-gallery?q=&tags=&sort=&cursor=&limit=
+ *
+ * Public model gallery. `q` searches names and descriptions, `tags` is a
+ * comma-separated list the items must all carry, `sort` is one of
+ * GALLERY_SORTS (relevance by default) and `cursor` is the nextCursor of the
+ * previous page. Returns { items, total, nextCursor, tags: [{ tag, count }] };
+ * nextCursor is null on the last page.
+ *
+ * Signing in is optional: with an ID token, items also say whether the caller
+ * liked them and whether they published them, and the caller's own models
+ * that are still in review (or were rejected) are included.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { HttpError, header, json, requireMethod, withErrors } from '../lib/http.mjs';
+import {
+  DEFAULT_GALLERY_PAGE_SIZE,
+  GALLERY_SORTS,
+  MAX_GALLERY_PAGE_SIZE,
+  isApproved,
+  likedItemIds,
+  listGalleryItems,
+  publicGalleryItem,
+  searchGallery
+} from '../lib/gallery.mjs';
+
+const MAX_QUERY_LENGTH = 200;
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const query = event.queryStringParameters || {};
+
+  const q = String(query.q || "").trim();
+  if (q.length > MAX_QUERY_LENGTH) throw new HttpError(400, `Searches are limited to ${MAX_QUERY_LENGTH} characters.`);
+  const sort = query.sort || "relevance";
+  if (!GALLERY_SORTS.includes(sort)) throw new HttpError(400, "Unknown sort order.");
+  const tags = String(query.tags || "").split(",").map((tag) => tag.trim()).filter(Boolean);
+  const offset = query.cursor ? Number(query.cursor) : 0;
+  if (!Number.isInteger(offset) || offset < 0) throw new HttpError(400, "Invalid cursor.");
+  const limit = query.limit ? Number(query.limit) : DEFAULT_GALLERY_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_GALLERY_PAGE_SIZE) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_GALLERY_PAGE_SIZE}.`);
+  }
+
+  const viewer = header(event, "authorization") ? await authenticate(event) : null;
+  const likedIds = viewer ? await likedItemIds(viewer.uid) : new Set();
+
+  const { matches, tags: tagList } = searchGallery(
+    (await listGalleryItems()).filter((item) => isApproved(item) || item.uid === viewer?.uid),
+    { query: q, tags, sort }
+  );
+  const page = matches.slice(offset, offset + limit);
+  return json(200, {
+    items: page.map((item) => publicGalleryItem(item, viewer?.uid, likedIds)),
+    total: matches.length,
+    nextCursor: offset + limit < matches.length ? String(offset + limit) : null,
+    tags: tagList
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * GET /.netlify/functions/list-my-models
+ * Auth: Firebase ID token
+ *
+ * Models the user has bought or generated on Pro. Storage URLs are omitted:
+ * use get-download-url for a short-lived link.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { json, requireMethod, withErrors } from '../lib/http.mjs';
+import { listOwnedModels } from '../lib/models.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const { uid } = await authenticate(event);
+
+  const models = await listOwnedModels(uid);
+  return json(200, {
+    models: models.map(({ modelId, name, thumbnailUrl, source, acquiredAt }) => ({
+      modelId,
+      name,
+      thumbnailUrl,
+      source,
+      acquiredAt
+    }))
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * GET /.netlify/functions/list-review-queue
+ * Auth: Firebase ID token with the `admin` custom claim
+ *
+ * Gallery submissions waiting for review, oldest first:
+ * { items: [{ ...gallery item, uid, jobId }] }.
+ */
+
+import { requireAdmin } from '../lib/auth.mjs';
+import { json, requireMethod, withErrors } from '../lib/http.mjs';
+import { listPendingItems, publicGalleryItem } from '../lib/gallery.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  await requireAdmin(event);
+
+  const items = await listPendingItems();
+  return json(200, {
+    items: items.map((item) => ({ ...publicGalleryItem(item), uid: item.uid, jobId: item.jobId }))
+  });
+});
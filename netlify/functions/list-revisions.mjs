@@ -0,0 +1,34 @@
+/**
+ * GET /.netlify/functions/list-revisions?jobId=...
+ * Auth: Firebase ID token
+ *
+ * Returns { revisions: [{ jobId, revision, instruction, conditioning,
+ * measurements, status, modelUrl, thumbnailUrl, createdAt }] }: the job and
+ * every version it was refined from, oldest first.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { HttpError, json, requireMethod, withErrors } from '../lib/http.mjs';
+import { getJob, publicJob, revisionChain } from '../lib/jobs.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const { uid } = await authenticate(event);
+  const jobId = event.queryStringParameters?.jobId;
+  if (!jobId) throw new HttpError(400, "jobId is required.");
+
+  const job = await getJob(uid, jobId);
+  if (!job) throw new HttpError(404, "Generation job not found.");
+
+  const chain = await revisionChain(uid, job);
+  return json(200, {
+    revisions: chain.map((j) => ({
+      ...publicJob(j),
+      revision: j.revision || 0,
+      instruction: j.instruction || null,
+      conditioning: j.params?.conditioning || "text",
+      measurements: j.params?.measurements || null,
+      createdAt: j.createdAt
+    }))
+  });
+});
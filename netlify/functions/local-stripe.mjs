@@ -0,0 +1,173 @@
+/**
+ * /.netlify/functions/local-stripe (local development only)
+ *
+ * Hosted pages of the local Stripe stand-in:
+ * - GET ?session_id=cs_...: show the order with Pay / Cancel buttons
+ * - POST action=pay|cancel&session_id=...: complete or abandon checkout and redirect back
+ * - GET ?portal_session=bps_...: billing portal with plan switch and cancellation
+ * - POST action=portal-switch|portal-cancel|portal-resume&portal_session=...&subscription_id=...
+ * - POST action=fail-payment&subscription_id=...: simulate a failed renewal
+ * - POST action=cancel-subscription&subscription_id=...: cancel immediately
+ */
+
+import { HttpError, json, rawBody, withErrors } from '../lib/http.mjs';
+import {
+  LOCAL_PRICE_AMOUNTS,
+  completeLocalCheckout,
+  createLocalStripe,
+  expireLocalCheckout,
+  failLocalPayment
+} from '../lib/local-stripe.mjs';
+import { PLAN_PRICES } from '../lib/plans.mjs';
+import { collection } from '../lib/store.mjs';
+import { isLocalStripe } from '../lib/stripe.mjs';
+
+// Helper: Escape text for HTML output
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (m) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#x27;'
+  })[m]);
+}
+
+// Helper: Redirect response
+function redirect(location) {
+  return { statusCode: 303, headers: { Location: location }, body: "" };
+}
+
+// Helper: Checkout page for a session
+function checkoutPage(session) {
+  const items = session.line_items
+    .map((item) => `<li>${escapeHtml(item.price)} × ${item.quantity} — $${((LOCAL_PRICE_AMOUNTS[item.price] || 0) / 100).toFixed(2)}</li>`)
+    .join("");
+  const action = (name, label, color) => `
+    <form method="POST">
+      <input type="hidden" name="session_id" value="${escapeHtml(session.id)}">
+      <button name="action" value="${name}" style="background:${color}">${label}</button>
+    </form>`;
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Local Stripe Checkout</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #111827; color: #f9fafb; display: flex; justify-content: center; padding: 4rem 1rem; }
+  main { background: #1f2937; padding: 2rem; border-radius: 1rem; max-width: 28rem; width: 100%; }
+  button { color: #fff; border: 0; padding: .75rem 1.5rem; border-radius: .5rem; font-weight: 600; cursor: pointer; }
+  .actions { display: flex; gap: .75rem; margin-top: 1.5rem; }
+  .muted { color: #9ca3af; font-size: .875rem; }
+</style></head>
+<body><main>
+  <h1>Local Stripe Checkout</h1>
+  <p class="muted">Offline stand-in. No card is charged.</p>
+  <p>Mode: <strong>${escapeHtml(session.mode)}</strong> · Status: <strong>${escapeHtml(session.status)}</strong></p>
+  <ul>${items}</ul>
+  <p>Total: <strong>$${(session.amount_total / 100).toFixed(2)}</strong></p>
+  ${session.status === "open" ? `<div class="actions">${action("pay", "Pay", "#4f46e5")}${action("cancel", "Cancel", "#4b5563")}</div>` : ""}
+</main></body></html>`;
+}
+
+// Helper: Billing portal page for a customer's subscriptions
+function portalPage(portalSession, subscriptions) {
+  const form = (subscription, action, label, extra = "") => `
+    <form method="POST">
+      <input type="hidden" name="portal_session" value="${escapeHtml(portalSession.id)}">
+      <input type="hidden" name="subscription_id" value="${escapeHtml(subscription.id)}">
+      ${extra}
+      <button name="action" value="${action}">${label}</button>
+    </form>`;
+  const rows = subscriptions.map((subscription) => {
+    const priceId = subscription.items.data[0].price.id;
+    const plan = Object.keys(PLAN_PRICES).find((id) => PLAN_PRICES[id] === priceId) || priceId;
+    const switches = Object.entries(PLAN_PRICES)
+      .filter(([, id]) => id !== priceId)
+      .map(([other, id]) => form(subscription, "portal-switch", `Switch to ${other}`, `<input type="hidden" name="price" value="${escapeHtml(id)}">`))
+      .join("");
+    const active = subscription.status !== "canceled";
+    return `<section>
+      <h2>${escapeHtml(plan)} · ${escapeHtml(subscription.status)}</h2>
+      <p class="muted">Renews ${new Date(subscription.current_period_end * 1000).toLocaleDateString()}${subscription.cancel_at_period_end ? " · cancels at period end" : ""}</p>
+      ${active ? `<div class="actions">${switches}${subscription.cancel_at_period_end
+        ? form(subscription, "portal-resume", "Resume")
+        : form(subscription, "portal-cancel", "Cancel at period end")}</div>` : ""}
+    </section>`;
+  }).join("");
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Local Billing Portal</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #111827; color: #f9fafb; display: flex; justify-content: center; padding: 4rem 1rem; }
+  main { background: #1f2937; padding: 2rem; border-radius: 1rem; max-width: 32rem; width: 100%; }
+  button { color: #fff; background: #4f46e5; border: 0; padding: .5rem 1rem; border-radius: .5rem; cursor: pointer; }
+  .actions { display: flex; flex-wrap: wrap; gap: .5rem; }
+  .muted { color: #9ca3af; font-size: .875rem; }
+  a { color: #facc15; }
+</style></head>
+<body><main>
+  <h1>Local Billing Portal</h1>
+  <p class="muted">Offline stand-in. Plan changes are prorated like Stripe.</p>
+  ${rows || "<p>No subscriptions.</p>"}
+  <p><a href="${escapeHtml(portalSession.return_url)}">Return to 3D Model Magic</a></p>
+</main></body></html>`;
+}
+
+export const handler = withErrors(async (event) => {
+  if (!isLocalStripe()) throw new HttpError(404, "Not found.");
+  const stripe = createLocalStripe();
+
+  if (event.httpMethod === "GET" && event.queryStringParameters?.portal_session) {
+    const portalSession = await stripe.billingPortal.sessions.retrieve(event.queryStringParameters.portal_session)
+      .catch(() => null);
+    if (!portalSession) throw new HttpError(404, "Portal session not found.");
+    const subscriptions = (await collection("stripe_subscriptions").list())
+      .filter((subscription) => subscription.customer === portalSession.customer);
+    return {
+      statusCode: 200,
+      headers: { "Content-Type": "text/html; charset=utf-8" },
+      body: portalPage(portalSession, subscriptions)
+    };
+  }
+
+  if (event.httpMethod === "GET") {
+    const sessionId = event.queryStringParameters?.session_id;
+    if (!sessionId) throw new HttpError(400, "session_id is required.");
+    const session = await stripe.checkout.sessions.retrieve(sessionId).catch(() => null);
+    if (!session) throw new HttpError(404, "Checkout session not found.");
+    return { statusCode: 200, headers: { "Content-Type": "text/html; charset=utf-8" }, body: checkoutPage(session) };
+  }
+
+  if (event.httpMethod !== "POST") throw new HttpError(405, `Method ${event.httpMethod} not allowed.`);
+  const form = new URLSearchParams(rawBody(event));
+  const backToPortal = () => redirect(`?portal_session=${encodeURIComponent(form.get("portal_session"))}`);
+  switch (form.get("action")) {
+    case "portal-switch": {
+      const subscription = await stripe.subscriptions.retrieve(form.get("subscription_id"));
+      await stripe.subscriptions.update(subscription.id, {
+        items: [{ id: subscription.items.data[0].id, price: form.get("price") }],
+        proration_behavior: "create_prorations"
+      });
+      return backToPortal();
+    }
+    case "portal-cancel":
+      await stripe.subscriptions.update(form.get("subscription_id"), { cancel_at_period_end: true });
+      return backToPortal();
+    case "portal-resume":
+      await stripe.subscriptions.update(form.get("subscription_id"), { cancel_at_period_end: false });
+      return backToPortal();
+    case "pay": {
+      const session = await completeLocalCheckout(form.get("session_id"));
+      return redirect(session.success_url.replace("{CHECKOUT_SESSION_ID}", session.id));
+    }
+    case "cancel": {
+      const session = await expireLocalCheckout(form.get("session_id"));
+      return redirect(session.cancel_url);
+    }
+    case "fail-payment":
+      return json(200, await failLocalPayment(form.get("subscription_id")));
+    case "cancel-subscription":
+      return json(200, await stripe.subscriptions.cancel(form.get("subscription_id")));
+    default:
+      throw new HttpError(400, "Unknown action.");
+  }
+});
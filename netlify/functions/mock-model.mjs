@@ -0,0 +1,31 @@
+/**
+ * GET /.netlify/functions/mock-model?width=&height=&depth=
+ *
+ * Serves the box GLB produced by the mock generation provider
+ * (see netlify/lib/providers/mock.mjs). Dimensions are in millimetres.
+ */
+
+import { HttpError, requireMethod, withErrors } from '../lib/http.mjs';
+import { buildBoxGlb } from '../lib/providers/mock.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const query = event.queryStringParameters || {};
+  const size = {};
+  for (const axis of ["width", "height", "depth"]) {
+    size[axis] = Number(query[axis]);
+    if (!Number.isFinite(size[axis]) || size[axis] <= 0 || size[axis] > 1000) {
+      throw new HttpError(400, `${axis} must be between 0 and 1000 mm.`);
+    }
+  }
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "model/gltf-binary",
+      "Cache-Control": "public, max-age=86400",
+      "Access-Control-Allow-Origin": "*"
+    },
+    body: buildBoxGlb(size).toString("base64"),
+    isBase64Encoded: true
+  };
+});
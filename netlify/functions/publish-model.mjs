@@ -0,0 +1,67 @@
+/**
+ * POST /.netlify/functions/publish-model
+ * Auth: Firebase ID token
+ * Body: { jobId, title, description, tags: string[], license }
+ *
+ * Submits a finished model to the public gallery along with its generation
+ * parameters, so others can remix it. The title, description and tags are
+ * moderated (422 "content_rejected"), then the item waits in the review queue
+ * until an admin approves it. Returns 201 with the gallery item (status
+ * "pending"); a model can only be published once (409).
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import {
+  GALLERY_LICENSES,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_TITLE_LENGTH,
+  getGalleryItem,
+  normalizeTags,
+  publicGalleryItem,
+  publishJob
+} from '../lib/gallery.mjs';
+import { getJob } from '../lib/jobs.mjs';
+import { checkText, contentRejectedResponse, recordModerationEvent, rejectionReasons } from '../lib/moderation.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid, claims } = await authenticate(event);
+
+  const body = parseJsonBody(event);
+  const title = String(body.title || "").trim();
+  const description = String(body.description || "").trim();
+  if (!body.jobId) throw new HttpError(400, "jobId is required.");
+  if (!title) throw new HttpError(400, "Give your model a title.");
+  if (title.length > MAX_TITLE_LENGTH) throw new HttpError(400, `Titles are limited to ${MAX_TITLE_LENGTH} characters.`);
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new HttpError(400, `Descriptions are limited to ${MAX_DESCRIPTION_LENGTH} characters.`);
+  }
+  if (!GALLERY_LICENSES.includes(body.license)) throw new HttpError(400, "Choose a license.");
+
+  const job = await getJob(uid, body.jobId);
+  if (!job) throw new HttpError(404, "Generation job not found.");
+  if (job.status !== "done" || !job.modelUrl) throw new HttpError(409, "Only finished models can be published.");
+  if (await getGalleryItem(`pub_${job.id}`)) throw new HttpError(409, "This model is already in the gallery.");
+
+  const tags = normalizeTags(body.tags);
+  const text = [title, description, ...tags].join("\n");
+  const violations = checkText(text);
+  if (violations.length) {
+    await recordModerationEvent(uid, { kind: "publish", text, violations });
+    return contentRejectedResponse(rejectionReasons(violations));
+  }
+
+  const item = await publishJob(uid, job, {
+    title,
+    description,
+    tags,
+    license: body.license,
+    authorName: claims.name || null
+  });
+  // A concurrent request published it between the check above and now
+  if (!item) throw new HttpError(409, "This model is already in the gallery.");
+  return json(201, publicGalleryItem(item, uid));
+});
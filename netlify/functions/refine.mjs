@@ -0,0 +1,112 @@
+/**
+ * POST /.netlify/functions/refine
+ * Auth: Firebase ID token (verified email required)
+ * Body: { parentJobId, instruction }
+ *
+ * Starts a new revision of a finished model from a follow-up instruction
+ * ("thicker walls", "add mounting holes"). The revision keeps the parent's
+ * settings and seed, counts as one generation and returns 202 with
+ * { jobId, status, progress, seed, revision, parentJobId, usage }. Poll
+ * generation-status for the result and list-revisions for the chain.
+ * Revised prompts are moderated like new ones (422 "content_rejected").
+ *
+ * No provider edits existing geometry: a revision is a new text generation
+ * from the parent's prompt followed by the instruction, with the parent's seed
+ * keeping it close to the original. Models generated from reference images
+ * can't be refined (409), since the images aren't kept and the instruction
+ * alone would describe a different model.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { createJob, getJob, publicJob } from '../lib/jobs.mjs';
+import { moderationRejection } from '../lib/moderation.mjs';
+import { getPlan } from '../lib/plans.mjs';
+import { getProvider } from '../lib/providers/index.mjs';
+import { billingPeriodKey, getUsage, quotaExceededMessage, releaseUsage, reserveUsage } from '../lib/usage.mjs';
+
+const MAX_INSTRUCTION_LENGTH = 300;
+const MAX_PROMPT_LENGTH = 1000;
+
+// Helper: Prompt for a revision: the parent's prompt followed by the new instruction
+function revisedPrompt(parentPrompt, instruction) {
+  const prompt = `${parentPrompt}. Revision: ${instruction}`;
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    throw new HttpError(400, "This model's prompt is too long to refine further. Start a new generation instead.");
+  }
+  return prompt;
+}
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid, emailVerified } = await authenticate(event);
+  if (!emailVerified) throw new HttpError(403, "Please verify your email address before generating models.");
+
+  const { parentJobId, instruction: rawInstruction } = parseJsonBody(event);
+  const instruction = String(rawInstruction || "").trim();
+  if (!parentJobId) throw new HttpError(400, "parentJobId is required.");
+  if (!instruction) throw new HttpError(400, "Describe what to change.");
+  if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+    throw new HttpError(400, `Instructions are limited to ${MAX_INSTRUCTION_LENGTH} characters.`);
+  }
+
+  const parent = await getJob(uid, parentJobId);
+  if (!parent) throw new HttpError(404, "Generation job not found.");
+  if (parent.status !== "done" || !parent.modelUrl) throw new HttpError(409, "Only finished models can be refined.");
+  if ((parent.params.conditioning || "text") !== "text") {
+    throw new HttpError(409, "Models generated from reference images can't be refined. Generate again with the images and your changes instead.");
+  }
+
+  // Early check so requests over the quota skip moderation; the reservation below is the one that counts
+  const plan = await getPlan(uid);
+  const usage = await getUsage(uid, plan);
+  const quotaError = quotaExceededMessage(plan, usage);
+  if (quotaError) return json(429, { error: quotaError, code: "quota_exceeded", usage });
+
+  const params = { ...parent.params, prompt: revisedPrompt(parent.params.prompt, instruction) };
+  const rejection = await moderationRejection(uid, { kind: "refinement", text: params.prompt });
+  if (rejection) return rejection;
+
+  const period = billingPeriodKey();
+  const reservation = await reserveUsage(uid, plan, 1, period);
+  if (!reservation.reserved) {
+    return json(429, { error: quotaExceededMessage(plan, reservation.usage), code: "quota_exceeded", usage: reservation.usage });
+  }
+
+  const provider = getProvider();
+  let task;
+  try {
+    task = await provider.start({
+      prompt: params.prompt,
+      negativePrompt: params.negativePrompt || "",
+      images: [],
+      conditioning: "text",
+      params
+    });
+  } catch (err) {
+    console.error("Provider start failed:", err);
+    await releaseUsage(uid, period);
+    throw new HttpError(502, "The 3D generation service is unavailable. Please try again shortly.");
+  }
+
+  const revision = (parent.revision || 0) + 1;
+  const job = await createJob(uid, {
+    provider: provider.name,
+    taskId: task.taskId,
+    params,
+    plan,
+    usagePeriod: period,
+    parentJobId: parent.id,
+    revision,
+    instruction
+  });
+  return json(202, {
+    ...publicJob(job),
+    seed: params.seed ?? null,
+    revision,
+    parentJobId: parent.id,
+    usage: reservation.usage
+  });
+});
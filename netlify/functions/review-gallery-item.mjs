@@ -0,0 +1,42 @@
+/**
+ * POST /.netlify/functions/review-gallery-item
+ * Auth: Firebase ID token with the `admin` custom claim
+ * Body: { itemId, decision: "approve" | "reject", reason? }
+ *
+ * Approves a gallery submission (it becomes public) or rejects it with a
+ * reason the publisher sees. The decision is recorded in the audit log and
+ * the updated item is returned.
+ */
+
+import { recordAdminAction } from '../lib/admin.mjs';
+import { requireAdmin } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { getGalleryItem, publicGalleryItem, reviewItem } from '../lib/gallery.mjs';
+
+const MAX_REASON_LENGTH = 300;
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const admin = await requireAdmin(event);
+
+  const { itemId, decision, reason: rawReason } = parseJsonBody(event);
+  const reason = String(rawReason || "").trim();
+  if (!itemId) throw new HttpError(400, "itemId is required.");
+  if (!["approve", "reject"].includes(decision)) throw new HttpError(400, "decision must be \"approve\" or \"reject\".");
+  if (decision === "reject" && !reason) throw new HttpError(400, "Give the publisher a reason for the rejection.");
+  if (reason.length > MAX_REASON_LENGTH) throw new HttpError(400, `Reasons are limited to ${MAX_REASON_LENGTH} characters.`);
+
+  const item = await getGalleryItem(itemId);
+  if (!item) throw new HttpError(404, "Gallery item not found.");
+
+  const updated = await reviewItem(item, { decision, reason: reason || null, reviewerUid: admin.uid });
+  await recordAdminAction(admin, {
+    action: decision === "approve" ? "gallery.approve" : "gallery.reject",
+    targetType: "gallery_item",
+    targetId: item.id,
+    details: { name: item.name, publisherUid: item.uid || null, reason: reason || null }
+  });
+  return json(200, { ...publicGalleryItem(updated), uid: updated.uid, jobId: updated.jobId });
+});
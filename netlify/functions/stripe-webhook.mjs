@@ -0,0 +1,68 @@
+/**
+ * POST /.netlify/functions/stripe-webhook
+ *
+ * Receives Stripe events (verified with the Stripe-Signature header) and keeps
+ * the plan store in sync:
+ * - checkout.session.completed: link the Stripe customer to the Firebase uid and
+ *   add one-time model purchases to the buyer's library
+ * - customer.subscription.created / updated: store plan, status and renewal date
+ * - customer.subscription.deleted: drop the user back to Free
+ * - invoice.payment_failed: flag the subscription as past due
+ *
+ * Events can arrive out of order: subscription changes carry the event's
+ * `created` time, and the plan store ignores states older than the one it has.
+ */
+
+import { header, json, rawBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { fulfilPurchase } from '../lib/models.mjs';
+import { applySubscription, linkCustomer, markPaymentFailed, uidForStripeObject } from '../lib/plans.mjs';
+import { collection } from '../lib/store.mjs';
+import { getStripe, webhookSecret } from '../lib/stripe.mjs';
+
+// Event handlers keyed by Stripe event type
+const EVENT_HANDLERS = {
+  async "checkout.session.completed"(session) {
+    const uid = session.client_reference_id || session.metadata?.uid;
+    await linkCustomer(session.customer, uid);
+    if (session.mode === "payment" && session.payment_status === "paid") await fulfilPurchase(session.id, uid);
+  },
+  async "customer.subscription.created"(subscription, { created }) {
+    const uid = await uidForStripeObject(subscription);
+    if (uid) await applySubscription(uid, subscription, { stateAt: created });
+  },
+  async "customer.subscription.updated"(subscription, { created }) {
+    const uid = await uidForStripeObject(subscription);
+    if (uid) await applySubscription(uid, subscription, { stateAt: created });
+  },
+  async "customer.subscription.deleted"(subscription, { created }) {
+    const uid = await uidForStripeObject(subscription);
+    if (uid) await applySubscription(uid, { ...subscription, status: "canceled" }, { stateAt: created });
+  },
+  async "invoice.payment_failed"(invoice, { created }) {
+    const uid = await uidForStripeObject(invoice);
+    if (uid) await markPaymentFailed(uid, invoice, { stateAt: created });
+  }
+};
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  const stripe = await getStripe();
+
+  let stripeEvent;
+  try {
+    stripeEvent = stripe.webhooks.constructEvent(rawBody(event), header(event, "stripe-signature"), webhookSecret());
+  } catch (err) {
+    console.error("Webhook signature verification failed:", err.message);
+    return json(400, { error: "Invalid signature." });
+  }
+
+  // Stripe retries deliveries: process each event once
+  const processed = collection("stripe_events");
+  if (await processed.get(stripeEvent.id)) return json(200, { received: true, duplicate: true });
+
+  const handle = EVENT_HANDLERS[stripeEvent.type];
+  if (handle) await handle(stripeEvent.data.object, stripeEvent);
+  await processed.set(stripeEvent.id, { type: stripeEvent.type, processedAt: Date.now() });
+
+  return json(200, { received: true });
+});
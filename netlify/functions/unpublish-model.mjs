@@ -0,0 +1,27 @@
+/**
+ * POST /.netlify/functions/unpublish-model
+ * Auth: Firebase ID token (must be the publisher)
+ * Body: { itemId }
+ *
+ * Removes a published model and its likes from the gallery. Returns { ok: true }.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { getGalleryItem, unpublishItem } from '../lib/gallery.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid } = await authenticate(event);
+  const { itemId } = parseJsonBody(event);
+  if (!itemId) throw new HttpError(400, "itemId is required.");
+
+  const item = await getGalleryItem(itemId);
+  // Someone else's item gets the same 404 as a missing one
+  if (!item || item.uid !== uid) throw new HttpError(404, "Gallery item not found.");
+
+  await unpublishItem(item);
+  return json(200, { ok: true });
+});
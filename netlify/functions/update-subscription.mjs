@@ -0,0 +1,63 @@
+/**
+ * POST /.netlify/functions/update-subscription
+ * Auth: Firebase ID token
+ * Body: { action: "switch" | "cancel" | "resume", plan? }
+ *
+ * - switch: move between paid plans, prorating the difference
+ * - cancel: cancel at the end of the current period
+ * - resume: undo a pending cancellation
+ *
+ * The plan store is updated immediately; the webhook confirms it later.
+ */
+
+import { authenticate } from '../lib/auth.mjs';
+import { requireCsrf } from '../lib/csrf.mjs';
+import { HttpError, json, parseJsonBody, requireMethod, withErrors } from '../lib/http.mjs';
+import { PLAN_PRICES, applySubscription, getPlan, getSubscription } from '../lib/plans.mjs';
+import { getStripe } from '../lib/stripe.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "POST");
+  requireCsrf(event);
+  const { uid } = await authenticate(event);
+  const { action, plan } = parseJsonBody(event);
+
+  const stored = await getSubscription(uid);
+  if (!stored?.subscriptionId || stored.status === "canceled") {
+    throw new HttpError(404, "No active subscription to change.");
+  }
+
+  const stripe = await getStripe();
+  const current = await stripe.subscriptions.retrieve(stored.subscriptionId);
+  let updated;
+  switch (action) {
+    case "switch":
+      if (!PLAN_PRICES[plan]) throw new HttpError(400, "Unknown plan.");
+      if (plan === stored.plan) throw new HttpError(400, `You're already on ${plan}.`);
+      updated = await stripe.subscriptions.update(current.id, {
+        items: [{ id: current.items.data[0].id, price: PLAN_PRICES[plan] }],
+        proration_behavior: "create_prorations",
+        cancel_at_period_end: false
+      });
+      break;
+    case "cancel":
+      updated = await stripe.subscriptions.update(current.id, { cancel_at_period_end: true });
+      break;
+    case "resume":
+      updated = await stripe.subscriptions.update(current.id, { cancel_at_period_end: false });
+      break;
+    default:
+      throw new HttpError(400, "Unknown action.");
+  }
+
+  const saved = (await applySubscription(uid, updated)) || (await getSubscription(uid));
+  return json(200, {
+    plan: await getPlan(uid),
+    subscription: {
+      plan: saved.plan,
+      status: saved.status,
+      currentPeriodEnd: saved.currentPeriodEnd,
+      cancelAtPeriodEnd: saved.cancelAtPeriodEnd
+    }
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * GET /.netlify/functions/view-model?k=&id=&exp=&sig=
+ *
+ * Checks a signed, expiring preview link for a job's or gallery item's model
+ * and redirects (302) to the model file. Links come from publicJob and
+ * publicGalleryItem.
+ */
+
+import { getGalleryItem } from '../lib/gallery.mjs';
+import { json, requireMethod, withErrors } from '../lib/http.mjs';
+import { verifyPreview } from '../lib/models.mjs';
+import { collection } from '../lib/store.mjs';
+
+export const handler = withErrors(async (event) => {
+  requireMethod(event, "GET");
+  const preview = verifyPreview(event.queryStringParameters || {});
+  if (!preview) return json(403, { error: "This preview link is invalid or has expired." });
+
+  const source = preview.kind === "job"
+    ? await collection("generation_jobs").get(preview.id)
+    : await getGalleryItem(preview.id);
+  if (!source?.modelUrl) return json(404, { error: "Model not found." });
+
+  const maxAge = Math.max(0, preview.expiresAt - Math.floor(Date.now() / 1000));
+  return {
+    statusCode: 302,
+    headers: { Location: source.modelUrl, "Cache-Control": `private, max-age=${maxAge}` },
+    body: ""
+  };
+});
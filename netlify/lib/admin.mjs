@@ -0,0 +1,224 @@
+/**
+ * Admin tooling: the user directory and the audit log.
+ *
+ * Admins are users with the `admin` custom claim (see requireAdmin). Every
+ * action they take through the admin functions is recorded in the
+ * "admin_audit_log" collection with who did it, to what, and the details
+ * needed to reconstruct it. Actions with side effects elsewhere (Stripe) are
+ * recorded as "pending" first and marked "completed" or "failed" afterwards,
+ * so a crash in between still leaves a trace; other entries are "completed".
+ *
+ * There is no users collection. With a service account the directory is
+ * Firebase Auth, read a page at a time; against local stand-ins it is every
+ * uid the other collections know about. Searches look up one uid or email
+ * address, since Firebase Auth can't match prefixes.
+ */
+
+import crypto from 'node:crypto';
+import { getAdmin } from './firebase.mjs';
+import { HttpError } from './http.mjs';
+import { getPlan, getPlanOverride, getSubscription } from './plans.mjs';
+import { collection, isLocalStore } from './store.mjs';
+import { getUsage } from './usage.mjs';
+
+// Admin actions recorded in the audit log (labels match AUDIT_ACTION_LABELS in index.js)
+export const AUDIT_ACTIONS = [
+  "gallery.approve",
+  "gallery.reject",
+  "gallery.feature",
+  "gallery.unfeature",
+  "user.override",
+  "billing.refund",
+  "billing.credit"
+];
+
+// Audit log entry statuses
+export const AUDIT_STATUSES = ["pending", "completed", "failed"];
+
+// Collections whose documents carry the uid of the user they belong to
+const USER_COLLECTIONS = ["generation_jobs", "usage", "gallery_items", "owned_models"];
+
+export const DEFAULT_ADMIN_PAGE_SIZE = 25;
+export const MAX_ADMIN_PAGE_SIZE = 100;
+
+// Helper: Offset and page size from `cursor` and `limit` query parameters, or a 400
+export function readPage(query) {
+  const offset = query.cursor ? Number(query.cursor) : 0;
+  if (!Number.isInteger(offset) || offset < 0) throw new HttpError(400, "Invalid cursor.");
+  const limit = query.limit ? Number(query.limit) : DEFAULT_ADMIN_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ADMIN_PAGE_SIZE) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_ADMIN_PAGE_SIZE}.`);
+  }
+  return { offset, limit };
+}
+
+// Helper: One page of a list: { items, total, nextCursor } (nextCursor is null on the last page)
+export function pageOf(items, { offset, limit }) {
+  return {
+    items: items.slice(offset, offset + limit),
+    total: items.length,
+    nextCursor: offset + limit < items.length ? String(offset + limit) : null
+  };
+}
+
+// Helper: One page of a collection, newest first, read by the store: { items, total, nextCursor }
+export async function collectionPage(name, where, { offset, limit }) {
+  const { items, total } = await collection(name).page({ where, orderBy: "createdAt", offset, limit });
+  return { items, total, nextCursor: offset + limit < total ? String(offset + limit) : null };
+}
+
+// Helper: Record an admin action ("target" is the user or item it applies to). `id` is for
+// callers that need a predictable entry to come back to (see updateAdminAction).
+export async function recordAdminAction(admin, { action, targetType, targetId, details = {}, status = "completed", id = null }) {
+  if (!AUDIT_ACTIONS.includes(action)) throw new Error(`Unknown admin action: ${action}`);
+  if (!AUDIT_STATUSES.includes(status)) throw new Error(`Unknown audit status: ${status}`);
+  return collection("admin_audit_log").set(id || `audit_${crypto.randomBytes(10).toString("hex")}`, {
+    action,
+    adminUid: admin.uid,
+    adminEmail: admin.email || null,
+    targetType,
+    targetId,
+    details,
+    status,
+    createdAt: Date.now()
+  });
+}
+
+// Helper: Audit log entry by id, or null
+export async function getAdminAction(id) {
+  return collection("admin_audit_log").get(id);
+}
+
+// Helper: Settle a pending audit entry ("completed" or "failed"), merging in more details
+export async function updateAdminAction(entry, { status, details = {} }) {
+  if (!AUDIT_STATUSES.includes(status)) throw new Error(`Unknown audit status: ${status}`);
+  return collection("admin_audit_log").update(entry.id, {
+    status,
+    details: { ...entry.details, ...details },
+    updatedAt: Date.now()
+  });
+}
+
+// Helper: One page of audit log entries, newest first, optionally for one target
+export async function listAuditLog({ targetId = null } = {}, page) {
+  return collectionPage("admin_audit_log", targetId ? { targetId } : {}, page);
+}
+
+// Helper: Directory fields of a Firebase Auth account
+function accountFields(account) {
+  return {
+    email: account.email || null,
+    disabled: account.disabled,
+    admin: account.customClaims?.admin === true,
+    createdAt: Date.parse(account.metadata.creationTime) || null,
+    lastSignInAt: Date.parse(account.metadata.lastSignInTime) || null
+  };
+}
+
+// Helper: Directory entry for a uid (account fields are null for users only seen in the store)
+function directoryEntry(uid, account = {}) {
+  return { uid, email: null, disabled: false, admin: false, createdAt: null, lastSignInAt: null, ...account };
+}
+
+
+// Helper: One user's directory entry, or null when neither Firebase Auth nor the store knows them
+export async function getKnownUser(uid) {
+  if (!isLocalStore()) {
+    try {
+      return directoryEntry(uid, accountFields(await (await getAdmin()).auth().getUser(uid)));
+    } catch (err) {
+      if (err.code !== "auth/user-not-found") throw err;
+    }
+  }
+  const [subscription, override, ...docs] = await Promise.all([
+    getSubscription(uid),
+    getPlanOverride(uid),
+    ...USER_COLLECTIONS.map((name) => collection(name).where("uid", uid))
+  ]);
+  return subscription || override || docs.some((list) => list.length) ? directoryEntry(uid) : null;
+}
+
+// Helper: Every uid the store knows about, as directory entries (local stand-ins have no account list)
+async function storeUsers() {
+  const [subscriptions, overrides, ...docs] = await Promise.all([
+    collection("subscriptions").list(),
+    collection("plan_overrides").list(),
+    ...USER_COLLECTIONS.map((name) => collection(name).list())
+  ]);
+  const uids = new Set([
+    ...subscriptions.map((doc) => doc.id),
+    ...overrides.map((doc) => doc.id),
+    ...docs.flat().map((doc) => doc.uid).filter(Boolean)
+  ]);
+  return [...uids].sort().map((uid) => directoryEntry(uid));
+}
+
+// Helper: Directory entry for an email address, or null
+async function findUserByEmail(email) {
+  if (isLocalStore()) return null;
+  try {
+    const account = await (await getAdmin()).auth().getUserByEmail(email);
+    return directoryEntry(account.uid, accountFields(account));
+  } catch (err) {
+    if (err.code === "auth/user-not-found") return null;
+    throw err;
+  }
+}
+
+/**
+ * One page of the user directory: { items, total, nextCursor }, each user
+ * being { uid, email, disabled, admin, createdAt, lastSignInAt }. `q` is a
+ * whole uid or email address. Firebase Auth pages come in its own order with
+ * its page token as the cursor and no total (null); local stand-ins are in uid
+ * order with an offset cursor.
+ */
+export async function listUsersPage({ q = "", cursor = null, limit }) {
+  if (q) {
+    const user = q.includes("@") ? await findUserByEmail(q) : await getKnownUser(q);
+    return { items: user ? [user] : [], total: user ? 1 : 0, nextCursor: null };
+  }
+  if (!isLocalStore()) {
+    try {
+      const { users, pageToken } = await (await getAdmin()).auth().listUsers(limit, cursor || undefined);
+      return {
+        items: users.map((account) => directoryEntry(account.uid, accountFields(account))),
+        total: null,
+        nextCursor: pageToken || null
+      };
+    } catch (err) {
+      if (err.code === "auth/invalid-page-token") throw new HttpError(400, "Invalid cursor.");
+      throw err;
+    }
+  }
+  const offset = cursor ? Number(cursor) : 0;
+  if (!Number.isInteger(offset) || offset < 0) throw new HttpError(400, "Invalid cursor.");
+  return pageOf(await storeUsers(), { offset, limit });
+}
+
+// Helper: A directory entry with the user's plan, subscription, override and this month's usage
+export async function userDetails(user) {
+  const [plan, subscription, override] = await Promise.all([
+    getPlan(user.uid),
+    getSubscription(user.uid),
+    getPlanOverride(user.uid)
+  ]);
+  return {
+    ...user,
+    plan,
+    subscription: subscription && {
+      plan: subscription.plan,
+      status: subscription.status,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      customerId: subscription.customerId || null
+    },
+    override: override && {
+      plan: override.plan,
+      monthlyGenerations: override.monthlyGenerations,
+      note: override.note,
+      updatedBy: override.updatedBy,
+      updatedAt: override.updatedAt
+    },
+    usage: await getUsage(user.uid, plan)
+  };
+}
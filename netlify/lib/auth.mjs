@@ -0,0 +1,83 @@
+/**
+ * Caller identity for the backend functions.
+ *
+ * The client sends the signed-in user's Firebase ID token as
+ * `Authorization: Bearer <token>`; the user is always taken from the verified
+ * token, never from the request body or query string.
+ *
+ * Verification uses firebase-admin, which also accepts Auth emulator tokens
+ * when FIREBASE_AUTH_EMULATOR_HOST is set. For fully offline development,
+ * ALLOW_UNVERIFIED_ID_TOKENS=true decodes tokens without checking their
+ * signature; it is refused on production deploys.
+ */
+
+import { isProductionDeploy } from './env.mjs';
+import { HttpError, header } from './http.mjs';
+import { getAdmin } from './firebase.mjs';
+
+// Helper: Whether tokens may be trusted without a signature check (offline development only)
+function allowUnverifiedTokens() {
+  return process.env.ALLOW_UNVERIFIED_ID_TOKENS === "true" && !isProductionDeploy();
+}
+
+// Helper: Bearer token from the Authorization header
+function bearerToken(event) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header(event, "authorization") || "");
+  return match ? match[1] : null;
+}
+
+// Helper: Decode a JWT payload without verifying it
+function decodeUnverified(token) {
+  const payload = token.split(".")[1];
+  if (!payload) throw new Error("Malformed token.");
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  if (!claims.sub) throw new Error("Token has no subject.");
+  if (claims.exp && claims.exp * 1000 < Date.now()) throw new Error("Token expired.");
+  return { ...claims, uid: claims.sub };
+}
+
+// Helper: Verified claims of a Firebase ID token
+async function verifyIdToken(token) {
+  if (allowUnverifiedTokens()) return decodeUnverified(token);
+  if (!process.env.FIREBASE_SERVICE_ACCOUNT && !process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    throw new HttpError(500, "Authentication is not configured on the server.");
+  }
+  const admin = await getAdmin();
+  return admin.auth().verifyIdToken(token);
+}
+
+/**
+ * Identify the caller from their Firebase ID token.
+ * Returns { uid, email, emailVerified, claims }; throws a 401 HttpError when
+ * the token is missing, expired or invalid.
+ */
+export async function authenticate(event) {
+  const token = bearerToken(event);
+  if (!token) throw new HttpError(401, "Sign in required.");
+  let claims;
+  try {
+    claims = await verifyIdToken(token);
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(401, "Your session has expired. Please sign in again.");
+  }
+  // Identities other than "email" are OAuth providers, which verify the address themselves
+  const oauthIdentities = Object.keys(claims.firebase?.identities || {}).filter((id) => id !== "email");
+  return {
+    uid: claims.uid,
+    email: claims.email || null,
+    emailVerified: Boolean(claims.email_verified) || oauthIdentities.length > 0,
+    claims
+  };
+}
+
+/**
+ * Identify the caller and require the `admin` custom claim (set with the
+ * Admin SDK's setCustomUserClaims). Throws 401 like authenticate, and 403 for
+ * signed-in users who aren't admins.
+ */
+export async function requireAdmin(event) {
+  const caller = await authenticate(event);
+  if (caller.claims.admin !== true) throw new HttpError(403, "Admin access required.");
+  return caller;
+}
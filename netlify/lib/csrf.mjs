@@ -0,0 +1,69 @@
+/**
+ * CSRF protection for state-changing requests (signed double-submit cookie).
+ *
+ * get-csrf-token issues a token `${expires}.${nonce}.${hmac}` signed with
+ * CSRF_SECRET. It returns the token in the body and also sets it as an
+ * HttpOnly, SameSite=Strict cookie. State-changing requests must send the same
+ * token in the X-CSRF-Token header. requireCsrf checks that header and cookie
+ * match, that the signature is valid and that the token hasn't expired.
+ * Another site can make the browser send the cookie, but it can't read the
+ * token to put in the header.
+ *
+ * Failures are 403s with code "csrf_invalid", which tells the client to fetch
+ * a fresh token and retry once.
+ *
+ * Environment:
+ * - CSRF_SECRET: HMAC key (required in production)
+ */
+
+import crypto from 'node:crypto';
+import { isProductionDeploy } from './env.mjs';
+import { HttpError, cookie, header } from './http.mjs';
+import { isLocalStore } from './store.mjs';
+
+export const CSRF_TOKEN_TTL_SECONDS = 60 * 60;
+export const CSRF_COOKIE_NAME = "csrf_token";
+
+// Helper: HMAC key for CSRF tokens
+function csrfSecret() {
+  if (process.env.CSRF_SECRET) return process.env.CSRF_SECRET;
+  if (isLocalStore() && !isProductionDeploy()) return "local-csrf-secret";
+  throw new Error("CSRF_SECRET is not configured.");
+}
+
+// Helper: Signature over a token's expiry and nonce
+function sign(expires, nonce) {
+  return crypto.createHmac("sha256", csrfSecret()).update(`${expires}.${nonce}`).digest("base64url");
+}
+
+// Helper: Constant-time string comparison (lengths are compared in bytes, as timingSafeEqual requires)
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Helper: New CSRF token and its expiry (unix seconds)
+export function issueCsrfToken() {
+  const expiresAt = Math.floor(Date.now() / 1000) + CSRF_TOKEN_TTL_SECONDS;
+  const nonce = crypto.randomBytes(16).toString("base64url");
+  return { token: `${expiresAt}.${nonce}.${sign(expiresAt, nonce)}`, expiresAt };
+}
+
+// Helper: Set-Cookie value carrying the token (Secure everywhere except plain-http localhost)
+export function csrfCookie(token, origin) {
+  const secure = origin.startsWith("https://") ? "; Secure" : "";
+  return `${CSRF_COOKIE_NAME}=${token}; Path=/; Max-Age=${CSRF_TOKEN_TTL_SECONDS}; HttpOnly; SameSite=Strict${secure}`;
+}
+
+// Helper: Reject the request unless header and cookie carry the same valid, unexpired token
+export function requireCsrf(event) {
+  const token = header(event, "x-csrf-token") || "";
+  const cookieToken = cookie(event, CSRF_COOKIE_NAME) || "";
+  const [expires, nonce, sig] = token.split(".");
+  const valid = Boolean(expires && nonce && sig)
+    && Number(expires) > Date.now() / 1000
+    && safeEqual(token, cookieToken)
+    && safeEqual(sign(expires, nonce), sig);
+  if (!valid) throw new HttpError(403, "Your session's security token expired. Please try again.", "csrf_invalid");
+}
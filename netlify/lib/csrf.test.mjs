@@ -0,0 +1,60 @@
+/**
+ * Tests for CSRF tokens (run with `node --test netlify/`).
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { CSRF_COOKIE_NAME, CSRF_TOKEN_TTL_SECONDS, issueCsrfToken, requireCsrf } from './csrf.mjs';
+
+process.env.CSRF_SECRET = "test-csrf-secret";
+
+// Helper: Request carrying a token in the X-CSRF-Token header and another in the cookie
+function requestWith(headerToken, cookieToken = headerToken) {
+  return { headers: { "X-CSRF-Token": headerToken, cookie: `theme=dark; ${CSRF_COOKIE_NAME}=${cookieToken}` } };
+}
+
+// Helper: Assert that requireCsrf refuses a request with the csrf_invalid 403
+function assertRefused(event) {
+  assert.throws(() => requireCsrf(event), { statusCode: 403, code: "csrf_invalid" });
+}
+
+test("accepts a fresh token sent in both the header and the cookie", () => {
+  const { token } = issueCsrfToken();
+  assert.doesNotThrow(() => requireCsrf(requestWith(token)));
+});
+
+test("refuses a header token that doesn't match the cookie", () => {
+  const { token } = issueCsrfToken();
+  const { token: other } = issueCsrfToken();
+  assertRefused(requestWith(token, other));
+  assertRefused(requestWith(token, ""));
+  assertRefused({ headers: { cookie: `${CSRF_COOKIE_NAME}=${token}` } });
+});
+
+test("refuses a token whose expiry or signature was changed", () => {
+  const { token } = issueCsrfToken();
+  const [expires, nonce, sig] = token.split(".");
+  const extended = `${Number(expires) + 3600}.${nonce}.${sig}`;
+  assertRefused(requestWith(extended));
+  const forged = `${expires}.${nonce}.${sig.slice(0, -1)}${sig.endsWith("A") ? "B" : "A"}`;
+  assertRefused(requestWith(forged));
+});
+
+test("refuses a token signed with another secret", () => {
+  const { token } = issueCsrfToken();
+  process.env.CSRF_SECRET = "another-secret";
+  try {
+    assertRefused(requestWith(token));
+  } finally {
+    process.env.CSRF_SECRET = "test-csrf-secret";
+  }
+});
+
+test("refuses a token once it has expired", (t) => {
+  const { token, expiresAt } = issueCsrfToken();
+  assert.equal(expiresAt, Math.floor(Date.now() / 1000) + CSRF_TOKEN_TTL_SECONDS);
+  t.mock.method(Date, "now", () => (expiresAt - 1) * 1000);
+  assert.doesNotThrow(() => requireCsrf(requestWith(token)));
+  t.mock.method(Date, "now", () => (expiresAt + 1) * 1000);
+  assertRefused(requestWith(token));
+});
@@ -0,0 +1,13 @@
+/**
+ * Deploy context checks.
+ *
+ * Netlify sets CONTEXT to "production" on production deploys. Local
+ * stand-ins (the Stripe stand-in, fallback signing secrets, unverified ID
+ * tokens) are refused there, so a missing secret fails loudly instead of
+ * quietly switching to development behaviour.
+ */
+
+// Helper: Whether this is a production deploy
+export function isProductionDeploy() {
+  return process.env.CONTEXT === "production";
+}
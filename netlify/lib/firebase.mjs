@@ -0,0 +1,25 @@
+/**
+ * Lazily initialised firebase-admin app shared by the store and auth helpers.
+ *
+ * Environment:
+ * - FIREBASE_SERVICE_ACCOUNT: service account JSON (Firestore + token verification)
+ * - FIREBASE_PROJECT_ID: project id when running without a service account,
+ *   e.g. against the Auth emulator (FIREBASE_AUTH_EMULATOR_HOST)
+ */
+
+let adminPromise = null;
+
+// Helper: firebase-admin namespace with the default app initialised
+export async function getAdmin() {
+  if (!adminPromise) {
+    adminPromise = import('firebase-admin').then(({ default: admin }) => {
+      if (!admin.apps.length) {
+        admin.initializeApp(process.env.FIREBASE_SERVICE_ACCOUNT
+          ? { credential: admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)) }
+          : { projectId: process.env.FIREBASE_PROJECT_ID });
+      }
+      return admin;
+    });
+  }
+  return adminPromise;
+}
@@ -0,0 +1,306 @@
+/**
+ * Public model gallery.
+ *
+ * Items live in the "gallery_items" collection keyed by item id. Published
+ * models are keyed `pub_<jobId>` (so a model is published at most once) and
+ * record the publisher's uid, license and generation parameters for remixes.
+ * Likes live in "gallery_likes" keyed `${itemId}_${uid}`; each item keeps a
+ * running `likes` count for sorting, updated in the same transaction as the
+ * like itself.
+ *
+ * Published models wait in a review queue: they start "pending" and only show
+ * in the gallery once an admin approves them ("approved" or "rejected", with
+ * a reason the publisher sees). Items without a status are approved. Admins
+ * can also feature approved items, which puts them first in the default
+ * (relevance) order when nothing else separates them.
+ *
+ * GALLERY_SEED is added once, on the first read (recorded in the
+ * "app_settings" document "gallery_seed"), so a fresh deploy or the dev server
+ * has something to show; those demo items use the sample models hosted by
+ * modelviewer.dev and can be removed like any other item.
+ *
+ * Search is done in the function rather than the database: the gallery is
+ * small enough to filter in memory, and Firestore has no full-text search.
+ */
+
+import { createPreviewUrl } from './models.mjs';
+import { collection, transaction } from './store.mjs';
+
+export const GALLERY_SORTS = ["relevance", "newest", "popular", "name"];
+export const DEFAULT_GALLERY_PAGE_SIZE = 12;
+export const MAX_GALLERY_PAGE_SIZE = 48;
+
+// Licenses a model can be published under (ids match GALLERY_LICENSES in index.js)
+export const GALLERY_LICENSES = ["cc-by-4.0", "cc-by-sa-4.0", "cc-by-nc-4.0", "cc0-1.0", "all-rights-reserved"];
+
+export const MAX_TITLE_LENGTH = 80;
+export const MAX_DESCRIPTION_LENGTH = 500;
+export const MAX_TAGS = 8;
+export const MAX_TAG_LENGTH = 24;
+
+// Review statuses of gallery items
+export const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// Generation parameters kept on a published model, enough to remix it
+const REMIX_PARAM_FIELDS = ["prompt", "negativePrompt", "seed", "measurements", "material", "infill", "supports", "shellThickness"];
+
+const SAMPLE_MODELS_URL = "https://modelviewer.dev/shared-assets/models";
+
+// Demo items for an empty gallery, newest first
+const GALLERY_SEED = [
+  {
+    name: "Intricate Gearbox",
+    modelUrl: `${SAMPLE_MODELS_URL}/Mixer.glb`,
+    description: "A precision-engineered gearbox with interlocking components, optimized for Bambu Lab printers.",
+    tags: ["mechanical", "functional", "engineering"]
+  },
+  {
+    name: "Sculpted Dragon",
+    modelUrl: `${SAMPLE_MODELS_URL}/Horse.glb`,
+    description: "A detailed dragon sculpture with intricate scales, ideal for artistic prints.",
+    tags: ["artistic", "sculpture", "fantasy"]
+  },
+  {
+    name: "Modular Shelving Unit",
+    modelUrl: `${SAMPLE_MODELS_URL}/Chair.glb`,
+    description: "A customizable shelving unit with snap-fit connectors for home organization.",
+    tags: ["furniture", "functional", "modular"]
+  },
+  {
+    name: "Robotic Arm Joint",
+    modelUrl: `${SAMPLE_MODELS_URL}/RobotExpressive.glb`,
+    description: "A high-tolerance robotic arm joint for automation projects.",
+    tags: ["mechanical", "robotics", "engineering"]
+  },
+  {
+    name: "Futuristic Headset",
+    modelUrl: `${SAMPLE_MODELS_URL}/Astronaut.glb`,
+    description: "A sleek, ergonomic headset design for VR/AR applications.",
+    tags: ["electronics", "wearable", "futuristic"]
+  },
+  {
+    name: "Ornate Vase",
+    modelUrl: `${SAMPLE_MODELS_URL}/shader-ball.glb`,
+    description: "An elegant vase with intricate patterns, perfect for decorative prints.",
+    tags: ["artistic", "decor", "home"]
+  },
+  {
+    name: "Drone Frame",
+    modelUrl: `${SAMPLE_MODELS_URL}/Mixer.glb`,
+    description: "A lightweight, durable drone frame optimized for Bambu Lab’s precision.",
+    tags: ["aerospace", "functional", "engineering"]
+  },
+  {
+    name: "Puzzle Cube",
+    modelUrl: `${SAMPLE_MODELS_URL}/RobotExpressive.glb`,
+    description: "A complex, interlocking puzzle cube for intellectual challenges.",
+    tags: ["puzzle", "recreational", "complex"]
+  },
+  {
+    name: "Car Dashboard Mount",
+    modelUrl: `${SAMPLE_MODELS_URL}/Chair.glb`,
+    description: "A robust mount for car dashboards, designed for perfect fit and durability.",
+    tags: ["automotive", "functional", "practical"]
+  },
+  {
+    name: "Architectural Miniature",
+    modelUrl: `${SAMPLE_MODELS_URL}/NeilArmstrong.glb`,
+    description: "A detailed miniature building for architectural visualization.",
+    tags: ["architecture", "artistic", "model"]
+  }
+];
+
+// Helper: Write the demo items (a minute apart, so "newest" keeps their order)
+async function seedGallery() {
+  const now = Date.now();
+  return Promise.all(GALLERY_SEED.map((item, i) => collection("gallery_items").set(`example-${i + 1}`, {
+    ...item,
+    thumbnailUrl: null,
+    likes: 0,
+    createdAt: now - i * 60 * 1000
+  })));
+}
+
+// Helper: Every gallery item, adding the demo items first if that has never been done
+export async function listGalleryItems() {
+  const items = await collection("gallery_items").list();
+  if (await collection("app_settings").get("gallery_seed")) return items;
+  const seeded = await seedGallery();
+  await collection("app_settings").set("gallery_seed", { seededAt: Date.now() });
+  return [...items, ...seeded];
+}
+
+// Helper: Gallery item by id, or null
+export async function getGalleryItem(itemId) {
+  return collection("gallery_items").get(itemId);
+}
+
+// Helper: Lower-case, hyphenated, de-duplicated tags (at most MAX_TAGS)
+export function normalizeTags(tags) {
+  const normalized = (Array.isArray(tags) ? tags : [])
+    .map((tag) => searchWords(tag).join("-").slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_TAGS);
+}
+
+// Helper: Add a finished job to the gallery; returns null when it has already been published
+export async function publishJob(uid, job, { title, description, tags, license, authorName = null }) {
+  const params = Object.fromEntries(REMIX_PARAM_FIELDS.filter((field) => job.params?.[field] !== undefined).map((field) => [field, job.params[field]]));
+  return collection("gallery_items").transact(`pub_${job.id}`, (existing) => existing ? null : {
+    uid,
+    jobId: job.id,
+    authorName,
+    name: title,
+    description,
+    modelUrl: job.modelUrl,
+    thumbnailUrl: job.thumbnailUrl || null,
+    tags,
+    license,
+    params,
+    likes: 0,
+    status: "pending",
+    createdAt: Date.now()
+  });
+}
+
+// Helper: Whether an item is approved for the public gallery
+export function isApproved(item) {
+  return (item.status || "approved") === "approved";
+}
+
+// Helper: Whether someone may see an item: approved ones are public, the rest only their publisher (and admins)
+export function canView(item, viewer) {
+  return isApproved(item) || (Boolean(viewer) && (item.uid === viewer.uid || viewer.claims?.admin === true));
+}
+
+// Helper: Items waiting for review, oldest first
+export async function listPendingItems() {
+  const items = await collection("gallery_items").list();
+  return items.filter((item) => item.status === "pending").sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Helper: Record an admin's review decision
+export async function reviewItem(item, { decision, reason = null, reviewerUid }) {
+  return collection("gallery_items").update(item.id, {
+    status: decision === "approve" ? "approved" : "rejected",
+    rejectionReason: decision === "approve" ? null : reason,
+    reviewedBy: reviewerUid,
+    reviewedAt: Date.now()
+  });
+}
+
+// Helper: Feature an item or stop featuring it
+export async function setFeatured(item, featured, adminUid) {
+  return collection("gallery_items").update(item.id, {
+    featured,
+    featuredAt: featured ? Date.now() : null,
+    featuredBy: featured ? adminUid : null
+  });
+}
+
+// Helper: Remove an item and its likes from the gallery (the item goes first, so no new likes arrive)
+export async function unpublishItem(item) {
+  await collection("gallery_items").delete(item.id);
+  const likes = await collection("gallery_likes").where("itemId", item.id);
+  await Promise.all(likes.map((like) => collection("gallery_likes").delete(like.id)));
+}
+
+// Helper: Like or unlike an item (repeating either is a no-op); returns the updated item
+export async function setLike(uid, item, liked) {
+  const key = `${item.id}_${uid}`;
+  return transaction(async (tx) => {
+    const existing = await tx.get("gallery_likes", key);
+    const current = await tx.get("gallery_items", item.id);
+    if (!current || Boolean(existing) === liked) return current || item;
+    if (liked) tx.set("gallery_likes", key, { itemId: item.id, uid, createdAt: Date.now() });
+    else tx.delete("gallery_likes", key);
+    const { id, ...doc } = current;
+    const likes = Math.max(0, (current.likes || 0) + (liked ? 1 : -1));
+    tx.set("gallery_items", item.id, { ...doc, likes });
+    return { ...current, likes };
+  });
+}
+
+// Helper: Ids of the items a user has liked
+export async function likedItemIds(uid) {
+  const likes = await collection("gallery_likes").where("uid", uid);
+  return new Set(likes.map((like) => like.itemId));
+}
+
+// Helper: Lower-case words of a string, accents removed
+export function searchWords(text) {
+  return String(text || "").normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Helper: How well an item matches every query word (prefix matches; name hits count triple), or 0
+function matchScore(item, terms) {
+  const nameWords = searchWords(item.name);
+  const descriptionWords = searchWords(item.description);
+  let score = 0;
+  for (const term of terms) {
+    const inName = nameWords.filter((word) => word.startsWith(term)).length;
+    const inDescription = descriptionWords.filter((word) => word.startsWith(term)).length;
+    if (!inName && !inDescription) return 0;
+    score += inName * 3 + inDescription;
+  }
+  return score;
+}
+
+// Sort comparators; relevance puts featured items first when scores tie (or there's no query), then newest
+const COMPARATORS = {
+  relevance: (a, b) => (b.score - a.score) || (Number(Boolean(b.featured)) - Number(Boolean(a.featured))) || (b.createdAt - a.createdAt),
+  newest: (a, b) => b.createdAt - a.createdAt,
+  popular: (a, b) => ((b.likes || 0) - (a.likes || 0)) || (b.createdAt - a.createdAt),
+  name: (a, b) => a.name.localeCompare(b.name)
+};
+
+// Helper: Tags of the given items with how many items carry each, most common first
+export function tagCounts(items) {
+  const counts = {};
+  items.forEach((item) => (item.tags || []).forEach((tag) => { counts[tag] = (counts[tag] || 0) + 1; }));
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => (b.count - a.count) || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Search the gallery.
+ * Items must contain every query word in their name or description and carry
+ * every selected tag. Returns { matches, tags }, where tags are counted over
+ * the search matches before the tag filter so every chip stays reachable.
+ */
+export function searchGallery(items, { query = "", tags = [], sort = "relevance" }) {
+  const terms = searchWords(query);
+  const matches = terms.length
+    ? items.map((item) => ({ ...item, score: matchScore(item, terms) })).filter((item) => item.score > 0)
+    : items.map((item) => ({ ...item, score: 0 }));
+  const tagged = matches.filter((item) => tags.every((tag) => (item.tags || []).includes(tag)));
+  return {
+    matches: tagged.sort(COMPARATORS[sort] || COMPARATORS.relevance),
+    tags: tagCounts(matches)
+  };
+}
+
+// Helper: Gallery item fields safe to send to anyone, plus whether the viewer owns or liked it
+// (publishers also see their item's review status and any rejection reason; the model is a signed preview link)
+export function publicGalleryItem(item, viewerUid = null, likedIds = new Set()) {
+  const mine = Boolean(viewerUid) && item.uid === viewerUid;
+  return {
+    id: item.id,
+    name: item.name,
+    description: item.description,
+    modelUrl: createPreviewUrl("gallery", item.id),
+    thumbnailUrl: item.thumbnailUrl || null,
+    tags: item.tags || [],
+    likes: item.likes || 0,
+    license: item.license || null,
+    authorName: item.authorName || null,
+    params: item.params || null,
+    liked: likedIds.has(item.id),
+    mine,
+    status: item.status || "approved",
+    featured: Boolean(item.featured),
+    rejectionReason: mine ? item.rejectionReason || null : null,
+    createdAt: item.createdAt
+  };
+}
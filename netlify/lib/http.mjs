@@ -0,0 +1,97 @@
+/**
+ * Shared HTTP helpers for the Netlify Functions backend.
+ * Every function returns JSON shaped like the client expects: data on success,
+ * `{ error: "..." }` with a non-2xx status on failure.
+ */
+
+// Error carrying an HTTP status code (and optionally a machine-readable code) back to the client
+export class HttpError extends Error {
+  constructor(statusCode, message, code = null) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Helper: JSON response
+export function json(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+// Helper: Request body as a UTF-8 string (Netlify base64-encodes binary payloads)
+export function rawBody(event) {
+  if (!event.body) return "";
+  return event.isBase64Encoded ? Buffer.from(event.body, "base64").toString("utf8") : event.body;
+}
+
+// Helper: Parse a JSON request body, rejecting malformed input
+export function parseJsonBody(event) {
+  try {
+    return JSON.parse(rawBody(event) || "{}");
+  } catch (err) {
+    throw new HttpError(400, "Request body must be valid JSON.");
+  }
+}
+
+// Helper: Parse a multipart/form-data (or urlencoded) body into a web FormData
+export async function parseFormData(event) {
+  const contentType = header(event, "content-type") || "";
+  if (!/^(multipart\/form-data|application\/x-www-form-urlencoded)/i.test(contentType)) {
+    throw new HttpError(415, "Expected a form submission.");
+  }
+  const body = event.isBase64Encoded ? Buffer.from(event.body || "", "base64") : Buffer.from(event.body || "", "utf8");
+  try {
+    return await new Response(body, { headers: { "Content-Type": contentType } }).formData();
+  } catch (err) {
+    throw new HttpError(400, "Malformed form data.");
+  }
+}
+
+// Helper: Case-insensitive request header lookup
+export function header(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+// Helper: Value of a request cookie
+export function cookie(event, name) {
+  const pairs = (header(event, "cookie") || "").split(";").map((part) => part.trim().split("="));
+  const pair = pairs.find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join("=")) : undefined;
+}
+
+// Helper: Public origin of the site, used to build return URLs
+export function siteOrigin(event) {
+  if (process.env.URL) return process.env.URL.replace(/\/$/, "");
+  const host = header(event, "x-forwarded-host") || header(event, "host") || "localhost:8888";
+  const proto = header(event, "x-forwarded-proto") || (host.startsWith("localhost") ? "http" : "https");
+  return `${proto}://${host}`;
+}
+
+// Helper: Reject requests using the wrong HTTP method
+export function requireMethod(event, ...methods) {
+  if (!methods.includes(event.httpMethod)) {
+    throw new HttpError(405, `Method ${event.httpMethod} not allowed.`);
+  }
+}
+
+// Helper: Wrap a handler so thrown errors become JSON responses
+export function withErrors(handler) {
+  return async (event, context) => {
+    try {
+      return await handler(event, context);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return json(err.statusCode, { error: err.message, ...(err.code ? { code: err.code } : {}) });
+      }
+      console.error(err);
+      return json(500, { error: "Internal server error." });
+    }
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Generation jobs.
+ *
+ * Documents live in the "generation_jobs" collection keyed by job id and use
+ * the same statuses as JOB_STATUS_LABELS in index.js. A job is only ever
+ * visible to the user who submitted it. Refinements store the job they revise
+ * as parentJobId, along with their revision number and follow-up instruction.
+ */
+
+import crypto from 'node:crypto';
+import { createPreviewUrl } from './models.mjs';
+import { collection } from './store.mjs';
+
+// Statuses that can still change
+export const ACTIVE_JOB_STATUSES = ["queued", "running", "refining"];
+
+// Helper: Whether a job is still in progress
+export function isJobActive(job) {
+  return ACTIVE_JOB_STATUSES.includes(job.status);
+}
+
+// Helper: Store a new job for a user
+export async function createJob(uid, fields) {
+  const id = `job_${crypto.randomBytes(10).toString("hex")}`;
+  const now = Date.now();
+  return collection("generation_jobs").set(id, {
+    uid,
+    status: "queued",
+    progress: 0,
+    modelUrl: null,
+    thumbnailUrl: null,
+    error: null,
+    ...fields,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+// Helper: Job by id, or null when it doesn't exist or belongs to someone else
+export async function getJob(uid, jobId) {
+  const job = await collection("generation_jobs").get(jobId);
+  return job && job.uid === uid ? job : null;
+}
+
+// Longest revision chain followed when listing a model's earlier versions
+export const MAX_REVISION_DEPTH = 50;
+
+// Helper: A job and the jobs it was refined from, oldest first
+export async function revisionChain(uid, job) {
+  const chain = [job];
+  while (chain[0].parentJobId && chain.length < MAX_REVISION_DEPTH) {
+    const parent = await getJob(uid, chain[0].parentJobId);
+    if (!parent) break;
+    chain.unshift(parent);
+  }
+  return chain;
+}
+
+// Helper: Apply a partial update to a job
+export async function updateJob(jobId, patch) {
+  return collection("generation_jobs").update(jobId, { ...patch, updatedAt: Date.now() });
+}
+
+/**
+ * Update a job only while it is still active, atomically. `patch` is an object
+ * or a function of the stored job. Returns the updated job, or null when it had
+ * already finished (or been cancelled) in the meantime, so only one request
+ * acts on a status change.
+ */
+export async function updateActiveJob(jobId, patch) {
+  return collection("generation_jobs").transact(jobId, (current) => {
+    if (!current || !isJobActive(current)) return null;
+    const { id, ...stored } = current;
+    return { ...stored, ...(typeof patch === "function" ? patch(current) : patch), updatedAt: Date.now() };
+  });
+}
+
+// Helper: Shape of a job returned to the client (the model as a signed preview link)
+export function publicJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    modelUrl: job.modelUrl ? createPreviewUrl("job", job.id) : null,
+    thumbnailUrl: job.thumbnailUrl,
+    error: job.error
+  };
+}
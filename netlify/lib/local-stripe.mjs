@@ -0,0 +1,427 @@
+/**
+ * Local Stripe stand-in for offline development.
+ *
+ * Implements the subset of the Stripe SDK the backend uses, keeps its objects
+ * in the local store, and delivers signed webhook events to the
+ * stripe-webhook function exactly like Stripe would. The hosted checkout and
+ * billing-portal pages are served by the local-stripe function.
+ */
+
+import crypto from 'node:crypto';
+import { collection } from './store.mjs';
+import { PLAN_PRICES, MODEL_PRICE_ID } from './plans.mjs';
+
+export const LOCAL_WEBHOOK_SECRET = "whsec_local_development";
+
+// Amounts (in cents) shown on the local checkout page
+export const LOCAL_PRICE_AMOUNTS = {
+  [PLAN_PRICES.basic]: 900,
+  [PLAN_PRICES.pro]: 2900,
+  [MODEL_PRICE_ID]: 499
+};
+
+const PERIOD_SECONDS = 30 * 24 * 60 * 60;
+
+// Helper: Stripe-looking object ID
+function localId(prefix) {
+  return `${prefix}_local_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+// Helper: Current Unix timestamp
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Helper: Stripe-style error for unknown objects
+function missing(type, id) {
+  const err = new Error(`No such ${type}: '${id}'`);
+  err.type = "StripeInvalidRequestError";
+  err.statusCode = 404;
+  return err;
+}
+
+// Helper: Compute a Stripe-Signature header value for a payload
+function signPayload(payload, secret, timestamp = now()) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Helper: Verify a Stripe-Signature header and parse the event
+function constructEvent(payload, signatureHeader, secret, tolerance = 300) {
+  const parts = Object.fromEntries(String(signatureHeader || "").split(",").map((p) => p.split("=")));
+  if (!parts.t || !parts.v1) throw new Error("Unable to extract timestamp and signatures from header");
+  const expected = signPayload(payload, secret, Number(parts.t)).split("v1=")[1];
+  const received = Buffer.from(parts.v1);
+  const valid = received.length === Buffer.byteLength(expected)
+    && crypto.timingSafeEqual(Buffer.from(expected), received);
+  if (!valid) throw new Error("No signatures found matching the expected signature for payload");
+  if (Math.abs(now() - Number(parts.t)) > tolerance) throw new Error("Timestamp outside the tolerance zone");
+  return JSON.parse(payload);
+}
+
+// Helper: Deliver a signed webhook event to the stripe-webhook function
+export async function sendLocalEvent(webhookUrl, type, object) {
+  const event = { id: localId("evt"), object: "event", type, created: now(), data: { object } };
+  const payload = JSON.stringify(event);
+  try {
+    const resp = await fetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Stripe-Signature": signPayload(payload, LOCAL_WEBHOOK_SECRET) },
+      body: payload
+    });
+    if (!resp.ok) console.error(`Local Stripe: webhook ${type} returned ${resp.status}`);
+  } catch (err) {
+    console.error(`Local Stripe: could not deliver ${type}:`, err.message);
+  }
+  return event;
+}
+
+// Helper: Webhook endpoint next to the site that started the checkout
+function webhookUrlFor(returnUrl) {
+  return process.env.LOCAL_STRIPE_WEBHOOK_URL || `${new URL(returnUrl).origin}/.netlify/functions/stripe-webhook`;
+}
+
+// Helper: Stored subscription or a Stripe-style 404
+async function loadSubscription(id) {
+  const subscription = await collection("stripe_subscriptions").get(id);
+  if (!subscription) throw missing("subscription", id);
+  return subscription;
+}
+
+// Helper: Record a successful payment (the payment intent carries its charge, as if expanded)
+async function createPaymentIntent({ customer, amount, description, invoice = null }) {
+  const paymentIntent = {
+    id: localId("pi"),
+    object: "payment_intent",
+    customer,
+    amount,
+    amount_received: amount,
+    currency: "usd",
+    status: "succeeded",
+    description,
+    invoice,
+    created: now(),
+    latest_charge: { id: localId("ch"), object: "charge", amount, amount_refunded: 0, refunded: false }
+  };
+  const { id, ...doc } = paymentIntent;
+  await collection("stripe_payment_intents").set(id, doc);
+  return paymentIntent;
+}
+
+// Helper: Stored payment intent or a Stripe-style 404
+async function loadPaymentIntent(id) {
+  const paymentIntent = await collection("stripe_payment_intents").get(id);
+  if (!paymentIntent) throw missing("payment_intent", id);
+  return paymentIntent;
+}
+
+// Helper: Stripe-style error for requests Stripe would refuse
+function invalid(message) {
+  const err = new Error(message);
+  err.type = "StripeInvalidRequestError";
+  err.statusCode = 400;
+  return err;
+}
+
+// Helper: Run a request once per idempotency key. Like Stripe, a repeated key gets the saved
+// response, and a key reused with different parameters is refused.
+async function idempotent(key, params, request) {
+  if (!key) return request();
+  const fingerprint = crypto.createHash("sha256").update(JSON.stringify(params)).digest("hex");
+  const saved = await collection("stripe_idempotency_keys").get(key);
+  if (saved) {
+    if (saved.fingerprint === fingerprint) return saved.response;
+    const err = new Error("Keys for idempotent requests can only be used with the same parameters they were first used with.");
+    err.type = "StripeIdempotencyError";
+    err.statusCode = 400;
+    throw err;
+  }
+  const response = await request();
+  await collection("stripe_idempotency_keys").set(key, { fingerprint, response, created: now() });
+  return response;
+}
+
+// Helper: Refund a payment intent's charge (all of what's left unless amount is given)
+async function createRefund({ payment_intent, amount, reason = null, metadata = {} }) {
+  const paymentIntent = await loadPaymentIntent(payment_intent);
+  const charge = paymentIntent.latest_charge;
+  const refundable = charge.amount - charge.amount_refunded;
+  const refundAmount = amount ?? refundable;
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw invalid(`Refund amount (${refundAmount}) is greater than unrefunded amount on charge (${refundable})`);
+  }
+  const refund = {
+    id: localId("re"),
+    object: "refund",
+    amount: refundAmount,
+    currency: paymentIntent.currency,
+    payment_intent,
+    charge: charge.id,
+    reason,
+    metadata,
+    status: "succeeded",
+    created: now()
+  };
+  const { id, ...doc } = refund;
+  await collection("stripe_refunds").set(id, doc);
+  const amountRefunded = charge.amount_refunded + refundAmount;
+  await collection("stripe_payment_intents").update(payment_intent, {
+    latest_charge: { ...charge, amount_refunded: amountRefunded, refunded: amountRefunded === charge.amount }
+  });
+  return refund;
+}
+
+// Helper: Adjust a customer's balance (negative amounts are credits)
+async function createBalanceTransaction(customer, { amount, currency, description = null, metadata = {} }) {
+  if (!(await collection("stripe_customers_local").get(customer))) throw missing("customer", customer);
+  const previous = (await collection("stripe_balance_transactions").list()).filter((txn) => txn.customer === customer);
+  const balance = previous.reduce((sum, txn) => sum + txn.amount, 0);
+  const transaction = {
+    id: localId("cbtxn"),
+    object: "customer_balance_transaction",
+    customer,
+    amount,
+    currency,
+    description,
+    metadata,
+    ending_balance: balance + amount,
+    created: now()
+  };
+  const { id, ...doc } = transaction;
+  await collection("stripe_balance_transactions").set(id, doc);
+  return transaction;
+}
+
+// Helper: Record an invoice for a customer (paid invoices get a payment intent)
+async function createInvoice({ customer, subscription = null, amount, status = "paid", description }) {
+  const invoices = await collection("stripe_invoices").list();
+  const invoiceId = localId("in");
+  const paymentIntent = status === "paid" && amount > 0
+    ? await createPaymentIntent({ customer, amount, description, invoice: invoiceId })
+    : null;
+  const invoice = {
+    id: invoiceId,
+    object: "invoice",
+    number: `LOCAL-${String(invoices.length + 1).padStart(4, "0")}`,
+    customer,
+    subscription,
+    created: now(),
+    currency: "usd",
+    amount_due: amount,
+    amount_paid: status === "paid" ? amount : 0,
+    status,
+    description,
+    payment_intent: paymentIntent ? paymentIntent.id : null,
+    hosted_invoice_url: null,
+    invoice_pdf: null
+  };
+  const { id, ...doc } = invoice;
+  await collection("stripe_invoices").set(id, doc);
+  return invoice;
+}
+
+// Helper: Save a subscription and notify the webhook of the change
+async function saveSubscription(subscription, eventType) {
+  const { id, ...doc } = subscription;
+  await collection("stripe_subscriptions").set(id, doc);
+  await sendLocalEvent(subscription.webhookUrl, eventType, subscription);
+  return subscription;
+}
+
+// Complete a checkout session as if the customer paid on Stripe's hosted page
+export async function completeLocalCheckout(sessionId) {
+  const session = await collection("stripe_sessions").get(sessionId);
+  if (!session) throw missing("checkout.session", sessionId);
+  if (session.status !== "open") return session;
+
+  const webhookUrl = webhookUrlFor(session.success_url);
+  const customerId = session.customer || localId("cus");
+  await collection("stripe_customers_local").set(customerId, {
+    email: session.customer_email || null,
+    metadata: session.metadata || {}
+  });
+
+  const invoice = await createInvoice({
+    customer: customerId,
+    amount: session.amount_total,
+    description: session.mode === "subscription" ? "Subscription" : "Model download"
+  });
+
+  let subscription = null;
+  if (session.mode === "subscription") {
+    const start = now();
+    subscription = {
+      id: localId("sub"),
+      object: "subscription",
+      customer: customerId,
+      status: "active",
+      items: { data: session.line_items.map((item) => ({ id: localId("si"), price: { id: item.price } })) },
+      current_period_start: start,
+      current_period_end: start + PERIOD_SECONDS,
+      cancel_at_period_end: false,
+      metadata: session.subscription_data?.metadata || session.metadata || {},
+      webhookUrl
+    };
+  }
+
+  const completed = {
+    ...session,
+    status: "complete",
+    payment_status: "paid",
+    customer: customerId,
+    subscription: subscription ? subscription.id : null,
+    payment_intent: session.mode === "payment" ? invoice.payment_intent : null
+  };
+  const { id, ...doc } = completed;
+  await collection("stripe_sessions").set(id, doc);
+  await sendLocalEvent(webhookUrl, "checkout.session.completed", completed);
+  if (subscription) await saveSubscription(subscription, "customer.subscription.created");
+  return completed;
+}
+
+// Expire a checkout session as if the customer abandoned it
+export async function expireLocalCheckout(sessionId) {
+  const session = await collection("stripe_sessions").get(sessionId);
+  if (!session) throw missing("checkout.session", sessionId);
+  if (session.status === "open") await collection("stripe_sessions").update(sessionId, { status: "expired" });
+  return { ...session, status: "expired" };
+}
+
+// Simulate a failed renewal payment for a subscription
+export async function failLocalPayment(subscriptionId) {
+  const subscription = await loadSubscription(subscriptionId);
+  const invoice = {
+    ...(await createInvoice({
+      customer: subscription.customer,
+      subscription: subscription.id,
+      amount: LOCAL_PRICE_AMOUNTS[subscription.items.data[0].price.id] || 0,
+      status: "open",
+      description: "Subscription renewal"
+    })),
+    last_finalization_error: { message: "Your card was declined." }
+  };
+  await sendLocalEvent(subscription.webhookUrl, "invoice.payment_failed", invoice);
+  return saveSubscription({ ...subscription, status: "past_due" }, "customer.subscription.updated");
+}
+
+// Factory: object mirroring the parts of the Stripe SDK used by the backend
+export function createLocalStripe() {
+  return {
+    isLocal: true,
+    checkout: {
+      sessions: {
+        async create(params) {
+          const session = {
+            id: localId("cs"),
+            object: "checkout.session",
+            mode: params.mode,
+            status: "open",
+            payment_status: "unpaid",
+            success_url: params.success_url,
+            cancel_url: params.cancel_url,
+            client_reference_id: params.client_reference_id || null,
+            customer: params.customer || null,
+            customer_email: params.customer_email || null,
+            metadata: params.metadata || {},
+            subscription_data: params.subscription_data || null,
+            line_items: params.line_items.map(({ price, quantity }) => ({ price, quantity: quantity || 1 })),
+            amount_total: params.line_items.reduce(
+              (sum, { price, quantity }) => sum + (LOCAL_PRICE_AMOUNTS[price] || 0) * (quantity || 1),
+              0
+            ),
+            subscription: null,
+            created: now()
+          };
+          session.url = `${new URL(params.success_url).origin}/.netlify/functions/local-stripe?session_id=${session.id}`;
+          const { id, ...doc } = session;
+          await collection("stripe_sessions").set(id, doc);
+          return session;
+        },
+        async retrieve(id, options = {}) {
+          const session = await collection("stripe_sessions").get(id);
+          if (!session) throw missing("checkout.session", id);
+          if ((options.expand || []).includes("subscription") && session.subscription) {
+            return { ...session, subscription: await loadSubscription(session.subscription) };
+          }
+          return session;
+        }
+      }
+    },
+    subscriptions: {
+      retrieve: loadSubscription,
+      async update(id, params) {
+        const subscription = await loadSubscription(id);
+        const next = { ...subscription };
+        if (params.cancel_at_period_end !== undefined) next.cancel_at_period_end = params.cancel_at_period_end;
+        if (params.items) {
+          // Prorate the price difference over the rest of the current period
+          const oldAmount = LOCAL_PRICE_AMOUNTS[subscription.items.data[0].price.id] || 0;
+          const newAmount = LOCAL_PRICE_AMOUNTS[params.items[0].price] || 0;
+          const remaining = Math.max(0, subscription.current_period_end - now()) / PERIOD_SECONDS;
+          if (params.proration_behavior !== "none" && oldAmount !== newAmount) {
+            await createInvoice({
+              customer: subscription.customer,
+              subscription: subscription.id,
+              amount: Math.round((newAmount - oldAmount) * remaining),
+              description: "Plan change (prorated)"
+            });
+          }
+          next.items = {
+            data: params.items.map((item) => ({ id: item.id || localId("si"), price: { id: item.price } }))
+          };
+        }
+        if (params.metadata) next.metadata = { ...subscription.metadata, ...params.metadata };
+        return saveSubscription(next, "customer.subscription.updated");
+      },
+      async cancel(id) {
+        const subscription = await loadSubscription(id);
+        return saveSubscription({ ...subscription, status: "canceled", canceled_at: now() }, "customer.subscription.deleted");
+      }
+    },
+    invoices: {
+      async list({ customer, limit = 10 }) {
+        const data = (await collection("stripe_invoices").list())
+          .filter((invoice) => invoice.customer === customer)
+          .sort((a, b) => b.created - a.created)
+          .slice(0, limit);
+        return { object: "list", data };
+      }
+    },
+    paymentIntents: {
+      retrieve: loadPaymentIntent,
+      async list({ customer, limit = 10 }) {
+        const data = (await collection("stripe_payment_intents").list())
+          .filter((paymentIntent) => paymentIntent.customer === customer)
+          .sort((a, b) => b.created - a.created)
+          .slice(0, limit);
+        return { object: "list", data };
+      }
+    },
+    refunds: {
+      async create(params, { idempotencyKey = null } = {}) {
+        return idempotent(idempotencyKey, params, () => createRefund(params));
+      }
+    },
+    customers: {
+      async createBalanceTransaction(customer, params, { idempotencyKey = null } = {}) {
+        return idempotent(idempotencyKey, { customer, ...params }, () => createBalanceTransaction(customer, params));
+      }
+    },
+    billingPortal: {
+      sessions: {
+        async create({ customer, return_url }) {
+          const session = { id: localId("bps"), object: "billing_portal.session", customer, return_url };
+          const { id, ...doc } = session;
+          await collection("stripe_portal_sessions").set(id, doc);
+          return { ...session, url: `${new URL(return_url).origin}/.netlify/functions/local-stripe?portal_session=${id}` };
+        },
+        async retrieve(id) {
+          const session = await collection("stripe_portal_sessions").get(id);
+          if (!session) throw missing("billing_portal.session", id);
+          return session;
+        }
+      }
+    },
+    webhooks: { constructEvent }
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Tests for idempotency keys in the local Stripe stand-in, which admin billing
+ * adjustments rely on (run with `node --test netlify/`).
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createLocalStripe } from './local-stripe.mjs';
+import { collection } from './store.mjs';
+
+process.env.LOCAL_STORE = "memory";
+delete process.env.FIREBASE_SERVICE_ACCOUNT;
+
+const stripe = createLocalStripe();
+
+// Helper: Store a succeeded payment of `amount` cents and return its id
+async function paidIntent(id, amount) {
+  await collection("stripe_payment_intents").set(id, {
+    object: "payment_intent",
+    customer: "cus_test",
+    amount,
+    amount_received: amount,
+    currency: "usd",
+    status: "succeeded",
+    created: 1,
+    latest_charge: { id: `ch_${id}`, object: "charge", amount, amount_refunded: 0, refunded: false }
+  });
+  return id;
+}
+
+test("a repeated refund key returns the first refund without refunding again", async () => {
+  const paymentIntent = await paidIntent("pi_retry", 900);
+  const params = { payment_intent: paymentIntent, amount: 300, reason: "requested_by_customer" };
+  const first = await stripe.refunds.create(params, { idempotencyKey: "key_refund_retry" });
+  const retry = await stripe.refunds.create(params, { idempotencyKey: "key_refund_retry" });
+  assert.deepEqual(retry, first);
+  assert.equal((await stripe.paymentIntents.retrieve(paymentIntent)).latest_charge.amount_refunded, 300);
+});
+
+test("a refund key reused with different parameters is refused", async () => {
+  const paymentIntent = await paidIntent("pi_reuse", 900);
+  await stripe.refunds.create({ payment_intent: paymentIntent, amount: 300 }, { idempotencyKey: "key_refund_reuse" });
+  await assert.rejects(
+    stripe.refunds.create({ payment_intent: paymentIntent, amount: 200 }, { idempotencyKey: "key_refund_reuse" }),
+    { type: "StripeIdempotencyError", statusCode: 400 }
+  );
+  assert.equal((await stripe.paymentIntents.retrieve(paymentIntent)).latest_charge.amount_refunded, 300);
+});
+
+test("refunds without a key are separate requests", async () => {
+  const paymentIntent = await paidIntent("pi_nokey", 900);
+  const first = await stripe.refunds.create({ payment_intent: paymentIntent, amount: 100 });
+  const second = await stripe.refunds.create({ payment_intent: paymentIntent, amount: 100 });
+  assert.notEqual(first.id, second.id);
+  assert.equal((await stripe.paymentIntents.retrieve(paymentIntent)).latest_charge.amount_refunded, 200);
+});
+
+test("a repeated credit key adds the credit once, and reuse for another customer is refused", async () => {
+  await collection("stripe_customers_local").set("cus_credit", { email: "credit@example.test" });
+  await collection("stripe_customers_local").set("cus_other", { email: "other@example.test" });
+  const params = { amount: -500, currency: "usd", description: "Goodwill" };
+  const first = await stripe.customers.createBalanceTransaction("cus_credit", params, { idempotencyKey: "key_credit" });
+  const retry = await stripe.customers.createBalanceTransaction("cus_credit", params, { idempotencyKey: "key_credit" });
+  assert.deepEqual(retry, first);
+  assert.equal((await collection("stripe_balance_transactions").where("customer", "cus_credit")).length, 1);
+  await assert.rejects(
+    stripe.customers.createBalanceTransaction("cus_other", params, { idempotencyKey: "key_credit" }),
+    { type: "StripeIdempotencyError" }
+  );
+});
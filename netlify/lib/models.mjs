@@ -0,0 +1,136 @@
+/**
+ * Model library: which users own which generated models, and short-lived
+ * signed download links for them.
+ *
+ * Ownership documents live in the "owned_models" collection keyed by
+ * `${uid}_${modelId}`, where the model id is the id of the generation job that
+ * produced it. Owned models are only ever created from the owner's own
+ * finished jobs, so the storage URL is always one the server chose. Clients
+ * get a signed link that expires after DOWNLOAD_URL_TTL_SECONDS instead; once
+ * it checks out, download-model redirects to the provider's file URL rather
+ * than streaming the file, since Netlify caps function responses at about 6 MB.
+ *
+ * Previews of jobs and gallery items work the same way: clients get a signed
+ * view-model link that redirects to the model file. Preview links are relative
+ * (the functions share the site's origin) and their expiry is rounded up to
+ * the hour, so a model keeps the same preview URL for the rest of that hour.
+ *
+ * Environment:
+ * - DOWNLOAD_SIGNING_SECRET: HMAC key for download and preview links (required in production)
+ */
+
+import crypto from 'node:crypto';
+import { isProductionDeploy } from './env.mjs';
+import { collection, isLocalStore } from './store.mjs';
+
+export const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+export const PREVIEW_URL_TTL_SECONDS = 6 * 60 * 60;
+
+// Preview link expiries are rounded up to a multiple of this
+const PREVIEW_URL_BUCKET_SECONDS = 60 * 60;
+
+// What a preview link can point at
+const PREVIEW_KINDS = ["job", "gallery"];
+
+// Helper: Ownership fields for a finished generation job
+export function modelFromJob(job) {
+  return {
+    modelId: job.id,
+    modelUrl: job.modelUrl,
+    name: job.params?.prompt || "Image-based model",
+    thumbnailUrl: job.thumbnailUrl || null
+  };
+}
+
+// Helper: Record that a user owns a model ("purchase" or "pro-generation")
+export async function recordOwnership(uid, { modelId, modelUrl, name, thumbnailUrl = null, source }) {
+  const key = `${uid}_${modelId}`;
+  const existing = await collection("owned_models").get(key);
+  if (existing) return existing;
+  return collection("owned_models").set(key, {
+    uid,
+    modelId,
+    modelUrl,
+    name: name || "Untitled model",
+    thumbnailUrl,
+    source,
+    acquiredAt: Date.now()
+  });
+}
+
+// Helper: Remember what a one-time checkout session is buying (too large for Stripe metadata)
+export async function savePendingPurchase(sessionId, purchase) {
+  await collection("pending_purchases").set(sessionId, { ...purchase, createdAt: Date.now() });
+}
+
+// Helper: Grant ownership for a paid model checkout session (safe to call more than once)
+export async function fulfilPurchase(sessionId, uid) {
+  const purchase = await collection("pending_purchases").get(sessionId);
+  if (!purchase || purchase.uid !== uid) return null;
+  return recordOwnership(uid, { ...purchase, source: "purchase" });
+}
+
+// Helper: Owned model for a user, or null when they don't own it
+export async function getOwnedModel(uid, modelId) {
+  return collection("owned_models").get(`${uid}_${modelId}`);
+}
+
+// Helper: Every model a user owns, newest first
+export async function listOwnedModels(uid) {
+  const models = await collection("owned_models").where("uid", uid);
+  return models.sort((a, b) => b.acquiredAt - a.acquiredAt);
+}
+
+// Helper: HMAC key for download and preview links
+function signingSecret() {
+  if (process.env.DOWNLOAD_SIGNING_SECRET) return process.env.DOWNLOAD_SIGNING_SECRET;
+  if (isLocalStore() && !isProductionDeploy()) return "local-download-signing-secret";
+  throw new Error("DOWNLOAD_SIGNING_SECRET is not configured.");
+}
+
+// Helper: Signature over the download parameters
+function sign(uid, modelId, expires) {
+  return crypto.createHmac("sha256", signingSecret()).update(`${uid}:${modelId}:${expires}`).digest("hex");
+}
+
+// Helper: Short-lived download URL for an owned model
+export async function createSignedDownloadUrl(origin, model) {
+  const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS;
+  const params = new URLSearchParams({ u: model.uid, m: model.modelId, exp: String(expires), sig: sign(model.uid, model.modelId, expires) });
+  return { url: `${origin}/.netlify/functions/download-model?${params}`, expiresAt: expires };
+}
+
+// Helper: Constant-time string comparison (lengths are compared in bytes, as timingSafeEqual requires)
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Helper: Check a download link; returns the owned model or null
+export async function verifySignedDownload({ u, m, exp, sig }) {
+  if (!u || !m || !exp || !sig || Number(exp) < Date.now() / 1000) return null;
+  const expected = sign(u, m, Number(exp));
+  if (!safeEqual(expected, String(sig))) return null;
+  return getOwnedModel(u, m);
+}
+
+// Helper: Signature over the preview parameters
+function signPreview(kind, id, expires) {
+  return crypto.createHmac("sha256", signingSecret()).update(`preview:${kind}:${id}:${expires}`).digest("hex");
+}
+
+// Helper: Signed preview URL for a job's or gallery item's model ("job" or "gallery")
+export function createPreviewUrl(kind, id) {
+  const now = Math.floor(Date.now() / 1000);
+  const expires = Math.ceil(now / PREVIEW_URL_BUCKET_SECONDS) * PREVIEW_URL_BUCKET_SECONDS + PREVIEW_URL_TTL_SECONDS;
+  const params = new URLSearchParams({ k: kind, id, exp: String(expires), sig: signPreview(kind, id, expires) });
+  return `/.netlify/functions/view-model?${params}`;
+}
+
+// Helper: Check a preview link; returns { kind, id, expiresAt } or null
+export function verifyPreview({ k, id, exp, sig }) {
+  if (!PREVIEW_KINDS.includes(k) || !id || !exp || !sig || Number(exp) < Date.now() / 1000) return null;
+  if (!safeEqual(signPreview(k, id, Number(exp)), String(sig))) return null;
+  return { kind: k, id, expiresAt: Number(exp) };
+}
@@ -0,0 +1,83 @@
+/**
+ * Tests for signed download and preview links (run with `node --test netlify/`).
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  DOWNLOAD_URL_TTL_SECONDS,
+  createPreviewUrl,
+  createSignedDownloadUrl,
+  recordOwnership,
+  verifyPreview,
+  verifySignedDownload
+} from './models.mjs';
+import { collection } from './store.mjs';
+
+process.env.LOCAL_STORE = "memory";
+process.env.DOWNLOAD_SIGNING_SECRET = "test-signing-secret";
+delete process.env.FIREBASE_SERVICE_ACCOUNT;
+
+const ORIGIN = "https://example.test";
+
+// Helper: Query parameters of a link as an object
+function paramsOf(url) {
+  return Object.fromEntries(new URL(url, ORIGIN).searchParams);
+}
+
+// Helper: Download link parameters for a model the user owns
+async function ownedDownload(uid, modelId) {
+  const model = await recordOwnership(uid, { modelId, modelUrl: `https://files.test/${modelId}.glb`, name: "Vase", source: "purchase" });
+  const { url, expiresAt } = await createSignedDownloadUrl(ORIGIN, model);
+  return { params: paramsOf(url), expiresAt };
+}
+
+test("download links resolve to the owned model until they expire", async (t) => {
+  const { params, expiresAt } = await ownedDownload("owner", "job_download");
+  assert.equal(expiresAt, Number(params.exp));
+  assert.ok(expiresAt - Date.now() / 1000 <= DOWNLOAD_URL_TTL_SECONDS);
+  assert.equal((await verifySignedDownload(params)).modelId, "job_download");
+
+  t.mock.method(Date, "now", () => (expiresAt + 1) * 1000);
+  assert.equal(await verifySignedDownload(params), null);
+});
+
+test("download links refuse changed parameters", async () => {
+  const { params } = await ownedDownload("owner", "job_tamper");
+  await recordOwnership("other", { modelId: "job_tamper", modelUrl: "https://files.test/x.glb", name: "Vase", source: "purchase" });
+  assert.equal(await verifySignedDownload({ ...params, u: "other" }), null);
+  assert.equal(await verifySignedDownload({ ...params, m: "job_other" }), null);
+  assert.equal(await verifySignedDownload({ ...params, exp: String(Number(params.exp) + 3600) }), null);
+  assert.equal(await verifySignedDownload({ ...params, sig: "0".repeat(params.sig.length) }), null);
+  assert.equal(await verifySignedDownload({ ...params, sig: "short" }), null);
+  assert.equal(await verifySignedDownload({ ...params, sig: undefined }), null);
+});
+
+test("download links stop working when the model is no longer owned", async () => {
+  const { params } = await ownedDownload("owner", "job_removed");
+  await collection("owned_models").delete("owner_job_removed");
+  assert.equal(await verifySignedDownload(params), null);
+});
+
+test("preview links verify until they expire", (t) => {
+  const params = paramsOf(createPreviewUrl("job", "job_preview"));
+  const preview = verifyPreview(params);
+  assert.deepEqual(preview, { kind: "job", id: "job_preview", expiresAt: Number(params.exp) });
+
+  t.mock.method(Date, "now", () => (preview.expiresAt + 1) * 1000);
+  assert.equal(verifyPreview(params), null);
+});
+
+test("preview links refuse changed parameters and unknown kinds", () => {
+  const params = paramsOf(createPreviewUrl("gallery", "pub_job_1"));
+  assert.equal(verifyPreview({ ...params, id: "pub_job_2" }), null);
+  assert.equal(verifyPreview({ ...params, k: "job" }), null);
+  assert.equal(verifyPreview({ ...params, exp: String(Number(params.exp) + 3600) }), null);
+  assert.equal(verifyPreview({ ...params, sig: "0".repeat(params.sig.length) }), null);
+  assert.equal(verifyPreview({ ...paramsOf(createPreviewUrl("user", "owner")) }), null);
+});
+
+test("preview and download signatures can't stand in for each other", async () => {
+  const { params } = await ownedDownload("owner", "job_swap");
+  assert.equal(verifyPreview({ k: "job", id: "job_swap", exp: params.exp, sig: params.sig }), null);
+});
@@ -0,0 +1,236 @@
+/**
+ * Content moderation for prompts, reference images and gallery submissions.
+ *
+ * Two layers, both driven by the policy:
+ * - Rules: blocklisted terms, matched as whole words after lower-casing,
+ *   removing accents, undoing common character swaps ("r3ceiver") and
+ *   reducing plurals to the singular ("suppressors", "glock switches").
+ *   A rule's `unless` terms exempt text that also contains them.
+ * - Classifier: the OpenAI moderation API checks prompts and each reference
+ *   image when OPENAI_API_KEY is set. Flagged categories listed in
+ *   `classifierCategories` block the request with that category's reason.
+ *
+ * Rejections are recorded in the "moderation_events" collection for review.
+ *
+ * Environment:
+ * - MODERATION_POLICY: JSON policy overrides, or MODERATION_POLICY_PATH for a
+ *   JSON file. `rules` are added to the defaults (or replace them with
+ *   `replaceDefaultRules: true`), `disabledRules` lists rule ids to skip, and
+ *   `classifierCategories` / `classifierFailOpen` replace the defaults.
+ * - OPENAI_API_KEY: enables the classifier (OPENAI_API_URL and
+ *   MODERATION_MODEL override the endpoint and model)
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { HttpError, json } from './http.mjs';
+import { collection } from './store.mjs';
+
+// Default blocklist rules
+const DEFAULT_RULES = [
+  {
+    id: "firearms",
+    category: "weapons",
+    reason: "Firearms, firearm parts and ammunition can't be generated.",
+    terms: [
+      "firearm", "lower receiver", "upper receiver", "80 lower", "pistol frame", "auto sear", "autosear",
+      "glock switch", "bump stock", "forced reset trigger", "suppressor", "silencer", "solvent trap",
+      "ghost gun", "zip gun", "fgc 9", "liberator pistol", "ammunition", "bullet casing"
+    ]
+  },
+  {
+    id: "weapons",
+    category: "weapons",
+    reason: "Weapons designed to hurt people can't be generated.",
+    terms: ["grenade", "explosive", "pipe bomb", "brass knuckles", "knuckle duster", "switchblade", "throwing star"],
+    unless: ["prop", "cosplay", "toy", "replica", "ornament"]
+  },
+  {
+    id: "trademarked-characters",
+    category: "trademark",
+    reason: "Trademarked characters and brands can't be generated. Describe an original design instead.",
+    terms: [
+      "mickey mouse", "minnie mouse", "disney", "pikachu", "pokemon", "super mario", "nintendo",
+      "spider man", "spiderman", "batman", "superman", "darth vader", "baby yoda", "grogu", "star wars",
+      "hello kitty", "sonic the hedgehog", "minecraft", "harry potter", "optimus prime"
+    ]
+  },
+  {
+    id: "hate-symbols",
+    category: "hate",
+    reason: "Hate symbols can't be generated.",
+    terms: ["swastika", "hakenkreuz", "nazi", "kkk", "ss bolts"]
+  },
+  {
+    id: "adult",
+    category: "sexual",
+    reason: "Sexual content can't be generated.",
+    terms: ["nude", "naked", "nsfw", "porn", "hentai", "genitals", "dildo", "sex toy"]
+  }
+];
+
+// Classifier categories that block, with the reason shown to the user
+const DEFAULT_CLASSIFIER_CATEGORIES = {
+  "sexual": "Sexual content can't be generated.",
+  "sexual/minors": "Sexual content can't be generated.",
+  "hate": "Hateful content can't be generated.",
+  "hate/threatening": "Hateful content can't be generated.",
+  "violence/graphic": "Graphic violence can't be generated.",
+  "illicit/violent": "Weapons designed to hurt people can't be generated.",
+  "self-harm/instructions": "Self-harm content can't be generated."
+};
+
+// Character swaps undone before matching
+const CHARACTER_SWAPS = { "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "@": "a", "$": "s" };
+
+// Words this short are left alone by singular() ("kkk", "ss", "sex")
+const MIN_STEMMED_WORD_LENGTH = 4;
+
+// Helper: A word with a plural ending removed ("grenades", "switches", "bodies").
+// Both terms and text go through this, so over-stemming ("status" -> "statu") can't cause a miss.
+function singular(word) {
+  if (word.length < MIN_STEMMED_WORD_LENGTH || !word.endsWith("s") || word.endsWith("ss")) return word;
+  if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (/(ch|sh|ss|x|z)es$/.test(word)) return word.slice(0, -2);
+  return word.slice(0, -1);
+}
+
+// Helper: Text reduced to lower-case singular words separated by single spaces, padded for whole-word matching
+function normalizeText(text) {
+  const swapped = String(text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[013457@$]/g, (c) => CHARACTER_SWAPS[c]);
+  const words = swapped.replace(/[^\p{L}\p{N}]+/gu, " ").trim().split(" ").map(singular);
+  return ` ${words.join(" ")} `;
+}
+
+// Helper: Policy overrides from the environment ({} when none are configured)
+function policyOverrides() {
+  try {
+    if (process.env.MODERATION_POLICY) return JSON.parse(process.env.MODERATION_POLICY);
+    if (process.env.MODERATION_POLICY_PATH) return JSON.parse(fs.readFileSync(process.env.MODERATION_POLICY_PATH, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid moderation policy: ${err.message}`);
+  }
+  return {};
+}
+
+/**
+ * The moderation policy in effect: { rules, classifierCategories, classifierFailOpen }.
+ * Rule terms are normalized the same way as the text they're matched against.
+ */
+export function getPolicy() {
+  const overrides = policyOverrides();
+  const disabled = overrides.disabledRules || [];
+  const rules = [...(overrides.replaceDefaultRules ? [] : DEFAULT_RULES), ...(overrides.rules || [])]
+    .filter((rule) => !disabled.includes(rule.id))
+    .map((rule) => ({
+      ...rule,
+      terms: (rule.terms || []).map(normalizeText),
+      unless: (rule.unless || []).map(normalizeText)
+    }));
+  return {
+    rules,
+    classifierCategories: overrides.classifierCategories || DEFAULT_CLASSIFIER_CATEGORIES,
+    classifierFailOpen: overrides.classifierFailOpen === true
+  };
+}
+
+// Helper: Rule violations in a piece of text: [{ ruleId, category, reason }]
+export function checkText(text, policy = getPolicy()) {
+  const normalized = normalizeText(text);
+  return policy.rules
+    .filter((rule) => rule.terms.some((term) => normalized.includes(term)))
+    .filter((rule) => !rule.unless.some((term) => normalized.includes(term)))
+    .map((rule) => ({ ruleId: rule.id, category: rule.category, reason: rule.reason }));
+}
+
+// Helper: Classifier verdict for one input (text or an image part): [{ ruleId, category, reason }]
+async function classify(input, policy) {
+  const resp = await fetch(`${process.env.OPENAI_API_URL || "https://api.openai.com"}/v1/moderations`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ model: process.env.MODERATION_MODEL || "omni-moderation-latest", input })
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(`Moderation request failed with ${resp.status}: ${data.error?.message || "unknown error"}`);
+  const categories = data.results?.[0]?.categories || {};
+  return Object.keys(policy.classifierCategories)
+    .filter((category) => categories[category])
+    .map((category) => ({ ruleId: `classifier:${category}`, category, reason: policy.classifierCategories[category] }));
+}
+
+// Helper: Classifier violations for a prompt and images, or [] when no classifier is configured
+async function classifierViolations(text, images, policy) {
+  if (!process.env.OPENAI_API_KEY) return [];
+  try {
+    const checks = [
+      text ? classify(text, policy) : [],
+      ...images.map(async (image) => {
+        const input = [{ type: "image_url", image_url: { url: `data:${image.type};base64,${image.buffer.toString("base64")}` } }];
+        const violations = await classify(input, policy);
+        return violations.map((v) => ({ ...v, view: image.view }));
+      })
+    ];
+    return (await Promise.all(checks)).flat();
+  } catch (err) {
+    console.error("Moderation classifier failed:", err);
+    if (policy.classifierFailOpen) return [];
+    throw err;
+  }
+}
+
+// Helper: Reasons to show for violations, without repeats (image reasons name the view)
+export function rejectionReasons(violations) {
+  const reasons = violations.map((v) => (v.view ? `The ${v.view} view image was flagged. ${v.reason}` : v.reason));
+  return [...new Set(reasons)];
+}
+
+/**
+ * Check a generation request before it reaches the provider.
+ * `text` is everything the user wrote (prompt, instruction); images are the
+ * reference images. Returns { allowed, violations, reasons }; throws when the
+ * classifier is unreachable and the policy doesn't fail open.
+ */
+export async function moderateGeneration({ text, images = [] }) {
+  const policy = getPolicy();
+  const violations = [...checkText(text, policy), ...(await classifierViolations(text, images, policy))];
+  return { allowed: violations.length === 0, violations, reasons: rejectionReasons(violations) };
+}
+
+// Helper: Record a rejection for the review log
+export async function recordModerationEvent(uid, { kind, text, violations }) {
+  const id = `mod_${crypto.randomBytes(10).toString("hex")}`;
+  await collection("moderation_events").set(id, {
+    uid,
+    kind,
+    excerpt: String(text || "").slice(0, 200),
+    categories: [...new Set(violations.map((v) => v.category))],
+    ruleIds: violations.map((v) => v.ruleId),
+    createdAt: Date.now()
+  });
+}
+
+// Helper: 422 response listing why content was rejected
+export function contentRejectedResponse(reasons) {
+  return json(422, { error: "This goes against our content policy.", code: "content_rejected", reasons });
+}
+
+/**
+ * Moderate a generation request and record any rejection.
+ * Returns the 422 response to send back, or null when the request may go
+ * ahead; throws a 503 HttpError when the checks can't run.
+ */
+export async function moderationRejection(uid, { kind, text, images = [] }) {
+  let result;
+  try {
+    result = await moderateGeneration({ text, images });
+  } catch (err) {
+    throw new HttpError(503, "Content checks are unavailable. Please try again shortly.");
+  }
+  if (result.allowed) return null;
+  await recordModerationEvent(uid, { kind, text, violations: result.violations });
+  return contentRejectedResponse(result.reasons);
+}
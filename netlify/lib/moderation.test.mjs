@@ -0,0 +1,51 @@
+/**
+ * Tests for the moderation rules (run with `node --test netlify/`).
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkText, getPolicy } from './moderation.mjs';
+
+delete process.env.MODERATION_POLICY;
+delete process.env.MODERATION_POLICY_PATH;
+const policy = getPolicy();
+
+// Helper: Ids of the rules a text breaks
+function violations(text) {
+  return checkText(text, policy).map((violation) => violation.ruleId);
+}
+
+test("blocks listed terms as whole words", () => {
+  assert.deepEqual(violations("a firearm stock"), ["firearms"]);
+  assert.deepEqual(violations("a Pikachu figurine"), ["trademarked-characters"]);
+  assert.deepEqual(violations("a pen holder"), []);
+  assert.deepEqual(violations("an amazing vase"), []);
+});
+
+test("blocks plurals of listed terms", () => {
+  assert.deepEqual(violations("firearms"), ["firearms"]);
+  assert.deepEqual(violations("three grenades"), ["weapons"]);
+  assert.deepEqual(violations("suppressors for my rifle"), ["firearms"]);
+  assert.deepEqual(violations("glock switches"), ["firearms"]);
+  assert.deepEqual(violations("pikachus on a shelf"), ["trademarked-characters"]);
+  assert.deepEqual(violations("sex toys"), ["adult"]);
+  assert.deepEqual(violations("ammunitions and bullet casings"), ["firearms"]);
+});
+
+test("keeps short words and double-s endings intact", () => {
+  assert.deepEqual(violations("ss bolts"), ["hate-symbols"]);
+  assert.deepEqual(violations("brass knuckles"), ["weapons"]);
+  assert.deepEqual(violations("a brass vase"), []);
+  assert.deepEqual(violations("a box of glasses"), []);
+});
+
+test("undoes character swaps and accents", () => {
+  assert.deepEqual(violations("gr3nad3s"), ["weapons"]);
+  assert.deepEqual(violations("supprëssor"), ["firearms"]);
+});
+
+test("exempts text with an unless term, plural or not", () => {
+  assert.deepEqual(violations("a prop grenade"), []);
+  assert.deepEqual(violations("grenade props for a film"), []);
+  assert.deepEqual(violations("toy grenades"), []);
+});
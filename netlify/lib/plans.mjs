@@ -0,0 +1,167 @@
+/**
+ * Plan store: maps Firebase users to their Stripe subscription and plan.
+ *
+ * Documents live in the "subscriptions" collection keyed by uid; the
+ * "stripe_customers" collection maps Stripe customer IDs back to uids so
+ * webhook events can be attributed.
+ *
+ * Admins can override a user's plan or monthly quota; overrides live in the
+ * "plan_overrides" collection keyed by uid and win over the subscription
+ * (a null field falls back to it).
+ *
+ * Stripe delivers webhook events in no particular order, so subscription
+ * records keep the time of the state they hold (`stateAt`, Unix seconds) and
+ * older states are ignored. A cancelled subscription stays cancelled, and an
+ * event about a previous subscription never replaces a live one.
+ */
+
+import { collection } from './store.mjs';
+
+// Stripe price IDs for each paid plan (keep in sync with PLANS in index.js)
+export const PLAN_PRICES = {
+  basic: process.env.STRIPE_PRICE_BASIC || "price_1N9Z8x1234567890",
+  pro: process.env.STRIPE_PRICE_PRO || "price_1N9Z8y1234567890"
+};
+
+// One-time price for downloading a single model
+export const MODEL_PRICE_ID = process.env.STRIPE_PRICE_MODEL || "price_1N9Z8z1234567890";
+
+// Server-side limits per plan (keep in sync with PLAN_ENTITLEMENTS in index.js)
+export const PLAN_ENTITLEMENTS = {
+  free: { monthlyGenerations: 1, imageTo3d: false, printSupports: false },
+  basic: { monthlyGenerations: 10, imageTo3d: true, printSupports: true },
+  pro: { monthlyGenerations: Infinity, imageTo3d: true, printSupports: true }
+};
+
+// Helper: Entitlements for a plan id (unknown plans get Free)
+export function getEntitlements(plan) {
+  return PLAN_ENTITLEMENTS[plan] || PLAN_ENTITLEMENTS.free;
+}
+
+// Subscription statuses that keep the paid plan active (past_due is a grace period)
+const ENTITLED_STATUSES = ["active", "trialing", "past_due"];
+
+// Subscription statuses Stripe never bills again from
+const ENDED_STATUSES = ["canceled", "incomplete_expired"];
+
+// Helper: Whether a subscription record (or Stripe object) can still bill the user
+export function isLiveSubscription(subscription) {
+  return Boolean(subscription?.status) && !ENDED_STATUSES.includes(subscription.status);
+}
+
+// Helper: Plan id for a Stripe price ID, or null for unknown prices
+export function planForPrice(priceId) {
+  const entry = Object.entries(PLAN_PRICES).find(([, id]) => id === priceId);
+  return entry ? entry[0] : null;
+}
+
+// Helper: Stored subscription record for a user (null when they never subscribed)
+export async function getSubscription(uid) {
+  return collection("subscriptions").get(uid);
+}
+
+// Helper: Admin override of a user's plan or quota (null when there is none)
+export async function getPlanOverride(uid) {
+  return collection("plan_overrides").get(uid);
+}
+
+// Helper: Store an admin override; `plan` and `monthlyGenerations` are null to use the subscription's
+export async function setPlanOverride(uid, { plan, monthlyGenerations, note, adminUid }) {
+  if (plan === null && monthlyGenerations === null) {
+    await collection("plan_overrides").delete(uid);
+    return null;
+  }
+  return collection("plan_overrides").set(uid, { plan, monthlyGenerations, note, updatedBy: adminUid, updatedAt: Date.now() });
+}
+
+// Helper: Plan from the stored subscription alone, ignoring overrides
+export async function getSubscribedPlan(uid) {
+  const subscription = await getSubscription(uid);
+  if (!subscription || !ENTITLED_STATUSES.includes(subscription.status)) return "free";
+  return subscription.plan || "free";
+}
+
+// Helper: Effective plan for a user
+export async function getPlan(uid) {
+  const override = await getPlanOverride(uid);
+  return override?.plan || getSubscribedPlan(uid);
+}
+
+// Helper: Remember which uid owns a Stripe customer
+export async function linkCustomer(customerId, uid) {
+  if (!customerId || !uid) return;
+  await collection("stripe_customers").set(customerId, { uid });
+}
+
+// Helper: Resolve the uid for a Stripe customer or subscription object
+export async function uidForStripeObject(object) {
+  if (object.metadata?.uid) return object.metadata.uid;
+  const customerId = typeof object.customer === "string" ? object.customer : object.customer?.id;
+  if (!customerId) return null;
+  const link = await collection("stripe_customers").get(customerId);
+  return link ? link.uid : null;
+}
+
+// Helper: Every Stripe customer linked to a user (one-time purchases can create more than one)
+export async function customerIdsForUser(uid) {
+  const [subscription, links] = await Promise.all([getSubscription(uid), collection("stripe_customers").where("uid", uid)]);
+  return [...new Set([subscription?.customerId, ...links.map((link) => link.id)].filter(Boolean))];
+}
+
+// Helper: Current Unix timestamp, for states read straight from the Stripe API
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Helper: Whether a subscription state from `stateAt` (Unix seconds) is older than the stored one
+function isStale(current, stateAt) {
+  return Boolean(current?.stateAt) && stateAt < current.stateAt;
+}
+
+/**
+ * Store the state of a Stripe subscription object for its user. `stateAt` is
+ * when that state was current: the webhook event's `created`, or now for
+ * objects just read from the API. Returns the stored record, or null when the
+ * state was ignored as out of date.
+ */
+export async function applySubscription(uid, subscription, { stateAt = nowSeconds() } = {}) {
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+  const customerId = typeof subscription.customer === "string" ? subscription.customer : subscription.customer?.id;
+  await linkCustomer(customerId, uid);
+  return collection("subscriptions").transact(uid, (current) => {
+    if (current?.subscriptionId === subscription.id) {
+      if (isStale(current, stateAt) || (!isLiveSubscription(current) && isLiveSubscription(subscription))) return null;
+    } else if (isLiveSubscription(current) && !isLiveSubscription(subscription)) {
+      return null;
+    }
+    const { id, ...stored } = current || {};
+    return {
+      ...stored,
+      plan: planForPrice(priceId) || "free",
+      status: subscription.status,
+      subscriptionId: subscription.id,
+      customerId,
+      priceId: priceId || null,
+      currentPeriodEnd: subscription.current_period_end || null,
+      cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+      stateAt,
+      updatedAt: Date.now()
+    };
+  });
+}
+
+// Helper: Flag a failed renewal payment on the user's subscription (ignored when the stored state is newer)
+export async function markPaymentFailed(uid, invoice, { stateAt = nowSeconds() } = {}) {
+  return collection("subscriptions").transact(uid, (current) => {
+    if (!isLiveSubscription(current) || isStale(current, stateAt)) return null;
+    const { id, ...stored } = current;
+    return {
+      ...stored,
+      status: "past_due",
+      lastPaymentError: invoice.last_finalization_error?.message || "Payment failed.",
+      lastFailedInvoiceId: invoice.id,
+      stateAt,
+      updatedAt: Date.now()
+    };
+  });
+}
@@ -0,0 +1,39 @@
+/**
+ * 3D generation provider adapters.
+ *
+ * Every adapter implements the same interface:
+ * - name
+ * - start({ prompt, negativePrompt, images, conditioning, params }) -> { taskId }
+ *     images are [{ view: "front" | "side" | "back", buffer, type }] (empty for
+ *     text-only); conditioning is "text", "image" or "combined"; params are the
+ *     generator settings. Refinements are ordinary text starts whose prompt
+ *     already includes the follow-up instruction
+ * - poll(job, { origin }) -> { status, progress, modelUrl?, thumbnailUrl?, error? }
+ *     status is one of the job statuses in ../jobs.mjs
+ * - cancel(job) -> best-effort cancellation at the provider
+ *
+ * Environment:
+ * - GENERATION_PROVIDER: "meshy" or "mock" (defaults to meshy when
+ *   MESHY_API_KEY is set, mock otherwise)
+ */
+
+import { meshyProvider } from './meshy.mjs';
+import { mockProvider } from './mock.mjs';
+
+const PROVIDERS = {
+  meshy: meshyProvider,
+  mock: mockProvider
+};
+
+// Helper: Configured generation provider
+export function getProvider() {
+  const name = process.env.GENERATION_PROVIDER || (process.env.MESHY_API_KEY ? "meshy" : "mock");
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown GENERATION_PROVIDER "${name}".`);
+  return provider;
+}
+
+// Helper: Provider that created a job (jobs keep the provider they started on)
+export function providerForJob(job) {
+  return PROVIDERS[job.provider] || getProvider();
+}
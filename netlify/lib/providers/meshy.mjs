@@ -0,0 +1,106 @@
+/**
+ * Meshy (https://www.meshy.ai) generation provider.
+ *
+ * Text prompts use the Text to 3D API; one reference image uses Image to 3D
+ * and several views use Multi-Image to 3D. With "combined" conditioning the
+ * prompt guides texturing. Task ids are stored as "text:<id>", "image:<id>" or
+ * "multi:<id>" so polling knows which endpoint to ask.
+ *
+ * Meshy can't edit existing geometry, so refinements are new text-to-3D tasks
+ * with the revised prompt and the parent's seed, which keeps them close to the
+ * original.
+ *
+ * Environment:
+ * - MESHY_API_KEY: API key
+ * - MESHY_API_URL: API base URL (defaults to https://api.meshy.ai)
+ * - MESHY_ART_STYLE: "realistic" (default) or "sculpture"
+ */
+
+const TEXT_TO_3D_PATH = "/openapi/v2/text-to-3d";
+const IMAGE_TO_3D_PATH = "/openapi/v1/image-to-3d";
+const MULTI_IMAGE_TO_3D_PATH = "/openapi/v1/multi-image-to-3d";
+
+// Endpoint for each task id prefix
+const TASK_PATHS = {
+  text: TEXT_TO_3D_PATH,
+  image: IMAGE_TO_3D_PATH,
+  multi: MULTI_IMAGE_TO_3D_PATH
+};
+
+// Meshy's prompt length limit
+const MAX_PROMPT_LENGTH = 600;
+
+// Meshy task statuses mapped to job statuses
+const STATUS_MAP = {
+  PENDING: "queued",
+  IN_PROGRESS: "running",
+  SUCCEEDED: "done",
+  FAILED: "failed",
+  EXPIRED: "failed",
+  CANCELED: "cancelled"
+};
+
+// Helper: Authenticated request to the Meshy API
+async function meshyRequest(path, options = {}) {
+  if (!process.env.MESHY_API_KEY) throw new Error("MESHY_API_KEY is not configured.");
+  const resp = await fetch(`${process.env.MESHY_API_URL || "https://api.meshy.ai"}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${process.env.MESHY_API_KEY}`,
+      "Content-Type": "application/json",
+      ...options.headers
+    }
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(`Meshy request failed with ${resp.status}: ${data.message || "unknown error"}`);
+  return data;
+}
+
+export const meshyProvider = {
+  name: "meshy",
+
+  async start({ prompt, negativePrompt, images, conditioning, params }) {
+    if (images.length) {
+      const dataUris = images.map((image) => `data:${image.type};base64,${image.buffer.toString("base64")}`);
+      const kind = dataUris.length > 1 ? "multi" : "image";
+      const data = await meshyRequest(TASK_PATHS[kind], {
+        method: "POST",
+        body: JSON.stringify({
+          ...(kind === "multi" ? { image_urls: dataUris } : { image_url: dataUris[0] }),
+          ...(conditioning === "combined" && prompt ? { texture_prompt: prompt.slice(0, MAX_PROMPT_LENGTH) } : {}),
+          enable_pbr: true,
+          should_remesh: true
+        })
+      });
+      return { taskId: `${kind}:${data.result}` };
+    }
+    const data = await meshyRequest(TEXT_TO_3D_PATH, {
+      method: "POST",
+      body: JSON.stringify({
+        mode: "preview",
+        prompt: prompt.slice(0, MAX_PROMPT_LENGTH),
+        ...(negativePrompt ? { negative_prompt: negativePrompt.slice(0, MAX_PROMPT_LENGTH) } : {}),
+        art_style: process.env.MESHY_ART_STYLE || "realistic",
+        seed: params.seed,
+        should_remesh: true
+      })
+    });
+    return { taskId: `text:${data.result}` };
+  },
+
+  async poll(job) {
+    const [kind, id] = job.taskId.split(":");
+    const task = await meshyRequest(`${TASK_PATHS[kind]}/${id}`);
+    const status = STATUS_MAP[task.status] || "running";
+    return {
+      status,
+      progress: Number(task.progress) || 0,
+      modelUrl: status === "done" ? task.model_urls?.glb || null : null,
+      thumbnailUrl: task.thumbnail_url || null,
+      error: status === "failed" ? task.task_error?.message || "The 3D provider could not generate this model." : null
+    };
+  },
+
+  // Meshy has no cancel endpoint: the job is marked cancelled and its result ignored
+  async cancel() {}
+};
@@ -0,0 +1,106 @@
+/**
+ * Mock generation provider for offline development.
+ *
+ * Jobs move through queued -> running -> refining -> done over
+ * MOCK_GENERATION_SECONDS (default 8) and finish with a box of the requested
+ * size, served by the mock-model function. Prompts containing "mock-fail"
+ * fail, to exercise error handling.
+ */
+
+import crypto from 'node:crypto';
+
+// Helper: Seconds a mock job takes from submission to done
+function durationMs() {
+  return (Number(process.env.MOCK_GENERATION_SECONDS) || 8) * 1000;
+}
+
+export const mockProvider = {
+  name: "mock",
+
+  async start() {
+    return { taskId: `mock_${crypto.randomBytes(6).toString("hex")}` };
+  },
+
+  async poll(job, { origin }) {
+    const elapsed = (Date.now() - job.createdAt) / durationMs();
+    if (elapsed < 0.15) return { status: "queued", progress: Math.round(elapsed * 100) };
+    if (/mock-fail/i.test(job.params.prompt)) return { status: "failed", progress: 0, error: "The mock provider was asked to fail." };
+    if (elapsed < 0.7) return { status: "running", progress: Math.round(elapsed * 100) };
+    if (elapsed < 1) return { status: "refining", progress: Math.round(elapsed * 100) };
+    const { width, height, depth } = job.params.measurements;
+    const query = new URLSearchParams({ width: String(width), height: String(height), depth: String(depth) });
+    return { status: "done", progress: 100, modelUrl: `${origin}/.netlify/functions/mock-model?${query}` };
+  },
+
+  async cancel() {}
+};
+
+// Corners of each face of a unit box, counter-clockwise seen from outside, with the face normal
+const BOX_FACES = [
+  { normal: [1, 0, 0], corners: [[1, -1, 1], [1, -1, -1], [1, 1, -1], [1, 1, 1]] },
+  { normal: [-1, 0, 0], corners: [[-1, -1, -1], [-1, -1, 1], [-1, 1, 1], [-1, 1, -1]] },
+  { normal: [0, 1, 0], corners: [[-1, 1, 1], [1, 1, 1], [1, 1, -1], [-1, 1, -1]] },
+  { normal: [0, -1, 0], corners: [[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1]] },
+  { normal: [0, 0, 1], corners: [[-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]] },
+  { normal: [0, 0, -1], corners: [[1, -1, -1], [-1, -1, -1], [-1, 1, -1], [1, 1, -1]] }
+];
+
+/**
+ * Binary glTF (GLB) of a box sized width x height x depth millimetres.
+ * glTF is Y-up in metres, so width maps to X, height to Y and depth to Z.
+ */
+export function buildBoxGlb({ width, height, depth }) {
+  const half = [width / 2000, height / 2000, depth / 2000];
+  const positions = new Float32Array(BOX_FACES.length * 4 * 3);
+  const normals = new Float32Array(BOX_FACES.length * 4 * 3);
+  const indices = new Uint16Array(BOX_FACES.length * 6);
+  BOX_FACES.forEach((face, f) => {
+    face.corners.forEach((corner, c) => {
+      positions.set(corner.map((v, axis) => v * half[axis]), (f * 4 + c) * 3);
+      normals.set(face.normal, (f * 4 + c) * 3);
+    });
+    indices.set([0, 1, 2, 0, 2, 3].map((i) => f * 4 + i), f * 6);
+  });
+
+  const bin = Buffer.concat([Buffer.from(positions.buffer), Buffer.from(normals.buffer), Buffer.from(indices.buffer)]);
+  const paddedBin = Buffer.concat([bin, Buffer.alloc((4 - (bin.length % 4)) % 4)]);
+  const gltf = {
+    asset: { version: "2.0", generator: "3D Model Magic mock provider" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name: "MockModel" }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 }] }],
+    materials: [{ pbrMetallicRoughness: { baseColorFactor: [0.98, 0.8, 0.08, 1], metallicFactor: 0, roughnessFactor: 0.6 } }],
+    buffers: [{ byteLength: paddedBin.length }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positions.byteLength, target: 34962 },
+      { buffer: 0, byteOffset: positions.byteLength, byteLength: normals.byteLength, target: 34962 },
+      { buffer: 0, byteOffset: positions.byteLength + normals.byteLength, byteLength: indices.byteLength, target: 34963 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: positions.length / 3, type: "VEC3", min: half.map((v) => -v), max: half },
+      { bufferView: 1, componentType: 5126, count: normals.length / 3, type: "VEC3" },
+      { bufferView: 2, componentType: 5123, count: indices.length, type: "SCALAR" }
+    ]
+  };
+
+  const jsonChunk = Buffer.from(JSON.stringify(gltf));
+  const paddedJson = Buffer.concat([jsonChunk, Buffer.alloc((4 - (jsonChunk.length % 4)) % 4, 0x20)]);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + paddedJson.length + 8 + paddedBin.length, 8);
+  const chunkHeader = (length, type) => {
+    const buf = Buffer.alloc(8);
+    buf.writeUInt32LE(length, 0);
+    buf.writeUInt32LE(type, 4);
+    return buf;
+  };
+  return Buffer.concat([
+    header,
+    chunkHeader(paddedJson.length, 0x4e4f534a),
+    paddedJson,
+    chunkHeader(paddedBin.length, 0x004e4942),
+    paddedBin
+  ]);
+}
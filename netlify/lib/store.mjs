@@ -0,0 +1,222 @@
+/**
+ * Document store shared by the backend functions.
+ *
+ * - Firestore (via firebase-admin) when FIREBASE_SERVICE_ACCOUNT is set
+ * - A JSON file for local development otherwise (LOCAL_STORE_PATH, defaults to the OS temp dir)
+ * - Process memory when LOCAL_STORE=memory (the single-process dev server in netlify/dev-server.mjs)
+ *
+ * Both expose the same small API: collection(name).get/set/update/delete/list,
+ * where(field, value) for the documents whose field equals a value (so lookups
+ * by owner don't read the whole collection), page({ where, orderBy, direction,
+ * offset, limit }) for one page of a sorted listing with the total count (on
+ * Firestore, filtering and sorting together needs a composite index; the error
+ * links to creating it), plus transact(id, fn) for read-modify-write updates
+ * that must not race:
+ * fn gets the current document (or null) and returns the new one, or null to
+ * leave it alone. Firestore runs it in a transaction (and may call fn more
+ * than once); the local stores run it synchronously, which is atomic within
+ * the single dev-server process.
+ *
+ * transaction(fn) covers updates that span documents: fn gets a tx with
+ * get(name, id), set(name, id, doc) and delete(name, id), and must do all its
+ * reads before its first write, as Firestore requires. The local stores run
+ * these one at a time and apply the writes together at the end.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { getAdmin } from './firebase.mjs';
+
+// Helper: Firestore instance (firebase-admin loads lazily so local development needs no credentials)
+async function getFirestore() {
+  return (await getAdmin()).firestore();
+}
+
+// Firestore-backed collection
+function firestoreCollection(name) {
+  const ref = async () => (await getFirestore()).collection(name);
+  return {
+    async get(id) {
+      const doc = await (await ref()).doc(id).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    },
+    async set(id, data) {
+      await (await ref()).doc(id).set(data);
+      return { id, ...data };
+    },
+    async update(id, patch) {
+      await (await ref()).doc(id).set(patch, { merge: true });
+      return this.get(id);
+    },
+    async delete(id) {
+      await (await ref()).doc(id).delete();
+    },
+    async transact(id, fn) {
+      const db = await getFirestore();
+      const docRef = db.collection(name).doc(id);
+      return db.runTransaction(async (tx) => {
+        const snapshot = await tx.get(docRef);
+        const next = fn(snapshot.exists ? { id, ...snapshot.data() } : null);
+        if (next) tx.set(docRef, next);
+        return next ? { id, ...next } : null;
+      });
+    },
+    async list() {
+      const snapshot = await (await ref()).get();
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    },
+    async where(field, value) {
+      const snapshot = await (await ref()).where(field, "==", value).get();
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    },
+    async page({ where = {}, orderBy, direction = "desc", offset = 0, limit }) {
+      let query = await ref();
+      Object.entries(where).forEach(([field, value]) => { query = query.where(field, "==", value); });
+      const [count, snapshot] = await Promise.all([
+        query.count().get(),
+        query.orderBy(orderBy, direction).offset(offset).limit(limit).get()
+      ]);
+      return { items: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })), total: count.data().count };
+    }
+  };
+}
+
+// Local JSON file store: every function process reads and writes the same file
+function localStorePath() {
+  return process.env.LOCAL_STORE_PATH || path.join(os.tmpdir(), "model-magic-local-store.json");
+}
+
+// In-memory documents for LOCAL_STORE=memory
+let memoryData = {};
+
+function readLocal() {
+  if (process.env.LOCAL_STORE === "memory") return memoryData;
+  try {
+    return JSON.parse(fs.readFileSync(localStorePath(), "utf8"));
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeLocal(data) {
+  if (process.env.LOCAL_STORE === "memory") {
+    memoryData = data;
+    return;
+  }
+  fs.writeFileSync(localStorePath(), JSON.stringify(data, null, 2));
+}
+
+function localCollection(name) {
+  const mutate = (fn) => {
+    const data = readLocal();
+    data[name] = data[name] || {};
+    const result = fn(data[name]);
+    writeLocal(data);
+    return result;
+  };
+  return {
+    async get(id) {
+      const doc = readLocal()[name]?.[id];
+      return doc ? { id, ...doc } : null;
+    },
+    async set(id, doc) {
+      mutate((docs) => { docs[id] = doc; });
+      return { id, ...doc };
+    },
+    async update(id, patch) {
+      const doc = mutate((docs) => {
+        docs[id] = { ...(docs[id] || {}), ...patch };
+        return docs[id];
+      });
+      return { id, ...doc };
+    },
+    async delete(id) {
+      mutate((docs) => { delete docs[id]; });
+    },
+    async transact(id, fn) {
+      return mutate((docs) => {
+        const next = fn(docs[id] ? { id, ...docs[id] } : null);
+        if (next) docs[id] = next;
+        return next ? { id, ...next } : null;
+      });
+    },
+    async list() {
+      return Object.entries(readLocal()[name] || {}).map(([id, doc]) => ({ id, ...doc }));
+    },
+    async where(field, value) {
+      return (await this.list()).filter((doc) => doc[field] === value);
+    },
+    async page({ where = {}, orderBy, direction = "desc", offset = 0, limit }) {
+      const sign = direction === "desc" ? -1 : 1;
+      const matches = (await this.list())
+        .filter((doc) => Object.entries(where).every(([field, value]) => doc[field] === value))
+        .sort((a, b) => (a[orderBy] < b[orderBy] ? -sign : a[orderBy] > b[orderBy] ? sign : 0));
+      return { items: matches.slice(offset, offset + limit), total: matches.length };
+    }
+  };
+}
+
+// Local transactions, run one after another
+let localTransactions = Promise.resolve();
+
+// Helper: Run a multi-document transaction on the local store
+function localTransaction(fn) {
+  const run = localTransactions.then(async () => {
+    const writes = [];
+    const result = await fn({
+      async get(name, id) {
+        const doc = readLocal()[name]?.[id];
+        return doc ? { id, ...doc } : null;
+      },
+      set(name, id, doc) {
+        writes.push({ name, id, doc });
+      },
+      delete(name, id) {
+        writes.push({ name, id, doc: null });
+      }
+    });
+    const data = readLocal();
+    writes.forEach(({ name, id, doc }) => {
+      data[name] = data[name] || {};
+      if (doc) data[name][id] = doc;
+      else delete data[name][id];
+    });
+    writeLocal(data);
+    return result;
+  });
+  localTransactions = run.catch(() => {});
+  return run;
+}
+
+// Helper: Run a multi-document transaction on Firestore (fn may be called more than once)
+async function firestoreTransaction(fn) {
+  const db = await getFirestore();
+  return db.runTransaction((tx) => fn({
+    async get(name, id) {
+      const doc = await tx.get(db.collection(name).doc(id));
+      return doc.exists ? { id, ...doc.data() } : null;
+    },
+    set(name, id, doc) {
+      tx.set(db.collection(name).doc(id), doc);
+    },
+    delete(name, id) {
+      tx.delete(db.collection(name).doc(id));
+    }
+  }));
+}
+
+// Helper: Whether the backend is running against local stand-ins
+export function isLocalStore() {
+  return !process.env.FIREBASE_SERVICE_ACCOUNT;
+}
+
+// Helper: Collection by name on the configured store
+export function collection(name) {
+  return isLocalStore() ? localCollection(name) : firestoreCollection(name);
+}
+
+// Helper: Run fn(tx) as one transaction over documents in any collection
+export function transaction(fn) {
+  return isLocalStore() ? localTransaction(fn) : firestoreTransaction(fn);
+}
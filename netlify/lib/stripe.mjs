@@ -0,0 +1,46 @@
+/**
+ * Stripe client factory.
+ *
+ * Uses the real Stripe SDK when STRIPE_SECRET_KEY is set, and the local
+ * stand-in in ./local-stripe.mjs otherwise (or when STRIPE_MODE=local), so
+ * checkout, webhooks and plan changes can be exercised offline.
+ *
+ * Environment:
+ * - STRIPE_SECRET_KEY: secret API key
+ * - STRIPE_WEBHOOK_SECRET: signing secret of the webhook endpoint
+ * - STRIPE_PRICE_BASIC / STRIPE_PRICE_PRO / STRIPE_PRICE_MODEL: price IDs
+ * - STRIPE_MODE=local: force the stand-in even when a key is present
+ *
+ * The stand-in only runs against the local store, and never on production
+ * deploys: anywhere with real user data (including deploy previews pointed at
+ * Firestore) every Stripe request fails without STRIPE_SECRET_KEY instead, so
+ * nobody can "pay" through the stand-in for a real account.
+ */
+
+import { isProductionDeploy } from './env.mjs';
+import { createLocalStripe, LOCAL_WEBHOOK_SECRET } from './local-stripe.mjs';
+import { isLocalStore } from './store.mjs';
+
+let stripePromise = null;
+
+// Helper: Whether requests go to the local Stripe stand-in
+export function isLocalStripe() {
+  if (isProductionDeploy() || !isLocalStore()) return false;
+  return process.env.STRIPE_MODE === "local" || !process.env.STRIPE_SECRET_KEY;
+}
+
+// Helper: Signing secret used to verify webhook payloads
+export function webhookSecret() {
+  return isLocalStripe() ? LOCAL_WEBHOOK_SECRET : process.env.STRIPE_WEBHOOK_SECRET;
+}
+
+// Helper: Configured Stripe client (real SDK or local stand-in)
+export async function getStripe() {
+  if (!isLocalStripe() && !process.env.STRIPE_SECRET_KEY) throw new Error("STRIPE_SECRET_KEY is not configured.");
+  if (!stripePromise) {
+    stripePromise = isLocalStripe()
+      ? Promise.resolve(createLocalStripe())
+      : import('stripe').then(({ default: Stripe }) => new Stripe(process.env.STRIPE_SECRET_KEY));
+  }
+  return stripePromise;
+}
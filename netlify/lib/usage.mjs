@@ -0,0 +1,67 @@
+/**
+ * Monthly generation quota.
+ *
+ * Counts live in the "usage" collection keyed by `${uid}_${period}`, where the
+ * period is the calendar month in UTC (matching billingPeriodKey in index.js).
+ * Only the backend writes them: a generation is reserved when it is accepted
+ * and handed back if the provider fails. Reservations check the limit and
+ * increment the count in one store transaction, so concurrent requests can't
+ * both take the last generation. An admin quota override replaces the plan's
+ * monthly limit.
+ */
+
+import { getEntitlements, getPlanOverride } from './plans.mjs';
+import { collection } from './store.mjs';
+
+// Helper: Billing period key (calendar month, UTC)
+export function billingPeriodKey(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+// Helper: Monthly limit for a user on a plan (null when unlimited)
+async function monthlyLimit(uid, plan) {
+  const override = await getPlanOverride(uid);
+  const limit = override?.monthlyGenerations ?? getEntitlements(plan).monthlyGenerations;
+  return Number.isFinite(limit) ? limit : null;
+}
+
+// Helper: Usage summary for a user on a plan; limit is null when unlimited
+export async function getUsage(uid, plan, period = billingPeriodKey()) {
+  const [doc, limit] = await Promise.all([collection("usage").get(`${uid}_${period}`), monthlyLimit(uid, plan)]);
+  return { period, used: doc?.count || 0, limit };
+}
+
+/**
+ * Count `count` generations against a period if they fit in the quota.
+ * Returns { reserved, usage }: usage includes the reservation, or is the
+ * usage that left no room for it.
+ */
+export async function reserveUsage(uid, plan, count = 1, period = billingPeriodKey()) {
+  const limit = await monthlyLimit(uid, plan);
+  let used = 0;
+  const doc = await collection("usage").transact(`${uid}_${period}`, (current) => {
+    used = current?.count || 0;
+    if (limit !== null && used + count > limit) return null;
+    return { uid, period, count: used + count, updatedAt: Date.now() };
+  });
+  return { reserved: Boolean(doc), usage: { period, used: doc ? doc.count : used, limit } };
+}
+
+// Helper: Give back generations that never produced a model
+export async function releaseUsage(uid, period, count = 1) {
+  await collection("usage").transact(`${uid}_${period}`, (current) => {
+    if (!current?.count) return null;
+    const { id, ...doc } = current;
+    return { ...doc, count: Math.max(0, current.count - count), updatedAt: Date.now() };
+  });
+}
+
+// Helper: Why `count` more generations don't fit in this month's quota, or null when they do
+export function quotaExceededMessage(plan, usage, count = 1) {
+  if (usage.limit === null || usage.used + count <= usage.limit) return null;
+  const left = Math.max(0, usage.limit - usage.used);
+  if (left === 0) {
+    return `Your ${plan} plan includes ${usage.limit} generation${usage.limit === 1 ? "" : "s"} per month, and you've used them all.`;
+  }
+  return `This batch needs ${count} generations, but you have ${left} left this month.`;
+}
@@ -0,0 +1,55 @@
+/**
+ * Tests for the monthly generation quota (run with `node --test netlify/`).
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { setPlanOverride } from './plans.mjs';
+import { getUsage, releaseUsage, reserveUsage } from './usage.mjs';
+
+process.env.LOCAL_STORE = "memory";
+delete process.env.FIREBASE_SERVICE_ACCOUNT;
+
+const PERIOD = "2026-01";
+
+test("reserves up to the plan's limit and no further", async () => {
+  const first = await reserveUsage("quota-free", "free", 1, PERIOD);
+  assert.deepEqual(first, { reserved: true, usage: { period: PERIOD, used: 1, limit: 1 } });
+  const second = await reserveUsage("quota-free", "free", 1, PERIOD);
+  assert.deepEqual(second, { reserved: false, usage: { period: PERIOD, used: 1, limit: 1 } });
+});
+
+test("refuses a batch that doesn't fit whole", async () => {
+  assert.equal((await reserveUsage("quota-batch", "basic", 8, PERIOD)).reserved, true);
+  const tooMany = await reserveUsage("quota-batch", "basic", 3, PERIOD);
+  assert.deepEqual(tooMany, { reserved: false, usage: { period: PERIOD, used: 8, limit: 10 } });
+  const exact = await reserveUsage("quota-batch", "basic", 2, PERIOD);
+  assert.deepEqual(exact, { reserved: true, usage: { period: PERIOD, used: 10, limit: 10 } });
+});
+
+test("lets only one concurrent request take the last generation", async () => {
+  const results = await Promise.all([1, 2, 3].map(() => reserveUsage("quota-race", "free", 1, PERIOD)));
+  assert.equal(results.filter((result) => result.reserved).length, 1);
+  assert.equal((await getUsage("quota-race", "free", PERIOD)).used, 1);
+});
+
+test("hands a released generation back once, even when released twice", async () => {
+  await reserveUsage("quota-release", "free", 1, PERIOD);
+  await releaseUsage("quota-release", PERIOD);
+  await releaseUsage("quota-release", PERIOD);
+  assert.equal((await getUsage("quota-release", "free", PERIOD)).used, 0);
+  assert.equal((await reserveUsage("quota-release", "free", 1, PERIOD)).reserved, true);
+  assert.equal((await reserveUsage("quota-release", "free", 1, PERIOD)).reserved, false);
+});
+
+test("uses an admin's quota override instead of the plan's limit", async () => {
+  await setPlanOverride("quota-override", { plan: null, monthlyGenerations: 2, note: "test", adminUid: "admin" });
+  assert.equal((await reserveUsage("quota-override", "free", 2, PERIOD)).reserved, true);
+  const over = await reserveUsage("quota-override", "free", 1, PERIOD);
+  assert.deepEqual(over, { reserved: false, usage: { period: PERIOD, used: 2, limit: 2 } });
+});
+
+test("never limits unlimited plans", async () => {
+  const result = await reserveUsage("quota-pro", "pro", 500, PERIOD);
+  assert.deepEqual(result, { reserved: true, usage: { period: PERIOD, used: 500, limit: null } });
+});